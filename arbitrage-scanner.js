@@ -0,0 +1,362 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - ARBITRAGE SCANNER
+ * ============================================================================
+ *
+ * Ranks every incoming listing by what it would net on a chosen sell venue.
+ *
+ * Features:
+ * - Net spread after the venue's seller fee, with Empire coins converted by
+ *   the shared CurrencyConverter
+ * - Liquidity check: the item must be quoted on enough marketplaces, and the
+ *   venue quote must not be an outlier against the other marketplaces
+ * - Live top-N table (updated on new, updated and deleted items)
+ * - Opportunities expire after a configurable age
+ *
+ * @version 1.0.0
+ */
+
+// Sell venues → display name, enhanced item price field and default seller fee (%)
+const ARBITRAGE_VENUES = {
+  buff163: { name: 'Buff163', priceField: 'buff163_price', feePercent: 2.5 },
+  csfloat: { name: 'CSFloat', priceField: 'csfloat_price', feePercent: 2 },
+  youpin: { name: 'YouPin', priceField: 'youpin_price', feePercent: 1 },
+  steam: { name: 'Steam Market', priceField: 'steam_price', feePercent: 13.04 },
+  bitskins: { name: 'BitSkins', priceField: 'bitskins_price', feePercent: 10 },
+  skinport: { name: 'Skinport', priceField: 'skinport_price', feePercent: 8 }
+};
+
+class ArbitrageScanner {
+  /**
+   * @param {Object} options - Scanner options
+   * @param {CurrencyConverter} options.currency - Coin → USD conversion
+   * @param {Function} options.onUpdate - Called with the new top-N when it changes
+   * @param {Function} options.now - Clock returning ms
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.currency = options.currency || new CurrencyConverter();
+    this.onUpdate = options.onUpdate || null;
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Initialize scanner properties
+   */
+  initializeProperties() {
+    // Scanner configuration
+    this.config = {
+      enabled: false,
+      venue: 'buff163',
+      feePercent: {},           // Per-venue fee overrides ({ steam: 15 })
+      minSpreadPercent: 3,
+      minSources: 2,            // Marketplaces that must quote the item
+      maxVenueDeviation: 40,    // Max % the venue quote may sit from the other marketplaces' median
+      rankBy: 'usd',            // 'usd' or 'percent'
+      topN: 10,
+      maxAgeMinutes: 30
+    };
+
+    // Deposit id → opportunity
+    this.opportunities = new Map();
+    this.maxTracked = 500;
+
+    // Listings evaluated since the service worker started
+    this.scanned = 0;
+
+    // Signature of the last published top-N (skips no-op updates)
+    this.lastPublished = '';
+  }
+
+  /**
+   * Load scanner settings from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.sync.get(['arbitrageScannerConfig']);
+
+      if (result.arbitrageScannerConfig) {
+        this.config = { ...this.config, ...result.arbitrageScannerConfig };
+        console.log('✅ Arbitrage scanner config loaded:', this.config);
+      }
+    } catch (error) {
+      console.error('❌ Error loading arbitrage scanner settings:', error);
+    }
+  }
+
+  /**
+   * Save scanner configuration to Chrome storage
+   */
+  async saveConfig() {
+    try {
+      await chrome.storage.sync.set({ arbitrageScannerConfig: this.config });
+      console.log('💾 Arbitrage scanner config saved');
+    } catch (error) {
+      console.error('❌ Error saving arbitrage scanner config:', error);
+    }
+  }
+
+  /**
+   * Set scanner enabled state
+   * @param {boolean} enabled - Whether scanning is enabled
+   */
+  async setEnabled(enabled) {
+    this.config.enabled = enabled;
+    if (!enabled) {
+      this.clear();
+    }
+    await this.saveConfig();
+    console.log(`📊 Arbitrage scanner ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  }
+
+  /**
+   * Update scanner settings (the table is cleared when the venue changes)
+   * @param {Object} settings - Settings to update
+   */
+  async updateSettings(settings) {
+    const previousVenue = this.config.venue;
+
+    for (const key of Object.keys(this.config)) {
+      if (key !== 'enabled' && settings[key] !== undefined && settings[key] !== null) {
+        this.config[key] = settings[key];
+      }
+    }
+
+    if (!ARBITRAGE_VENUES[this.config.venue]) {
+      this.config.venue = 'buff163';
+    }
+
+    if (this.config.venue !== previousVenue) {
+      this.clear();
+    } else {
+      this.publish();
+    }
+
+    await this.saveConfig();
+    console.log('⚙️ Arbitrage scanner settings updated:', this.config);
+  }
+
+  /**
+   * Seller fee for a venue (override or default)
+   * @param {string} venue - Venue id
+   * @returns {number} Fee in percent
+   */
+  getFeePercent(venue) {
+    const override = this.config.feePercent?.[venue];
+    return typeof override === 'number' ? override : (ARBITRAGE_VENUES[venue]?.feePercent ?? 0);
+  }
+
+  /**
+   * ========================================================================
+   * EVALUATION
+   * ========================================================================
+   */
+
+  /**
+   * Evaluate one listing against the configured venue
+   * @param {Object} item - Listing (market_value in coin cents)
+   * @param {Object} prices - Venue id → USD price (null when not quoted)
+   * @returns {Object} { opportunity, reason } - opportunity is null when rejected
+   */
+  evaluate(item, prices) {
+    const venue = this.config.venue;
+    const venuePrice = prices[venue];
+    const cost = this.currency.coinsToUsd(item.market_value);
+
+    if (cost <= 0) {
+      return { opportunity: null, reason: 'no_empire_price' };
+    }
+    if (!venuePrice || venuePrice <= 0) {
+      return { opportunity: null, reason: 'no_venue_price' };
+    }
+
+    const quotes = Object.values(prices).filter(price => typeof price === 'number' && price > 0);
+    if (quotes.length < this.config.minSources) {
+      return { opportunity: null, reason: `illiquid: ${quotes.length}/${this.config.minSources} marketplaces` };
+    }
+
+    const others = Object.entries(prices)
+      .filter(([id, price]) => id !== venue && typeof price === 'number' && price > 0)
+      .map(([, price]) => price);
+    const reference = this.median(others);
+    if (reference !== null) {
+      const deviation = Math.abs(venuePrice - reference) / reference * 100;
+      if (deviation > this.config.maxVenueDeviation) {
+        return { opportunity: null, reason: `venue_outlier: ${deviation.toFixed(1)}% from median` };
+      }
+    }
+
+    const feePercent = this.getFeePercent(venue);
+    const netProceeds = venuePrice * (1 - feePercent / 100);
+    const spread = netProceeds - cost;
+    const spreadPercent = (spread / cost) * 100;
+
+    if (spreadPercent < this.config.minSpreadPercent) {
+      return { opportunity: null, reason: `spread ${spreadPercent.toFixed(1)}% below ${this.config.minSpreadPercent}%` };
+    }
+
+    return {
+      opportunity: {
+        id: item.id,
+        market_name: item.market_name,
+        wear: item.wear ?? null,
+        cost,
+        venue,
+        venuePrice,
+        feePercent,
+        netProceeds,
+        spread,
+        spreadPercent,
+        sources: quotes.length,
+        isAuction: Boolean(item.auction_ends_at),
+        seenAt: this.now()
+      },
+      reason: 'ok'
+    };
+  }
+
+  /**
+   * Evaluate a listing and keep it in (or drop it from) the table
+   * @param {Object} item - Listing
+   * @param {Object} prices - Venue id → USD price
+   * @returns {Object} Evaluation result
+   */
+  consider(item, prices) {
+    this.scanned++;
+    const result = this.evaluate(item, prices);
+
+    if (result.opportunity) {
+      this.opportunities.set(item.id, result.opportunity);
+      this.prune();
+    } else if (!this.opportunities.delete(item.id)) {
+      return result;  // Not in the table before or after: nothing to publish
+    }
+
+    this.publish();
+    return result;
+  }
+
+  /**
+   * Drop listings that left the market
+   * @param {Array<number>} ids - Deposit ids
+   */
+  remove(ids) {
+    let removed = false;
+    for (const id of ids) {
+      removed = this.opportunities.delete(id) || removed;
+    }
+    if (removed) {
+      this.publish();
+    }
+  }
+
+  /**
+   * Drop every opportunity
+   */
+  clear() {
+    this.opportunities.clear();
+    this.publish();
+  }
+
+  /**
+   * ========================================================================
+   * RANKING
+   * ========================================================================
+   */
+
+  /**
+   * Best opportunities, highest spread first
+   * @param {number} limit - How many to return (default: topN)
+   * @returns {Array<Object>} Opportunities
+   */
+  getTop(limit = this.config.topN) {
+    this.expire();
+    const key = this.config.rankBy === 'percent' ? 'spreadPercent' : 'spread';
+    return [...this.opportunities.values()]
+      .sort((a, b) => b[key] - a[key])
+      .slice(0, limit);
+  }
+
+  /**
+   * Push the top-N to the listener if it changed
+   */
+  publish() {
+    const top = this.getTop();
+    const signature = top.map(opportunity => `${opportunity.id}:${opportunity.spread.toFixed(2)}`).join('|');
+    if (signature === this.lastPublished) {
+      return;
+    }
+
+    this.lastPublished = signature;
+    if (this.onUpdate) {
+      this.onUpdate(top);
+    }
+  }
+
+  /**
+   * Drop opportunities older than maxAgeMinutes
+   */
+  expire() {
+    const cutoff = this.now() - this.config.maxAgeMinutes * 60 * 1000;
+    for (const [id, opportunity] of this.opportunities) {
+      if (opportunity.seenAt < cutoff) {
+        this.opportunities.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Keep the table bounded, dropping the weakest opportunities first
+   */
+  prune() {
+    if (this.opportunities.size <= this.maxTracked) {
+      return;
+    }
+
+    const weakest = [...this.opportunities.values()]
+      .sort((a, b) => a.spread - b.spread)
+      .slice(0, this.opportunities.size - this.maxTracked);
+    for (const opportunity of weakest) {
+      this.opportunities.delete(opportunity.id);
+    }
+  }
+
+  /**
+   * Median of a list of numbers
+   * @param {Array<number>} values - Values
+   * @returns {number|null} Median or null when empty
+   */
+  median(values) {
+    if (values.length === 0) {
+      return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Get current scanner settings and table
+   * @returns {Object} Settings, venues and top opportunities
+   */
+  getSettings() {
+    return {
+      ...this.config,
+      venues: Object.fromEntries(Object.entries(ARBITRAGE_VENUES).map(([id, venue]) => [
+        id,
+        { name: venue.name, feePercent: this.getFeePercent(id) }
+      ])),
+      scanned: this.scanned,
+      tracked: this.opportunities.size,
+      opportunities: this.getTop()
+    };
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ArbitrageScanner,
+    ARBITRAGE_VENUES
+  };
+}
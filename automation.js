@@ -4,6 +4,10 @@
  * ============================================================================
  *
  * Handles automated withdrawal functionality for CSGOEmpire items.
+ * Auction items are handled by AuctionSnipeManager. Spend limits
+ * (AutomationBudget), dry-run mode (PaperTradingLedger) and trade outcome
+ * tracking (WithdrawalReconciler) are shared by every manager; they all live
+ * at the end of this file.
  *
  * Features:
  * - Automatic withdrawal of items meeting criteria
@@ -11,14 +15,22 @@
  * - Price range filtering
  * - Charm value percentage threshold
  * - Rate limiting and cooldown management
- * - Statistics tracking
+ * - Shared spend/exposure limits (AutomationBudget)
+ * - Statistics tracking, settled against trade outcomes (WithdrawalReconciler)
  *
  * @version 1.0.0
  */
 
 class AutomationManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {EmpireApiClient} options.api - Shared Empire REST client
+   * @param {CurrencyConverter} options.currency - Coin → USD conversion
+   */
+  constructor(options = {}) {
     this.initializeProperties();
+    this.api = options.api || new EmpireApiClient();
+    this.currency = options.currency || new CurrencyConverter();
   }
 
   /**
@@ -32,7 +44,8 @@ class AutomationManager {
       minPrice: null,  // Minimum item price in USD (null = no limit)
       maxPrice: null,   // Maximum item price in USD (null = no limit)
       minDifferencePercentage: 50,  // Minimum price difference % (marketplace vs empire)
-      maxDifferencePercentage: 100  // Maximum price difference % (marketplace vs empire)
+      maxDifferencePercentage: 100,  // Maximum price difference % (marketplace vs empire)
+      patternThresholds: { 1: null, 2: null, 3: null }  // Charm pattern tier → threshold % (null = thresholdPercentage)
     };
 
     // Statistics tracking
@@ -40,7 +53,12 @@ class AutomationManager {
       totalAttempts: 0,
       successCount: 0,
       failureCount: 0,
-      totalValueWithdrawn: 0,
+      totalValueWithdrawn: 0,     // Completed trades only (see WithdrawalReconciler)
+      pendingCount: 0,
+      pendingValue: 0,
+      completedCount: 0,
+      cancelledCount: 0,
+      revertedCount: 0,
       lastAttempt: null,
       lastSuccess: null,
       lastFailure: null
@@ -53,6 +71,15 @@ class AutomationManager {
     // API configuration
     this.apiKey = null;
     this.domain = 'csgoempire.com';
+
+    // Shared spend limits (set by AutomationBudget.attach)
+    this.budget = null;
+
+    // Dry-run ledger (set by PaperTradingLedger.attach)
+    this.paperTrading = null;
+
+    // Trade outcome tracking (set by WithdrawalReconciler.attach)
+    this.reconciler = null;
   }
 
   /**
@@ -130,6 +157,9 @@ class AutomationManager {
     if (settings.maxDifferencePercentage !== undefined) {
       this.config.maxDifferencePercentage = settings.maxDifferencePercentage;
     }
+    if (settings.patternThresholds !== undefined) {
+      this.config.patternThresholds = { ...this.config.patternThresholds, ...settings.patternThresholds };
+    }
 
     await this.saveConfig();
     console.log('⚙️ Automation settings updated:', this.config);
@@ -143,7 +173,12 @@ class AutomationManager {
       totalAttempts: 0,
       successCount: 0,
       failureCount: 0,
-      totalValueWithdrawn: 0,
+      totalValueWithdrawn: 0,     // Completed trades only (see WithdrawalReconciler)
+      pendingCount: 0,
+      pendingValue: 0,
+      completedCount: 0,
+      cancelledCount: 0,
+      revertedCount: 0,
       lastAttempt: null,
       lastSuccess: null,
       lastFailure: null
@@ -163,10 +198,21 @@ class AutomationManager {
       thresholdPercentage: this.config.thresholdPercentage,
       minPrice: this.config.minPrice,
       maxPrice: this.config.maxPrice,
+      patternThresholds: { ...this.config.patternThresholds },
       stats: { ...this.stats }
     };
   }
 
+  /**
+   * Charm value threshold for an item, by its charm pattern tier
+   * @param {Object} item - Item (charm_pattern_tier set for premium charm patterns)
+   * @returns {number} Minimum charm value as % of item price
+   */
+  getThresholdPercentage(item) {
+    const override = this.config.patternThresholds?.[item.charm_pattern_tier];
+    return typeof override === 'number' ? override : this.config.thresholdPercentage;
+  }
+
   /**
    * Set API key for authentication
    * @param {string} apiKey - Bearer token for API
@@ -175,6 +221,7 @@ class AutomationManager {
   setAPIKey(apiKey, domain = 'csgoempire.com') {
     this.apiKey = apiKey;
     this.domain = domain;
+    this.api.setAPIKey(apiKey, domain);
   }
 
   /**
@@ -196,25 +243,12 @@ class AutomationManager {
     try {
       console.log(`🔍 Re-verifying item ${itemId}...`);
 
-      const response = await fetch(`https://${this.domain}/api/v2/trading/deposit/${itemId}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Accept': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        console.error(`❌ Re-verification failed: ${response.status} ${response.statusText}`);
-        return null;
-      }
-
-      const data = await response.json();
+      const data = await this.api.getDeposit(itemId);
       console.log(`✅ Item ${itemId} re-verified successfully`);
       return data;
 
     } catch (error) {
-      console.error(`❌ Error re-verifying item ${itemId}:`, error);
+      console.error(`❌ Re-verification of item ${itemId} failed (${error.name}):`, error.message);
       return null;
     }
   }
@@ -225,6 +259,13 @@ class AutomationManager {
    * @returns {Object} Withdrawal result
    */
   async withdrawItem(item) {
+    // Dry run: record the would-be purchase instead of calling the API
+    if (this.paperTrading && this.paperTrading.isActive()) {
+      this.lastWithdrawalTime = Date.now();
+      const trade = await this.paperTrading.simulateWithdrawal(item, 'charm_automation');
+      return { success: true, dryRun: true, data: trade, item: item };
+    }
+
     try {
       console.log(`💰 [Charm Automation] Attempting to withdraw item ${item.id} (${item.market_name})...`);
       console.log(`💰 [Charm Automation] Item data:`, {
@@ -243,39 +284,30 @@ class AutomationManager {
       // Prepare request body with coin_value (use purchase_price or market_value)
       // Both are already in cents (int32 format)
       const coinValue = item.purchase_price || item.market_value || 0;
-      const body = JSON.stringify({ coin_value: coinValue });
-
-      console.log(`💰 [Charm Automation] Request URL: https://${this.domain}/api/v2/trading/deposit/${item.id}/withdraw`);
-      console.log(`💰 [Charm Automation] Request body:`, { coin_value: coinValue });
-
-      const response = await fetch(`https://${this.domain}/api/v2/trading/deposit/${item.id}/withdraw`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        },
-        body: body
-      });
+      console.log(`💰 [Charm Automation] Withdrawing via ${this.api.domain} with coin_value:`, coinValue);
 
-      console.log(`💰 [Charm Automation] Response status:`, response.status);
-
-      const data = await response.json();
+      const data = await this.api.withdraw(item.id, coinValue);
       console.log(`💰 [Charm Automation] Response data:`, data);
 
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.status} - ${data.message || response.statusText}`);
-      }
-
       // Success!
       this.stats.successCount++;
       this.stats.lastSuccess = new Date().toISOString();
-      this.stats.totalValueWithdrawn += (item.market_value || 0) / 100; // Convert cents to dollars
+
+      // The trade can still be cancelled; value counts as withdrawn once it completes
+      const value = this.currency.coinsToUsd(item.market_value);
+      if (this.reconciler) {
+        await this.reconciler.track(item, value, 'charm_automation', data?.data);
+      } else {
+        this.stats.totalValueWithdrawn += value;
+      }
 
       await this.saveStats();
+      if (this.budget) {
+        await this.budget.recordSpend(item, value, 'charm_automation');
+      }
 
       console.log(`✅ [Charm Automation] Successfully withdrew item ${item.id}!`);
-      console.log(`📊 [Charm Automation] Total value withdrawn: $${this.stats.totalValueWithdrawn.toFixed(2)}`);
+      console.log(`📊 [Charm Automation] Total value withdrawn: $${this.stats.totalValueWithdrawn.toFixed(2)} ($${this.stats.pendingValue.toFixed(2)} pending)`);
 
       return {
         success: true,
@@ -319,7 +351,7 @@ class AutomationManager {
     console.log(`✅ [Charm Automation] Item ${item.id} is non-auction (auction_ends_at: null)`);
 
     // Get item market value in dollars
-    const itemValueUSD = (item.market_value || 0) / 100;
+    const itemValueUSD = this.currency.coinsToUsd(item.market_value);
 
     // Check price range filter (min)
     if (this.config.minPrice !== null && itemValueUSD < this.config.minPrice) {
@@ -337,13 +369,14 @@ class AutomationManager {
       };
     }
 
-    // Check charm value percentage threshold
+    // Check charm value percentage threshold (premium charm patterns may use their tier's threshold)
     const charmPercentage = itemValueUSD > 0 ? (charmValue / itemValueUSD) * 100 : 0;
+    const thresholdPercentage = this.getThresholdPercentage(item);
 
-    if (charmPercentage < this.config.thresholdPercentage) {
+    if (charmPercentage < thresholdPercentage) {
       return {
         pass: false,
-        reason: `Charm value ${charmPercentage.toFixed(1)}% below threshold ${this.config.thresholdPercentage}%`
+        reason: `Charm value ${charmPercentage.toFixed(1)}% below threshold ${thresholdPercentage}%${item.charm_pattern_tier ? ` (pattern tier ${item.charm_pattern_tier})` : ''}`
       };
     }
 
@@ -389,7 +422,7 @@ class AutomationManager {
     // All checks passed!
     return {
       pass: true,
-      reason: `Meets criteria: ${charmPercentage.toFixed(1)}% charm value, $${itemValueUSD.toFixed(2)} item price`
+      reason: `Meets criteria: ${charmPercentage.toFixed(1)}% charm value${item.charm_breakdown?.length > 1 ? ` (${item.charm_breakdown.length} keychains)` : ''}, $${itemValueUSD.toFixed(2)} item price`
     };
   }
 
@@ -423,6 +456,13 @@ class AutomationManager {
 
     console.log(`✨ Item ${item.id} meets automation criteria: ${criteriaCheck.reason}`);
 
+    // Check shared spend limits
+    const budgetCheck = this.budget ? this.budget.check(item, this.currency.coinsToUsd(item.market_value)) : { allowed: true };
+    if (!budgetCheck.allowed) {
+      console.log(`💸 [Charm Automation] Item ${item.id} skipped: ${budgetCheck.reason}`);
+      return null;
+    }
+
     // SKIP re-verification for charm automation
     // The item data is already fresh from the WebSocket feed
     // Re-verification adds unnecessary delay and the endpoint returns 405 errors
@@ -454,8 +494,15 @@ class AutomationManager {
  */
 
 class ItemTargetAutomationManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {EmpireApiClient} options.api - Shared Empire REST client
+   * @param {CurrencyConverter} options.currency - Coin → USD conversion
+   */
+  constructor(options = {}) {
     this.initializeProperties();
+    this.api = options.api || new EmpireApiClient();
+    this.currency = options.currency || new CurrencyConverter();
   }
 
   /**
@@ -476,7 +523,12 @@ class ItemTargetAutomationManager {
       totalAttempts: 0,
       successCount: 0,
       failureCount: 0,
-      totalValueWithdrawn: 0,
+      totalValueWithdrawn: 0,     // Completed trades only (see WithdrawalReconciler)
+      pendingCount: 0,
+      pendingValue: 0,
+      completedCount: 0,
+      cancelledCount: 0,
+      revertedCount: 0,
       lastAttempt: null,
       lastSuccess: null,
       lastFailure: null
@@ -485,6 +537,15 @@ class ItemTargetAutomationManager {
     // API configuration
     this.apiKey = null;
     this.domain = 'csgoempire.com';
+
+    // Shared spend limits (set by AutomationBudget.attach)
+    this.budget = null;
+
+    // Dry-run ledger (set by PaperTradingLedger.attach)
+    this.paperTrading = null;
+
+    // Trade outcome tracking (set by WithdrawalReconciler.attach)
+    this.reconciler = null;
   }
 
   /**
@@ -526,6 +587,7 @@ class ItemTargetAutomationManager {
   async addFilterEntry(entry) {
     // Generate unique ID for the entry
     entry.id = `entry_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    entry.dopplerPhases = DopplerPhase.normalizeList(entry.dopplerPhases);
 
     this.filterEntries.push(entry);
     await this.saveFilterEntries();
@@ -609,7 +671,12 @@ class ItemTargetAutomationManager {
       totalAttempts: 0,
       successCount: 0,
       failureCount: 0,
-      totalValueWithdrawn: 0,
+      totalValueWithdrawn: 0,     // Completed trades only (see WithdrawalReconciler)
+      pendingCount: 0,
+      pendingValue: 0,
+      completedCount: 0,
+      cancelledCount: 0,
+      revertedCount: 0,
       lastAttempt: null,
       lastSuccess: null,
       lastFailure: null
@@ -640,6 +707,7 @@ class ItemTargetAutomationManager {
   setAPIKey(apiKey, domain = 'csgoempire.com') {
     this.apiKey = apiKey;
     this.domain = domain;
+    this.api.setAPIKey(apiKey, domain);
   }
 
   /**
@@ -659,7 +727,7 @@ class ItemTargetAutomationManager {
     // Get item properties
     const itemName = item.market_name || '';
     const itemFloat = item.wear || null;
-    const itemPriceUSD = (item.market_value || 0) / 100;
+    const itemPriceUSD = this.currency.coinsToUsd(item.market_value);
 
     // Check each filter entry in the list
     for (let i = 0; i < this.filterEntries.length; i++) {
@@ -673,6 +741,11 @@ class ItemTargetAutomationManager {
         }
       }
 
+      // Check Doppler phase/gem filter (a Phase 3 never matches a Phase 2 entry)
+      if (!DopplerPhase.matches(itemName, entry.dopplerPhases)) {
+        continue; // Different phase, try next entry
+      }
+
       // Check float filter
       if (entry.floatFilter?.enabled) {
         if (itemFloat === null) {
@@ -703,6 +776,13 @@ class ItemTargetAutomationManager {
         }
       }
 
+      // Check sticker value filter (valuation attached by the background)
+      if (entry.stickerFilter?.enabled) {
+        if (!StickerValuator.checkFilter(item.sticker_valuation, entry.stickerFilter).isGood) {
+          continue; // Sticker value too low, try next entry
+        }
+      }
+
       // Check percentage difference filter
       if (entry.percentDiffFilter?.enabled && priceData) {
         const percentDiff = priceData.percentDifference || 0;
@@ -738,6 +818,12 @@ class ItemTargetAutomationManager {
    * @returns {Object} Withdrawal result
    */
   async withdrawItem(item) {
+    // Dry run: record the would-be purchase instead of calling the API
+    if (this.paperTrading && this.paperTrading.isActive()) {
+      const trade = await this.paperTrading.simulateWithdrawal(item, 'item_target_automation');
+      return { success: true, dryRun: true, data: trade, item: item };
+    }
+
     try {
       console.log(`💰 [Withdrawal] Attempting to withdraw item ${item.id} (${item.market_name})...`);
       console.log(`💰 [Withdrawal] Item data:`, {
@@ -754,39 +840,30 @@ class ItemTargetAutomationManager {
 
       // Prepare request body with coin_value (use purchase_price or market_value)
       const coinValue = item.purchase_price || item.market_value || 0;
-      const body = JSON.stringify({ coin_value: coinValue });
-
-      console.log(`💰 [Withdrawal] Request URL: https://${this.domain}/api/v2/trading/deposit/${item.id}/withdraw`);
-      console.log(`💰 [Withdrawal] Request body:`, { coin_value: coinValue });
-
-      const response = await fetch(`https://${this.domain}/api/v2/trading/deposit/${item.id}/withdraw`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        },
-        body: body
-      });
+      console.log(`💰 [Withdrawal] Withdrawing via ${this.api.domain} with coin_value:`, coinValue);
 
-      console.log(`💰 [Withdrawal] Response status:`, response.status);
-
-      const data = await response.json();
+      const data = await this.api.withdraw(item.id, coinValue);
       console.log(`💰 [Withdrawal] Response data:`, data);
 
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.status} - ${data.message || response.statusText}`);
-      }
-
       // Success!
       this.stats.successCount++;
       this.stats.lastSuccess = new Date().toISOString();
-      this.stats.totalValueWithdrawn += (item.market_value || 0) / 100; // Convert cents to dollars
+
+      // The trade can still be cancelled; value counts as withdrawn once it completes
+      const value = this.currency.coinsToUsd(item.market_value);
+      if (this.reconciler) {
+        await this.reconciler.track(item, value, 'item_target_automation', data?.data);
+      } else {
+        this.stats.totalValueWithdrawn += value;
+      }
 
       await this.saveStats();
+      if (this.budget) {
+        await this.budget.recordSpend(item, value, 'item_target_automation');
+      }
 
       console.log(`✅ [Withdrawal] Successfully withdrew item ${item.id}!`);
-      console.log(`📊 [Withdrawal] Total value withdrawn: $${this.stats.totalValueWithdrawn.toFixed(2)}`);
+      console.log(`📊 [Withdrawal] Total value withdrawn: $${this.stats.totalValueWithdrawn.toFixed(2)} ($${this.stats.pendingValue.toFixed(2)} pending)`);
 
       return {
         success: true,
@@ -836,6 +913,13 @@ class ItemTargetAutomationManager {
       return null;
     }
 
+    // Check shared spend limits
+    const budgetCheck = this.budget ? this.budget.check(item, this.currency.coinsToUsd(item.market_value)) : { allowed: true };
+    if (!budgetCheck.allowed) {
+      console.log(`💸 [Item Target Automation] ${item.market_name} skipped: ${budgetCheck.reason}`);
+      return null;
+    }
+
     console.log(`✨ Item ${item.market_name} matches automation filters - attempting withdrawal...`);
 
     // Execute withdrawal
@@ -850,10 +934,1506 @@ class ItemTargetAutomationManager {
   }
 }
 
+/**
+ * ============================================================================
+ * AUCTION SNIPE MANAGER
+ * ============================================================================
+ *
+ * Places bids on matched auction items inside the final seconds of the auction.
+ *
+ * Features:
+ * - Tracks matched auction items and follows auction_update bids
+ * - Bids only inside a configurable final window
+ * - Maximum bid derived from Buff163/CSFloat price (plus optional hard cap)
+ * - Shares the charm automation cooldown between withdrawals and bids
+ * - Statistics tracking (bids placed, auctions won/lost)
+ * - Tracked auctions survive a service worker restart (chrome.storage.local,
+ *   with a chrome.alarms wake-up at the start of each bid window)
+ * - Injectable API client/clock so it can run against a mocked API
+ *
+ * @version 1.0.0
+ */
+
+// Alarm name prefix; the deposit id follows
+const AUCTION_SNIPE_ALARM_PREFIX = 'auction_snipe_';
+
+class AuctionSnipeManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {AutomationManager} options.automationManager - Shares its withdrawal cooldown
+   * @param {Function} options.now - Server-adjusted clock in ms (auction_ends_at is server time)
+   * @param {Function} options.getUserId - Returns our Empire user id
+   * @param {EmpireApiClient} options.api - Shared Empire REST client
+   * @param {CurrencyConverter} options.currency - Coin ↔ USD conversion for max bids
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.automationManager = options.automationManager || null;
+    this.now = options.now || (() => Date.now());
+    this.getUserId = options.getUserId || (() => null);
+    this.api = options.api || new EmpireApiClient();
+    this.currency = options.currency || new CurrencyConverter();
+  }
+
+  /**
+   * Initialize auction snipe properties
+   */
+  initializeProperties() {
+    // Auction snipe configuration
+    this.config = {
+      enabled: false,
+      bidWindowSeconds: 8,       // Only bid within the last N seconds
+      maxBidPercentage: 90,      // Max bid as % of Buff163/CSFloat price
+      maxBidUSD: null,           // Hard cap per auction in USD (null = no cap)
+      bidIncrementPercent: 1     // Raise over the current highest bid by this %
+    };
+
+    // Statistics tracking (same shape as the withdrawal managers)
+    this.stats = {
+      totalAttempts: 0,
+      successCount: 0,
+      failureCount: 0,
+      totalValueWithdrawn: 0,     // Completed trades only (see WithdrawalReconciler)
+      pendingCount: 0,
+      pendingValue: 0,
+      completedCount: 0,
+      cancelledCount: 0,
+      revertedCount: 0,
+      bidsPlaced: 0,
+      auctionsLost: 0,
+      lastAttempt: null,
+      lastSuccess: null,
+      lastFailure: null
+    };
+
+    // Tracked auctions: deposit id → { item, maxBid, endsAt, highestBid, highestBidder, ourBid, timer }
+    this.auctions = new Map();
+
+    // API configuration
+    this.apiKey = null;
+    this.domain = 'csgoempire.com';
+
+    // Shared spend limits (set by AutomationBudget.attach)
+    this.budget = null;
+
+    // Dry-run ledger (set by PaperTradingLedger.attach)
+    this.paperTrading = null;
+
+    // Trade outcome tracking (set by WithdrawalReconciler.attach)
+    this.reconciler = null;
+  }
+
+  /**
+   * Load auction snipe settings from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.sync.get(['auctionSnipeConfig', 'auctionSnipeStats']);
+
+      if (result.auctionSnipeConfig) {
+        this.config = { ...this.config, ...result.auctionSnipeConfig };
+        console.log('✅ Auction snipe config loaded:', this.config);
+      }
+
+      if (result.auctionSnipeStats) {
+        this.stats = { ...this.stats, ...result.auctionSnipeStats };
+        console.log('✅ Auction snipe stats loaded:', this.stats);
+      }
+    } catch (error) {
+      console.error('❌ Error loading auction snipe settings:', error);
+    }
+  }
+
+  /**
+   * Re-arm auctions tracked before the service worker was suspended
+   * (call after setAPIKey so a bid window that is already open can bid)
+   */
+  async restoreAuctions() {
+    try {
+      const result = await chrome.storage.local.get(['auctionSnipeAuctions']);
+      const saved = result.auctionSnipeAuctions || [];
+      const now = this.now();
+
+      for (const { item, maxBid, endsAt, highestBid, highestBidder, ourBid } of saved) {
+        if (!this.config.enabled || endsAt <= now || this.auctions.has(item.id)) continue;
+
+        const auction = { item, maxBid, endsAt, highestBid, highestBidder, ourBid, timer: null };
+        this.auctions.set(item.id, auction);
+        this.scheduleWindowCheck(auction);
+      }
+
+      if (this.auctions.size !== saved.length) {
+        await this.saveAuctions();
+      }
+      if (this.auctions.size > 0) {
+        console.log(`✅ Auction snipe: ${this.auctions.size} tracked auctions restored`);
+      }
+    } catch (error) {
+      console.error('❌ Error restoring tracked auctions:', error);
+    }
+  }
+
+  /**
+   * Save tracked auctions to Chrome storage
+   */
+  async saveAuctions() {
+    try {
+      const auctions = [...this.auctions.values()].map(({ timer, ...auction }) => auction);
+      await chrome.storage.local.set({ auctionSnipeAuctions: auctions });
+    } catch (error) {
+      console.error('❌ Error saving tracked auctions:', error);
+    }
+  }
+
+  /**
+   * Save auction snipe configuration to Chrome storage
+   */
+  async saveConfig() {
+    try {
+      await chrome.storage.sync.set({ auctionSnipeConfig: this.config });
+      console.log('💾 Auction snipe config saved');
+    } catch (error) {
+      console.error('❌ Error saving auction snipe config:', error);
+    }
+  }
+
+  /**
+   * Save auction snipe statistics to Chrome storage
+   */
+  async saveStats() {
+    try {
+      await chrome.storage.sync.set({ auctionSnipeStats: this.stats });
+      console.log('💾 Auction snipe stats saved');
+    } catch (error) {
+      console.error('❌ Error saving auction snipe stats:', error);
+    }
+  }
+
+  /**
+   * Set auction snipe enabled state
+   * @param {boolean} enabled - Whether auction sniping is enabled
+   */
+  async setEnabled(enabled) {
+    this.config.enabled = enabled;
+    if (!enabled) {
+      await this.clearAuctions();
+    }
+    await this.saveConfig();
+    console.log(`🔨 Auction sniping ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  }
+
+  /**
+   * Update auction snipe settings
+   * @param {Object} settings - Settings to update
+   */
+  async updateSettings(settings) {
+    if (settings.bidWindowSeconds !== undefined) {
+      this.config.bidWindowSeconds = settings.bidWindowSeconds;
+    }
+    if (settings.maxBidPercentage !== undefined) {
+      this.config.maxBidPercentage = settings.maxBidPercentage;
+    }
+    if (settings.maxBidUSD !== undefined) {
+      this.config.maxBidUSD = settings.maxBidUSD;
+    }
+    if (settings.bidIncrementPercent !== undefined) {
+      this.config.bidIncrementPercent = settings.bidIncrementPercent;
+    }
+
+    await this.saveConfig();
+    console.log('⚙️ Auction snipe settings updated:', this.config);
+  }
+
+  /**
+   * Reset auction snipe statistics
+   */
+  async resetStats() {
+    this.stats = {
+      totalAttempts: 0,
+      successCount: 0,
+      failureCount: 0,
+      totalValueWithdrawn: 0,     // Completed trades only (see WithdrawalReconciler)
+      pendingCount: 0,
+      pendingValue: 0,
+      completedCount: 0,
+      cancelledCount: 0,
+      revertedCount: 0,
+      bidsPlaced: 0,
+      auctionsLost: 0,
+      lastAttempt: null,
+      lastSuccess: null,
+      lastFailure: null
+    };
+
+    await this.saveStats();
+    console.log('🔄 Auction snipe stats reset');
+  }
+
+  /**
+   * Get current auction snipe settings and stats
+   * @returns {Object} Current settings and statistics
+   */
+  getSettings() {
+    return {
+      ...this.config,
+      trackedAuctions: [...this.auctions.values()].map(auction => ({
+        id: auction.item.id,
+        market_name: auction.item.market_name,
+        endsAt: auction.endsAt,
+        highestBid: auction.highestBid,
+        maxBid: auction.maxBid,
+        ourBid: auction.ourBid
+      })),
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Set API key for authentication
+   * @param {string} apiKey - Bearer token for API
+   * @param {string} domain - Domain to use (default: csgoempire.com)
+   */
+  setAPIKey(apiKey, domain = 'csgoempire.com') {
+    this.apiKey = apiKey;
+    this.domain = domain;
+    this.api.setAPIKey(apiKey, domain);
+  }
+
+  /**
+   * ========================================================================
+   * AUCTION TRACKING
+   * ========================================================================
+   */
+
+  /**
+   * Calculate the maximum bid for an item
+   * @param {Object} item - Item with buff163_price/csfloat_price (USD)
+   * @returns {number|null} Max bid in coin cents, or null if no reference price
+   */
+  calculateMaxBid(item) {
+    const referencePrice = item.buff163_price || item.csfloat_price || null;
+    if (!referencePrice || referencePrice <= 0) {
+      return null;
+    }
+
+    let maxBidUSD = referencePrice * (this.config.maxBidPercentage / 100);
+    if (this.config.maxBidUSD !== null && this.config.maxBidUSD !== undefined) {
+      maxBidUSD = Math.min(maxBidUSD, this.config.maxBidUSD);
+    }
+
+    return Math.floor(this.currency.usdToCoins(maxBidUSD));
+  }
+
+  /**
+   * Start tracking a matched auction item
+   * @param {Object} item - Matched item (enhanced with marketplace prices)
+   * @returns {Promise<Object>} { tracked, reason }
+   */
+  async track(item) {
+    if (!this.config.enabled) {
+      return { tracked: false, reason: 'Auction sniping disabled' };
+    }
+
+    if (item.auction_ends_at === null || item.auction_ends_at === undefined) {
+      return { tracked: false, reason: 'Not an auction item' };
+    }
+
+    if (this.auctions.has(item.id)) {
+      return { tracked: true, reason: 'Already tracked' };
+    }
+
+    const maxBid = this.calculateMaxBid(item);
+    if (maxBid === null) {
+      return { tracked: false, reason: 'No Buff163/CSFloat price to derive a max bid from' };
+    }
+
+    const auction = {
+      item,
+      maxBid,
+      endsAt: item.auction_ends_at * 1000,
+      highestBid: item.auction_highest_bid ?? null,
+      highestBidder: item.auction_highest_bidder ?? null,
+      ourBid: null,
+      timer: null
+    };
+
+    if (auction.endsAt <= this.now()) {
+      return { tracked: false, reason: 'Auction already ended' };
+    }
+
+    this.auctions.set(item.id, auction);
+    this.scheduleWindowCheck(auction);
+    await this.saveAuctions();
+
+    console.log(`🔨 [Auction Snipe] Tracking ${item.market_name} (#${item.id}) - max bid ${this.currency.formatCoins(maxBid)}, ends in ${Math.round((auction.endsAt - this.now()) / 1000)}s`);
+    return { tracked: true, reason: `Max bid ${this.currency.formatCoins(maxBid)}` };
+  }
+
+  /**
+   * Schedule a check at the start of the bid window
+   *
+   * The timer is exact but dies with the service worker. The alarm wakes a
+   * suspended worker, which restores the auction (restoreAuctions) and
+   * re-arms the timer; the alarm itself only re-checks the auction.
+   *
+   * @param {Object} auction - Tracked auction
+   */
+  scheduleWindowCheck(auction) {
+    if (auction.timer) {
+      clearTimeout(auction.timer);
+    }
+
+    const windowStart = auction.endsAt - this.config.bidWindowSeconds * 1000;
+    const delay = Math.max(0, windowStart - this.now());
+    auction.timer = setTimeout(() => this.evaluate(auction.item.id), delay);
+    chrome.alarms.create(`${AUCTION_SNIPE_ALARM_PREFIX}${auction.item.id}`, { when: Date.now() + delay });
+  }
+
+  /**
+   * Handle a chrome.alarms event
+   * @param {Object} alarm - Fired alarm
+   * @returns {Promise<Object|null>} Bid result, or null for other alarms and no bid
+   */
+  async handleAlarm(alarm) {
+    if (!alarm.name.startsWith(AUCTION_SNIPE_ALARM_PREFIX)) {
+      return null;
+    }
+    return this.evaluate(Number(alarm.name.slice(AUCTION_SNIPE_ALARM_PREFIX.length)));
+  }
+
+  /**
+   * Apply auction_update payloads to tracked auctions
+   * @param {Array<Object>} updates - auction_update payload
+   * @returns {Promise<Array<Object>>} Bid results
+   */
+  async handleAuctionUpdate(updates) {
+    const results = [];
+
+    for (const update of updates) {
+      const auction = update ? this.auctions.get(update.id) : null;
+      if (!auction) continue;
+
+      if (update.auction_highest_bid !== undefined) {
+        auction.highestBid = update.auction_highest_bid;
+      }
+      if (update.auction_highest_bidder !== undefined) {
+        auction.highestBidder = update.auction_highest_bidder;
+      }
+
+      // Bids near the end can extend the auction
+      if (update.auction_ends_at && update.auction_ends_at * 1000 !== auction.endsAt) {
+        auction.endsAt = update.auction_ends_at * 1000;
+        this.scheduleWindowCheck(auction);
+      }
+      await this.saveAuctions();
+
+      const result = await this.evaluate(update.id);
+      if (result) {
+        results.push(result);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Resolve tracked auctions that left the market
+   * @param {Array<number>} ids - deleted_item payload
+   * @returns {Promise<Array<Object>>} Finished auctions ({ item, won, finalBid })
+   */
+  async handleDeleted(ids) {
+    const finished = [];
+
+    for (const id of ids) {
+      const auction = this.auctions.get(id);
+      if (!auction) continue;
+
+      this.untrack(id);
+
+      const won = auction.ourBid !== null && this.isLeading(auction);
+      if (won) {
+        this.stats.successCount++;
+        this.stats.lastSuccess = new Date().toISOString();
+        const value = this.currency.coinsToUsd(auction.ourBid);
+        if (this.reconciler) {
+          await this.reconciler.track(auction.item, value, 'auction_snipe');
+        } else {
+          this.stats.totalValueWithdrawn += value;
+        }
+        if (this.budget) {
+          await this.budget.recordSpend(auction.item, value, 'auction_snipe');
+        }
+        console.log(`✅ [Auction Snipe] Won ${auction.item.market_name} for ${this.currency.formatCoins(auction.ourBid)}`);
+      } else if (auction.ourBid !== null) {
+        this.stats.auctionsLost++;
+        console.log(`❌ [Auction Snipe] Lost ${auction.item.market_name} at ${this.currency.formatCoins(auction.highestBid)}`);
+      }
+
+      if (auction.ourBid !== null) {
+        await this.saveStats();
+      }
+
+      finished.push({ item: auction.item, won, finalBid: auction.highestBid, ourBid: auction.ourBid });
+    }
+
+    if (finished.length > 0) {
+      await this.saveAuctions();
+    }
+    return finished;
+  }
+
+  /**
+   * Stop tracking an auction
+   * @param {number} id - Deposit id
+   */
+  untrack(id) {
+    const auction = this.auctions.get(id);
+    if (auction && auction.timer) {
+      clearTimeout(auction.timer);
+    }
+    chrome.alarms.clear(`${AUCTION_SNIPE_ALARM_PREFIX}${id}`);
+    this.auctions.delete(id);
+  }
+
+  /**
+   * Stop tracking all auctions
+   */
+  async clearAuctions() {
+    for (const id of [...this.auctions.keys()]) {
+      this.untrack(id);
+    }
+    await this.saveAuctions();
+  }
+
+  /**
+   * ========================================================================
+   * BIDDING
+   * ========================================================================
+   */
+
+  /**
+   * Check whether we hold the highest bid
+   * @param {Object} auction - Tracked auction
+   * @returns {boolean} True if we are leading
+   */
+  isLeading(auction) {
+    const userId = this.getUserId();
+    if (userId !== null && userId !== undefined && auction.highestBidder !== null) {
+      return String(auction.highestBidder) === String(userId);
+    }
+    return auction.ourBid !== null && auction.highestBid === auction.ourBid;
+  }
+
+  /**
+   * Calculate the next bid for an auction
+   * @param {Object} auction - Tracked auction
+   * @returns {number} Next bid in cents
+   */
+  getNextBid(auction) {
+    if (auction.highestBid === null || auction.highestBid === undefined) {
+      return auction.item.purchase_price || auction.item.market_value || 0;
+    }
+
+    const raised = Math.ceil(auction.highestBid * (1 + this.config.bidIncrementPercent / 100));
+    return Math.max(raised, auction.highestBid + 1);
+  }
+
+  /**
+   * Bid on a tracked auction if it is inside the final window and under the max
+   * @param {number} id - Deposit id
+   * @returns {Promise<Object|null>} Bid result or null if no bid was placed
+   */
+  async evaluate(id) {
+    const auction = this.auctions.get(id);
+    if (!auction || !this.config.enabled) {
+      return null;
+    }
+
+    const now = this.now();
+    if (now >= auction.endsAt) {
+      return null;
+    }
+
+    if (now < auction.endsAt - this.config.bidWindowSeconds * 1000) {
+      return null; // Not in the final window yet
+    }
+
+    if (this.isLeading(auction)) {
+      return null;
+    }
+
+    const bid = this.getNextBid(auction);
+    if (bid > auction.maxBid) {
+      console.log(`⏭️ [Auction Snipe] ${auction.item.market_name}: next bid ${this.currency.formatCoins(bid)} above max ${this.currency.formatCoins(auction.maxBid)}`);
+      return null;
+    }
+
+    // Share the withdrawal cooldown so bids and withdrawals don't stack up
+    if (this.automationManager && !this.automationManager.canWithdraw()) {
+      console.log(`⏳ [Auction Snipe] Cooldown active, skipping bid on ${auction.item.market_name}`);
+      return null;
+    }
+
+    // A winning bid is a purchase, so it must fit the shared spend limits
+    const budgetCheck = this.budget ? this.budget.check(auction.item, this.currency.coinsToUsd(bid)) : { allowed: true };
+    if (!budgetCheck.allowed) {
+      console.log(`💸 [Auction Snipe] Skipping bid on ${auction.item.market_name}: ${budgetCheck.reason}`);
+      return null;
+    }
+
+    // Bids can't be simulated against the live auction, so dry-run mode only logs them
+    if (this.paperTrading && this.paperTrading.isActive()) {
+      console.log(`🧪 [Auction Snipe] Dry run: would bid ${this.currency.formatCoins(bid)} on ${auction.item.market_name}`);
+      return null;
+    }
+
+    return this.placeBid(auction, bid);
+  }
+
+  /**
+   * Place a bid via the Empire bid endpoint
+   * @param {Object} auction - Tracked auction
+   * @param {number} bidValue - Bid in cents
+   * @returns {Promise<Object>} Bid result
+   */
+  async placeBid(auction, bidValue) {
+    const { item } = auction;
+
+    try {
+      console.log(`🔨 [Auction Snipe] Bidding ${this.currency.formatCoins(bidValue)} on ${item.market_name} (#${item.id})`);
+
+      this.stats.totalAttempts++;
+      this.stats.lastAttempt = new Date().toISOString();
+      if (this.automationManager) {
+        this.automationManager.lastWithdrawalTime = Date.now();
+      }
+
+      const data = await this.api.placeBid(item.id, bidValue);
+
+      auction.ourBid = bidValue;
+      auction.highestBid = bidValue;
+      auction.highestBidder = this.getUserId() ?? auction.highestBidder;
+      this.stats.bidsPlaced++;
+      await this.saveStats();
+      await this.saveAuctions();
+
+      return { success: true, bidValue, item, data };
+
+    } catch (error) {
+      this.stats.failureCount++;
+      this.stats.lastFailure = new Date().toISOString();
+      await this.saveStats();
+
+      console.error(`❌ [Auction Snipe] Bid on ${item.id} failed:`, error.message);
+      return { success: false, bidValue, item, error: error.message };
+    }
+  }
+}
+
+/**
+ * ============================================================================
+ * AUTOMATION BUDGET
+ * ============================================================================
+ *
+ * Shared spend and exposure limits for every automation manager.
+ *
+ * Features:
+ * - Hourly and daily spend caps (rolling windows)
+ * - Per item name daily cap
+ * - Lifetime cap against the managers' withdrawn and pending value
+ * - Balance check using the balance from refreshUserData (with reserve)
+ * - Maximum number of pending (unsettled) trades
+ * - Auto-pause with a callback when a cap is reached
+ *
+ * @version 1.0.0
+ */
+
+class AutomationBudget {
+  /**
+   * @param {Object} options - Budget options
+   * @param {Function} options.onPause - Called with (reason) when automation is auto-paused
+   * @param {CurrencyConverter} options.currency - Converts the coin balance to USD
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.onPause = options.onPause || null;
+    this.currency = options.currency || new CurrencyConverter();
+  }
+
+  /**
+   * Initialize budget properties
+   */
+  initializeProperties() {
+    // Budget configuration (USD, null = no limit)
+    this.config = {
+      hourlyLimit: null,
+      dailyLimit: null,
+      perItemDailyLimit: null,
+      totalLimit: null,           // Compared against the managers' totalValueWithdrawn
+      maxPendingTrades: null,
+      balanceReserve: 0           // Never spend below this balance
+    };
+
+    // Spend ledger for the last 24 hours ({ at, value, marketName, source, depositId })
+    this.spends = [];
+
+    // Withdrawals not yet settled by WithdrawalReconciler ({ depositId, at, value, marketName })
+    this.pendingTrades = [];
+    this.pendingExpiryMs = 12 * 60 * 60 * 1000;  // Empire trades time out well before this
+
+    // Pause state
+    this.paused = false;
+    this.pauseReason = null;
+    this.pausedAt = null;
+
+    // Balance from refreshUserData (USD) and spend since it was read
+    this.balance = null;
+    this.balanceUpdatedAt = null;
+
+    // Managers whose stats.totalValueWithdrawn count towards totalLimit
+    this.managers = [];
+  }
+
+  /**
+   * Load budget settings and state from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const syncResult = await chrome.storage.sync.get(['automationBudgetConfig']);
+      if (syncResult.automationBudgetConfig) {
+        this.config = { ...this.config, ...syncResult.automationBudgetConfig };
+        console.log('✅ Automation budget config loaded:', this.config);
+      }
+
+      const localResult = await chrome.storage.local.get(['automationBudgetState']);
+      const state = localResult.automationBudgetState;
+      if (state) {
+        this.spends = state.spends || [];
+        this.pendingTrades = state.pendingTrades || [];
+        this.paused = state.paused || false;
+        this.pauseReason = state.pauseReason || null;
+        this.pausedAt = state.pausedAt || null;
+      }
+      this.prune();
+    } catch (error) {
+      console.error('❌ Error loading automation budget settings:', error);
+    }
+  }
+
+  /**
+   * Save budget configuration to Chrome storage
+   */
+  async saveConfig() {
+    try {
+      await chrome.storage.sync.set({ automationBudgetConfig: this.config });
+      console.log('💾 Automation budget config saved');
+    } catch (error) {
+      console.error('❌ Error saving automation budget config:', error);
+    }
+  }
+
+  /**
+   * Save spend ledger and pause state to Chrome storage
+   */
+  async saveState() {
+    try {
+      await chrome.storage.local.set({
+        automationBudgetState: {
+          spends: this.spends,
+          pendingTrades: this.pendingTrades,
+          paused: this.paused,
+          pauseReason: this.pauseReason,
+          pausedAt: this.pausedAt
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error saving automation budget state:', error);
+    }
+  }
+
+  /**
+   * Update budget limits
+   * @param {Object} settings - Limits to update (null clears a limit)
+   */
+  async updateSettings(settings) {
+    for (const key of ['hourlyLimit', 'dailyLimit', 'perItemDailyLimit', 'totalLimit', 'maxPendingTrades']) {
+      if (settings[key] !== undefined) {
+        this.config[key] = settings[key];
+      }
+    }
+    if (settings.balanceReserve !== undefined) {
+      this.config.balanceReserve = settings.balanceReserve || 0;
+    }
+
+    await this.saveConfig();
+    console.log('⚙️ Automation budget updated:', this.config);
+  }
+
+  /**
+   * Register a manager so its stats count towards totalLimit
+   * @param {Object} manager - Automation manager with stats.totalValueWithdrawn
+   */
+  attach(manager) {
+    manager.budget = this;
+    this.managers.push(manager);
+  }
+
+  /**
+   * Update the balance from refreshUserData
+   * @param {number} balanceCents - user.balance from the metadata endpoint
+   */
+  setBalance(balanceCents) {
+    if (typeof balanceCents !== 'number' || !Number.isFinite(balanceCents)) {
+      return;
+    }
+    this.balance = this.currency.coinsToUsd(balanceCents);
+    this.balanceUpdatedAt = Date.now();
+  }
+
+  /**
+   * ========================================================================
+   * LIMIT CHECKS
+   * ========================================================================
+   */
+
+  /**
+   * Check whether a purchase fits within every limit
+   * @param {Object} item - Item about to be bought
+   * @param {number} value - Spend in USD
+   * @returns {Object} { allowed, reason }
+   */
+  check(item, value) {
+    this.prune();
+
+    if (this.paused) {
+      return { allowed: false, reason: `Automation paused: ${this.pauseReason}` };
+    }
+
+    const { hourlyLimit, dailyLimit, perItemDailyLimit, totalLimit, maxPendingTrades } = this.config;
+
+    if (maxPendingTrades !== null && this.pendingTrades.length >= maxPendingTrades) {
+      return { allowed: false, reason: `${this.pendingTrades.length} pending trades (max ${maxPendingTrades})` };
+    }
+
+    if (hourlyLimit !== null && this.getSpent(60 * 60 * 1000) + value > hourlyLimit) {
+      return { allowed: false, reason: `Hourly limit $${hourlyLimit.toFixed(2)} would be exceeded` };
+    }
+
+    if (dailyLimit !== null && this.getSpent(24 * 60 * 60 * 1000) + value > dailyLimit) {
+      return { allowed: false, reason: `Daily limit $${dailyLimit.toFixed(2)} would be exceeded` };
+    }
+
+    if (perItemDailyLimit !== null && this.getSpent(24 * 60 * 60 * 1000, item.market_name) + value > perItemDailyLimit) {
+      return { allowed: false, reason: `Daily limit $${perItemDailyLimit.toFixed(2)} for ${item.market_name} would be exceeded` };
+    }
+
+    if (totalLimit !== null && this.getTotalWithdrawn() + value > totalLimit) {
+      return { allowed: false, reason: `Total limit $${totalLimit.toFixed(2)} would be exceeded` };
+    }
+
+    const available = this.getAvailableBalance();
+    if (available !== null && value > available) {
+      return { allowed: false, reason: `Balance $${available.toFixed(2)} (after reserve) too low for $${value.toFixed(2)}` };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Record a successful purchase and pause if a cap is now reached
+   * @param {Object} item - Purchased item
+   * @param {number} value - Spend in USD (same amount added to stats.totalValueWithdrawn)
+   * @param {string} source - Manager that made the purchase
+   */
+  async recordSpend(item, value, source) {
+    const at = Date.now();
+    this.spends.push({ at, value, marketName: item.market_name, source, depositId: item.id });
+    this.pendingTrades.push({ depositId: item.id, at, value, marketName: item.market_name });
+
+    const reason = this.getReachedCap();
+    if (reason) {
+      await this.pause(reason);
+    } else {
+      await this.saveState();
+    }
+  }
+
+  /**
+   * Find a cap that leaves no room for further purchases
+   * @returns {string|null} Cap description or null
+   */
+  getReachedCap() {
+    const { hourlyLimit, dailyLimit, totalLimit } = this.config;
+
+    if (hourlyLimit !== null && this.getSpent(60 * 60 * 1000) >= hourlyLimit) {
+      return `Hourly limit of $${hourlyLimit.toFixed(2)} reached`;
+    }
+    if (dailyLimit !== null && this.getSpent(24 * 60 * 60 * 1000) >= dailyLimit) {
+      return `Daily limit of $${dailyLimit.toFixed(2)} reached`;
+    }
+    if (totalLimit !== null && this.getTotalWithdrawn() >= totalLimit) {
+      return `Total limit of $${totalLimit.toFixed(2)} reached`;
+    }
+
+    const available = this.getAvailableBalance();
+    if (available !== null && available <= 0) {
+      return 'Balance reserve reached';
+    }
+
+    return null;
+  }
+
+  /**
+   * Pause all automation
+   * @param {string} reason - Why automation was paused
+   */
+  async pause(reason) {
+    if (this.paused) {
+      return;
+    }
+
+    this.paused = true;
+    this.pauseReason = reason;
+    this.pausedAt = Date.now();
+    await this.saveState();
+
+    console.log(`⏸️ [Automation Budget] Automation paused: ${reason}`);
+    if (this.onPause) {
+      this.onPause(reason);
+    }
+  }
+
+  /**
+   * Resume automation after a pause
+   */
+  async resume() {
+    this.paused = false;
+    this.pauseReason = null;
+    this.pausedAt = null;
+    await this.saveState();
+    console.log('▶️ [Automation Budget] Automation resumed');
+  }
+
+  /**
+   * Settle a pending trade once WithdrawalReconciler knows its outcome
+   * @param {number} depositId - Deposit id
+   * @param {string} outcome - completed, cancelled or reverted
+   */
+  async settleTrade(depositId, outcome) {
+    this.pendingTrades = this.pendingTrades.filter(pending => pending.depositId !== depositId);
+
+    // Cancelled and reverted trades are refunded, so they no longer use up the spend windows
+    if (outcome !== 'completed') {
+      this.spends = this.spends.filter(spend => spend.depositId !== depositId);
+    }
+
+    await this.saveState();
+  }
+
+  /**
+   * ========================================================================
+   * USAGE
+   * ========================================================================
+   */
+
+  /**
+   * Sum spend within a rolling window
+   * @param {number} windowMs - Window length in ms
+   * @param {string|null} marketName - Only count this item name
+   * @returns {number} Spend in USD
+   */
+  getSpent(windowMs, marketName = null) {
+    const since = Date.now() - windowMs;
+    return this.spends
+      .filter(spend => spend.at >= since && (marketName === null || spend.marketName === marketName))
+      .reduce((sum, spend) => sum + spend.value, 0);
+  }
+
+  /**
+   * Combined totalValueWithdrawn of the attached managers, including trades still pending
+   * @returns {number} Total in USD
+   */
+  getTotalWithdrawn() {
+    return this.managers.reduce((sum, manager) =>
+      sum + (manager.stats.totalValueWithdrawn || 0) + (manager.stats.pendingValue || 0), 0);
+  }
+
+  /**
+   * Balance left for automation (last known balance minus spend since, minus reserve)
+   * @returns {number|null} USD, or null if the balance is unknown
+   */
+  getAvailableBalance() {
+    if (this.balance === null) {
+      return null;
+    }
+
+    const spentSince = this.spends
+      .filter(spend => spend.at >= this.balanceUpdatedAt)
+      .reduce((sum, spend) => sum + spend.value, 0);
+    return this.balance - spentSince - (this.config.balanceReserve || 0);
+  }
+
+  /**
+   * Get limits and current usage for the popup
+   * @returns {Object} Budget status
+   */
+  getStatus() {
+    this.prune();
+
+    return {
+      ...this.config,
+      paused: this.paused,
+      pauseReason: this.pauseReason,
+      pausedAt: this.pausedAt,
+      spentLastHour: this.getSpent(60 * 60 * 1000),
+      spentLastDay: this.getSpent(24 * 60 * 60 * 1000),
+      totalWithdrawn: this.getTotalWithdrawn(),
+      pendingTrades: this.pendingTrades.length,
+      balance: this.balance,
+      availableBalance: this.getAvailableBalance()
+    };
+  }
+
+  /**
+   * Drop spends older than a day and pending trades that never settled
+   */
+  prune() {
+    const now = Date.now();
+    this.spends = this.spends.filter(spend => spend.at >= now - 24 * 60 * 60 * 1000);
+    this.pendingTrades = this.pendingTrades.filter(pending => pending.at >= now - this.pendingExpiryMs);
+  }
+}
+
+/**
+ * ============================================================================
+ * PAPER TRADING LEDGER
+ * ============================================================================
+ *
+ * Dry-run mode: withdrawItem records what it would have bought instead of
+ * calling the withdraw endpoint.
+ *
+ * Features:
+ * - One toggle shared by every automation manager
+ * - Simulated purchases stored with the Buff163/CSFloat price at the time
+ * - Hypothetical P&L (reference price minus Empire price)
+ * - Bounded ledger in chrome.storage.local
+ *
+ * @version 1.0.0
+ */
+
+class PaperTradingLedger {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {Function} options.resolvePrices - async (item) => item with buff163_price/csfloat_price
+   * @param {CurrencyConverter} options.currency - Coin → USD conversion
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.resolvePrices = options.resolvePrices || null;
+    this.currency = options.currency || new CurrencyConverter();
+  }
+
+  /**
+   * Initialize ledger properties
+   */
+  initializeProperties() {
+    // Paper trading configuration
+    this.config = {
+      enabled: false
+    };
+
+    // Simulated purchases, oldest first
+    this.trades = [];
+    this.maxTrades = 500;
+  }
+
+  /**
+   * Load paper trading settings and ledger from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const syncResult = await chrome.storage.sync.get(['paperTradingConfig']);
+      if (syncResult.paperTradingConfig) {
+        this.config = { ...this.config, ...syncResult.paperTradingConfig };
+        console.log('✅ Paper trading config loaded:', this.config);
+      }
+
+      const localResult = await chrome.storage.local.get(['paperTrades']);
+      this.trades = localResult.paperTrades || [];
+    } catch (error) {
+      console.error('❌ Error loading paper trading settings:', error);
+    }
+  }
+
+  /**
+   * Save paper trading configuration to Chrome storage
+   */
+  async saveConfig() {
+    try {
+      await chrome.storage.sync.set({ paperTradingConfig: this.config });
+      console.log('💾 Paper trading config saved');
+    } catch (error) {
+      console.error('❌ Error saving paper trading config:', error);
+    }
+  }
+
+  /**
+   * Save the ledger to Chrome storage
+   */
+  async saveTrades() {
+    try {
+      await chrome.storage.local.set({ paperTrades: this.trades });
+    } catch (error) {
+      console.error('❌ Error saving paper trades:', error);
+    }
+  }
+
+  /**
+   * Set paper trading enabled state
+   * @param {boolean} enabled - Whether withdrawals are simulated
+   */
+  async setEnabled(enabled) {
+    this.config.enabled = enabled;
+    await this.saveConfig();
+    console.log(`🧪 Paper trading ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  }
+
+  /**
+   * Register a manager so its withdrawItem honours the toggle
+   * @param {Object} manager - Automation manager
+   */
+  attach(manager) {
+    manager.paperTrading = this;
+  }
+
+  /**
+   * Check whether withdrawals are currently simulated
+   * @returns {boolean} True in dry-run mode
+   */
+  isActive() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Record a simulated withdrawal
+   * @param {Object} item - Item that would have been withdrawn
+   * @param {string} source - Manager that would have bought it
+   * @returns {Promise<Object>} Paper trade
+   */
+  async simulateWithdrawal(item, source) {
+    let pricedItem = item;
+    if (!item.buff163_price && !item.csfloat_price && this.resolvePrices) {
+      try {
+        pricedItem = await this.resolvePrices(item);
+      } catch (error) {
+        console.error('❌ Could not resolve reference prices for paper trade:', error);
+      }
+    }
+
+    const empirePrice = this.currency.coinsToUsd(item.market_value);
+    const referencePrice = pricedItem.buff163_price || pricedItem.csfloat_price || null;
+
+    const trade = {
+      id: item.id,
+      market_name: item.market_name,
+      source,
+      at: Date.now(),
+      empire_price: empirePrice,
+      buff163_price: pricedItem.buff163_price || null,
+      csfloat_price: pricedItem.csfloat_price || null,
+      reference_price: referencePrice,
+      reference_source: pricedItem.buff163_price ? 'buff163' : (pricedItem.csfloat_price ? 'csfloat' : null),
+      profit: referencePrice !== null ? referencePrice - empirePrice : null
+    };
+
+    this.trades.push(trade);
+    if (this.trades.length > this.maxTrades) {
+      this.trades.splice(0, this.trades.length - this.maxTrades);
+    }
+    await this.saveTrades();
+
+    const profitText = trade.profit !== null ? `${trade.profit >= 0 ? '+' : ''}$${trade.profit.toFixed(2)}` : 'no reference price';
+    console.log(`🧪 [Paper Trading] Would have withdrawn ${item.market_name} for $${empirePrice.toFixed(2)} (${profitText})`);
+    return trade;
+  }
+
+  /**
+   * Summarize the ledger
+   * @returns {Object} { enabled, count, spent, referenceValue, profit, unpriced }
+   */
+  getSummary() {
+    const priced = this.trades.filter(trade => trade.profit !== null);
+
+    return {
+      enabled: this.config.enabled,
+      count: this.trades.length,
+      spent: this.trades.reduce((sum, trade) => sum + trade.empire_price, 0),
+      referenceValue: priced.reduce((sum, trade) => sum + trade.reference_price, 0),
+      profit: priced.reduce((sum, trade) => sum + trade.profit, 0),
+      unpriced: this.trades.length - priced.length
+    };
+  }
+
+  /**
+   * Delete every simulated purchase
+   */
+  async clear() {
+    this.trades = [];
+    await this.saveTrades();
+    console.log('🗑️ Paper trades cleared');
+  }
+}
+
+/**
+ * ============================================================================
+ * WITHDRAWAL RECONCILER
+ * ============================================================================
+ *
+ * A 200 from the withdraw endpoint only means the trade was accepted. This
+ * follows every automated purchase until Empire reports a final state.
+ *
+ * Features:
+ * - trade_status socket events settle trades as they happen
+ * - Periodic check against the trades endpoint for missed events
+ * - completed / cancelled / reverted outcomes applied to manager stats
+ * - Cancelled and reverted trades handed back to AutomationBudget
+ * - Bounded ledger in chrome.storage.local
+ *
+ * Outcomes:
+ * - pending:   accepted, no final status yet
+ * - completed: Completed or Credited
+ * - cancelled: Error, Declined, Canceled or TimedOut before completing
+ * - reverted:  completed first, then reversed (or reported as reverted)
+ *
+ * @version 1.0.0
+ */
+
+// Empire trade statuses (Completed, Credited / Error, Declined, Canceled, TimedOut)
+const COMPLETED_TRADE_STATUSES = new Set([6, 10]);
+const CANCELLED_TRADE_STATUSES = new Set([-1, 7, 8, 9]);
+
+class WithdrawalReconciler {
+  /**
+   * @param {Object} options - Reconciler options
+   * @param {EmpireApiClient} options.api - REST client used for the trades endpoint
+   * @param {Function} options.onSettled - Called with (trades) when trades change outcome
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.api = options.api || new EmpireApiClient();
+    this.onSettled = options.onSettled || null;
+  }
+
+  /**
+   * Initialize reconciler properties
+   */
+  initializeProperties() {
+    // Tracked purchases, oldest first
+    // ({ depositId, tradeId, source, marketName, value, at, outcome, status, statusMessage, settledAt })
+    this.trades = [];
+    this.maxTrades = 500;
+
+    // Completed trades are re-checked this long in case they are reversed
+    this.revertWindowMs = 8 * 24 * 60 * 60 * 1000;
+
+    // Source name → manager whose stats are updated
+    this.managers = new Map();
+    this.budget = null;
+  }
+
+  /**
+   * Load tracked trades from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get(['automationTrades']);
+      this.trades = result.automationTrades || [];
+    } catch (error) {
+      console.error('❌ Error loading automation trades:', error);
+    }
+  }
+
+  /**
+   * Save tracked trades to Chrome storage
+   */
+  async saveTrades() {
+    try {
+      await chrome.storage.local.set({ automationTrades: this.trades });
+    } catch (error) {
+      console.error('❌ Error saving automation trades:', error);
+    }
+  }
+
+  /**
+   * Register a manager so its purchases are reconciled
+   * @param {Object} manager - Automation manager
+   * @param {string} source - Source name passed to track()
+   */
+  attach(manager, source) {
+    manager.reconciler = this;
+    this.managers.set(source, manager);
+  }
+
+  /**
+   * ========================================================================
+   * TRACKING
+   * ========================================================================
+   */
+
+  /**
+   * Start tracking an accepted purchase (caller saves its stats)
+   * @param {Object} item - Purchased item
+   * @param {number} value - Value in USD
+   * @param {string} source - Manager that made the purchase
+   * @param {Object} trade - Trade from the withdraw response, if any
+   */
+  async track(item, value, source, trade = null) {
+    this.trades.push({
+      depositId: item.id,
+      tradeId: trade?.id ?? null,
+      source,
+      marketName: item.market_name,
+      value,
+      at: Date.now(),
+      outcome: 'pending',
+      status: trade?.status ?? null,
+      statusMessage: trade?.status_message ?? null,
+      settledAt: null
+    });
+
+    const stats = this.managers.get(source)?.stats;
+    if (stats) {
+      stats.pendingCount = (stats.pendingCount || 0) + 1;
+      stats.pendingValue = (stats.pendingValue || 0) + value;
+    }
+
+    this.prune();
+    await this.saveTrades();
+  }
+
+  /**
+   * Apply trade_status socket updates
+   * @param {Array<Object>} updates - trade_status payload ({ type, data })
+   * @returns {Promise<Array<Object>>} Trades whose outcome changed
+   */
+  async handleTradeStatus(updates) {
+    const settled = [];
+
+    for (const update of updates) {
+      if (update?.type !== 'withdrawal' || !update.data) continue;
+
+      const tracked = this.findTrade(update.data);
+      if (tracked && await this.applyStatus(tracked, update.data)) {
+        settled.push(tracked);
+      }
+    }
+
+    return this.finish(settled);
+  }
+
+  /**
+   * Check unsettled (and recently completed) trades against the trades endpoint
+   * @returns {Promise<Array<Object>>} Trades whose outcome changed
+   */
+  async reconcile() {
+    const since = Date.now() - this.revertWindowMs;
+    const open = this.trades.filter(trade =>
+      trade.outcome === 'pending' || (trade.outcome === 'completed' && trade.settledAt >= since));
+    if (open.length === 0) {
+      return [];
+    }
+
+    const response = await this.api.getTrades();
+    const withdrawals = response?.data?.withdrawals || [];
+    const settled = [];
+
+    for (const withdrawal of withdrawals) {
+      const tracked = this.findTrade(withdrawal);
+      if (tracked && open.includes(tracked) && await this.applyStatus(tracked, withdrawal)) {
+        settled.push(tracked);
+      }
+    }
+
+    console.log(`🔄 [Reconciler] Checked ${open.length} open trades, ${settled.length} settled`);
+    return this.finish(settled);
+  }
+
+  /**
+   * ========================================================================
+   * OUTCOMES
+   * ========================================================================
+   */
+
+  /**
+   * Map an Empire trade status to an outcome
+   * @param {Object} trade - Empire withdrawal trade
+   * @param {string} current - Current outcome of the tracked trade
+   * @returns {string} Outcome
+   */
+  getOutcome(trade, current) {
+    if (/revert/i.test(trade.status_message || '')) {
+      return 'reverted';
+    }
+    if (COMPLETED_TRADE_STATUSES.has(trade.status)) {
+      return 'completed';
+    }
+    if (CANCELLED_TRADE_STATUSES.has(trade.status)) {
+      return current === 'completed' ? 'reverted' : 'cancelled';
+    }
+    return current;
+  }
+
+  /**
+   * Apply an Empire trade to a tracked purchase
+   * @param {Object} tracked - Tracked purchase
+   * @param {Object} trade - Empire withdrawal trade
+   * @returns {Promise<boolean>} True if the outcome changed
+   */
+  async applyStatus(tracked, trade) {
+    tracked.tradeId = tracked.tradeId ?? trade.id ?? null;
+    tracked.status = trade.status ?? tracked.status;
+    tracked.statusMessage = trade.status_message ?? tracked.statusMessage;
+
+    // Cancelled and reverted are final
+    if (tracked.outcome === 'cancelled' || tracked.outcome === 'reverted') {
+      return false;
+    }
+
+    const outcome = this.getOutcome(trade, tracked.outcome);
+    if (outcome === tracked.outcome) {
+      return false;
+    }
+
+    await this.updateStats(tracked, outcome);
+    tracked.outcome = outcome;
+    tracked.settledAt = Date.now();
+
+    if (this.budget) {
+      await this.budget.settleTrade(tracked.depositId, outcome);
+    }
+
+    console.log(`${outcome === 'completed' ? '✅' : '↩️'} [Reconciler] ${tracked.marketName} (#${tracked.depositId}) ${outcome}`);
+    return true;
+  }
+
+  /**
+   * Move a trade's value between the pending, completed and refunded stats
+   * @param {Object} tracked - Tracked purchase
+   * @param {string} outcome - New outcome
+   */
+  async updateStats(tracked, outcome) {
+    const manager = this.managers.get(tracked.source);
+    if (!manager) {
+      return;
+    }
+
+    const stats = manager.stats;
+    if (tracked.outcome === 'pending') {
+      stats.pendingCount = Math.max(0, (stats.pendingCount || 0) - 1);
+      stats.pendingValue = Math.max(0, (stats.pendingValue || 0) - tracked.value);
+    } else if (tracked.outcome === 'completed') {
+      stats.completedCount = Math.max(0, (stats.completedCount || 0) - 1);
+      stats.totalValueWithdrawn = Math.max(0, stats.totalValueWithdrawn - tracked.value);
+    }
+
+    if (outcome === 'completed') {
+      stats.completedCount = (stats.completedCount || 0) + 1;
+      stats.totalValueWithdrawn += tracked.value;
+    } else {
+      stats.successCount = Math.max(0, stats.successCount - 1);
+      stats[`${outcome}Count`] = (stats[`${outcome}Count`] || 0) + 1;
+    }
+
+    await manager.saveStats();
+  }
+
+  /**
+   * ========================================================================
+   * HELPERS
+   * ========================================================================
+   */
+
+  /**
+   * Find the tracked purchase for an Empire trade (newest first)
+   * @param {Object} trade - Empire withdrawal trade
+   * @returns {Object|null} Tracked purchase
+   */
+  findTrade(trade) {
+    const depositId = trade.item_id ?? trade.item?.id;
+
+    for (let i = this.trades.length - 1; i >= 0; i--) {
+      const tracked = this.trades[i];
+      if (tracked.tradeId !== null && trade.id !== undefined) {
+        if (tracked.tradeId === trade.id) return tracked;
+      } else if (depositId !== undefined && tracked.depositId === depositId) {
+        return tracked;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Persist and report settled trades
+   * @param {Array<Object>} settled - Trades whose outcome changed
+   * @returns {Promise<Array<Object>>} The same trades
+   */
+  async finish(settled) {
+    if (settled.length === 0) {
+      return settled;
+    }
+
+    await this.saveTrades();
+    if (this.onSettled) {
+      this.onSettled(settled);
+    }
+    return settled;
+  }
+
+  /**
+   * Get outcome counts for the popup
+   * @returns {Object} { pending, completed, cancelled, reverted, pendingValue }
+   */
+  getSummary() {
+    const summary = { pending: 0, completed: 0, cancelled: 0, reverted: 0, pendingValue: 0 };
+
+    for (const trade of this.trades) {
+      summary[trade.outcome]++;
+      if (trade.outcome === 'pending') {
+        summary.pendingValue += trade.value;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Drop the oldest settled trades beyond maxTrades (pending trades are kept)
+   */
+  prune() {
+    let excess = this.trades.length - this.maxTrades;
+    if (excess <= 0) {
+      return;
+    }
+
+    this.trades = this.trades.filter(trade => {
+      if (excess > 0 && trade.outcome !== 'pending') {
+        excess--;
+        return false;
+      }
+      return true;
+    });
+  }
+}
+
 // Export for use in background.js
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     AutomationManager,
-    ItemTargetAutomationManager
+    ItemTargetAutomationManager,
+    AuctionSnipeManager,
+    AutomationBudget,
+    PaperTradingLedger,
+    WithdrawalReconciler
   };
 }
@@ -22,9 +22,63 @@
 // Import Socket.IO for WebSocket connections
 importScripts('socket.io.min.js');
 
+// Import Empire REST Client
+importScripts('empire-api.js');
+
+// Import Currency Converter
+importScripts('currency.js');
+
+// Import Doppler Phase Parsing
+importScripts('doppler.js');
+
+// Import Pattern Tier Lists
+importScripts('pattern-tiers.js');
+
+// Import Sticker Valuation
+importScripts('sticker-valuation.js');
+
+// Import Charm Catalog
+importScripts('charm-catalog.js');
+
+// Import Charm Patterns
+importScripts('charm-patterns.js');
+
+// Import Price Sources
+importScripts('price-sources.js');
+
+// Import IndexedDB Connection
+importScripts('indexed-db.js');
+
+// Import Price History Store
+importScripts('price-history.js');
+
+// Import Notification History Store
+importScripts('history-store.js');
+
+// Import History Analytics
+importScripts('history-analytics.js');
+
+// Import Arbitrage Scanner
+importScripts('arbitrage-scanner.js');
+
 // Import Automation Manager
 importScripts('automation.js');
 
+// Import Socket Traffic Recorder
+importScripts('socket-recorder.js');
+
+// Import Notification Channels
+importScripts('notification-channels.js');
+
+// Import Notification Queue
+importScripts('notification-queue.js');
+
+// Import Rule Engine
+importScripts('rule-engine.js');
+
+// Import Item Lifecycle Tracker
+importScripts('item-lifecycle.js');
+
 /**
  * ============================================================================
  * MAIN EXTENSION MANAGER CLASS
@@ -34,7 +88,8 @@ class ExtensionManager {
   constructor() {
     // Initialize all manager components
     this.initializeProperties();
-    this.init();
+    // Keep the init promise so callers (e.g. the replay harness) can wait for settings
+    this.ready = this.init();
   }
 
   /**
@@ -116,152 +171,108 @@ class ExtensionManager {
     // === NOTIFICATION MANAGEMENT ===
     this.lastNotificationTimestamp = 0;
     this.notifiedItemIds = new Set();
+
+    // Display queue: throttled, most valuable first, same-name matches grouped
+    this.notificationQueue = new NotificationQueue({
+      onDisplay: (group) => this.displayNotificationGroup(group)
+    });
     
     // === PRICE DATA CACHING ===
     this.priceDataCache = null;
     this.priceCacheTimestamp = 0;
+    this.priceCacheSources = null;
+
+    // === CURRENCY (coin → USD rate and display currency, shared by every manager) ===
+    this.currency = new CurrencyConverter();
+
+    // === PRICE SOURCES (one provider per marketplace, own TTL and health) ===
+    this.priceSources = new PriceSourceRegistry();
+
+    // === PRICE HISTORY (daily points in IndexedDB for trends and charts) ===
+    this.priceHistory = new PriceHistoryStore();
+
+    // === NOTIFICATION HISTORY (every match in IndexedDB, searchable, with retention) ===
+    this.notificationHistory = new NotificationHistoryStore();
+    // Matches that could not be written ({ count, lastError, lastAt }), shown on the history page
+    this.historyWriteFailures = null;
+
+    // === PATTERN TIER LISTS (imported paint-seed tiers for target entries) ===
+    this.patternTiers = new PatternTierLibrary();
+
+    // === STICKER VALUATION (applied sticker value, crafts, % of item price) ===
+    this.stickerValuation = new StickerValuator({ currency: this.currency });
+
+    // === ARBITRAGE SCANNER (live top-N spreads against a sell venue) ===
+    this.arbitrageScanner = new ArbitrageScanner({
+      currency: this.currency,
+      onUpdate: (opportunities) => this.publishArbitrageUpdate(opportunities),
+      now: () => this.socketRecorder.now()
+    });
     
-    // === CHARM PRICING DATA ===
-    this.charmPricing = this.getCharmPricingData();
+    // === CHARM CATALOG (live charm prices, built-in fallback) ===
+    this.charmCatalog = new CharmCatalog();
+
+    // === CHARM PATTERNS (premium keychain patterns per charm) ===
+    this.charmPatterns = new CharmPatternList({ catalog: this.charmCatalog });
+
+    // === NOTIFICATION CHANNELS (desktop / overlay / sound / webhook per target, tier or rule) ===
+    this.notificationChannels = new NotificationChannelRouter({ currency: this.currency, catalog: this.charmCatalog });
+
+    // === EMPIRE REST CLIENT (shared by every manager) ===
+    this.empireApi = new EmpireApiClient();
 
     // === AUTOMATION MANAGERS ===
-    this.automationManager = new AutomationManager();
-    this.itemTargetAutomationManager = new ItemTargetAutomationManager();
-  }
+    this.automationManager = new AutomationManager({ api: this.empireApi, currency: this.currency });
+    this.itemTargetAutomationManager = new ItemTargetAutomationManager({ api: this.empireApi, currency: this.currency });
 
-  /**
-   * Get the official charm pricing data
-   * @returns {Object} Charm pricing data organized by category
-   */
-  getCharmPricingData() {
-    return {
-      "Small Arms": {
-        "Red": {
-          "Baby Karat T": 65.0,
-          "Baby Karat CT": 45.0
-        },
-        "Pink": {
-          "Semi-Precious": 50.0,
-          "Titanium AWP": 15.0,
-          "Lil' Squirt": 10.00
-        },
-        "Purple": {
-          "Die-cast AK": 10.00,
-          "Glamour Shot": 3.00,
-          "Hot Hands": 2.50,
-          "POP Art": 2.50,
-          "Disco MAC": 2.00
-        },
-        "Blue": {
-          "Baby's AK": 0.80,
-          "Pocket AWP": 0.5,
-          "Whittle Knife": 0.5,
-          "Backsplash": 0.24,
-          "Stitch-Loaded": 0.25,
-          "Lil' Cap Gun": 0.25
-        }
-      },
-      "Missing Link": {
-        "Red": {
-          "Hot Howl": 85.0,
-          "Hot Wurst": 60.0
-        },
-        "Pink": {
-          "Diamond Dog": 30.0,
-          "Lil' Monster": 20.0,
-          "Diner Dog": 15.00
-        },
-        "Purple": {
-          "Lil' Teacup": 5.0,
-          "Chicken Lil'": 4.50,
-          "That's Bananas": 3.50,
-          "Lil' Whiskers": 2.50,
-          "Lil' Sandy": 2.50,
-          "Lil' Squatch": 1.50
-        },
-        "Blue": {
-          "Lil' SAS": 1.00,
-          "Hot Sauce": 0.50,
-          "Pinch O' Salt": 0.50,
-          "Big Kev": 0.50,
-          "Lil' Crass": 0.40,
-          "Lil' Ava": 0.40
-        }
-      },
-      "Missing Link Community": {
-        "Red": {
-          "Lil' Boo": 100.00,
-          "Lil' Eldritch": 50.00,
-          "Quick Silver": 45.00,
-          "Lil' Serpent": 35.00
-        },
-        "Pink": {
-          "Lil' Hero": 20.00,
-          "Piñatita": 15.00,
-          "Lil' Happy": 12.00,
-          "Lil' Chirp": 12.00,
-          "Lil' Prick": 8.00
-        },
-        "Purple": {
-          "Pocket Pop": 3.50,
-          "Lil' Moments": 3.00,
-          "Magmatude": 2.50,
-          "Lil' Goop": 2.25,
-          "Lil' Buns": 1.50,
-          "Hang Loose": 1.25
-        },
-        "Blue": {
-          "Lil' No. 2": 0.50,
-          "Lil' Cackle": 0.35,
-          "Dead Weight": 0.30,
-          "Lil' Baller": 0.30,
-          "Lil' Smokey": 0.25,
-          "Lil' Tusk": 0.20,
-          "Lil' Vino": 0.20,
-          "Lil' Curse": 0.20
-        }
-      },
-      "Dr Boom": {
-        "Red": {
-          "Butane Buddy": 100.0,
-          "Glitter Bomb": 60.0,
-          "8 Ball IGL": 50.0,
-          "Lil' Ferno": 35.0
-        },
-        "Pink": {
-          "Lil' Eco": 13.00,
-          "Lil' Yeti": 13.00,
-          "Flash Bomb": 10.00,
-          "Eye of Ball": 8.00,
-          "Hungry Eyes": 7.00
-        },
-        "Purple": {
-          "Lil' Bloody": 2.50,
-          "Lil' Dumplin'": 2.00,
-          "Dr. Brian": 1.50,
-          "Lil' Chomper": 1.00,
-          "Lil' Facelift": 1.00,
-          "Big Brain": 1.00,
-          "Bomb Tag": 1.00
-        },
-        "Blue": {
-          "Lil' Zen": 0.50,
-          "Splatter Cat": 0.25,
-          "Gritty": 0.20,
-          "Whittle Guy": 0.20,
-          "Fluffy": 0.20,
-          "Biomech": 0.20
-        }
-      },
-      "Austin Major": {
-        "Red": {
-          "Austin Charm (Unknown)": 0.0
-        },
-        "Pink": {},
-        "Purple": {},
-        "Blue": {}
-      }
-    };
+    // === SOCKET TRAFFIC RECORDER ===
+    this.socketRecorder = new SocketRecorder();
+
+    // === RULE ENGINE ===
+    this.ruleEngine = new RuleEngine({ currency: this.currency });
+    this.registerRulePresets();
+
+    // === ITEM LIFECYCLE TRACKING (server-adjusted clock from timesync) ===
+    this.itemLifecycleTracker = new ItemLifecycleTracker({
+      now: () => this.socketRecorder.now()
+    });
+
+    // === AUCTION SNIPING (shares the charm automation cooldown) ===
+    this.auctionSnipeManager = new AuctionSnipeManager({
+      automationManager: this.automationManager,
+      api: this.empireApi,
+      currency: this.currency,
+      now: () => this.socketRecorder.now(),
+      getUserId: () => this.userData?.user?.id ?? null
+    });
+
+    // === SHARED SPEND LIMITS (auto-pauses every manager when a cap is reached) ===
+    this.automationBudget = new AutomationBudget({
+      currency: this.currency,
+      onPause: (reason) => this.notifyAutomationPaused(reason)
+    });
+    this.automationBudget.attach(this.automationManager);
+    this.automationBudget.attach(this.itemTargetAutomationManager);
+    this.automationBudget.attach(this.auctionSnipeManager);
+
+    // === PAPER TRADING (dry-run withdrawals with simulated P&L) ===
+    this.paperTrading = new PaperTradingLedger({
+      currency: this.currency,
+      resolvePrices: (item) => this.enhanceItemDataWithPrices(item)
+    });
+    this.paperTrading.attach(this.automationManager);
+    this.paperTrading.attach(this.itemTargetAutomationManager);
+    this.paperTrading.attach(this.auctionSnipeManager);
+
+    // === WITHDRAWAL RECONCILIATION (purchases settled by trade outcome) ===
+    this.withdrawalReconciler = new WithdrawalReconciler({
+      api: this.empireApi,
+      onSettled: (trades) => this.handleWithdrawalsSettled(trades)
+    });
+    this.withdrawalReconciler.budget = this.automationBudget;
+    this.withdrawalReconciler.attach(this.automationManager, 'charm_automation');
+    this.withdrawalReconciler.attach(this.itemTargetAutomationManager, 'item_target_automation');
+    this.withdrawalReconciler.attach(this.auctionSnipeManager, 'auction_snipe');
   }
 
   /**
@@ -288,6 +299,10 @@ class ExtensionManager {
         await this.loadSettings();
       }
       
+      // Load coin rate and display currency before any item is priced
+      await this.currency.loadSettings();
+      this.currency.refreshRates();
+
       // Load API key and connect if available
       await this.loadAPIKey();
 
@@ -303,6 +318,52 @@ class ExtensionManager {
         this.itemTargetAutomationManager.setAPIKey(this.apiKey, this.domain);
       }
 
+      // Load auction snipe settings
+      await this.auctionSnipeManager.loadSettings();
+      if (this.apiKey) {
+        this.auctionSnipeManager.setAPIKey(this.apiKey, this.domain);
+      }
+      await this.auctionSnipeManager.restoreAuctions();
+
+      // Load spend limits and today's spend ledger
+      await this.automationBudget.loadSettings();
+
+      // Load dry-run toggle and paper trades
+      await this.paperTrading.loadSettings();
+
+      // Load automated purchases awaiting a final trade status
+      await this.withdrawalReconciler.loadSettings();
+
+      // Load socket recorder settings
+      await this.socketRecorder.loadSettings();
+
+      // Load price history settings
+      await this.priceHistory.loadSettings();
+
+      // Load notification history retention (moves the old storage.local history over once)
+      await this.notificationHistory.loadSettings();
+
+      // Load arbitrage scanner settings
+      await this.arbitrageScanner.loadSettings();
+
+      // Load imported pattern tier lists
+      await this.patternTiers.loadSettings();
+
+      // Load sticker valuation settings
+      await this.stickerValuation.loadSettings();
+
+      // Load the last live charm price snapshot
+      await this.charmCatalog.loadSettings();
+
+      // Load premium charm patterns
+      await this.charmPatterns.loadSettings();
+
+      // Load notification channels and webhook
+      await this.notificationChannels.loadSettings();
+
+      // Load custom rules and preset overrides
+      await this.ruleEngine.loadSettings();
+
       // Setup periodic stats update
       this.setupPeriodicUpdates();
 
@@ -322,6 +383,31 @@ class ExtensionManager {
     setInterval(() => {
       this.stats.uptime = Date.now() - this.stats.startTime;
     }, 10000);
+
+    // Catch trade outcomes missed while the socket was down every 2 minutes
+    setInterval(() => {
+      this.reconcileWithdrawals();
+    }, 120000);
+
+    // Exchange rates are cached for a day; check hourly
+    setInterval(() => {
+      this.currency.refreshRates();
+    }, 3600000);
+  }
+
+  /**
+   * Check automated purchases against the trades endpoint
+   */
+  async reconcileWithdrawals() {
+    if (!this.apiKey) {
+      return;
+    }
+
+    try {
+      await this.withdrawalReconciler.reconcile();
+    } catch (error) {
+      console.error(`❌ Withdrawal reconciliation failed: ${error.message}`);
+    }
   }
 
   /**
@@ -470,6 +556,11 @@ class ExtensionManager {
         const importResult = await this.importItemTargetList(settings.itemTargetList);
         importStats.itemTargets = importResult.totalItems;
       }
+
+      // Import custom rules
+      if (Array.isArray(settings.itemRules)) {
+        importStats.rules = await this.ruleEngine.importRules(settings.itemRules);
+      }
       
       console.log('✅ Auto JSON import completed successfully');
       console.log(`📊 Import summary:`);
@@ -520,13 +611,29 @@ class ExtensionManager {
       percentDiffFilter: {
         enabled: serverItem.percentDiffFilter?.enabled || false,
         min: serverItem.percentDiffFilter?.min || null,
-        max: serverItem.percentDiffFilter?.max || null
+        max: serverItem.percentDiffFilter?.max || null,
+        maxTrendDrop: serverItem.percentDiffFilter?.maxTrendDrop ?? null,
+        trendDays: serverItem.percentDiffFilter?.trendDays || 7
+      },
+      dopplerPhases: DopplerPhase.normalizeList(serverItem.dopplerPhases),
+      patternFilter: {
+        enabled: serverItem.patternFilter?.enabled || false,
+        seeds: serverItem.patternFilter?.seeds || [],
+        listId: serverItem.patternFilter?.listId || null,
+        tiers: serverItem.patternFilter?.tiers || []
+      },
+      stickerFilter: {
+        enabled: serverItem.stickerFilter?.enabled || false,
+        minPercentage: serverItem.stickerFilter?.minPercentage ?? null,
+        minValue: serverItem.stickerFilter?.minValue ?? null,
+        craftOnly: serverItem.stickerFilter?.craftOnly || false
       },
       priceFilter: {
         enabled: serverItem.priceFilter?.enabled || false,
         min: serverItem.priceFilter?.min || null,
         max: serverItem.priceFilter?.max || null
       },
+      channels: NotificationChannelRouter.normalizeChannels(serverItem.channels),
       addedAt: Date.now(),
       source: 'auto_json_import'
     }));
@@ -699,6 +806,7 @@ class ExtensionManager {
       const result = await chrome.storage.local.get(['csgoempire_api_key', 'csgoempire_domain']);
       this.apiKey = result.csgoempire_api_key;
       this.domain = result.csgoempire_domain || 'csgoempire.com';
+      this.empireApi.setAPIKey(this.apiKey, this.domain);
       
       if (this.apiKey && this.isMonitoringEnabled) {
         console.log('🔑 API key found, starting connection...');
@@ -723,9 +831,11 @@ class ExtensionManager {
       this.apiKey = apiKey;
       this.domain = domain;
 
-      // Update automation managers API keys
+      // Update REST client and automation managers API keys
+      this.empireApi.setAPIKey(apiKey, domain);
       this.automationManager.setAPIKey(apiKey, domain);
       this.itemTargetAutomationManager.setAPIKey(apiKey, domain);
+      this.auctionSnipeManager.setAPIKey(apiKey, domain);
 
       console.log('✅ API key saved successfully');
     } catch (error) {
@@ -745,18 +855,9 @@ async refreshUserData() {
   
   try {
     console.log('🔄 Refreshing user data...');
-    const response = await fetch(`https://${this.domain}/api/v2/metadata/socket`, {
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    this.userData = await response.json();
+    this.userData = await this.empireApi.getSocketMetadata();
     this.userDataRefreshedAt = Date.now();
+    this.automationBudget.setBalance(this.userData.user?.balance);
     console.log('✅ User data refreshed');
     console.log(`👤 User: ${this.userData.user?.name || 'Unknown'} (ID: ${this.userData.user?.id})`);
   } catch (error) {
@@ -988,6 +1089,8 @@ async authenticateWithServer() {
    */
   handleTimesync(data) {
     this.lastEventTime = Date.now();
+    this.socketRecorder.updateTimeOffset(data);
+    this.socketRecorder.record('timesync', data);
     console.log(`🕐 Timesync: ${JSON.stringify(data)}`);
   }
 
@@ -997,6 +1100,8 @@ async authenticateWithServer() {
    */
   handleNewItems(data) {
     this.lastEventTime = Date.now();
+    this.socketRecorder.record('new_item', data);
+    this.trackItemLifecycle('new_item', data);
     const itemCount = Array.isArray(data) ? data.length : 1;
     console.log(`📦 New items received (${itemCount})`);
     
@@ -1011,6 +1116,8 @@ async authenticateWithServer() {
    */
   handleUpdatedItems(data) {
     this.lastEventTime = Date.now();
+    this.socketRecorder.record('updated_item', data);
+    this.trackItemLifecycle('updated_item', data);
     const itemCount = Array.isArray(data) ? data.length : 1;
     console.log(`📦 Updated items received (${itemCount})`);
     
@@ -1025,6 +1132,12 @@ async authenticateWithServer() {
    */
   handleDeletedItems(data) {
     this.lastEventTime = Date.now();
+    this.socketRecorder.record('deleted_item', data);
+    this.trackItemLifecycle('deleted_item', data);
+    this.resolveSnipedAuctions(data);
+    this.arbitrageScanner.remove(Array.isArray(data) ? data : [data]);
+    // A sold or unlisted item is not worth a notification any more
+    this.notificationQueue.remove(Array.isArray(data) ? data : [data]);
     const itemCount = Array.isArray(data) ? data.length : 1;
     console.log(`🗑️ Items deleted: ${itemCount}`);
   }
@@ -1035,6 +1148,11 @@ async authenticateWithServer() {
    */
   handleAuctionUpdate(data) {
     this.lastEventTime = Date.now();
+    this.socketRecorder.record('auction_update', data);
+    this.trackItemLifecycle('auction_update', data);
+    if (this.auctionSnipeManager.config.enabled) {
+      this.auctionSnipeManager.handleAuctionUpdate(Array.isArray(data) ? data : [data]);
+    }
     console.log(`🔨 Auction update received`);
   }
 
@@ -1044,9 +1162,139 @@ async authenticateWithServer() {
    */
   handleTradeStatus(data) {
     this.lastEventTime = Date.now();
+    this.socketRecorder.record('trade_status', data);
+    this.trackItemLifecycle('trade_status', data);
+    this.withdrawalReconciler.handleTradeStatus(Array.isArray(data) ? data : [data]);
     console.log(`📊 Trade status update received`);
   }
 
+  /**
+   * Feed a socket event into the item lifecycle tracker
+   * @param {string} event - Socket event name
+   * @param {Array|Object} data - Event payload
+   */
+  trackItemLifecycle(event, data) {
+    const entries = Array.isArray(data) ? data : [data];
+    const tracker = this.itemLifecycleTracker;
+    let touched;
+
+    switch (event) {
+      case 'new_item':
+        touched = tracker.recordListed(entries);
+        break;
+      case 'updated_item':
+        touched = tracker.recordUpdated(entries);
+        break;
+      case 'auction_update':
+        touched = tracker.recordAuctionUpdate(entries);
+        break;
+      case 'deleted_item':
+        touched = tracker.recordDeleted(entries);
+        break;
+      case 'trade_status':
+        touched = tracker.recordTradeStatus(entries);
+        break;
+      default:
+        return;
+    }
+
+    const watched = touched.filter(lifecycle => tracker.isWatched(lifecycle));
+    if (watched.length > 0) {
+      this.publishLifecycleUpdates(watched);
+    }
+  }
+
+  /**
+   * Push lifecycle changes of watched items to overlays and history
+   * @param {Array<Object>} lifecycles - Changed lifecycles
+   */
+  async publishLifecycleUpdates(lifecycles) {
+    const finished = [];
+
+    for (const lifecycle of lifecycles) {
+      const summary = this.itemLifecycleTracker.getSummary(lifecycle);
+      this.sendToContentScript('ITEM_LIFECYCLE_UPDATE', summary);
+
+      if (summary.status !== 'listed') {
+        console.log(`⏱️ ${lifecycle.marketName} ${summary.status} after ${summary.durationSeconds}s`);
+        finished.push(summary);
+      }
+    }
+
+    if (finished.length > 0) {
+      await this.updateHistoryLifecycle(finished);
+    }
+  }
+
+  /**
+   * Attach final lifecycle summaries to stored history entries
+   * @param {Array<Object>} summaries - Lifecycle summaries
+   */
+  async updateHistoryLifecycle(summaries) {
+    try {
+      const byId = new Map(summaries.map(summary => [summary.id, summary]));
+
+      const changed = await this.notificationHistory.update([...byId.keys()], (entry) => {
+        entry.lifecycle = byId.get(entry.id);
+        return true;
+      });
+
+      if (changed > 0) {
+        this.publishHistoryUpdate();
+      }
+    } catch (error) {
+      console.error('❌ Error updating history lifecycle:', error);
+    }
+  }
+
+  /**
+   * Flag reconciled automation purchases in history and tell the user about refunds
+   * @param {Array<Object>} trades - Trades whose outcome changed
+   */
+  async handleWithdrawalsSettled(trades) {
+    try {
+      const byId = new Map(trades.map(trade => [trade.depositId, trade]));
+
+      const changed = await this.notificationHistory.update([...byId.keys()], (entry) => {
+        if (entry.notification_type !== 'automation_purchase' || entry.dry_run) {
+          return false;
+        }
+        const trade = byId.get(entry.id);
+        entry.trade_outcome = trade.outcome;
+        entry.trade_status_message = trade.statusMessage;
+        return true;
+      });
+
+      if (changed > 0) {
+        this.publishHistoryUpdate();
+      }
+    } catch (error) {
+      console.error('❌ Error updating history trade outcomes:', error);
+    }
+
+    for (const trade of trades) {
+      if (trade.outcome === 'completed') continue;
+
+      chrome.notifications.create(`trade_${trade.outcome}_${trade.depositId}_${Date.now()}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: trade.outcome === 'reverted' ? '↩️ AUTO-PURCHASE REVERTED' : '❌ AUTO-PURCHASE CANCELLED',
+        message: `${trade.marketName} (${this.currency.format(trade.value)})${trade.statusMessage ? `\nStatus: ${trade.statusMessage}` : ''}`,
+        priority: 1
+      });
+    }
+
+    chrome.runtime.sendMessage({
+      type: 'AUTOMATION_TRADES_SETTLED',
+      data: {
+        trades: trades,
+        summary: this.withdrawalReconciler.getSummary()
+      }
+    }).catch(() => {
+      // Popup may not be open, ignore error
+    });
+  }
+
   /**
    * ========================================================================
    * DISCONNECTION AND RECONNECTION LOGIC
@@ -1165,6 +1413,11 @@ async authenticateWithServer() {
    */
   async processIndividualItem(item) {
     this.stats.itemsProcessed++;
+
+    // Every listing is ranked, including updates of already notified items
+    if (this.arbitrageScanner.config.enabled) {
+      await this.scanArbitrage(item);
+    }
     
     // Skip already notified items
     if (this.notifiedItemIds.has(item.id)) {
@@ -1172,37 +1425,19 @@ async authenticateWithServer() {
     }
 
     console.log(`🔍 Processing item: ${item.market_name}`);
-    console.log(`💰 Market: ${(item.market_value / 100).toFixed(2)}, Float: ${item.wear ? item.wear.toFixed(6) : 'N/A'}`);
-
-    // Get both specific and universal matches
-    const targetMatches = this.checkItemTargetList(item);
-    let itemProcessed = false;
-
-    // PRIORITY 1: Process specific target item matches
-    if (targetMatches.specificMatch) {
-      itemProcessed = await this.processSpecificTargetMatch(item, targetMatches.specificMatch);
-    }
-
-    // PRIORITY 2: Process keychains (INDEPENDENT of universal filters)
-    if (!itemProcessed && item.keychains && item.keychains.length > 0) {
-      itemProcessed = await this.processKeychainMatch(item);
-    }
-
-    // PRIORITY 2.5: Process Austin 2025 charms (sticker-based detection)
-    // Workaround for Empire API not populating keychain names for Austin charms
-    if (!itemProcessed && item.stickers && item.stickers.length > 0) {
-      itemProcessed = await this.processAustinCharmMatch(item);
-    }
+    console.log(`💰 Market: ${this.currency.formatCoins(item.market_value)}, Float: ${item.wear ? item.wear.toFixed(6) : 'N/A'}`);
 
-    // PRIORITY 3: Process Blue Gem Detection (for Case Hardened items)
-    if (!itemProcessed && this.blueGemFilter.enabled && item.blue_percentage !== null && item.blue_percentage !== undefined) {
-      itemProcessed = await this.processBlueGemMatch(item);
+    // Value applied stickers once for the sticker preset, target filters, rules and automation
+    if (item.stickers && item.stickers.length > 0) {
+      await this.valueStickers(item);
     }
 
-    // PRIORITY 4: Apply universal filters (ONLY if no specific match or keychain processed)
-    if (!itemProcessed && targetMatches.universalMatch) {
-      itemProcessed = await this.processUniversalFilterMatch(item, targetMatches.universalMatch);
+    // Evaluate built-in presets and custom rules in priority order
+    const matchedRules = await this.ruleEngine.evaluate(item);
+    if (matchedRules.length > 0) {
+      await this.applyRuleActions(item, matchedRules);
     }
+    const itemProcessed = matchedRules.length > 0;
 
     // ALWAYS check Item Target Automation (independent of Control Panel filters)
     // Only log if automation is enabled to avoid confusion
@@ -1219,10 +1454,10 @@ async authenticateWithServer() {
   }
 
   /**
-   * Process specific target item match
+   * Process specific target item match (target list preset)
    * @param {Object} item - Item data
    * @param {Object} targetMatch - Matched target item
-   * @returns {Promise<boolean>} True if item was processed
+   * @returns {Promise<boolean>} True if item matched
    */
   async processSpecificTargetMatch(item, targetMatch) {
     console.log(`🎯 Found specific target item match: ${targetMatch.name || targetMatch.keyword}`);
@@ -1237,16 +1472,8 @@ async authenticateWithServer() {
 
         item.notification_type = 'target_item';
         item.target_item_matched = targetMatch;
-        await this.handleNotificationFound(item);
-
-        // Trigger charm automation if item has charms/keychains
-        if (item.keychains && item.keychains.length > 0) {
-          const charmDetails = this.getCharmDetails(item);
-          if (charmDetails) {
-            await this.triggerAutomation(item, charmDetails.price);
-          }
-        }
-
+        item.pattern_tier = filtersCheck.patternTier || null;
+        item.pattern_tier_display = item.pattern_tier ? this.patternTiers.describe(item.pattern_tier) : null;
         return true;
       } else {
         console.log(`🚫 FILTERED: Item filters check failed - ${filtersCheck.reason}`);
@@ -1258,9 +1485,9 @@ async authenticateWithServer() {
   }
 
   /**
-   * Process keychain match
+   * Process keychain match (keychain preset)
    * @param {Object} item - Item data
-   * @returns {Promise<boolean>} True if item was processed
+   * @returns {Promise<boolean>} True if item matched
    */
   async processKeychainMatch(item) {
     console.log(`🔑 Keychains detected: ${item.keychains.map(k => k.name).join(', ')}`);
@@ -1270,12 +1497,24 @@ async authenticateWithServer() {
       return false;
     }
     
+    // Refreshes the charm catalog when the price feeds have new data
+    await this.fetchPriceData();
     const charmDetails = this.getCharmDetails(item);
 
     if (charmDetails) {
-      console.log(`🎯 Found target charm: ${charmDetails.name} (${charmDetails.category}) - ${charmDetails.price.toFixed(2)}`);
-      
-      if (!this.keychainFilter.enabledKeychains.has(charmDetails.name)) {
+      console.log(`🎯 Found target charm: ${charmDetails.name} (${charmDetails.category}) - ${charmDetails.price.toFixed(2)}${charmDetails.charms.length > 1 ? ` total for ${charmDetails.charms.map(charm => charm.name).join(' + ')}` : ''}`);
+
+      // Premium patterns are worth more than the charm's base price, so they skip the
+      // keychain selection and the charm % check (price filters still apply)
+      const premiumPattern = charmDetails.premiumPattern;
+      if (premiumPattern) {
+        console.log(`🧿 Premium charm pattern: ${charmDetails.name} ${this.charmPatterns.describe(premiumPattern)}`);
+      }
+
+      // Slabs have no entry in the keychain selection, so any sticker slab counts
+      const hasEnabledCharm = charmDetails.charms.some(charm =>
+        charm.category === 'Sticker Slab' || this.keychainFilter.enabledKeychains.has(charm.name));
+      if (!premiumPattern && !hasEnabledCharm) {
         this.stats.itemsFiltered++;
         this.incrementFilterReason('keychain_disabled');
         console.log(`🚫 FILTERED: Keychain "${charmDetails.name}" disabled in settings`);
@@ -1298,7 +1537,7 @@ async authenticateWithServer() {
         return false;
       }
       
-      const keychainPercentageCheck = this.checkKeychainPercentage(item, charmDetails);
+      const keychainPercentageCheck = premiumPattern ? { isGood: true } : this.checkKeychainPercentage(item, charmDetails);
       if (!keychainPercentageCheck.isGood) {
         this.stats.itemsFiltered++;
         this.incrementFilterReason('keychain_percentage');
@@ -1313,12 +1552,15 @@ async authenticateWithServer() {
       item.charm_price = charmDetails.price;
       item.charm_collection = charmDetails.collection; // Add collection info
       item.charm_price_display = this.formatCharmPrice(charmDetails.price, item.purchase_price);
+      item.charm_breakdown = this.getCharmBreakdown(charmDetails);
+      item.charm_pattern = charmDetails.pattern;
       item.notification_type = 'keychain';
 
-      await this.handleNotificationFound(item);
-
-      // Trigger automation if enabled
-      await this.triggerAutomation(item, charmDetails.price);
+      if (premiumPattern) {
+        item.charm_pattern_tier = premiumPattern.tier;
+        item.charm_pattern_display = this.charmPatterns.describe(premiumPattern);
+        item.notification_type = 'charm_pattern';
+      }
 
       return true;
     } else {
@@ -1330,9 +1572,9 @@ async authenticateWithServer() {
   }
 
   /**
-   * Process Blue Gem match (for Case Hardened items)
+   * Process Blue Gem match (for Case Hardened items, blue gem preset)
    * @param {Object} item - Item data
-   * @returns {Promise<boolean>} True if item was processed
+   * @returns {Promise<boolean>} True if item matched
    */
   async processBlueGemMatch(item) {
     const bluePercentage = parseFloat(item.blue_percentage);
@@ -1347,7 +1589,7 @@ async authenticateWithServer() {
     }
 
     // Check optional price range filter
-    const itemPriceInDollars = item.market_value / 100;
+    const itemPriceInDollars = this.currency.coinsToUsd(item.market_value);
     if (this.blueGemFilter.minPrice !== null && itemPriceInDollars < this.blueGemFilter.minPrice) {
       this.stats.itemsFiltered++;
       this.incrementFilterReason('blue_gem_price_too_low');
@@ -1366,8 +1608,6 @@ async authenticateWithServer() {
 
     item.notification_type = 'blue_gem';
     item.blue_percentage_display = `${bluePercentage.toFixed(2)}% Blue`;
-
-    await this.handleNotificationFound(item);
     return true;
   }
 
@@ -1375,7 +1615,7 @@ async authenticateWithServer() {
    * Process Austin 2025 charm match (sticker-based detection)
    * Workaround for Empire API not populating keychain names for Austin charms
    * @param {Object} item - Item data
-   * @returns {Promise<boolean>} True if item was processed
+   * @returns {Promise<boolean>} True if item matched
    */
   async processAustinCharmMatch(item) {
     const austinCharm = this.detectAustinCharm(item);
@@ -1435,15 +1675,55 @@ async authenticateWithServer() {
       charm_name: item.charm_name
     });
 
-    await this.handleNotificationFound(item);
     return true;
   }
 
   /**
-   * Process universal filter match
+   * Process sticker value match (sticker preset)
+   * @param {Object} item - Item data with sticker_valuation
+   * @returns {Promise<boolean>} True if item matched
+   */
+  async processStickerMatch(item) {
+    console.log(`🏷️ Stickers valued: ${item.market_name} - ${item.sticker_value_display}`);
+
+    const priceCheck = this.isGoodPrice(item);
+    if (!priceCheck.isGood) {
+      this.stats.itemsFiltered++;
+      this.incrementFilterReason('price_filter');
+      console.log(`🚫 FILTERED: Price filter failed - ${priceCheck.reason}`);
+      return false;
+    }
+
+    const { minItemPrice, maxItemPrice } = this.stickerValuation.config;
+    const itemPrice = item.sticker_valuation.itemPrice;
+    if ((minItemPrice !== null && itemPrice < minItemPrice) || (maxItemPrice !== null && itemPrice > maxItemPrice)) {
+      this.stats.itemsFiltered++;
+      this.incrementFilterReason('sticker_item_price_range');
+      console.log(`🚫 FILTERED: Item price $${itemPrice.toFixed(2)} outside sticker item price range`);
+      return false;
+    }
+
+    const stickerCheck = this.stickerValuation.checkPercentage(item.sticker_valuation);
+    if (!stickerCheck.isGood) {
+      this.stats.itemsFiltered++;
+      this.incrementFilterReason('sticker_percentage');
+      console.log(`🚫 FILTERED: Sticker value too low - ${stickerCheck.reason}`);
+      return false;
+    }
+
+    console.log('🎉 🏷️ STICKER VALUE MATCH - ALL FILTERS PASSED! 🏷️ 🎉');
+
+    // Displayed like a target item, with the sticker line
+    item.notification_type = 'target_item';
+    item.target_item_matched = { id: 'preset_stickers', name: 'Sticker Value', keyword: 'Sticker Value', isPreset: true };
+    return true;
+  }
+
+  /**
+   * Process universal filter match (universal filter preset)
    * @param {Object} item - Item data
    * @param {Object} universalMatch - Universal filter
-   * @returns {Promise<boolean>} True if item was processed
+   * @returns {Promise<boolean>} True if item matched
    */
   async processUniversalFilterMatch(item, universalMatch) {
     console.log(`🌐 Applying universal filter: ${universalMatch.name}`);
@@ -1456,13 +1736,120 @@ async authenticateWithServer() {
 
         item.notification_type = 'target_item';
         item.target_item_matched = universalMatch;
-        await this.handleNotificationFound(item);
+        item.pattern_tier = filtersCheck.patternTier || null;
+        item.pattern_tier_display = item.pattern_tier ? this.patternTiers.describe(item.pattern_tier) : null;
         return true;
       }
     }
     return false;
   }
 
+  /**
+   * Register the matchers behind the rule engine's built-in presets
+   * (the former processIndividualItem cascade)
+   */
+  registerRulePresets() {
+    // Target list lookup is shared by the target list and universal filter presets
+    const getTargetMatches = (item, context) => {
+      if (!context.targetMatches) {
+        context.targetMatches = this.checkItemTargetList(item);
+      }
+      return context.targetMatches;
+    };
+
+    this.ruleEngine.registerPreset('target_list', async (item, context) => {
+      const { specificMatch } = getTargetMatches(item, context);
+      return specificMatch ? this.processSpecificTargetMatch(item, specificMatch) : false;
+    });
+
+    this.ruleEngine.registerPreset('keychains', async (item) => {
+      return item.keychains && item.keychains.length > 0 ? this.processKeychainMatch(item) : false;
+    });
+
+    // Workaround for Empire API not populating keychain names for Austin charms
+    this.ruleEngine.registerPreset('austin_charm', async (item) => {
+      return item.stickers && item.stickers.length > 0 ? this.processAustinCharmMatch(item) : false;
+    });
+
+    this.ruleEngine.registerPreset('stickers', async (item) => {
+      if (!this.stickerValuation.config.enabled || !item.sticker_valuation) {
+        return false;
+      }
+      return this.processStickerMatch(item);
+    });
+
+    this.ruleEngine.registerPreset('blue_gem', async (item) => {
+      if (!this.blueGemFilter.enabled || item.blue_percentage === null || item.blue_percentage === undefined) {
+        return false;
+      }
+      return this.processBlueGemMatch(item);
+    });
+
+    this.ruleEngine.registerPreset('universal_filter', async (item, context) => {
+      const { universalMatch } = getTargetMatches(item, context);
+      return universalMatch ? this.processUniversalFilterMatch(item, universalMatch) : false;
+    });
+
+    this.ruleEngine.setResolvers({
+      marketplaceDiff: (item) => this.calculateBuff163Difference(item)
+    });
+  }
+
+  /**
+   * Run the merged actions of every rule that matched an item
+   * (rules with stopOnMatch: false let several rules match one item, which is still
+   * stored and notified once)
+   * @param {Object} item - Matched item
+   * @param {Array<Object>} rules - Matched rules, highest priority first
+   */
+  async applyRuleActions(item, rules) {
+    const [firstRule] = rules;
+    item.matched_rule = { id: firstRule.id, name: firstRule.name, priority: firstRule.priority };
+
+    const actions = { notify: false, sound: false, automate: false, tags: [], channels: [] };
+    for (const rule of rules) {
+      actions.notify = actions.notify || rule.actions.notify;
+      actions.sound = actions.sound || rule.actions.sound;
+      actions.automate = actions.automate || rule.actions.automate;
+      actions.tags.push(...rule.actions.tags);
+      actions.channels.push(...(rule.actions.channels || []));
+
+      // Custom rules display like target items unless a preset already matched
+      if (!rule.builtIn && !item.notification_type) {
+        item.notification_type = 'target_item';
+        item.target_item_matched = { id: rule.id, name: rule.name, keyword: rule.name, isRule: true };
+      }
+    }
+
+    if (actions.tags.length > 0) {
+      item.rule_tags = [...new Set([...(item.rule_tags || []), ...actions.tags])];
+    }
+    item.sound_muted = !actions.sound;
+    item.rule_channels = [...new Set(actions.channels)];
+
+    // Rules without notify still keep the match in history
+    await this.handleNotificationFound(item, { display: actions.notify });
+
+    // Auctions matched by an automate rule are handed to the snipe manager (charm automation skips auctions)
+    if (actions.automate && item.auction_ends_at && this.auctionSnipeManager.config.enabled) {
+      const enhancedItem = await this.enhanceItemDataWithPrices(item);
+      const { tracked, reason } = await this.auctionSnipeManager.track(enhancedItem);
+      console.log(`🔨 Auction snipe ${tracked ? 'tracking' : 'skipped'}: ${item.market_name} - ${reason}`);
+    }
+
+    // Charm automation needs a charm value
+    if (actions.automate) {
+      let charmValue = typeof item.charm_price === 'number' ? item.charm_price : null;
+      if (charmValue === null && item.keychains && item.keychains.length > 0) {
+        charmValue = this.getCharmDetails(item)?.price ?? null;
+      }
+
+      if (charmValue !== null) {
+        await this.triggerAutomation(item, charmValue);
+      }
+    }
+  }
+
   /**
    * Check if keychain processing should be skipped
    * @param {Object} item - Item data
@@ -1541,6 +1928,11 @@ async authenticateWithServer() {
     
     // SEPARATE specific matches from universal filters
     for (const targetItem of this.itemTargetList) {
+      // Targets limited to Doppler phases/gems skip every other phase
+      if (!DopplerPhase.matches(item.market_name, targetItem.dopplerPhases)) {
+        continue;
+      }
+
       // Check for universal filters (no keyword specified)
       if (targetItem.isUniversalFilter || !targetItem.keyword || targetItem.keyword.includes('Universal Filter')) {
         console.log(`🌟 Found universal filter: ${targetItem.name}`);
@@ -1588,6 +1980,24 @@ async authenticateWithServer() {
       return floatCheck;
     }
     
+    // Check paint seed / tier list filter
+    let patternTier = null;
+    if (targetItem.patternFilter?.enabled) {
+      const patternCheck = this.checkPatternFilter(item, targetItem);
+      if (!patternCheck.isGood) {
+        return patternCheck;
+      }
+      patternTier = patternCheck.patternTier;
+    }
+    
+    // Check sticker value filter (like the keychain percentage filter)
+    if (targetItem.stickerFilter?.enabled) {
+      const stickerCheck = StickerValuator.checkFilter(item.sticker_valuation, targetItem.stickerFilter);
+      if (!stickerCheck.isGood) {
+        return stickerCheck;
+      }
+    }
+    
     // Check percentage difference filter (with Buff163 support)
     if (targetItem.percentDiffFilter?.enabled) {
       const percentDiffCheck = await this.checkPercentDiffFilter(item, targetItem);
@@ -1604,7 +2014,36 @@ async authenticateWithServer() {
       }
     }
     
-    return { isGood: true, reason: 'All filters passed' };
+    return { isGood: true, reason: 'All filters passed', patternTier };
+  }
+
+  /**
+   * Check paint seed filter (explicit seeds and/or an imported tier list)
+   * @param {Object} item - Item to check
+   * @param {Object} targetItem - Target with patternFilter { seeds, listId, tiers }
+   * @returns {Object} Filter result with the tier that was hit
+   */
+  checkPatternFilter(item, targetItem) {
+    const { seeds = [], listId = null, tiers = [] } = targetItem.patternFilter;
+    const seed = parseInt(item.paint_seed ?? item.pattern, 10);
+
+    if (!Number.isInteger(seed)) {
+      return { isGood: false, reason: 'Item has no paint seed but pattern filter is enabled' };
+    }
+
+    if (seeds.map(Number).includes(seed)) {
+      const patternTier = { listId: null, listName: null, kind: 'custom', seed, tier: 'Target seed', value: null };
+      return { isGood: true, reason: `Seed ${seed} is a target seed`, patternTier };
+    }
+
+    if (listId) {
+      const patternTier = this.patternTiers.lookup(item, { listId, tiers });
+      if (patternTier) {
+        return { isGood: true, reason: `Seed ${seed} hits ${this.patternTiers.describe(patternTier)}`, patternTier };
+      }
+    }
+
+    return { isGood: false, reason: `Seed ${seed} is not in the target's seeds or tier list` };
   }
 
   /**
@@ -1648,7 +2087,7 @@ async authenticateWithServer() {
   /**
    * Check percentage difference filter with Buff163 support
    * @param {Object} item - Item to check
-   * @param {Object} targetItem - Target with percentage filter
+   * @param {Object} targetItem - Target with percentage filter (and optional trend limit)
    * @returns {Promise<Object>} Filter result
    */
   async checkPercentDiffFilter(item, targetItem) {
@@ -1659,50 +2098,101 @@ async authenticateWithServer() {
       };
     }
 
-    // Try to get Buff163 vs Empire difference first
-    const buff163Difference = await this.calculateBuff163Difference(item);
-    
-    let percentageToCheck;
-    let sourceDescription;
-    
-    if (buff163Difference !== null) {
-      percentageToCheck = buff163Difference;
-      sourceDescription = 'Buff163 vs Empire';
-    } else {
-      // Fallback to above_recommended_price if Buff163 data not available
-      percentageToCheck = item.above_recommended_price;
-      sourceDescription = 'above recommended';
-      
-      if (percentageToCheck === undefined || percentageToCheck === null || isNaN(percentageToCheck)) {
-        return { 
+    const { min: minPercent, max: maxPercent, maxTrendDrop, trendDays } = targetItem.percentDiffFilter;
+    const hasRange = [minPercent, maxPercent].some(value => value !== null && value !== undefined);
+    let rangeReason = 'No % difference range set';
+
+    if (hasRange) {
+      // Try to get Buff163 vs Empire difference first
+      const buff163Difference = await this.calculateBuff163Difference(item);
+
+      let percentageToCheck;
+      let sourceDescription;
+
+      if (buff163Difference !== null) {
+        percentageToCheck = buff163Difference;
+        sourceDescription = 'Buff163 vs Empire';
+      } else if (DopplerPhase.normalizeList(targetItem.dopplerPhases).length > 0) {
+        // above_recommended is not phase-aware, so a phase target never falls back to it
+        return {
+          isGood: false,
+          reason: `No Buff163 ${DopplerPhase.parse(item.market_name)?.phase || 'phase'} price available`
+        };
+      } else {
+        // Fallback to above_recommended_price if Buff163 data not available
+        percentageToCheck = item.above_recommended_price;
+        sourceDescription = 'above recommended';
+
+        if (percentageToCheck === undefined || percentageToCheck === null || isNaN(percentageToCheck)) {
+          return { 
+            isGood: false, 
+            reason: 'No percentage data available (neither Buff163 nor above_recommended)' 
+          };
+        }
+      }
+
+      // Check minimum percentage
+      if (minPercent !== null && minPercent !== undefined && percentageToCheck < minPercent) {
+        return { 
           isGood: false, 
-          reason: 'No percentage data available (neither Buff163 nor above_recommended)' 
+          reason: `${sourceDescription} ${percentageToCheck.toFixed(2)}% is below minimum ${minPercent}%` 
         };
       }
-    }
 
-    const minPercent = targetItem.percentDiffFilter.min;
-    const maxPercent = targetItem.percentDiffFilter.max;
+      // Check maximum percentage
+      if (maxPercent !== null && maxPercent !== undefined && percentageToCheck > maxPercent) {
+        return { 
+          isGood: false, 
+          reason: `${sourceDescription} ${percentageToCheck.toFixed(2)}% is above maximum ${maxPercent}%` 
+        };
+      }
 
-    // Check minimum percentage
-    if (minPercent !== null && percentageToCheck < minPercent) {
-      return { 
-        isGood: false, 
-        reason: `${sourceDescription} ${percentageToCheck.toFixed(2)}% is below minimum ${minPercent}%` 
-      };
+      rangeReason = `${sourceDescription} ${percentageToCheck.toFixed(2)}% is within range ${minPercent ?? '-∞'}% to ${maxPercent ?? '+∞'}%`;
     }
 
-    // Check maximum percentage
-    if (maxPercent !== null && percentageToCheck > maxPercent) {
-      return { 
-        isGood: false, 
-        reason: `${sourceDescription} ${percentageToCheck.toFixed(2)}% is above maximum ${maxPercent}%` 
-      };
+    // Skip items whose reference price has been falling
+    if (maxTrendDrop !== null && maxTrendDrop !== undefined) {
+      const trendCheck = await this.checkPriceTrend(item, trendDays || 7, maxTrendDrop);
+      if (!trendCheck.isGood) {
+        return trendCheck;
+      }
+      rangeReason += `; ${trendCheck.reason}`;
     }
 
     return { 
       isGood: true, 
-      reason: `${sourceDescription} ${percentageToCheck.toFixed(2)}% is within range ${minPercent ?? '-∞'}% to ${maxPercent ?? '+∞'}%` 
+      reason: rangeReason 
+    };
+  }
+
+  /**
+   * Check that an item's Buff163 (or CSFloat) price has not dropped too far
+   * @param {Object} item - Item to check
+   * @param {number} days - Trend window (7 or 30)
+   * @param {number} maxDrop - Largest allowed drop in %
+   * @returns {Promise<Object>} Filter result
+   */
+  async checkPriceTrend(item, days, maxDrop) {
+    const name = this.cleanMarketHashName(item.market_name);
+    const series = await this.priceHistory.getSeries(name, days);
+    const trend = this.priceHistory.calculateTrend(series, 'buff163', days) ||
+      this.priceHistory.calculateTrend(series, 'csfloat', days);
+
+    if (!trend) {
+      return { isGood: true, reason: `No ${days}-day price history yet` };
+    }
+
+    const label = trend.source === 'buff163' ? 'Buff163' : 'CSFloat';
+    if (trend.changePercent < -maxDrop) {
+      return {
+        isGood: false,
+        reason: `${label} price dropped ${Math.abs(trend.changePercent).toFixed(1)}% in ${days} days (max ${maxDrop}%)`
+      };
+    }
+
+    return {
+      isGood: true,
+      reason: `${label} ${days}-day change ${trend.changePercent.toFixed(1)}%`
     };
   }
 
@@ -1720,7 +2210,7 @@ async authenticateWithServer() {
       };
     }
 
-    const marketValue = item.market_value ? (item.market_value / 100) : 0;
+    const marketValue = this.currency.coinsToUsd(item.market_value);
     
     if (marketValue <= 0) {
       return { 
@@ -1828,11 +2318,7 @@ async authenticateWithServer() {
    * @returns {boolean} True if Doppler item
    */
   isDopplerItem(itemName) {
-    return itemName.toLowerCase().includes('doppler') || 
-           itemName.toLowerCase().includes('ruby') || 
-           itemName.toLowerCase().includes('sapphire') || 
-           itemName.toLowerCase().includes('emerald') || 
-           itemName.toLowerCase().includes('black pearl');
+    return DopplerPhase.isDoppler(itemName);
   }
 
   /**
@@ -1843,17 +2329,14 @@ async authenticateWithServer() {
    * @returns {number|null} Price difference percentage
    */
   calculateDopplerPrice(itemName, priceData, item) {
-    const dopplerPattern = /(Ruby|Sapphire|Emerald|Black Pearl|Phase [1-4])$/i;
-    const match = itemName.match(dopplerPattern);
+    const parsed = DopplerPhase.parse(itemName);
     
-    if (match) {
-      const phaseOrGem = this.toTitleCase(match[0].trim());
-      const baseItemName = itemName.replace(dopplerPattern, '').trim().replace(/-$/, '').trim();
-      const baseKey = this.cleanMarketHashName(baseItemName).toLowerCase();
+    if (parsed) {
+      const baseKey = this.cleanMarketHashName(parsed.baseName).toLowerCase();
       
       const priceInfo = priceData[baseKey];
-      if (priceInfo?.buffPrice?.doppler?.[phaseOrGem]) {
-        const buff163Price = priceInfo.buffPrice.doppler[phaseOrGem];
+      if (priceInfo?.buffPrice?.doppler?.[parsed.phase]) {
+        const buff163Price = priceInfo.buffPrice.doppler[parsed.phase];
         return this.calculatePriceDifference(item, buff163Price);
       }
     }
@@ -1867,7 +2350,7 @@ async authenticateWithServer() {
    * @returns {number|null} Percentage difference
    */
   calculatePriceDifference(item, buff163Price) {
-    const empirePrice = item.market_value ? (item.market_value / 100) : 0;
+    const empirePrice = this.currency.coinsToUsd(item.market_value);
     
     if (empirePrice <= 0 || buff163Price <= 0) {
       return null;
@@ -1891,34 +2374,76 @@ async authenticateWithServer() {
    */
 
   /**
-   * Get charm details from item keychains
+   * Get charm details from item keychains, valuing every attached charm and sticker slab together
    * @param {Object} item - Item with keychains
-   * @returns {Object|null} Charm details or null
+   * @returns {Object|null} Details of the lead keychain (catalog charms before slabs, premium pattern first,
+   *   then the most valuable) with price = total of all attached keychains and charms = per-keychain breakdown;
+   *   null without a known charm or slab
    */
   getCharmDetails(item) {
     if (!item.keychains || !Array.isArray(item.keychains) || item.keychains.length === 0) {
       return null;
     }
 
+    const charms = [];
     for (const keychain of item.keychains) {
-      const keychainName = keychain.name;
-      if (!keychainName) continue;
-
-      // Search through collections -> colors -> charms
-      for (const collection in this.charmPricing) {
-        for (const category in this.charmPricing[collection]) {
-          if (this.charmPricing[collection][category].hasOwnProperty(keychainName)) {
-            return {
-              collection: collection,
-              category: category,
-              name: keychainName,
-              price: this.charmPricing[collection][category][keychainName]
-            };
-          }
+      const name = keychain?.name || keychain;
+      const charm = this.charmCatalog.find(name);
+
+      if (charm) {
+        const pattern = CharmPatternList.readPattern(keychain);
+        charms.push({ ...charm, pattern, premiumPattern: this.charmPatterns.lookup(charm.name, pattern) });
+      } else {
+        const slab = this.charmCatalog.findSlab(name, this.priceDataCache);
+        if (slab) {
+          charms.push({ ...this.priceSlabFromSticker(slab), pattern: null, premiumPattern: null });
         }
       }
     }
-    return null;
+
+    if (charms.length === 0) {
+      return null;
+    }
+
+    // A catalog charm leads when there is one; a slab-only item is led by its most valuable slab
+    const catalogCharms = charms.filter(charm => charm.category !== 'Sticker Slab');
+    const lead = (catalogCharms.length > 0 ? catalogCharms : charms)
+      .slice()
+      .sort((a, b) => (a.premiumPattern?.tier ?? Infinity) - (b.premiumPattern?.tier ?? Infinity) || (b.price ?? 0) - (a.price ?? 0))[0];
+
+    return {
+      ...lead,
+      price: charms.reduce((sum, charm) => sum + (charm.price ?? 0), 0),
+      charms
+    };
+  }
+
+  /**
+   * Value a slab nobody quotes at the market price of the sticker inside it
+   * @param {Object} slab - Result of charmCatalog.findSlab()
+   * @returns {Object} Slab with price (null when the sticker is unpriced too) and source
+   */
+  priceSlabFromSticker(slab) {
+    if (slab.price !== null) {
+      return slab;
+    }
+
+    const price = this.stickerValuation.getStickerPrice(slab.sticker, this.priceDataCache);
+    return price !== null ? { ...slab, price, source: 'sticker' } : slab;
+  }
+
+  /**
+   * Per-keychain breakdown stored on notified items
+   * @param {Object} charmDetails - Result of getCharmDetails()
+   * @returns {Array<Object>} { name, category, price, pattern }
+   */
+  getCharmBreakdown(charmDetails) {
+    return charmDetails.charms.map(charm => ({
+      name: charm.name,
+      category: charm.category,
+      price: charm.price,
+      pattern: charm.pattern
+    }));
   }
 
   /**
@@ -1964,13 +2489,7 @@ async authenticateWithServer() {
    * @returns {Array<string>} Array of keychain names
    */
   getAllKeychainNames() {
-    const keychains = [];
-    for (const collection in this.charmPricing) {
-      for (const category in this.charmPricing[collection]) {
-        keychains.push(...Object.keys(this.charmPricing[collection][category]));
-      }
-    }
-    return keychains.sort();
+    return this.charmCatalog.getNames();
   }
 
   /**
@@ -1979,14 +2498,7 @@ async authenticateWithServer() {
    * @returns {string|null} Category or null
    */
   getKeychainCategory(keychainName) {
-    for (const collection in this.charmPricing) {
-      for (const category in this.charmPricing[collection]) {
-        if (this.charmPricing[collection][category].hasOwnProperty(keychainName)) {
-          return category;
-        }
-      }
-    }
-    return null;
+    return this.charmCatalog.find(keychainName)?.category ?? null;
   }
 
   /**
@@ -1995,25 +2507,40 @@ async authenticateWithServer() {
    * @returns {string|null} Collection or null
    */
   getKeychainCollection(keychainName) {
-    for (const collection in this.charmPricing) {
-      for (const category in this.charmPricing[collection]) {
-        if (this.charmPricing[collection][category].hasOwnProperty(keychainName)) {
-          return collection;
-        }
-      }
+    return this.charmCatalog.find(keychainName)?.collection ?? null;
+  }
+
+  /**
+   * Value an item's applied stickers and attach the result to the item
+   * @param {Object} item - Item with stickers
+   * @returns {Promise<Object|null>} Valuation or null without stickers
+   */
+  async valueStickers(item) {
+    try {
+      const priceData = await this.fetchPriceData();
+      const valuation = this.stickerValuation.valuate(item, priceData);
+
+      item.sticker_valuation = valuation;
+      item.sticker_value = valuation ? valuation.totalValue : null;
+      item.sticker_percentage = valuation ? valuation.percentage : null;
+      item.sticker_craft = valuation?.craft ? `${valuation.craft.count}x ${valuation.craft.name}` : null;
+      item.sticker_value_display = valuation && valuation.totalValue > 0 ? this.stickerValuation.describe(valuation) : null;
+      return valuation;
+    } catch (error) {
+      console.error('❌ Error valuing stickers:', error);
+      return null;
     }
-    return null;
   }
 
   /**
    * Check keychain percentage value
    * @param {Object} item - Item data
-   * @param {Object} charmDetails - Charm details
+   * @param {Object} charmDetails - Charm details (price = all attached keychains)
    * @returns {Object} Percentage check result
    */
   checkKeychainPercentage(item, charmDetails) {
-    const marketValue = item.market_value ? (item.market_value / 100) : 0;
-    const charmPrice = charmDetails.price;
+    const marketValue = this.currency.coinsToUsd(item.market_value);
+    const charmPrice = charmDetails.price;  // Every attached charm and slab
     
     if (marketValue <= 0) {
       return { 
@@ -2024,17 +2551,18 @@ async authenticateWithServer() {
     }
     
     const percentage = (charmPrice / marketValue) * 100;
+    const label = charmDetails.charms?.length > 1 ? `${charmDetails.charms.length} keychains are` : 'Charm is';
     
     if (percentage >= this.keychainFilter.percentageThreshold) {
       return { 
         isGood: true, 
-        reason: `Charm is ${percentage.toFixed(2)}% of market value (≥${this.keychainFilter.percentageThreshold}%)`,
+        reason: `${label} ${percentage.toFixed(2)}% of market value (≥${this.keychainFilter.percentageThreshold}%)`,
         percentage: percentage
       };
     } else {
       return { 
         isGood: false, 
-        reason: `Charm is ${percentage.toFixed(2)}% of market value (<${this.keychainFilter.percentageThreshold}%)`,
+        reason: `${label} ${percentage.toFixed(2)}% of market value (<${this.keychainFilter.percentageThreshold}%)`,
         percentage: percentage
       };
     }
@@ -2046,7 +2574,7 @@ async authenticateWithServer() {
    * @returns {Object} Price range check result
    */
   checkKeychainItemPriceRange(item) {
-    const marketValue = item.market_value ? (item.market_value / 100) : 0;
+    const marketValue = this.currency.coinsToUsd(item.market_value);
     
     console.log(`🔍 Checking item price range: Item market value: $${marketValue.toFixed(2)}, Min: ${this.keychainFilter.minItemPrice}, Max: ${this.keychainFilter.maxItemPrice}`);
     
@@ -2107,7 +2635,7 @@ async authenticateWithServer() {
       return "N/A (Purchase Price Unknown)";
     }
 
-    const purchasePriceDollars = purchasePriceCents / 100;
+    const purchasePriceDollars = this.currency.coinsToUsd(purchasePriceCents);
 
     if (purchasePriceDollars === 0) {
         return "N/A (Purchase Price is Zero)";
@@ -2131,8 +2659,10 @@ async authenticateWithServer() {
   /**
    * Handle when a target item is found
    * @param {Object} itemData - Item data
+   * @param {Object} options - Handling options
+   * @param {boolean} options.display - Queue the match for display (false: history only)
    */
-  async handleNotificationFound(itemData) {
+  async handleNotificationFound(itemData, { display = true } = {}) {
     if (!this.isMonitoringEnabled) {
       console.log('🚫 Notification found but monitoring is disabled - ignoring');
       return;
@@ -2141,10 +2671,6 @@ async authenticateWithServer() {
     console.log('🔔 Processing notification:', itemData);
     
     const now = Date.now();
-    if (now - this.lastNotificationTimestamp < 2000) {
-      console.log('🚫 Notification throttled');
-      return;
-    }
     
     // Enhanced: Get price comparison data for notifications
     let enhancedItemData = await this.enhanceItemDataWithPrices(itemData);
@@ -2152,7 +2678,7 @@ async authenticateWithServer() {
     // Update stats based on notification type
     this.updateNotificationStats(enhancedItemData, now);
     
-    // Store notification and manage cache
+    // Every match is kept: history first, the throttle only paces the display
     this.storeNotificationHistory(enhancedItemData);
     this.manageNotifiedItemsCache(enhancedItemData.id);
     
@@ -2163,32 +2689,80 @@ async authenticateWithServer() {
       lastNotification: now,
       lastNotificationTimestamp: now
     });
-    
+
+    if (display) {
+      this.notificationQueue.enqueue(enhancedItemData, this.getNotificationPriority(enhancedItemData));
+    }
+
+    this.updateBadge();
+  }
+
+  /**
+   * Display priority of a match (higher is shown first)
+   * @param {Object} item - Enhanced item data
+   * @returns {number} USD value of the listing, or of its charms / stickers when higher
+   */
+  getNotificationPriority(item) {
+    return Math.max(
+      this.currency.coinsToUsd(item.market_value),
+      typeof item.charm_price === 'number' ? item.charm_price : 0,
+      item.sticker_valuation?.totalValue || 0
+    );
+  }
+
+  /**
+   * Show a queued notification group on its channels
+   * @param {Object} group - Queue group { lead, items }
+   */
+  async displayNotificationGroup(group) {
+    const prices = group.items.map(item => item.market_value || 0);
+    const enhancedItemData = group.items.length > 1
+      ? {
+          ...group.lead,
+          group_count: group.items.length,
+          group_min_value: Math.min(...prices),
+          group_max_value: Math.max(...prices),
+          group_item_ids: group.items.map(item => item.id)
+        }
+      : group.lead;
+
+    // Pick the channels for this match (target → keychain tier → rule → defaults)
+    const { channels, source } = this.notificationChannels.resolve(enhancedItemData);
+    const playSound = channels.has('sound') && this.isSoundEnabled && !enhancedItemData.sound_muted;
+    console.log(`📣 Notification channels (${source}): ${[...channels].join(', ')}${group.items.length > 1 ? ` - ${group.items.length} grouped` : ''}`);
+
     console.log('📱 Showing Chrome notification');
-    await this.showBackgroundNotification(enhancedItemData);
+    await this.showBackgroundNotification(enhancedItemData, { desktop: channels.has('desktop'), sound: playSound });
 
-    // Send notification to content script
-    let notificationType = 'KEYCHAIN_FOUND'; // Default
-    if (enhancedItemData.notification_type === 'target_item') {
-      notificationType = 'ITEM_TARGET_FOUND';
-    } else if (enhancedItemData.notification_type === 'blue_gem') {
-      notificationType = 'BLUE_GEM_FOUND';
-    } else if (enhancedItemData.notification_type === 'austin_charm') {
-      // Austin charms use the same display as keychains, but with Austin-specific info
-      notificationType = 'KEYCHAIN_FOUND';
-      console.log('🏆 [Background] Sending Austin charm to content script:', {
-        notificationType,
-        notification_type: enhancedItemData.notification_type,
-        austin_sticker_count: enhancedItemData.austin_sticker_count
+    // Webhook retries run on their own so they never hold up the next match
+    if (channels.has('webhook')) {
+      this.notificationChannels.sendWebhook(enhancedItemData).catch(error => {
+        console.error('❌ Webhook delivery error:', error);
       });
     }
 
-    this.sendToContentScript(notificationType, {
-      ...enhancedItemData,
-      soundEnabled: this.isSoundEnabled
-    });
+    // Send notification to content script
+    if (channels.has('overlay')) {
+      let notificationType = 'KEYCHAIN_FOUND'; // Default
+      if (enhancedItemData.notification_type === 'target_item') {
+        notificationType = 'ITEM_TARGET_FOUND';
+      } else if (enhancedItemData.notification_type === 'blue_gem') {
+        notificationType = 'BLUE_GEM_FOUND';
+      } else if (enhancedItemData.notification_type === 'austin_charm') {
+        // Austin charms use the same display as keychains, but with Austin-specific info
+        notificationType = 'KEYCHAIN_FOUND';
+        console.log('🏆 [Background] Sending Austin charm to content script:', {
+          notificationType,
+          notification_type: enhancedItemData.notification_type,
+          austin_sticker_count: enhancedItemData.austin_sticker_count
+        });
+      }
 
-    this.updateBadge();
+      this.sendToContentScript(notificationType, {
+        ...enhancedItemData,
+        soundEnabled: playSound
+      });
+    }
   }
 
   /**
@@ -2201,7 +2775,7 @@ async authenticateWithServer() {
       id: item.id,
       market_name: item.market_name,
       charmValue: charmValue,
-      itemValueUSD: (item.market_value || 0) / 100,
+      itemValueUSD: this.currency.coinsToUsd(item.market_value),
       enabled: this.automationManager.config.enabled,
       thresholdPercentage: this.automationManager.config.thresholdPercentage,
       minPrice: this.automationManager.config.minPrice,
@@ -2217,14 +2791,17 @@ async authenticateWithServer() {
 
       if (result) {
         if (result.success) {
-          console.log(`🤖✅ CHARM AUTOMATION: Successfully withdrew ${item.market_name} (ID: ${item.id})`);
+          console.log(`🤖✅ CHARM AUTOMATION: ${result.dryRun ? 'Paper trade for' : 'Successfully withdrew'} ${item.market_name} (ID: ${item.id})`);
 
           // Enhance item data with price comparison information (like Item Target Automation)
           const enhancedItemData = await this.enhanceItemDataWithPrices({
             ...item,
             notification_type: 'automation_purchase',
             charm_automation: true,
-            charm_value: charmValue
+            charm_value: charmValue,
+            dry_run: Boolean(result.dryRun),
+            paper_trade: result.dryRun ? result.data : null,
+            trade_outcome: result.dryRun ? null : 'pending'
           });
 
           console.log('🔍 [DEBUG] Charm automation enhanced data:', {
@@ -2237,27 +2814,27 @@ async authenticateWithServer() {
           });
 
           // Create rich browser notification with price comparison
-          const itemValue = (item.market_value || item.purchase_price || 0) / 100;
+          const itemValue = this.currency.coinsToUsd(item.market_value || item.purchase_price);
           const floatText = item.wear ? `Float: ${item.wear.toFixed(6)}` : 'N/A';
-          const charmText = charmValue ? `\n💎 Charm Value: $${charmValue.toFixed(2)}` : '';
+          const charmText = charmValue ? `\n💎 Charm Value: ${this.currency.format(charmValue)}` : '';
 
           // Build price comparison text
           let priceComparison = '';
           if (enhancedItemData.buff163_price) {
             const buff163Diff = enhancedItemData.buff163_percentage ||
               (((itemValue - enhancedItemData.buff163_price) / enhancedItemData.buff163_price) * 100);
-            priceComparison += `\n💰 Buff163: $${enhancedItemData.buff163_price.toFixed(2)} (${buff163Diff.toFixed(1)}% diff)`;
+            priceComparison += `\n💰 Buff163: ${this.currency.format(enhancedItemData.buff163_price)} (${buff163Diff.toFixed(1)}% diff)`;
           }
           if (enhancedItemData.csfloat_price) {
-            priceComparison += `\n💰 CSFloat: $${enhancedItemData.csfloat_price.toFixed(2)}`;
+            priceComparison += `\n💰 CSFloat: ${this.currency.format(enhancedItemData.csfloat_price)}`;
           }
 
           const notificationId = `charm_automation_${item.id}_${Date.now()}`;
           chrome.notifications.create(notificationId, {
             type: 'basic',
             iconUrl: 'icons/icon128.png',
-            title: '🤖 AUTO-PURCHASED! (Charm)',
-            message: `${item.market_name}\n💰 Empire: $${itemValue.toFixed(2)}\n🎯 ${floatText}${charmText}${priceComparison}`,
+            title: result.dryRun ? '🧪 PAPER TRADE (Charm)' : '🤖 AUTO-PURCHASED! (Charm)',
+            message: `${item.market_name}\n💰 Empire: ${this.currency.format(itemValue)}\n🎯 ${floatText}${charmText}${priceComparison}`,
             priority: 2,
             requireInteraction: true
           }, (createdId) => {
@@ -2296,6 +2873,7 @@ async authenticateWithServer() {
             data: {
               item: item,
               charmValue: charmValue,
+              dryRun: Boolean(result.dryRun),
               stats: this.automationManager.getSettings().stats
             }
           }).catch(() => {
@@ -2306,13 +2884,13 @@ async authenticateWithServer() {
           console.log(`🤖❌ CHARM AUTOMATION: Failed to withdraw ${item.market_name}: ${result.error}`);
 
           // Create browser notification for failed auto-purchase
-          const itemValue = (item.market_value || item.purchase_price || 0) / 100;
+          const itemValue = this.currency.coinsToUsd(item.market_value || item.purchase_price);
 
           chrome.notifications.create({
             type: 'basic',
             iconUrl: 'icon128.png',
             title: '❌ AUTO-PURCHASE FAILED (Charm)',
-            message: `${item.market_name} ($${itemValue.toFixed(2)})\nReason: ${result.error}`,
+            message: `${item.market_name} (${this.currency.format(itemValue)})\nReason: ${result.error}`,
             priority: 1
           });
 
@@ -2334,6 +2912,94 @@ async authenticateWithServer() {
     }
   }
 
+  /**
+   * Notify the user that spend limits paused automation
+   * @param {string} reason - Cap that was reached
+   */
+  notifyAutomationPaused(reason) {
+    chrome.notifications.create(`automation_paused_${Date.now()}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: '⏸️ AUTOMATION PAUSED',
+      message: `${reason}\nResume from the Automation tab when ready.`,
+      priority: 2,
+      requireInteraction: true
+    });
+
+    chrome.runtime.sendMessage({
+      type: 'AUTOMATION_BUDGET_PAUSED',
+      data: this.automationBudget.getStatus()
+    }).catch(() => {
+      // Popup may not be open, ignore error
+    });
+  }
+
+  /**
+   * Resolve sniped auctions that left the market and report wins
+   * @param {Array|Object} data - Deleted item data
+   */
+  async resolveSnipedAuctions(data) {
+    if (this.auctionSnipeManager.auctions.size === 0) {
+      return;
+    }
+
+    try {
+      const ids = Array.isArray(data) ? data : [data];
+      const finished = await this.auctionSnipeManager.handleDeleted(ids);
+
+      for (const { item, won, ourBid } of finished) {
+        if (!won) continue;
+
+        const bidValue = this.currency.coinsToUsd(ourBid);
+        const enhancedItemData = await this.enhanceItemDataWithPrices({
+          ...item,
+          notification_type: 'automation_purchase',
+          auction_snipe: true,
+          purchase_price: ourBid,
+          trade_outcome: 'pending'
+        });
+
+        chrome.notifications.create(`auction_snipe_${item.id}_${Date.now()}`, {
+          type: 'basic',
+          iconUrl: 'icons/icon128.png',
+          title: '🔨 AUCTION WON!',
+          message: `${item.market_name}\n💰 Winning bid: ${this.currency.format(bidValue)}`,
+          priority: 2,
+          requireInteraction: true
+        }, (createdId) => {
+          if (chrome.runtime.lastError) {
+            console.error('❌ Auction snipe notification error:', chrome.runtime.lastError);
+          } else {
+            // Auto-clear after 30 seconds
+            setTimeout(() => {
+              chrome.notifications.clear(createdId);
+            }, 30000);
+          }
+        });
+
+        await this.storeNotificationHistory(enhancedItemData);
+
+        this.sendToContentScript('ITEM_TARGET_FOUND', {
+          ...enhancedItemData,
+          soundEnabled: this.isSoundEnabled
+        });
+
+        chrome.runtime.sendMessage({
+          type: 'AUCTION_SNIPE_WON',
+          data: {
+            item: item,
+            bidValue: bidValue,
+            stats: this.auctionSnipeManager.getSettings().stats
+          }
+        }).catch(() => {
+          // Popup may not be open, ignore error
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error resolving sniped auctions:', error);
+    }
+  }
+
   /**
    * Trigger Item Target automation for item withdrawal
    * @param {Object} item - Item data
@@ -2345,13 +3011,16 @@ async authenticateWithServer() {
 
       if (result) {
         if (result.success) {
-          console.log(`🎯✅ ITEM TARGET AUTOMATION: Successfully withdrew ${item.market_name} (ID: ${item.id})`);
+          console.log(`🎯✅ ITEM TARGET AUTOMATION: ${result.dryRun ? 'Paper trade for' : 'Successfully withdrew'} ${item.market_name} (ID: ${item.id})`);
 
           // Enhance item data with price comparison information
           const enhancedItemData = await this.enhanceItemDataWithPrices({
             ...item,
             notification_type: 'automation_purchase',
-            automation_matched_entry: result.matchedEntry
+            automation_matched_entry: result.matchedEntry,
+            dry_run: Boolean(result.dryRun),
+            paper_trade: result.dryRun ? result.data : null,
+            trade_outcome: result.dryRun ? null : 'pending'
           });
 
           console.log('🔍 [DEBUG] Enhanced item data after enhanceItemDataWithPrices:', {
@@ -2364,7 +3033,7 @@ async authenticateWithServer() {
           });
 
           // Create rich browser notification with price comparison
-          const itemValue = (item.market_value || item.purchase_price || 0) / 100;
+          const itemValue = this.currency.coinsToUsd(item.market_value || item.purchase_price);
           const floatText = item.wear ? `Float: ${item.wear.toFixed(6)}` : 'N/A';
 
           // Build price comparison text
@@ -2372,18 +3041,18 @@ async authenticateWithServer() {
           if (enhancedItemData.buff163_price) {
             const buff163Diff = enhancedItemData.buff163_percentage ||
               (((itemValue - enhancedItemData.buff163_price) / enhancedItemData.buff163_price) * 100);
-            priceComparison += `\n💰 Buff163: $${enhancedItemData.buff163_price.toFixed(2)} (${buff163Diff.toFixed(1)}% diff)`;
+            priceComparison += `\n💰 Buff163: ${this.currency.format(enhancedItemData.buff163_price)} (${buff163Diff.toFixed(1)}% diff)`;
           }
           if (enhancedItemData.csfloat_price) {
-            priceComparison += `\n💰 CSFloat: $${enhancedItemData.csfloat_price.toFixed(2)}`;
+            priceComparison += `\n💰 CSFloat: ${this.currency.format(enhancedItemData.csfloat_price)}`;
           }
 
           const notificationId = `automation_${item.id}_${Date.now()}`;
           chrome.notifications.create(notificationId, {
             type: 'basic',
             iconUrl: 'icons/icon128.png',
-            title: '🤖 AUTO-PURCHASED!',
-            message: `${item.market_name}\n💰 Empire: $${itemValue.toFixed(2)}\n🎯 ${floatText}${priceComparison}`,
+            title: result.dryRun ? '🧪 PAPER TRADE' : '🤖 AUTO-PURCHASED!',
+            message: `${item.market_name}\n💰 Empire: ${this.currency.format(itemValue)}\n🎯 ${floatText}${priceComparison}`,
             priority: 2,
             requireInteraction: true
           }, (createdId) => {
@@ -2422,6 +3091,7 @@ async authenticateWithServer() {
             type: 'ITEM_TARGET_AUTOMATION_WITHDRAWAL_SUCCESS',
             data: {
               item: item,
+              dryRun: Boolean(result.dryRun),
               stats: this.itemTargetAutomationManager.getSettings().stats
             }
           }).catch(() => {
@@ -2432,13 +3102,13 @@ async authenticateWithServer() {
           console.log(`🎯❌ ITEM TARGET AUTOMATION: Failed to withdraw ${item.market_name}: ${result.error}`);
 
           // Create browser notification for failed auto-purchase
-          const itemValue = (item.market_value || item.purchase_price || 0) / 100;
+          const itemValue = this.currency.coinsToUsd(item.market_value || item.purchase_price);
 
           chrome.notifications.create({
             type: 'basic',
             iconUrl: 'icon128.png',
             title: '❌ AUTO-PURCHASE FAILED',
-            message: `${item.market_name} ($${itemValue.toFixed(2)})\nReason: ${result.error}`,
+            message: `${item.market_name} (${this.currency.format(itemValue)})\nReason: ${result.error}`,
             priority: 1
           });
 
@@ -2489,7 +3159,7 @@ async authenticateWithServer() {
       console.log('💰 Enhanced notification with price data:', {
         buff163_price: enhancedItemData.buff163_price,
         csfloat_price: enhancedItemData.csfloat_price,
-        empire_price: itemData.market_value ? (itemData.market_value / 100) : 0,
+        empire_price: this.currency.coinsToUsd(itemData.market_value),
         buff163_percentage: enhancedItemData.buff163_percentage
       });
       
@@ -2507,20 +3177,18 @@ async authenticateWithServer() {
    * @param {Object} priceData - Price data cache
    */
   addDopplerPriceData(enhancedItemData, itemName, priceData) {
-    const dopplerPattern = /(Ruby|Sapphire|Emerald|Black Pearl|Phase [1-4])$/i;
-    const match = itemName.match(dopplerPattern);
+    const parsed = DopplerPhase.parse(itemName);
     
-    if (match) {
-      const phaseOrGem = this.toTitleCase(match[0].trim());
-      const baseItemName = itemName.replace(dopplerPattern, '').trim().replace(/-$/, '').trim();
-      const baseKey = this.cleanMarketHashName(baseItemName).toLowerCase();
+    if (parsed) {
+      const baseKey = this.cleanMarketHashName(parsed.baseName).toLowerCase();
+      enhancedItemData.doppler_phase = parsed.phase;
       
       const priceInfo = priceData[baseKey];
-      if (priceInfo?.buffPrice?.doppler?.[phaseOrGem]) {
-        enhancedItemData.buff163_price = priceInfo.buffPrice.doppler[phaseOrGem];
+      if (priceInfo?.buffPrice?.doppler?.[parsed.phase]) {
+        enhancedItemData.buff163_price = priceInfo.buffPrice.doppler[parsed.phase];
       }
-      if (priceInfo?.csfloatPrice?.doppler?.[phaseOrGem]) {
-        enhancedItemData.csfloat_price = priceInfo.csfloatPrice.doppler[phaseOrGem];
+      if (priceInfo?.csfloatPrice?.doppler?.[parsed.phase]) {
+        enhancedItemData.csfloat_price = priceInfo.csfloatPrice.doppler[parsed.phase];
       }
     }
   }
@@ -2553,6 +3221,66 @@ async authenticateWithServer() {
     }
   }
 
+  /**
+   * Marketplace prices of an item in USD, keyed by venue id
+   * @param {Object} item - Item to price
+   * @param {Object} priceData - Price data cache
+   * @returns {Object} { buff163: 12.3, csfloat: null, ... }
+   */
+  getMarketplacePrices(item, priceData) {
+    const fields = {};
+
+    if (priceData && item.market_name) {
+      if (this.isDopplerItem(item.market_name)) {
+        this.addDopplerPriceData(fields, item.market_name, priceData);
+      } else {
+        this.addStandardPriceData(fields, this.cleanMarketHashName(item.market_name).toLowerCase(), priceData);
+      }
+    }
+
+    return Object.fromEntries(Object.entries(ARBITRAGE_VENUES).map(([id, venue]) => [id, fields[venue.priceField] ?? null]));
+  }
+
+  /**
+   * ========================================================================
+   * ARBITRAGE SCANNER
+   * ========================================================================
+   */
+
+  /**
+   * Rank a listing in the arbitrage scanner
+   * @param {Object} item - Listing
+   */
+  async scanArbitrage(item) {
+    try {
+      const priceData = await this.fetchPriceData();
+      const { opportunity, reason } = this.arbitrageScanner.consider(item, this.getMarketplacePrices(item, priceData));
+      if (opportunity) {
+        console.log(`📊 Arbitrage: ${item.market_name} nets $${opportunity.spread.toFixed(2)} (${opportunity.spreadPercent.toFixed(1)}%) on ${opportunity.venue}`);
+      } else {
+        console.log(`📊 Arbitrage skipped: ${item.market_name} - ${reason}`);
+      }
+    } catch (error) {
+      console.error('❌ Error scanning arbitrage:', error);
+    }
+  }
+
+  /**
+   * Push the arbitrage top-N to the popup
+   * @param {Array<Object>} opportunities - Ranked opportunities
+   */
+  publishArbitrageUpdate(opportunities) {
+    chrome.runtime.sendMessage({
+      type: 'ARBITRAGE_UPDATE',
+      data: {
+        opportunities: opportunities,
+        scanned: this.arbitrageScanner.scanned
+      }
+    }).catch(() => {
+      // Popup may not be open, ignore error
+    });
+  }
+
   /**
    * Update notification statistics
    * @param {Object} enhancedItemData - Enhanced item data
@@ -2585,70 +3313,88 @@ async authenticateWithServer() {
 /**
  * Show Chrome background notification
  * @param {Object} itemData - Item data for notification
+ * @param {Object} channels - Channels to use
+ * @param {boolean} channels.desktop - Create the Chrome notification
+ * @param {boolean} channels.sound - Play the notification sound
  */
-async showBackgroundNotification(itemData) {
+async showBackgroundNotification(itemData, { desktop = true, sound = this.isSoundEnabled && !itemData.sound_muted } = {}) {
   const isTargetItem = itemData.notification_type === 'target_item';
   
   let displayInfo = '';
   if (isTargetItem) {
     const targetKeyword = itemData.target_item_matched?.name || itemData.target_item_matched?.keyword || 'Unknown';
     displayInfo = `🎯 Target: ${targetKeyword}`;
+    if (itemData.pattern_tier_display) {
+      displayInfo += `\n🧬 ${itemData.pattern_tier_display}`;
+    }
+    if (itemData.sticker_value_display) {
+      displayInfo += `\n🏷️ ${itemData.sticker_value_display}`;
+    }
   } else {
     const keychainNames = itemData.keychains ? 
       (Array.isArray(itemData.keychains) ? itemData.keychains.map(k => k.name).join(', ') : itemData.keychains) : 
       'Unknown';
     displayInfo = `🔑 ${keychainNames}`;
+    if (itemData.charm_pattern_display) {
+      displayInfo += `\n🧿 ${itemData.charm_pattern_display}`;
+    }
   }
   
-  const marketValue = itemData.market_value ? (itemData.market_value / 100).toFixed(2) : 'Unknown';
+  const marketValue = itemData.market_value ? this.currency.formatCoins(itemData.market_value) : 'Unknown';
   const floatValue = itemData.wear !== undefined && itemData.wear !== null ? 
     parseFloat(itemData.wear).toFixed(6) : 'Unknown';
   const aboveRecommended = itemData.above_recommended_price !== undefined ? 
     itemData.above_recommended_price.toFixed(1) : 'Unknown';
 
-  try {
-    const notificationId = `notification_${itemData.id}_${Date.now()}`;
-    
-    const title = isTargetItem ? 'EMPIRE ENHANCED - TARGET ITEM FOUND!' : 'EMPIRE ENHANCED - TARGET FOUND!';
-    
-    const detailedMessage = [
-      displayInfo,
-      `💰 Market: ${marketValue}`,
-      `🎯 Float: ${floatValue}`,
-      `📈 ${aboveRecommended}% above recommended`
-    ].join('\n');
-
-    
-// Chrome notification
-chrome.notifications.create(notificationId, {
-  type: 'basic',
-  iconUrl: 'icons/icon128.png',
-  title: title,
-  message: `${itemData.market_name}\n${detailedMessage}`,
-  priority: 2,
-  requireInteraction: true
-}, (createdId) => {
-  if (chrome.runtime.lastError) {
-    console.error('❌ Chrome notification error:', chrome.runtime.lastError);
-  } else {
-    console.log('✅ Chrome notification created:', createdId);
+  if (desktop) {
+    try {
+      const notificationId = `notification_${itemData.id}_${Date.now()}`;
     
-    setTimeout(() => {
-      chrome.notifications.clear(createdId);
-    }, 30000);
-  }
-});
+      const grouped = itemData.group_count > 1;
+      const title = isTargetItem
+        ? `EMPIRE ENHANCED - ${grouped ? `${itemData.group_count}× ` : ''}TARGET ITEM FOUND!`
+        : `EMPIRE ENHANCED - ${grouped ? `${itemData.group_count}× ` : ''}TARGET FOUND!`;
+    
+      const detailedMessage = [
+        displayInfo,
+        `💰 Market: ${marketValue}`,
+        `🎯 Float: ${floatValue}`,
+        `📈 ${aboveRecommended}% above recommended`,
+        grouped ? `📦 ${itemData.group_count} listings: ${this.currency.formatCoins(itemData.group_min_value)} - ${this.currency.formatCoins(itemData.group_max_value)}` : null
+      ].filter(Boolean).join('\n');
 
-    // Store notification in history
-    console.log('📱 Chrome notification sent for item:', itemData.id);
+    
+  // Chrome notification
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: title,
+    message: `${itemData.market_name}\n${detailedMessage}`,
+    priority: 2,
+    requireInteraction: true
+  }, (createdId) => {
+    if (chrome.runtime.lastError) {
+      console.error('❌ Chrome notification error:', chrome.runtime.lastError);
+    } else {
+      console.log('✅ Chrome notification created:', createdId);
+    
+      setTimeout(() => {
+        chrome.notifications.clear(createdId);
+      }, 30000);
+    }
+  });
 
-  } catch (error) {
-    console.error('❌ Error creating Chrome notification:', error.message);
+      // Store notification in history
+      console.log('📱 Chrome notification sent for item:', itemData.id);
+
+    } catch (error) {
+      console.error('❌ Error creating Chrome notification:', error.message);
+    }
   }
 
-  if (this.isSoundEnabled) {
+  if (sound) {
     try {
-      await this.playNotificationSound();
+      await this.playNotificationSound(itemData.notification_type === 'charm_pattern' ? 'charm_pattern' : 'default');
     } catch (error) {
       console.error('❌ Error playing notification sound:', error);
     }
@@ -2665,11 +3411,12 @@ chrome.notifications.create(notificationId, {
 
   /**
    * Play notification sound using various methods
+   * @param {string} sound - 'default' or 'charm_pattern'
    */
-  async playNotificationSound() {
+  async playNotificationSound(sound = 'default') {
     try {
       if (chrome.offscreen) {
-        await this.playOffscreenSound();
+        await this.playOffscreenSound(sound);
       } else {
         this.playTTSSound();
       }
@@ -2681,8 +3428,9 @@ chrome.notifications.create(notificationId, {
 
   /**
    * Play sound using offscreen document
+   * @param {string} sound - 'default' or 'charm_pattern'
    */
-  async playOffscreenSound() {
+  async playOffscreenSound(sound = 'default') {
     try {
       let existingContexts = [];
       try {
@@ -2703,7 +3451,8 @@ chrome.notifications.create(notificationId, {
 
       setTimeout(() => {
         chrome.runtime.sendMessage({
-          type: 'PLAY_NOTIFICATION_SOUND'
+          type: 'PLAY_NOTIFICATION_SOUND',
+          sound
         }).catch(error => {
           console.log('🔊 Offscreen message failed, using TTS fallback');
           this.playTTSSound();
@@ -2750,15 +3499,14 @@ chrome.notifications.create(notificationId, {
    */
   async storeNotificationHistory(itemData) {
     try {
-      const result = await chrome.storage.local.get(['notificationHistory']);
-      let history = result.notificationHistory || [];
-      
-      // Clean old entries (24 hours)
-      const twentyFourHoursAgo = Date.now() - (24 * 60 * 60 * 1000);
-      history = history.filter(item => item.timestamp > twentyFourHoursAgo);
-      
       const historyItem = this.createHistoryItem(itemData);
 
+      // Follow the item until it leaves the market (it may already be gone)
+      const lifecycle = this.itemLifecycleTracker.watch(itemData);
+      if (lifecycle.status !== 'listed') {
+        historyItem.lifecycle = this.itemLifecycleTracker.getSummary(lifecycle);
+      }
+
       console.log('🔍 [DEBUG] History item created:', {
         id: historyItem.id,
         market_name: historyItem.market_name,
@@ -2767,21 +3515,31 @@ chrome.notifications.create(notificationId, {
         csfloat_price: historyItem.csfloat_price
       });
 
-      history.unshift(historyItem);
+      // Retention (days / max entries) is applied by the store
+      await this.notificationHistory.add(historyItem);
+      this.publishHistoryUpdate();
 
-      // Limit history size
-      if (history.length > 100) {
-        history = history.slice(0, 100);
-      }
-
-      await chrome.storage.local.set({notificationHistory: history});
-
-      console.log(`💾 Notification stored in history (total: ${history.length} items)`);
+      console.log('💾 Notification stored in history');
     } catch (error) {
       console.error('❌ Error storing notification history:', error);
+      this.historyWriteFailures = {
+        count: (this.historyWriteFailures?.count || 0) + 1,
+        lastError: error.message,
+        lastAt: Date.now()
+      };
+      this.publishHistoryUpdate();
     }
   }
 
+  /**
+   * Tell an open history page that entries changed
+   */
+  publishHistoryUpdate() {
+    chrome.runtime.sendMessage({ type: 'NOTIFICATION_HISTORY_UPDATED' }).catch(() => {
+      // History page may not be open, ignore error
+    });
+  }
+
   /**
    * Create history item from notification data
    * @param {Object} itemData - Item data
@@ -2805,6 +3563,10 @@ chrome.notifications.create(notificationId, {
       charm_name: itemData.charm_name,
       charm_price: itemData.charm_price,
       charm_collection: itemData.charm_collection,
+      charm_breakdown: itemData.charm_breakdown || null,
+      charm_pattern: itemData.charm_pattern ?? null,
+      charm_pattern_tier: itemData.charm_pattern_tier ?? null,
+      charm_pattern_display: itemData.charm_pattern_display || null,
       published_at: itemData.published_at || new Date().toISOString(),
       timestamp: Date.now(),
 
@@ -2812,6 +3574,17 @@ chrome.notifications.create(notificationId, {
       blue_percentage: itemData.blue_percentage,
       blue_percentage_display: itemData.blue_percentage_display,
 
+      // Paint seed and the tier list entry it hit
+      paint_seed: itemData.paint_seed ?? itemData.pattern ?? null,
+      pattern_tier: itemData.pattern_tier || null,
+      pattern_tier_display: itemData.pattern_tier_display || null,
+
+      // Applied sticker value
+      sticker_value: itemData.sticker_value ?? null,
+      sticker_percentage: itemData.sticker_percentage ?? null,
+      sticker_craft: itemData.sticker_craft || null,
+      sticker_value_display: itemData.sticker_value_display || null,
+
       // Price fields
       buff163_price: itemData.buff163_price,
       csfloat_price: itemData.csfloat_price,
@@ -2820,7 +3593,26 @@ chrome.notifications.create(notificationId, {
       bitskins_price: itemData.bitskins_price,
       skinport_price: itemData.skinport_price,
       buff163_percentage: itemData.buff163_percentage,
-      empire_price: itemData.market_value ? (itemData.market_value / 100) : 0
+      empire_price: this.currency.coinsToUsd(itemData.market_value),
+      coin_rate: this.currency.config.coinRate,
+
+      // Rule engine fields
+      matched_rule: itemData.matched_rule,
+      rule_tags: itemData.rule_tags || [],
+
+      // Auction snipe wins (purchase_price holds the winning bid)
+      auction_snipe: itemData.auction_snipe || false,
+
+      // Paper trading (dry-run purchases with the reference price at the time)
+      dry_run: itemData.dry_run || false,
+      paper_trade: itemData.paper_trade || null,
+
+      // Real automation purchases: pending until WithdrawalReconciler settles them
+      trade_outcome: itemData.trade_outcome || null,
+      trade_status_message: null,
+
+      // Lifecycle summary, filled in once the item leaves the market
+      lifecycle: null
     };
   }
 
@@ -2831,17 +3623,10 @@ chrome.notifications.create(notificationId, {
    */
 
   /**
-   * Fetch price data from external APIs with caching
-   * @returns {Promise<Object>} Price data
+   * Fetch price data from every enabled price source, each on its own TTL
+   * @returns {Promise<Object>} Combined price data
    */
   async fetchPriceData() {
-    // Use cache if it's less than 1 hour old
-    if (this.priceDataCache && (Date.now() - this.priceCacheTimestamp < 3600000)) {
-      return this.priceDataCache;
-    }
-
-    console.log('📡 Fetching fresh prices from csgotrader.app APIs...');
-
     // Get enabled marketplaces from settings
     const settings = await chrome.storage.sync.get({
       marketplaces: {
@@ -2854,127 +3639,41 @@ chrome.notifications.create(notificationId, {
       }
     });
 
-    const marketplaces = settings.marketplaces;
-    const fetchPromises = [];
-    const marketplaceNames = [];
-
-    // Add enabled marketplaces to fetch list
-    if (marketplaces.csfloat) {
-      fetchPromises.push(fetch('https://prices.csgotrader.app/latest/csfloat.json'));
-      marketplaceNames.push('csfloat');
-    }
-    if (marketplaces.buff163) {
-      fetchPromises.push(fetch('https://prices.csgotrader.app/latest/buff163.json'));
-      marketplaceNames.push('buff163');
-    }
-    if (marketplaces.youpin) {
-      fetchPromises.push(fetch('https://prices.csgotrader.app/latest/youpin.json'));
-      marketplaceNames.push('youpin');
-    }
-    if (marketplaces.steam) {
-      fetchPromises.push(fetch('https://prices.csgotrader.app/latest/steam.json'));
-      marketplaceNames.push('steam');
-    }
-    if (marketplaces.bitskins) {
-      fetchPromises.push(fetch('https://prices.csgotrader.app/latest/bitskins.json'));
-      marketplaceNames.push('bitskins');
-    }
-    if (marketplaces.skinport) {
-      fetchPromises.push(fetch('https://prices.csgotrader.app/latest/skinport.json'));
-      marketplaceNames.push('skinport');
-    }
+    const enabledIds = this.priceSources.getEnabledIds(settings.marketplaces);
+    const sourcesKey = enabledIds.join(',');
 
     try {
-      const responses = await Promise.all(fetchPromises);
-      const priceDataArray = await Promise.all(responses.map(r => r.json()));
+      // A failing source keeps its last good data; the others still refresh
+      const updated = await this.priceSources.refresh(enabledIds);
 
-      // Combine all price data
-      const allPriceData = {};
-      priceDataArray.forEach((data, index) => {
-        allPriceData[marketplaceNames[index]] = data;
-      });
+      if (updated || !this.priceDataCache || this.priceCacheSources !== sourcesKey) {
+        this.priceDataCache = this.priceSources.getCombinedPrices(enabledIds);
+        this.priceCacheSources = sourcesKey;
+        this.priceCacheTimestamp = Date.now();
+        console.log(`✅ Price cache updated with ${Object.keys(this.priceDataCache).length} items from ${enabledIds.join(', ')}.`);
 
-      this.priceDataCache = this.combinePriceData(allPriceData);
-      this.priceCacheTimestamp = Date.now();
+        if (updated) {
+          this.priceHistory.record(this.priceDataCache);
+        }
 
-      console.log(`✅ Price cache updated with ${Object.keys(this.priceDataCache).length} items from ${marketplaceNames.join(', ')}.`);
+        await this.charmCatalog.refresh(this.priceDataCache);
+      }
 
       return this.priceDataCache;
 
     } catch (error) {
-      console.error('❌ Error fetching prices directly:', error.message);
+      console.error('❌ Error fetching prices:', error.message);
       return this.priceDataCache || {}; // Return old cache if fetching fails
     }
   }
 
   /**
-   * Combine price data from multiple marketplaces
-   * @param {Object} allPriceData - Object containing price data from all marketplaces
-   * @returns {Object} Combined price data
+   * Get per-source price feed health for the popup
+   * @returns {Promise<Array<Object>>} Source health
    */
-  combinePriceData(allPriceData) {
-    const combinedPrices = new Map();
-
-    // Process each marketplace's data
-    const marketplaceMap = {
-      csfloat: 'csfloatPrice',
-      buff163: 'buffPrice',
-      youpin: 'youpinPrice',
-      steam: 'steamPrice',
-      bitskins: 'bitskinsPrice',
-      skinport: 'skinportPrice'
-    };
-
-    for (const [marketplace, priceKey] of Object.entries(marketplaceMap)) {
-      const marketplaceData = allPriceData[marketplace];
-      if (!marketplaceData) continue;
-
-      for (const [name, data] of Object.entries(marketplaceData)) {
-        const lowerName = name.toLowerCase();
-        const existingEntry = combinedPrices.get(lowerName) || {};
-
-        // Handle different data structures from different marketplaces
-        let priceData = null;
-
-        if (marketplace === 'buff163') {
-          // Buff163 has starting_at structure: { starting_at: { price, doppler: {...} } }
-          if (data && data.starting_at) {
-            priceData = data.starting_at;
-          }
-        } else if (marketplace === 'steam') {
-          // Steam has time-based pricing: { last_24h, last_7d, last_30d, last_90d }
-          // Use last_7d as it's more stable than last_24h
-          if (data && typeof data === 'object' && data.last_7d !== undefined && data.last_7d !== null) {
-            priceData = { price: data.last_7d };
-          } else if (data && typeof data === 'object' && data.last_30d !== undefined && data.last_30d !== null) {
-            // Fallback to last_30d if last_7d is unavailable
-            priceData = { price: data.last_30d };
-          }
-        } else if (marketplace === 'youpin') {
-          // YouPin has direct price: just a number
-          if (typeof data === 'number' && data !== null) {
-            priceData = { price: data };
-          }
-        } else if (marketplace === 'skinport') {
-          // Skinport has: { starting_at: number, suggested_price: number|null }
-          if (data && typeof data === 'object' && data.starting_at !== undefined && data.starting_at !== null) {
-            priceData = { price: data.starting_at };
-          }
-        } else {
-          // CSFloat, BitSkins have object structure: { price, doppler: {...} }
-          if (data && typeof data === 'object') {
-            priceData = data;
-          }
-        }
-
-        // Store the price data if we successfully parsed it
-        if (priceData) {
-          combinedPrices.set(lowerName, { ...existingEntry, [priceKey]: priceData });
-        }
-      }
-    }
-
-    return Object.fromEntries(combinedPrices);
+  async getPriceSourceHealth() {
+    const settings = await chrome.storage.sync.get({ marketplaces: {} });
+    return this.priceSources.getHealth(this.priceSources.getEnabledIds(settings.marketplaces));
   }
 
   /**
@@ -3292,14 +3991,21 @@ async updateItemTargetList(itemTargetList) {
           percentDiffFilter: {
             enabled: item.percentDiffFilter?.enabled || false,
             min: item.percentDiffFilter?.min || null,
-            max: item.percentDiffFilter?.max || null
+            max: item.percentDiffFilter?.max || null,
+            maxTrendDrop: item.percentDiffFilter?.maxTrendDrop ?? null,
+            trendDays: item.percentDiffFilter?.trendDays || 7
           },
+          dopplerPhases: item.dopplerPhases || [],
+          patternFilter: item.patternFilter || { enabled: false, seeds: [], listId: null, tiers: [] },
+          stickerFilter: item.stickerFilter || { enabled: false, minPercentage: null, minValue: null, craftOnly: false },
           priceFilter: {
             enabled: item.priceFilter?.enabled || false,
             min: item.priceFilter?.min || null,
             max: item.priceFilter?.max || null
-          }
+          },
+          channels: item.channels || []
         })),
+        itemRules: this.ruleEngine.rules,
         floatFilterEnabled: true,
         lastUpdated: new Date().toISOString(),
         version: "1.0"
@@ -3503,6 +4209,24 @@ async updateItemTargetList(itemTargetList) {
    * ========================================================================
    */
 
+  /**
+   * Post a sample match to the webhook
+   * @returns {Promise<Object>} Delivery result { ok, status, attempts, error }
+   */
+  async testNotificationWebhook() {
+    console.log('🧪 Sending test webhook...');
+
+    return this.notificationChannels.sendWebhook({
+      id: `test-webhook-${Date.now()}`,
+      market_name: 'AK-47 | Redline (Field-Tested)',
+      market_value: 3907,
+      above_recommended_price: -4.7,
+      wear: 0.1234567,
+      notification_type: 'target_item',
+      target_item_matched: { name: 'Webhook Test' }
+    });
+  }
+
   /**
    * Send test notification for debugging
    * @returns {Promise<Object>}
@@ -3613,6 +4337,7 @@ async updateItemTargetList(itemTargetList) {
         totalKeychains: this.getAllKeychainNames().length
       },
       itemTargetListCount: this.itemTargetList.length,
+      lifecycle: this.itemLifecycleTracker.getWatchedStats(),
       autoJsonSync: {
         lastSync: this.lastAutoJsonSync
       }
@@ -3737,6 +4462,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }, sendResponse);
       return true;
       
+    case 'GET_EMPIRE_ITEM':
+      handleAsyncMessage(async () => {
+        const response = await manager.empireApi.getItem(message.data.itemId);
+        return { data: response.data };
+      }, sendResponse);
+      return true;
+
     case 'PLAY_NOTIFICATION_SOUND':
       console.log('🔊 Playing notification sound from offscreen');
       sendResponse({success: true});
@@ -3777,13 +4509,272 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }, sendResponse);
       return true;
 
+    // Pattern tier list message handlers
+    case 'GET_PATTERN_TIER_LISTS':
+      sendResponse({
+        success: true,
+        data: manager.patternTiers.getSettings()
+      });
+      break;
+
+    case 'IMPORT_PATTERN_TIER_LIST':
+      handleAsyncMessage(async () => {
+        const list = await manager.patternTiers.importList(message.data);
+        return {
+          message: `Imported ${list.count} seeds into "${list.name}"`,
+          data: manager.patternTiers.getSettings()
+        };
+      }, sendResponse);
+      return true;
+
+    case 'REMOVE_PATTERN_TIER_LIST':
+      handleAsyncMessage(async () => {
+        await manager.patternTiers.removeList(message.data.listId);
+        return { data: manager.patternTiers.getSettings() };
+      }, sendResponse);
+      return true;
+
+    // Sticker valuation message handlers
+    case 'GET_STICKER_VALUATION_SETTINGS':
+      sendResponse({
+        success: true,
+        data: manager.stickerValuation.getSettings()
+      });
+      break;
+
+    case 'SET_STICKER_VALUATION_STATE':
+      handleAsyncMessage(async () => {
+        await manager.stickerValuation.setEnabled(message.data.enabled);
+        return { message: `Sticker value filter ${message.data.enabled ? 'enabled' : 'disabled'}` };
+      }, sendResponse);
+      return true;
+
+    case 'UPDATE_STICKER_VALUATION_SETTINGS':
+      handleAsyncMessage(async () => {
+        await manager.stickerValuation.updateSettings(message.data);
+        return {
+          message: 'Sticker valuation settings updated!',
+          data: manager.stickerValuation.getSettings()
+        };
+      }, sendResponse);
+      return true;
+
+    // Charm pattern message handlers
+    case 'GET_CHARM_PATTERNS':
+      sendResponse({
+        success: true,
+        data: manager.charmPatterns.getSettings()
+      });
+      break;
+
+    case 'SET_CHARM_PATTERN_STATE':
+      handleAsyncMessage(async () => {
+        await manager.charmPatterns.setEnabled(message.data.enabled);
+        return { message: `Charm pattern highlighting ${message.data.enabled ? 'enabled' : 'disabled'}` };
+      }, sendResponse);
+      return true;
+
+    case 'ADD_CHARM_PATTERN':
+      handleAsyncMessage(async () => {
+        const entry = await manager.charmPatterns.addEntry(message.data);
+        return {
+          message: `Added ${entry.patterns.length} patterns for ${entry.charm}`,
+          data: manager.charmPatterns.getSettings()
+        };
+      }, sendResponse);
+      return true;
+
+    case 'REMOVE_CHARM_PATTERN':
+      handleAsyncMessage(async () => {
+        await manager.charmPatterns.removeEntry(message.data.entryId);
+        return { data: manager.charmPatterns.getSettings() };
+      }, sendResponse);
+      return true;
+
+    // Notification channel message handlers
+    case 'GET_NOTIFICATION_CHANNELS':
+      sendResponse({
+        success: true,
+        data: manager.notificationChannels.getSettings()
+      });
+      break;
+
+    case 'UPDATE_NOTIFICATION_CHANNELS':
+      handleAsyncMessage(async () => {
+        await manager.notificationChannels.updateSettings(message.data);
+        return {
+          message: 'Notification channels updated!',
+          data: manager.notificationChannels.getSettings()
+        };
+      }, sendResponse);
+      return true;
+
+    case 'TEST_NOTIFICATION_WEBHOOK':
+      handleAsyncMessage(async () => {
+        const delivery = await manager.testNotificationWebhook();
+        if (!delivery.ok) {
+          throw new Error(`Webhook test failed after ${delivery.attempts} attempts: ${delivery.error}`);
+        }
+        return {
+          message: `Webhook test delivered (HTTP ${delivery.status})`,
+          data: manager.notificationChannels.getSettings()
+        };
+      }, sendResponse);
+      return true;
+
     case 'CLEAR_PRICE_CACHE':
       manager.priceDataCache = null;
       manager.priceCacheTimestamp = 0;
+      manager.priceSources.clearCache();
       console.log('🗑️ Price cache cleared');
       sendResponse({ success: true, message: 'Price cache cleared' });
       break;
 
+    case 'GET_PRICE_HISTORY':
+      handleAsyncMessage(async () => {
+        const days = message.data.days || 30;
+        const weekStart = manager.priceHistory.getDay(Date.now()) - 7;
+        const history = {};
+        for (const name of message.data.names || []) {
+          const series = await manager.priceHistory.getSeries(manager.cleanMarketHashName(name), days);
+          history[name] = {
+            series,
+            trend7: manager.priceHistory.calculateTrend(series.filter(point => point.day >= weekStart), 'buff163', 7),
+            trend30: manager.priceHistory.calculateTrend(series, 'buff163', 30)
+          };
+        }
+        return { data: history };
+      }, sendResponse);
+      return true;
+
+    // Notification history message handlers
+    case 'QUERY_NOTIFICATION_HISTORY':
+      handleAsyncMessage(async () => ({
+        data: {
+          ...await manager.notificationHistory.query(message.data || {}),
+          writeFailures: manager.historyWriteFailures
+        }
+      }), sendResponse);
+      return true;
+
+    case 'GET_NOTIFICATION_HISTORY_FACETS':
+      handleAsyncMessage(async () => ({
+        data: await manager.notificationHistory.getFacets()
+      }), sendResponse);
+      return true;
+
+    case 'GET_NOTIFICATION_HISTORY_ANALYTICS':
+      handleAsyncMessage(async () => {
+        const analytics = new HistoryAnalytics();
+        await manager.notificationHistory.scan(message.data || {}, entry => analytics.add(entry));
+        return { data: analytics.getSummary() };
+      }, sendResponse);
+      return true;
+
+    case 'ANNOTATE_NOTIFICATION_HISTORY':
+      handleAsyncMessage(async () => {
+        const entry = await manager.notificationHistory.annotate(message.data.seq, message.data.annotation);
+        manager.publishHistoryUpdate();
+        return { message: 'History entry updated', data: entry };
+      }, sendResponse);
+      return true;
+
+    case 'GET_NOTIFICATION_HISTORY_SETTINGS':
+      handleAsyncMessage(async () => ({
+        data: await manager.notificationHistory.getSettings()
+      }), sendResponse);
+      return true;
+
+    case 'UPDATE_NOTIFICATION_HISTORY_SETTINGS':
+      handleAsyncMessage(async () => {
+        await manager.notificationHistory.updateSettings(message.data || {});
+        manager.publishHistoryUpdate();
+        return {
+          message: 'History retention updated',
+          data: await manager.notificationHistory.getSettings()
+        };
+      }, sendResponse);
+      return true;
+
+    case 'GET_MARKETPLACE_PRICES':
+      handleAsyncMessage(async () => {
+        const priceData = await manager.fetchPriceData();
+        const prices = {};
+        for (const name of message.data.names || []) {
+          prices[name] = manager.getMarketplacePrices({ market_name: name }, priceData);
+        }
+        return { data: prices };
+      }, sendResponse);
+      return true;
+
+    case 'GET_CURRENCY_SETTINGS':
+      sendResponse({
+        success: true,
+        data: manager.currency.getSettings()
+      });
+      break;
+
+    case 'UPDATE_CURRENCY_SETTINGS':
+      handleAsyncMessage(async () => {
+        await manager.currency.updateSettings(message.data);
+        manager.arbitrageScanner.clear();  // Spreads were computed at the old coin rate
+        return {
+          message: 'Currency settings updated!',
+          data: manager.currency.getSettings()
+        };
+      }, sendResponse);
+      return true;
+
+    case 'REFRESH_EXCHANGE_RATES':
+      handleAsyncMessage(async () => {
+        await manager.currency.refreshRates({ force: true });
+        return { data: manager.currency.getSettings() };
+      }, sendResponse);
+      return true;
+
+    case 'GET_ARBITRAGE_SCANNER':
+      sendResponse({
+        success: true,
+        data: manager.arbitrageScanner.getSettings()
+      });
+      break;
+
+    case 'SET_ARBITRAGE_SCANNER_STATE':
+      handleAsyncMessage(async () => {
+        await manager.arbitrageScanner.setEnabled(message.data.enabled);
+        return { message: `Arbitrage scanner ${message.data.enabled ? 'enabled' : 'disabled'}` };
+      }, sendResponse);
+      return true;
+
+    case 'UPDATE_ARBITRAGE_SCANNER_SETTINGS':
+      handleAsyncMessage(async () => {
+        await manager.arbitrageScanner.updateSettings(message.data);
+        return {
+          message: 'Arbitrage scanner settings updated!',
+          data: manager.arbitrageScanner.getSettings()
+        };
+      }, sendResponse);
+      return true;
+
+    case 'CLEAR_ARBITRAGE_OPPORTUNITIES':
+      manager.arbitrageScanner.clear();
+      sendResponse({ success: true });
+      break;
+
+    case 'GET_PRICE_SOURCE_HEALTH':
+      handleAsyncMessage(async () => ({ data: await manager.getPriceSourceHealth() }), sendResponse);
+      return true;
+
+    case 'REFRESH_PRICE_SOURCES':
+      handleAsyncMessage(async () => {
+        const settings = await chrome.storage.sync.get({ marketplaces: {} });
+        await manager.priceSources.refresh(manager.priceSources.getEnabledIds(settings.marketplaces), { force: true });
+        manager.priceDataCache = null;
+        await manager.fetchPriceData();
+        return { data: await manager.getPriceSourceHealth() };
+      }, sendResponse);
+      return true;
+
     // Automation message handlers
     case 'GET_AUTOMATION_SETTINGS':
       sendResponse({
@@ -3804,7 +4795,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         await manager.automationManager.updateSettings({
           thresholdPercentage: message.data.thresholdPercentage,
           minPrice: message.data.minPrice,
-          maxPrice: message.data.maxPrice
+          maxPrice: message.data.maxPrice,
+          patternThresholds: message.data.patternThresholds
         });
         return { message: 'Automation settings updated successfully!' };
       }, sendResponse);
@@ -3820,6 +4812,170 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }, sendResponse);
       return true;
 
+    // Rule engine message handlers
+    case 'GET_RULES':
+      sendResponse({
+        success: true,
+        data: {
+          rules: manager.ruleEngine.getRules(),
+          fields: RULE_FIELDS
+        }
+      });
+      break;
+
+    case 'SAVE_RULE':
+      handleAsyncMessage(async () => {
+        const rule = await manager.ruleEngine.saveRule(message.data);
+        return { message: `Rule "${rule.name}" saved`, data: rule };
+      }, sendResponse);
+      return true;
+
+    case 'DELETE_RULE':
+      handleAsyncMessage(async () => {
+        await manager.ruleEngine.deleteRule(message.data.id);
+        return { message: 'Rule deleted' };
+      }, sendResponse);
+      return true;
+
+    // Socket recorder message handlers
+    case 'GET_RECORDER_STATUS':
+      handleAsyncMessage(async () => {
+        return { data: await manager.socketRecorder.getStatus() };
+      }, sendResponse);
+      return true;
+
+    case 'SET_RECORDER_STATE':
+      handleAsyncMessage(async () => {
+        await manager.socketRecorder.setEnabled(message.data.enabled);
+        return { message: `Socket recorder ${message.data.enabled ? 'enabled' : 'disabled'}` };
+      }, sendResponse);
+      return true;
+
+    case 'FLUSH_RECORDER_CAPTURE':
+      // The popup exports straight from IndexedDB once buffered events are written
+      handleAsyncMessage(async () => {
+        await manager.socketRecorder.flush();
+        return { message: 'Socket recorder flushed' };
+      }, sendResponse);
+      return true;
+
+    case 'CLEAR_RECORDER_CAPTURE':
+      handleAsyncMessage(async () => {
+        await manager.socketRecorder.clear();
+        return { message: 'Socket recordings cleared' };
+      }, sendResponse);
+      return true;
+
+    // Paper trading message handlers
+    case 'GET_PAPER_TRADING':
+      sendResponse({
+        success: true,
+        data: manager.paperTrading.getSummary()
+      });
+      break;
+
+    case 'SET_PAPER_TRADING_STATE':
+      handleAsyncMessage(async () => {
+        await manager.paperTrading.setEnabled(message.data.enabled);
+        return {
+          message: `Dry-run mode ${message.data.enabled ? 'enabled' : 'disabled'}`,
+          data: manager.paperTrading.getSummary()
+        };
+      }, sendResponse);
+      return true;
+
+    case 'CLEAR_PAPER_TRADES':
+      handleAsyncMessage(async () => {
+        await manager.paperTrading.clear();
+        return {
+          message: 'Paper trades cleared',
+          data: manager.paperTrading.getSummary()
+        };
+      }, sendResponse);
+      return true;
+
+    // Automation budget message handlers
+    case 'GET_AUTOMATION_BUDGET':
+      sendResponse({
+        success: true,
+        data: manager.automationBudget.getStatus()
+      });
+      break;
+
+    case 'UPDATE_AUTOMATION_BUDGET':
+      handleAsyncMessage(async () => {
+        await manager.automationBudget.updateSettings(message.data);
+        return {
+          message: 'Spend limits updated successfully!',
+          data: manager.automationBudget.getStatus()
+        };
+      }, sendResponse);
+      return true;
+
+    case 'RESUME_AUTOMATION':
+      handleAsyncMessage(async () => {
+        await manager.automationBudget.resume();
+        return {
+          message: 'Automation resumed',
+          data: manager.automationBudget.getStatus()
+        };
+      }, sendResponse);
+      return true;
+
+    case 'GET_AUTOMATION_TRADES':
+      sendResponse({
+        success: true,
+        data: manager.withdrawalReconciler.getSummary()
+      });
+      break;
+
+    case 'RECONCILE_WITHDRAWALS':
+      handleAsyncMessage(async () => {
+        const settled = await manager.withdrawalReconciler.reconcile();
+        return {
+          message: `${settled.length} trades settled`,
+          data: manager.withdrawalReconciler.getSummary()
+        };
+      }, sendResponse);
+      return true;
+
+    // Auction snipe message handlers
+    case 'GET_AUCTION_SNIPE_SETTINGS':
+      sendResponse({
+        success: true,
+        data: manager.auctionSnipeManager.getSettings()
+      });
+      break;
+
+    case 'SET_AUCTION_SNIPE_STATE':
+      handleAsyncMessage(async () => {
+        await manager.auctionSnipeManager.setEnabled(message.data.enabled);
+        return { message: `Auction sniping ${message.data.enabled ? 'enabled' : 'disabled'}` };
+      }, sendResponse);
+      return true;
+
+    case 'UPDATE_AUCTION_SNIPE_SETTINGS':
+      handleAsyncMessage(async () => {
+        await manager.auctionSnipeManager.updateSettings({
+          bidWindowSeconds: message.data.bidWindowSeconds,
+          maxBidPercentage: message.data.maxBidPercentage,
+          maxBidUSD: message.data.maxBidUSD,
+          bidIncrementPercent: message.data.bidIncrementPercent
+        });
+        return { message: 'Auction snipe settings updated successfully!' };
+      }, sendResponse);
+      return true;
+
+    case 'RESET_AUCTION_SNIPE_STATS':
+      handleAsyncMessage(async () => {
+        await manager.auctionSnipeManager.resetStats();
+        return {
+          message: 'Auction snipe statistics reset!',
+          data: manager.auctionSnipeManager.getSettings()
+        };
+      }, sendResponse);
+      return true;
+
     // Item Target Automation message handlers
     case 'GET_ITEM_TARGET_AUTOMATION_SETTINGS':
       sendResponse({
@@ -3879,10 +5035,11 @@ async function handleAsyncMessage(asyncOperation, sendResponse) {
 function getKeychainFilterSettings(manager) {
   const allKeychains = manager.getAllKeychainNames();
   const enabledKeychainsArray = Array.from(manager.keychainFilter.enabledKeychains);
+  const charmPricing = manager.charmCatalog.getPricing();
 
   // Build collection structure
   const collectionData = {};
-  for (const collection in manager.charmPricing) {
+  for (const collection in charmPricing) {
     collectionData[collection] = {
       "Red": [],
       "Pink": [],
@@ -3890,9 +5047,9 @@ function getKeychainFilterSettings(manager) {
       "Blue": []
     };
 
-    for (const category in manager.charmPricing[collection]) {
-      for (const name in manager.charmPricing[collection][category]) {
-        const price = manager.charmPricing[collection][category][name];
+    for (const category in charmPricing[collection]) {
+      for (const name in charmPricing[collection][category]) {
+        const price = charmPricing[collection][category][name];
         collectionData[collection][category].push({
           name,
           price,
@@ -3911,19 +5068,22 @@ function getKeychainFilterSettings(manager) {
       enabledKeychains: enabledKeychainsArray,
       collections: collectionData,
       allKeychains: allKeychains.map(name => {
-        const category = manager.getKeychainCategory(name);
-        const collection = manager.getKeychainCollection(name);
-        const price = (collection && category) ? manager.charmPricing[collection][category][name] : 0;
+        const charm = manager.charmCatalog.find(name);
         return {
           name,
-          collection,
-          category,
-          price,
+          collection: charm.collection,
+          category: charm.category,
+          price: charm.price,
+          priceSource: charm.source,
           enabled: manager.keychainFilter.enabledKeychains.has(name)
         };
       }),
       totalKeychains: allKeychains.length,
-      enabledCount: enabledKeychainsArray.length
+      enabledCount: enabledKeychainsArray.length,
+      catalogStatus: {
+        ...manager.charmCatalog.getStatus(),
+        label: manager.charmCatalog.describeStatus()
+      }
     }
   };
 }
@@ -3957,6 +5117,13 @@ function handleNotificationPermission(sendResponse) {
   });
 }
 
+/**
+ * Chrome alarm listener (alarms outlive a suspended service worker)
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  getManager().auctionSnipeManager.handleAlarm(alarm);
+});
+
 /**
  * ============================================================================
  * GLOBAL INSTANCE MANAGEMENT
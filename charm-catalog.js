@@ -0,0 +1,459 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - CHARM CATALOG
+ * ============================================================================
+ *
+ * Single charm price table shared by the service worker, content script and
+ * keychain filter.
+ *
+ * Features:
+ * - Collections and rarity colors for every known charm
+ * - Live prices from the marketplace price feeds ("Charm | <name>" entries)
+ * - Built-in prices used only for charms no feed quotes
+ * - Sticker slab keychains priced from the slab or sticker quote
+ * - Snapshot kept in chrome.storage.local so every context sees the same
+ *   prices, with its age reported for the staleness indicator
+ *
+ * Charm prices are USD like every other marketplace price.
+ *
+ * @version 1.0.0
+ */
+
+// Price cache keys tried for a charm, most liquid first
+const CHARM_PRICE_KEYS = ['buffPrice', 'csfloatPrice', 'steamPrice', 'skinportPrice', 'youpinPrice', 'bitskinsPrice'];
+
+// Keychain name of a sticker slab ("Sticker Slab | <sticker>")
+const STICKER_SLAB_PATTERN = /^sticker slab\s*\|\s*(.+)$/i;
+
+// Collection → rarity color → charm name → fallback USD price
+const CHARM_FALLBACK_PRICES = {
+  "Small Arms": {
+    "Red": {
+      "Baby Karat T": 65.0,
+      "Baby Karat CT": 45.0
+    },
+    "Pink": {
+      "Semi-Precious": 50.0,
+      "Titanium AWP": 15.0,
+      "Lil' Squirt": 10.00
+    },
+    "Purple": {
+      "Die-cast AK": 10.00,
+      "Glamour Shot": 3.00,
+      "Hot Hands": 2.50,
+      "POP Art": 2.50,
+      "Disco MAC": 2.00
+    },
+    "Blue": {
+      "Baby's AK": 0.80,
+      "Pocket AWP": 0.5,
+      "Whittle Knife": 0.5,
+      "Backsplash": 0.24,
+      "Stitch-Loaded": 0.25,
+      "Lil' Cap Gun": 0.25
+    }
+  },
+  "Missing Link": {
+    "Red": {
+      "Hot Howl": 85.0,
+      "Hot Wurst": 60.0
+    },
+    "Pink": {
+      "Diamond Dog": 30.0,
+      "Lil' Monster": 20.0,
+      "Diner Dog": 15.00
+    },
+    "Purple": {
+      "Lil' Teacup": 5.0,
+      "Chicken Lil'": 4.50,
+      "That's Bananas": 3.50,
+      "Lil' Whiskers": 2.50,
+      "Lil' Sandy": 2.50,
+      "Lil' Squatch": 1.50
+    },
+    "Blue": {
+      "Lil' SAS": 1.00,
+      "Hot Sauce": 0.50,
+      "Pinch O' Salt": 0.50,
+      "Big Kev": 0.50,
+      "Lil' Crass": 0.40,
+      "Lil' Ava": 0.40
+    }
+  },
+  "Missing Link Community": {
+    "Red": {
+      "Lil' Boo": 100.00,
+      "Lil' Eldritch": 50.00,
+      "Quick Silver": 45.00,
+      "Lil' Serpent": 35.00
+    },
+    "Pink": {
+      "Lil' Hero": 20.00,
+      "Piñatita": 15.00,
+      "Lil' Happy": 12.00,
+      "Lil' Chirp": 12.00,
+      "Lil' Prick": 8.00
+    },
+    "Purple": {
+      "Pocket Pop": 3.50,
+      "Lil' Moments": 3.00,
+      "Magmatude": 2.50,
+      "Lil' Goop": 2.25,
+      "Lil' Buns": 1.50,
+      "Hang Loose": 1.25
+    },
+    "Blue": {
+      "Lil' No. 2": 0.50,
+      "Lil' Cackle": 0.35,
+      "Dead Weight": 0.30,
+      "Lil' Baller": 0.30,
+      "Lil' Smokey": 0.25,
+      "Lil' Tusk": 0.20,
+      "Lil' Vino": 0.20,
+      "Lil' Curse": 0.20
+    }
+  },
+  "Dr Boom": {
+    "Red": {
+      "Butane Buddy": 100.0,
+      "Glitter Bomb": 60.0,
+      "8 Ball IGL": 50.0,
+      "Lil' Ferno": 35.0
+    },
+    "Pink": {
+      "Lil' Eco": 13.00,
+      "Lil' Yeti": 13.00,
+      "Flash Bomb": 10.00,
+      "Eye of Ball": 8.00,
+      "Hungry Eyes": 7.00
+    },
+    "Purple": {
+      "Lil' Bloody": 2.50,
+      "Lil' Dumplin'": 2.00,
+      "Dr. Brian": 1.50,
+      "Lil' Chomper": 1.00,
+      "Lil' Facelift": 1.00,
+      "Big Brain": 1.00,
+      "Bomb Tag": 1.00
+    },
+    "Blue": {
+      "Lil' Zen": 0.50,
+      "Splatter Cat": 0.25,
+      "Gritty": 0.20,
+      "Whittle Guy": 0.20,
+      "Fluffy": 0.20,
+      "Biomech": 0.20
+    }
+  },
+  "Austin Major": {
+    "Red": {
+      "Austin Charm (Unknown)": 0.0
+    },
+    "Pink": {},
+    "Purple": {},
+    "Blue": {}
+  }
+};
+
+class CharmCatalog {
+  /**
+   * @param {Object} options - Catalog options
+   * @param {Function} options.now - Clock returning ms
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Initialize catalog properties
+   */
+  initializeProperties() {
+    // Charm name → { collection, category, fallbackPrice }
+    this.charms = new Map();
+    for (const [collection, categories] of Object.entries(CHARM_FALLBACK_PRICES)) {
+      for (const [category, charms] of Object.entries(categories)) {
+        for (const [name, price] of Object.entries(charms)) {
+          this.charms.set(name, { collection, category, fallbackPrice: price });
+        }
+      }
+    }
+
+    // Lowercase name → charm name (keychain names are not always cased alike)
+    this.lookupNames = new Map([...this.charms.keys()].map(name => [name.toLowerCase(), name]));
+
+    // Charm name → { price, source } from the last refresh that found any charm
+    this.livePrices = {};
+    this.updatedAt = null;
+
+    // Live prices older than this are reported as stale
+    this.staleAfterMs = 6 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Load the last live price snapshot from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get(['charmCatalog']);
+
+      if (result.charmCatalog) {
+        this.applySnapshot(result.charmCatalog);
+        console.log(`✅ Charm catalog loaded: ${Object.keys(this.livePrices).length} live prices`);
+      }
+    } catch (error) {
+      console.error('❌ Error loading charm catalog:', error);
+    }
+  }
+
+  /**
+   * Keep this instance in sync with refreshes made by the service worker
+   * @param {Function} onChange - Called after a new snapshot is applied
+   */
+  watchStorage(onChange = null) {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && changes.charmCatalog?.newValue) {
+        this.applySnapshot(changes.charmCatalog.newValue);
+        if (onChange) {
+          onChange();
+        }
+      }
+    });
+  }
+
+  /**
+   * Take live prices from a stored snapshot, ignoring unknown charms
+   * @param {Object} snapshot - { prices: { name: { price, source } }, updatedAt }
+   */
+  applySnapshot(snapshot) {
+    const prices = {};
+    for (const [name, entry] of Object.entries(snapshot.prices || {})) {
+      if (this.charms.has(name) && typeof entry?.price === 'number' && entry.price > 0) {
+        prices[name] = { price: entry.price, source: entry.source || null };
+      }
+    }
+
+    this.livePrices = prices;
+    this.updatedAt = snapshot.updatedAt || null;
+  }
+
+  /**
+   * ========================================================================
+   * LIVE PRICES
+   * ========================================================================
+   */
+
+  /**
+   * Take charm prices from the combined price cache and store the snapshot.
+   * A cache without any charm entry keeps the previous snapshot.
+   * @param {Object} priceData - Combined price cache (lowercase market name → source prices)
+   * @returns {Promise<number>} Charms priced by the feeds
+   */
+  async refresh(priceData) {
+    const prices = {};
+
+    for (const name of this.charms.keys()) {
+      const quote = this.getFeedPrice(name, priceData);
+      if (quote) {
+        prices[name] = quote;
+      }
+    }
+
+    const count = Object.keys(prices).length;
+    if (count === 0) {
+      return 0;
+    }
+
+    this.livePrices = prices;
+    this.updatedAt = this.now();
+
+    try {
+      await chrome.storage.local.set({ charmCatalog: { prices, updatedAt: this.updatedAt } });
+      console.log(`✅ Charm catalog updated: ${count}/${this.charms.size} charms priced by the feeds`);
+    } catch (error) {
+      console.error('❌ Error saving charm catalog:', error);
+    }
+
+    return count;
+  }
+
+  /**
+   * Feed price of a charm from the price cache
+   * @param {string} name - Charm name without the "Charm | " prefix
+   * @param {Object} priceData - Combined price cache
+   * @returns {Object|null} { price, source } or null if no marketplace quotes it
+   */
+  getFeedPrice(name, priceData) {
+    const entry = priceData?.[`charm | ${name.toLowerCase()}`];
+    if (!entry) {
+      return null;
+    }
+
+    for (const priceKey of CHARM_PRICE_KEYS) {
+      const price = entry[priceKey]?.price;
+      if (typeof price === 'number' && price > 0) {
+        return { price, source: priceKey.replace(/Price$/, '') };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * ========================================================================
+   * LOOKUP
+   * ========================================================================
+   */
+
+  /**
+   * Look up a charm by name
+   * @param {string} name - Keychain name, with or without the "Charm | " prefix
+   * @returns {Object|null} { collection, category, name, price, source, updatedAt } or null for unknown charms
+   */
+  find(name) {
+    const cleaned = String(name || '').replace(/^charm \|\s*/i, '').trim().toLowerCase();
+    const charmName = this.lookupNames.get(cleaned);
+    if (!charmName) {
+      return null;
+    }
+
+    const charm = this.charms.get(charmName);
+    const live = this.livePrices[charmName];
+
+    return {
+      collection: charm.collection,
+      category: charm.category,
+      name: charmName,
+      price: live ? live.price : charm.fallbackPrice,
+      source: live ? 'live' : 'fallback',
+      updatedAt: live ? this.updatedAt : null
+    };
+  }
+
+  /**
+   * First known charm among an item's keychains
+   * @param {Object} item - Item with keychains ([{ name }] or names)
+   * @returns {Object|null} Charm details or null
+   */
+  findForItem(item) {
+    return this.findAllForItem(item)[0] || null;
+  }
+
+  /**
+   * Every known charm among an item's keychains, in slot order
+   * @param {Object} item - Item with keychains ([{ name }] or names)
+   * @returns {Array<Object>} Charm details (a charm attached twice is listed twice)
+   */
+  findAllForItem(item) {
+    if (!item.keychains || !Array.isArray(item.keychains)) {
+      return [];
+    }
+
+    return item.keychains
+      .map(keychain => this.find(keychain?.name || keychain))
+      .filter(Boolean);
+  }
+
+  /**
+   * Value a sticker slab keychain from the price cache
+   * @param {string} name - Keychain name ("Sticker Slab | <sticker>")
+   * @param {Object} priceData - Combined price cache
+   * @returns {Object|null} { collection, category, name, sticker, price, source } or null if the keychain is not a slab.
+   *   price is the slab's own quote, or null when no marketplace quotes the slab (value it from its sticker then)
+   */
+  findSlab(name, priceData) {
+    const match = String(name || '').trim().match(STICKER_SLAB_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const sticker = match[1].trim();
+    const slab = { collection: null, category: 'Sticker Slab', name: `Sticker Slab | ${sticker}`, sticker };
+    const entry = priceData?.[`sticker slab | ${sticker.toLowerCase()}`];
+
+    for (const priceKey of CHARM_PRICE_KEYS) {
+      const price = entry?.[priceKey]?.price;
+      if (typeof price === 'number' && price > 0) {
+        return { ...slab, price, source: 'live' };
+      }
+    }
+
+    return { ...slab, price: null, source: 'unpriced' };
+  }
+
+  /**
+   * Get all known charm names
+   * @returns {Array<string>} Sorted charm names
+   */
+  getNames() {
+    return [...this.charms.keys()].sort();
+  }
+
+  /**
+   * Current prices in the fallback table's shape
+   * @returns {Object} Collection → color → charm name → USD price
+   */
+  getPricing() {
+    const pricing = {};
+    for (const [collection, categories] of Object.entries(CHARM_FALLBACK_PRICES)) {
+      pricing[collection] = {};
+      for (const [category, charms] of Object.entries(categories)) {
+        pricing[collection][category] = Object.fromEntries(
+          Object.keys(charms).map(name => [name, this.find(name).price])
+        );
+      }
+    }
+    return pricing;
+  }
+
+  /**
+   * ========================================================================
+   * STALENESS
+   * ========================================================================
+   */
+
+  /**
+   * How current the live prices are
+   * @returns {Object} { updatedAt, ageMs, stale, livePriced, total }
+   */
+  getStatus() {
+    const ageMs = this.updatedAt ? this.now() - this.updatedAt : null;
+
+    return {
+      updatedAt: this.updatedAt,
+      ageMs,
+      stale: ageMs === null || ageMs > this.staleAfterMs,
+      livePriced: Object.keys(this.livePrices).length,
+      total: this.charms.size
+    };
+  }
+
+  /**
+   * Short label for the staleness indicator
+   * @returns {string} e.g. "Live prices for 40/57 charms, updated 12 min ago"
+   */
+  describeStatus() {
+    const status = this.getStatus();
+    if (!status.updatedAt) {
+      return 'Built-in charm prices (no feed has charm prices yet)';
+    }
+
+    const minutes = Math.floor(status.ageMs / 60000);
+    const age = minutes < 1 ? 'just now'
+      : minutes < 60 ? `${minutes} min ago`
+        : minutes < 48 * 60 ? `${Math.floor(minutes / 60)} h ago`
+          : `${Math.floor(minutes / 1440)} days ago`;
+
+    return `Live prices for ${status.livePriced}/${status.total} charms, updated ${age}${status.stale ? ' (stale)' : ''}`;
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CharmCatalog,
+    CHARM_FALLBACK_PRICES,
+    CHARM_PRICE_KEYS,
+    STICKER_SLAB_PATTERN
+  };
+}
@@ -0,0 +1,314 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - CHARM PATTERNS
+ * ============================================================================
+ *
+ * User-maintained list of premium keychain patterns. A charm carries its own
+ * pattern (seed), and some patterns sell for multiples of the base price.
+ *
+ * Features:
+ * - Premium patterns per charm, each entry with a tier and a note
+ * - Pattern read from the keychain payload (pattern / seed)
+ * - Pattern → tier lookup for the keychain preset, which notifies matches
+ *   as 'charm_pattern' with their own sound
+ * - Entries stored in chrome.storage.local (charmPatternEntries), the
+ *   on/off switch in chrome.storage.sync (charmPatternConfig)
+ *
+ * Per-tier charm automation thresholds live in the charm automation config
+ * (AutomationManager, automation.js).
+ *
+ * @version 1.0.0
+ */
+
+// Pattern tiers, best first
+const CHARM_PATTERN_TIERS = {
+  1: 'Tier 1',
+  2: 'Tier 2',
+  3: 'Tier 3'
+};
+
+// Highest keychain pattern the game assigns
+const MAX_CHARM_PATTERN = 100000;
+
+class CharmPatternList {
+  /**
+   * @param {Object} options - List options
+   * @param {CharmCatalog} options.catalog - Known charms (canonical names)
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.catalog = options.catalog || new CharmCatalog();
+  }
+
+  /**
+   * Initialize list properties
+   */
+  initializeProperties() {
+    // Pattern highlighting configuration
+    this.config = {
+      enabled: true
+    };
+
+    // Premium pattern entries ({ id, charm, patterns: [int], tier, note, createdAt })
+    this.entries = [];
+
+    // Lowercase charm name → Map(pattern → entry), rebuilt on every change
+    this.index = new Map();
+  }
+
+  /**
+   * Load configuration and entries from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const [syncResult, localResult] = await Promise.all([
+        chrome.storage.sync.get(['charmPatternConfig']),
+        chrome.storage.local.get(['charmPatternEntries'])
+      ]);
+
+      if (syncResult.charmPatternConfig) {
+        this.config = { ...this.config, ...syncResult.charmPatternConfig };
+      }
+      if (Array.isArray(localResult.charmPatternEntries)) {
+        this.entries = localResult.charmPatternEntries;
+        this.rebuildIndex();
+        console.log(`✅ Charm patterns loaded: ${this.entries.length} entries`);
+      }
+    } catch (error) {
+      console.error('❌ Error loading charm patterns:', error);
+    }
+  }
+
+  /**
+   * Save configuration to Chrome storage
+   */
+  async saveConfig() {
+    try {
+      await chrome.storage.sync.set({ charmPatternConfig: this.config });
+      console.log('💾 Charm pattern config saved');
+    } catch (error) {
+      console.error('❌ Error saving charm pattern config:', error);
+    }
+  }
+
+  /**
+   * Save entries to Chrome storage
+   */
+  async saveEntries() {
+    try {
+      await chrome.storage.local.set({ charmPatternEntries: this.entries });
+      console.log('💾 Charm patterns saved');
+    } catch (error) {
+      console.error('❌ Error saving charm patterns:', error);
+    }
+  }
+
+  /**
+   * Set pattern highlighting enabled state
+   * @param {boolean} enabled - Whether premium patterns are highlighted
+   */
+  async setEnabled(enabled) {
+    this.config.enabled = enabled;
+    await this.saveConfig();
+    console.log(`🧿 Charm pattern highlighting ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  }
+
+  /**
+   * Rebuild the pattern index
+   */
+  rebuildIndex() {
+    this.index.clear();
+    for (const entry of this.entries) {
+      const key = entry.charm.toLowerCase();
+      if (!this.index.has(key)) {
+        this.index.set(key, new Map());
+      }
+
+      const patterns = this.index.get(key);
+      for (const pattern of entry.patterns) {
+        const existing = patterns.get(pattern);
+        // A pattern listed twice counts at its best tier
+        if (!existing || entry.tier < existing.tier) {
+          patterns.set(pattern, entry);
+        }
+      }
+    }
+  }
+
+  /**
+   * ========================================================================
+   * ENTRIES
+   * ========================================================================
+   */
+
+  /**
+   * Add premium patterns for a charm
+   * @param {Object} entry - Entry to add
+   * @param {string} entry.charm - Charm name (must be in the charm catalog)
+   * @param {Array<number>|string} entry.patterns - Patterns, as an array or "12, 345, 1000-1010"
+   * @param {number} entry.tier - 1 (best) to 3
+   * @param {string} entry.note - Optional note ("full gold", "max blue", ...)
+   * @returns {Promise<Object>} Stored entry
+   */
+  async addEntry({ charm, patterns, tier = 1, note = '' }) {
+    const known = this.catalog.find(charm);
+    if (!known) {
+      throw new Error(`Unknown charm: ${charm}`);
+    }
+
+    const tierNumber = parseInt(tier, 10);
+    if (!CHARM_PATTERN_TIERS[tierNumber]) {
+      throw new Error(`Unknown pattern tier: ${tier}`);
+    }
+
+    const parsed = this.parsePatterns(patterns);
+    if (parsed.length === 0) {
+      throw new Error('At least one pattern (0-100000) is required');
+    }
+
+    const entry = {
+      id: `charm_pattern_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      charm: known.name,
+      patterns: parsed,
+      tier: tierNumber,
+      note: String(note || '').trim(),
+      createdAt: Date.now()
+    };
+
+    this.entries.push(entry);
+    this.rebuildIndex();
+    await this.saveEntries();
+    console.log(`➕ Added ${parsed.length} ${CHARM_PATTERN_TIERS[tierNumber]} patterns for ${entry.charm}`);
+
+    return entry;
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} entryId - Entry id
+   * @returns {Promise<boolean>} True if an entry was removed
+   */
+  async removeEntry(entryId) {
+    const index = this.entries.findIndex(entry => entry.id === entryId);
+    if (index === -1) {
+      return false;
+    }
+
+    const [removed] = this.entries.splice(index, 1);
+    this.rebuildIndex();
+    await this.saveEntries();
+    console.log(`➖ Removed charm patterns for ${removed.charm}`);
+    return true;
+  }
+
+  /**
+   * Parse a pattern list, expanding ranges and dropping invalid values
+   * @param {Array<number>|string} patterns - [12, 345] or "12, 345, 1000-1010"
+   * @returns {Array<number>} Sorted unique patterns
+   */
+  parsePatterns(patterns) {
+    const parts = Array.isArray(patterns) ? patterns : String(patterns || '').split(/[\s,;]+/);
+    const parsed = new Set();
+
+    for (const part of parts) {
+      const range = String(part).trim().match(/^(\d+)\s*-\s*(\d+)$/);
+      if (range) {
+        const from = parseInt(range[1], 10);
+        const to = Math.min(parseInt(range[2], 10), MAX_CHARM_PATTERN);
+        if (to - from > 1000) {
+          throw new Error(`Pattern range ${part} is larger than 1000 patterns`);
+        }
+        for (let pattern = from; pattern <= to; pattern++) {
+          parsed.add(pattern);
+        }
+        continue;
+      }
+
+      const pattern = parseInt(part, 10);
+      if (Number.isInteger(pattern) && pattern >= 0 && pattern <= MAX_CHARM_PATTERN) {
+        parsed.add(pattern);
+      }
+    }
+
+    return [...parsed].sort((a, b) => a - b);
+  }
+
+  /**
+   * ========================================================================
+   * LOOKUP
+   * ========================================================================
+   */
+
+  /**
+   * Pattern of a keychain from the item payload
+   * @param {Object|string} keychain - Keychain ({ name, pattern } or a bare name)
+   * @returns {number|null} Pattern or null when the payload has none
+   */
+  static readPattern(keychain) {
+    if (!keychain || typeof keychain !== 'object') {
+      return null;
+    }
+
+    const pattern = parseInt(keychain.pattern ?? keychain.seed, 10);
+    return Number.isInteger(pattern) ? pattern : null;
+  }
+
+  /**
+   * Find a premium pattern for a charm
+   * @param {string} charm - Charm name
+   * @param {number|null} pattern - Keychain pattern
+   * @returns {Object|null} { entryId, charm, pattern, tier, tierName, note } or null
+   */
+  lookup(charm, pattern) {
+    if (!this.config.enabled || pattern === null || pattern === undefined) {
+      return null;
+    }
+
+    const entry = this.index.get(String(charm || '').toLowerCase())?.get(pattern);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      entryId: entry.id,
+      charm: entry.charm,
+      pattern,
+      tier: entry.tier,
+      tierName: CHARM_PATTERN_TIERS[entry.tier],
+      note: entry.note
+    };
+  }
+
+  /**
+   * Short label for a premium pattern
+   * @param {Object} match - Result of lookup()
+   * @returns {string} e.g. "Tier 1 pattern #1234 • full gold"
+   */
+  describe(match) {
+    if (!match) {
+      return '';
+    }
+    return `${match.tierName} pattern #${match.pattern}${match.note ? ` • ${match.note}` : ''}`;
+  }
+
+  /**
+   * Get configuration, entries and tiers
+   * @returns {Object} Settings
+   */
+  getSettings() {
+    return {
+      ...this.config,
+      entries: this.entries.map(entry => ({ ...entry })),
+      tiers: { ...CHARM_PATTERN_TIERS }
+    };
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CharmPatternList,
+    CHARM_PATTERN_TIERS,
+    MAX_CHARM_PATTERN
+  };
+}
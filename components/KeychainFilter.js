@@ -9,6 +9,8 @@
  * - Missing Link Community
  * - Dr Boom
  * - Austin Major (placeholder)
+ *
+ * Charm prices come from the shared CharmCatalog (charm-catalog.js).
  * 
  * @version 2.0.0
  */
@@ -17,6 +19,7 @@ class KeychainFilterComponent {
   constructor(containerId) {
     this.containerId = containerId;
     this.activeTab = 'small-arms';
+    this.charmCatalog = new CharmCatalog();
     this.keychainData = this.getKeychainData();
     this.selectedKeychains = new Set();
     this.percentageThreshold = 50;
@@ -25,151 +28,36 @@ class KeychainFilterComponent {
   }
 
   /**
-   * Get organized keychain data by charm collections
+   * Get organized keychain data by charm collections (prices from the shared charm catalog)
    */
   getKeychainData() {
-    return {
-      'small-arms': {
-        name: 'Small Arms',
-        charms: {
-          'Red': [
-            { name: 'Baby Karat T', value: 65.0 },
-            { name: 'Baby Karat CT', value: 45.0 }
-          ],
-          'Pink': [
-            { name: 'Semi-Precious', value: 50.0 },
-            { name: 'Titanium AWP', value: 15.0 },
-            { name: "Lil' Squirt", value: 10.00 }
-          ],
-          'Purple': [
-            { name: 'Die-cast AK', value: 10.00 },
-            { name: 'Glamour Shot', value: 3.00 },
-            { name: 'Hot Hands', value: 2.50 },
-            { name: 'POP Art', value: 2.50 },
-            { name: 'Disco MAC', value: 2.00 }
-          ],
-          'Blue': [
-            { name: "Baby's AK", value: 0.80 },
-            { name: 'Pocket AWP', value: 0.5 },
-            { name: 'Whittle Knife', value: 0.5 },
-            { name: 'Stitch-Loaded', value: 0.25 },
-            { name: "Lil' Cap Gun", value: 0.25 },
-            { name: 'Backsplash', value: 0.24 }
-          ]
-        }
-      },
-      'missing-link': {
-        name: 'Missing Link',
-        charms: {
-          'Red': [
-            { name: 'Hot Howl', value: 85.0 },
-            { name: 'Hot Wurst', value: 60.0 }
-          ],
-          'Pink': [
-            { name: 'Diamond Dog', value: 30.0 },
-            { name: "Lil' Monster", value: 20.0 },
-            { name: 'Diner Dog', value: 15.00 }
-          ],
-          'Purple': [
-            { name: "Lil' Teacup", value: 5.0 },
-            { name: "Chicken Lil'", value: 4.50 },
-            { name: "That's Bananas", value: 3.50 },
-            { name: "Lil' Whiskers", value: 2.50 },
-            { name: "Lil' Sandy", value: 2.50 },
-            { name: "Lil' Squatch", value: 1.50 }
-          ],
-          'Blue': [
-            { name: "Lil' SAS", value: 1.00 },
-            { name: 'Hot Sauce', value: 0.50 },
-            { name: "Pinch O' Salt", value: 0.50 },
-            { name: 'Big Kev', value: 0.50 },
-            { name: "Lil' Crass", value: 0.40 },
-            { name: "Lil' Ava", value: 0.40 }
-          ]
-        }
-      },
-      'missing-link-community': {
-        name: 'Missing Link Community',
-        charms: {
-          'Red': [
-            { name: "Lil' Boo", value: 100.00 },
-            { name: "Lil' Eldritch", value: 50.00 },
-            { name: 'Quick Silver', value: 45.00 },
-            { name: "Lil' Serpent", value: 35.00 }
-          ],
-          'Pink': [
-            { name: "Lil' Hero", value: 20.00 },
-            { name: 'Piñatita', value: 15.00 },
-            { name: "Lil' Happy", value: 12.00 },
-            { name: "Lil' Chirp", value: 12.00 },
-            { name: "Lil' Prick", value: 8.00 }
-          ],
-          'Purple': [
-            { name: 'Pocket Pop', value: 3.50 },
-            { name: "Lil' Moments", value: 3.00 },
-            { name: 'Magmatude', value: 2.50 },
-            { name: "Lil' Goop", value: 2.25 },
-            { name: "Lil' Buns", value: 1.50 },
-            { name: 'Hang Loose', value: 1.25 }
-          ],
-          'Blue': [
-            { name: "Lil' No. 2", value: 0.50 },
-            { name: "Lil' Cackle", value: 0.35 },
-            { name: 'Dead Weight', value: 0.30 },
-            { name: "Lil' Baller", value: 0.30 },
-            { name: "Lil' Smokey", value: 0.25 },
-            { name: "Lil' Tusk", value: 0.20 },
-            { name: "Lil' Vino", value: 0.20 },
-            { name: "Lil' Curse", value: 0.20 }
-          ]
-        }
-      },
-      'dr-boom': {
-        name: 'Dr Boom',
-        charms: {
-          'Red': [
-            { name: 'Butane Buddy', value: 100.0 },
-            { name: 'Glitter Bomb', value: 60.0 },
-            { name: '8 Ball IGL', value: 50.0 },
-            { name: "Lil' Ferno", value: 35.0 }
-          ],
-          'Pink': [
-            { name: "Lil' Eco", value: 13.00 },
-            { name: "Lil' Yeti", value: 13.00 },
-            { name: 'Flash Bomb', value: 10.00 },
-            { name: 'Eye of Ball', value: 8.00 },
-            { name: 'Hungry Eyes', value: 7.00 }
-          ],
-          'Purple': [
-            { name: "Lil' Bloody", value: 2.50 },
-            { name: "Lil' Dumplin'", value: 2.00 },
-            { name: 'Dr. Brian', value: 1.50 },
-            { name: "Lil' Chomper", value: 1.00 },
-            { name: "Lil' Facelift", value: 1.00 },
-            { name: 'Big Brain', value: 1.00 },
-            { name: 'Bomb Tag', value: 1.00 }
-          ],
-          'Blue': [
-            { name: "Lil' Zen", value: 0.50 },
-            { name: 'Splatter Cat', value: 0.25 },
-            { name: 'Gritty', value: 0.20 },
-            { name: 'Whittle Guy', value: 0.20 },
-            { name: 'Fluffy', value: 0.20 },
-            { name: 'Biomech', value: 0.20 }
-          ]
-        }
-      },
-      'austin-major': {
-        name: 'Austin Major',
-        charms: {
-          'Red': [],
-          'Pink': [],
-          'Purple': [],
-          'Blue': []
-        },
-        comingSoon: true
+    const data = {};
+    const pricing = this.charmCatalog.getPricing();
+
+    for (const [collection, categories] of Object.entries(pricing)) {
+      const key = collection.toLowerCase().replace(/\s+/g, '-');
+      const charms = {};
+      for (const [category, prices] of Object.entries(categories)) {
+        charms[category] = Object.entries(prices)
+          .map(([name, value]) => ({ name, value }))
+          .sort((a, b) => b.value - a.value);
       }
-    };
+
+      // Collections without priced charms yet (Austin Major) stay a placeholder
+      const comingSoon = Object.values(charms).every(list => list.every(charm => !charm.value));
+      data[key] = comingSoon ? { name: collection, charms: { 'Red': [], 'Pink': [], 'Purple': [], 'Blue': [] }, comingSoon } : { name: collection, charms };
+    }
+
+    return data;
+  }
+
+  /**
+   * Reload prices after the charm catalog snapshot loads or changes
+   */
+  refreshKeychainData() {
+    this.keychainData = this.getKeychainData();
+    this.render();
+    this.setupEventListeners();
   }
 
   /**
@@ -178,6 +66,8 @@ class KeychainFilterComponent {
   init() {
     this.render();
     this.setupEventListeners();
+    this.charmCatalog.loadSettings().then(() => this.refreshKeychainData());
+    this.charmCatalog.watchStorage(() => this.refreshKeychainData());
     this.setupThemeListener();
   }
   
@@ -19,6 +19,7 @@ class CSGOEmpireNotificationOverlay {
     this.currentTheme = 'shooting-star'; // Default theme
     this.siteThemingEnabled = true; // Site theming state
     this.notificationData = new Map(); // Store item data for price refresh
+    this.currency = new CurrencyConverter(); // Coin rate and display currency
 
     // Charm category color mapping
     this.charmColors = {
@@ -29,49 +30,7 @@ class CSGOEmpireNotificationOverlay {
     };
 
 
-    this.fallbackCharmPricing = {
-      "Red": {
-        "Hot Howl": 70.0,
-        "Baby Karat T": 50.0,
-        "Hot Wurst": 30.0,
-        "Baby Karat CT": 30.0
-      },
-      "Pink": {
-        "Semi-Precious": 40.0,
-        "Diamond Dog": 25.0,
-        "Titeenium AWP": 10.0,
-        "Lil' Monster": 10.0,
-        "Diner Dog": 5.00,
-        "Lil' Squirt": 5.00
-      },
-      "Purple": {
-        "Die-cast AK": 9.00,
-        "Lil' Teacup": 4.50,
-        "Chicken Lil'": 3.00,
-        "That's Bananas": 3.00,
-        "Lil' Whiskers": 3.00,
-        "Glamour Shot": 2.50,
-        "Lil' Sandy": 2.50,
-        "Hot Hands": 2.00,
-        "POP Art": 2.00,
-        "Disco MAC": 1.60,
-        "Lil' Squatch": 1.50
-      },
-      "Blue": {
-        "Lil' SAS": 1.00,
-        "Baby's AK": 0.80,
-        "Hot Sauce": 0.90,
-        "Pinch O' Salt": 1.0,
-        "Big Kev": 0.70,
-        "Whittle Knife": 0.65,
-        "Lil' Crass": 0.60,
-        "Pocket AWP": 0.60,
-        "Lil' Ava": 0.50,
-        "Stitch-Loaded": 0.30,
-        "Backsplash": 0.28,
-        "Lil' Cap Gun": 0.30
-      }
-    };
+    this.charmCatalog = new CharmCatalog(); // Charm prices (live snapshot, built-in fallback)
 
     // Make overlay accessible globally for refresh button
     window.empireEnhancedOverlay = this;
@@ -124,6 +83,10 @@ class CSGOEmpireNotificationOverlay {
           }
           sendResponse({success: true});
           break;
+        case 'ITEM_LIFECYCLE_UPDATE':
+          this.showLifecycleUpdate(message.data);
+          sendResponse({success: true});
+          break;
         case 'MONITORING_STATE_CHANGED':
           this.setMonitoringState(message.data.enabled);
           sendResponse({success: true});
@@ -169,6 +132,12 @@ class CSGOEmpireNotificationOverlay {
       this.differenceMarketplace = settings.differenceMarketplace;
       this.differenceCalculationMethod = settings.differenceCalculationMethod;
 
+      await this.currency.loadSettings();
+      this.currency.watchStorage();
+
+      await this.charmCatalog.loadSettings();
+      this.charmCatalog.watchStorage();
+
     } catch (error) {
       console.error('Error loading settings in content script:', error);
     }
@@ -652,30 +621,37 @@ class CSGOEmpireNotificationOverlay {
     document.head.appendChild(styles);
   }
 
-  // Fallback method to get charm details from fallback data (matches server logic exactly)
+  // Fallback method to get charm details from the shared charm catalog (same lookup as the service worker)
   getFallbackCharmDetails(itemData) {
-    if (!itemData.keychains || !Array.isArray(itemData.keychains)) {
+    const charms = this.charmCatalog.findAllForItem(itemData);
+    if (charms.length === 0) {
       return null;
     }
 
-    for (const keychain of itemData.keychains) {
-      const keychainName = keychain.name || keychain;
+    // Lead charm is the most valuable; the price covers every attached charm
+    const lead = charms.slice().sort((a, b) => b.price - a.price)[0];
+    return {
+      ...lead,
+      price: charms.reduce((sum, charm) => sum + charm.price, 0),
+      charms
+    };
+  }
 
-      for (const category in this.fallbackCharmPricing) {
-        if (this.fallbackCharmPricing[category].hasOwnProperty(keychainName)) {
-          return {
-            category: category,
-            name: keychainName,
-            price: this.fallbackCharmPricing[category][keychainName]
-          };
-        }
-      }
+  // "Hot Howl $85.00 • Lil' Boo $100.00" for items with more than one keychain
+  formatCharmBreakdown(charms) {
+    if (!Array.isArray(charms) || charms.length < 2) {
+      return null;
     }
-
-    return null;
+    return charms.map(charm => `${charm.name} ${this.currency.format(charm.price)}`).join(' • ');
   }
 
-
+  // "📦 3 listings • $6.14 - $7.02" for same-name matches grouped by the notification queue
+  formatGroupDisplay(itemData) {
+    if (!(itemData.group_count > 1)) {
+      return null;
+    }
+    return `📦 ${itemData.group_count} listings • ${this.currency.formatCoins(itemData.group_min_value)} - ${this.currency.formatCoins(itemData.group_max_value)}`;
+  }
 
   formatCharmInfo(itemData) {
     // Priority 0: Check if this is a Blue Gem item
@@ -724,10 +700,12 @@ class CSGOEmpireNotificationOverlay {
     // Priority 1: Check if we have charm data from the server
     // IMPORTANT: Skip this if charm_price is null (Austin charms), let it fall through to Austin charm check
     if (itemData.charm_name && itemData.charm_category && itemData.charm_price !== undefined && itemData.charm_price !== null) {
-      const charmName = itemData.charm_name;
+      const charmName = itemData.charm_breakdown?.length > 1
+        ? itemData.charm_breakdown.map(charm => charm.name).join(' + ')
+        : itemData.charm_name;
       const charmCategory = itemData.charm_category;
-      const charmPrice = itemData.charm_price;
-      const marketValue = itemData.market_value ? (itemData.market_value / 100) : 0;
+      const charmPrice = itemData.charm_price;  // Every attached charm and slab
+      const marketValue = itemData.market_value ? this.currency.coinsToUsd(itemData.market_value) : 0;
 
       let percentageOfMarket = 0;
       if (marketValue > 0 && charmPrice > 0) {
@@ -745,8 +723,9 @@ class CSGOEmpireNotificationOverlay {
         charmColor,
         categoryIcon,
         percentageOfMarket,
-        formattedDisplay: `${charmName} – $${charmPrice.toFixed(2)}`,
-        percentageDisplay: percentageOfMarket > 0 ? `${percentageOfMarket.toFixed(2)}% of market` : 'N/A'
+        formattedDisplay: `${charmName} – ${this.currency.format(charmPrice)}`,
+        percentageDisplay: percentageOfMarket > 0 ? `${percentageOfMarket.toFixed(2)}% of market` : 'N/A',
+        breakdownDisplay: this.formatCharmBreakdown(itemData.charm_breakdown)
       };
     }
 
@@ -754,7 +733,7 @@ class CSGOEmpireNotificationOverlay {
     const fallbackCharm = this.getFallbackCharmDetails(itemData);
 
     if (fallbackCharm) {
-      const marketValue = itemData.market_value ? (itemData.market_value / 100) : 0;
+      const marketValue = itemData.market_value ? this.currency.coinsToUsd(itemData.market_value) : 0;
 
       let percentageOfMarket = 0;
       if (marketValue > 0 && fallbackCharm.price > 0) {
@@ -764,16 +743,21 @@ class CSGOEmpireNotificationOverlay {
       const charmColor = this.charmColors[fallbackCharm.category] || '#ffffff';
       const categoryIcon = this.getCategoryIcon(fallbackCharm.category);
 
+      const charmName = fallbackCharm.charms.length > 1
+        ? fallbackCharm.charms.map(charm => charm.name).join(' + ')
+        : fallbackCharm.name;
+
       return {
         hasCharmData: true,
-        charmName: fallbackCharm.name,
+        charmName,
         charmCategory: fallbackCharm.category,
         charmPrice: fallbackCharm.price,
         charmColor,
         categoryIcon,
         percentageOfMarket,
-        formattedDisplay: `${fallbackCharm.name} – $${fallbackCharm.price.toFixed(2)}`,
-        percentageDisplay: percentageOfMarket > 0 ? `${percentageOfMarket.toFixed(2)}% of market` : 'N/A'
+        formattedDisplay: `${charmName} – ${this.currency.format(fallbackCharm.price)}`,
+        percentageDisplay: percentageOfMarket > 0 ? `${percentageOfMarket.toFixed(2)}% of market` : 'N/A',
+        breakdownDisplay: this.formatCharmBreakdown(fallbackCharm.charms)
       };
     }
 
@@ -798,11 +782,18 @@ class CSGOEmpireNotificationOverlay {
     return icons[category] || '🔑';
   }
 
+  // Escape user-provided text (tier list names) before it goes into innerHTML
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   // Generate dynamic price comparison HTML based on selected marketplaces
   generatePriceComparisonHTML(itemData, floatValue, aboveRecommended) {
     const formatPrice = (price) => {
       if (!price || price === 'Unknown' || isNaN(price)) return 'N/A';
-      return `$${parseFloat(price).toFixed(2)}`;
+      return this.currency.format(parseFloat(price));
     };
 
     // Map marketplace IDs to their data
@@ -843,7 +834,7 @@ class CSGOEmpireNotificationOverlay {
     const empireConfig = {
       name: 'EMPIRE',
       color: { bg: 'rgba(34, 197, 94, 0.12)', border: 'rgba(34, 197, 94, 0.25)', text: '#22c55e' },
-      price: itemData.market_value ? (itemData.market_value / 100) : null
+      price: itemData.market_value ? this.currency.coinsToUsd(itemData.market_value) : null
     };
 
     // Get selected marketplaces
@@ -929,8 +920,8 @@ showItemTargetNotification(itemData) {
   const soundEnabled = itemData.soundEnabled !== undefined ? itemData.soundEnabled : this.soundEnabled;
 
   // Format the data
-  const marketValue = itemData.market_value ? (itemData.market_value / 100).toFixed(2) : 'Unknown';
-  const purchasePrice = itemData.purchase_price ? (itemData.purchase_price / 100).toFixed(2) : marketValue;
+  const marketValue = itemData.market_value ? this.currency.coinsToUsd(itemData.market_value).toFixed(2) : 'Unknown';
+  const purchasePrice = itemData.purchase_price ? this.currency.coinsToUsd(itemData.purchase_price).toFixed(2) : marketValue;
   
   // Get Float value from wear field
   const floatValue = itemData.wear !== undefined && itemData.wear !== null ? 
@@ -1023,6 +1014,16 @@ showItemTargetNotification(itemData) {
           <span class="price-badge">${matchBadgeText}</span>
           <span style="opacity: 0.6;">${floatRange}</span>
         </div>
+        ${itemData.pattern_tier_display ? `
+        <div class="target-description" style="margin-top: 4px; color: #a78bfa;">
+          🧬 ${this.escapeHtml(itemData.pattern_tier_display)}
+        </div>
+        ` : ''}
+        ${itemData.sticker_value_display ? `
+        <div class="target-description" style="margin-top: 4px; color: #fbbf24;">
+          🏷️ ${this.escapeHtml(itemData.sticker_value_display)}
+        </div>
+        ` : ''}
       </div>
     </div>
   `;
@@ -1031,8 +1032,12 @@ showItemTargetNotification(itemData) {
   const priceComparisonHTML = this.generatePriceComparisonHTML(itemData, floatValue, aboveRecommended);
 
   // Set notification title and subtitle based on notification type
-  const notificationTitle = isAutomationPurchase ? 'AUTO-PURCHASED!' : 'ITEM TARGET FOUND';
-  const notificationSubtitle = isAutomationPurchase ? 'Automation Success!' : 'Target Match!';
+  let notificationTitle = isAutomationPurchase ? 'AUTO-PURCHASED!' : 'ITEM TARGET FOUND';
+  let notificationSubtitle = isAutomationPurchase ? 'Automation Success!' : 'Target Match!';
+  if (isAutomationPurchase && itemData.dry_run) {
+    notificationTitle = 'PAPER TRADE';
+    notificationSubtitle = 'Dry run - nothing was withdrawn';
+  }
 
   notification.innerHTML = `
     <div style="display: flex; align-items: center; margin-bottom: 12px;">
@@ -1068,6 +1073,9 @@ showItemTargetNotification(itemData) {
       <div style="font-size: 14px; font-weight: 600; margin-bottom: 8px; color: #f1f5f9; line-height: 1.3; letter-spacing: -0.2px;">
         ${itemData.market_name || 'Unknown Item'}
       </div>
+      ${this.formatGroupDisplay(itemData) ? `
+      <div style="font-size: 11px; color: #94a3b8; margin-bottom: 8px;">${this.formatGroupDisplay(itemData)}</div>
+      ` : ''}
       ${targetDisplayHTML}
     </div>
     
@@ -1137,6 +1145,7 @@ showItemTargetNotification(itemData) {
   // Add notification to container
   this.notificationContainer.appendChild(notification);
   this.notifications.push(notificationId);
+  this.showPriceTrend(itemData);
 
   // Play notification sound only if enabled
   if (soundEnabled) {
@@ -1169,8 +1178,8 @@ showItemTargetNotification(itemData) {
     const soundEnabled = itemData.soundEnabled !== undefined ? itemData.soundEnabled : this.soundEnabled;
 
     // Format the data
-    const marketValue = itemData.market_value ? (itemData.market_value / 100).toFixed(2) : 'Unknown';
-    const purchasePrice = itemData.purchase_price ? (itemData.purchase_price / 100).toFixed(2) : marketValue;
+    const marketValue = itemData.market_value ? this.currency.coinsToUsd(itemData.market_value).toFixed(2) : 'Unknown';
+    const purchasePrice = itemData.purchase_price ? this.currency.coinsToUsd(itemData.purchase_price).toFixed(2) : marketValue;
     
     // Get Float value from wear field
     const floatValue = itemData.wear !== undefined && itemData.wear !== null ? 
@@ -1260,6 +1269,16 @@ showItemTargetNotification(itemData) {
               <span class="price-badge">${charmInfo.percentageDisplay}</span>
               <span style="opacity: 0.6;">${charmInfo.charmCategory} Rarity</span>
             </div>
+            ${charmInfo.breakdownDisplay ? `
+            <div class="charm-price" style="margin-top: 4px; opacity: 0.8;">
+              ${this.escapeHtml(charmInfo.breakdownDisplay)}
+            </div>
+            ` : ''}
+            ${itemData.charm_pattern_display ? `
+            <div class="charm-price" style="margin-top: 4px; color: #f472b6;">
+              🧿 ${this.escapeHtml(itemData.charm_pattern_display)}
+            </div>
+            ` : ''}
           </div>
         </div>
       `;
@@ -1311,6 +1330,9 @@ showItemTargetNotification(itemData) {
         <div style="font-size: 14px; font-weight: 600; margin-bottom: 8px; color: #f1f5f9; line-height: 1.3; letter-spacing: -0.2px;">
           ${itemData.market_name || 'Unknown Item'}
         </div>
+        ${this.formatGroupDisplay(itemData) ? `
+        <div style="font-size: 11px; color: #94a3b8; margin-bottom: 8px;">${this.formatGroupDisplay(itemData)}</div>
+        ` : ''}
         ${charmDisplayHTML}
       </div>
       
@@ -1318,7 +1340,7 @@ showItemTargetNotification(itemData) {
       <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 12px;">
         <div style="background: rgba(34, 197, 94, 0.12); border: 1px solid rgba(34, 197, 94, 0.25); border-radius: 8px; padding: 10px; text-align: center;">
           <div style="font-size: 9px; color: #94a3b8; margin-bottom: 4px; text-transform: uppercase; letter-spacing: 0.5px; font-weight: 600;">Market Value</div>
-          <div style="font-size: 14px; font-weight: 800; color: #22c55e;">$${marketValue}</div>
+          <div style="font-size: 14px; font-weight: 800; color: #22c55e;">${this.currency.format(parseFloat(marketValue))}</div>
         </div>
         <div style="background: rgba(168, 85, 247, 0.12); border: 1px solid rgba(168, 85, 247, 0.25); border-radius: 8px; padding: 10px; text-align: center;">
           <div style="font-size: 9px; color: #94a3b8; margin-bottom: 4px; text-transform: uppercase; letter-spacing: 0.5px; font-weight: 600;">Float</div>
@@ -1399,10 +1421,15 @@ showItemTargetNotification(itemData) {
     // Add notification to container
     this.notificationContainer.appendChild(notification);
     this.notifications.push(notificationId);
+    this.showPriceTrend(itemData);
 
-    // Play notification sound only if enabled
+    // Play notification sound only if enabled (premium charm patterns have their own)
     if (soundEnabled) {
-      this.playNotificationSound();
+      if (itemData.notification_type === 'charm_pattern') {
+        this.playCharmPatternNotificationSound();
+      } else {
+        this.playNotificationSound();
+      }
     }
 
     // Auto-remove after 30 seconds
@@ -1436,26 +1463,118 @@ showItemTargetNotification(itemData) {
     }
   }
 
+  /**
+   * Show an item's market lifecycle (bids, sold/gone time) on its notification
+   * @param {Object} lifecycle - Lifecycle summary from the background
+   */
+  showLifecycleUpdate(lifecycle) {
+    const notification = document.getElementById(`notification-${lifecycle.id}`);
+    if (!notification) return;
+
+    let badge = document.getElementById(`lifecycle-${lifecycle.id}`);
+    if (!badge) {
+      badge = document.createElement('div');
+      badge.id = `lifecycle-${lifecycle.id}`;
+      badge.style.cssText = `
+        margin-top: 10px;
+        padding: 6px 10px;
+        border-radius: 8px;
+        font-size: 11px;
+        font-weight: 700;
+        text-align: center;
+      `;
+      notification.appendChild(badge);
+    }
+
+    const label = this.formatLifecycleLabel(lifecycle);
+    const isGone = lifecycle.status !== 'listed';
+    badge.textContent = label;
+    badge.style.background = isGone ? 'rgba(239, 68, 68, 0.12)' : 'rgba(59, 130, 246, 0.12)';
+    badge.style.border = `1px solid ${isGone ? 'rgba(239, 68, 68, 0.25)' : 'rgba(59, 130, 246, 0.25)'}`;
+    badge.style.color = isGone ? '#f87171' : '#60a5fa';
+  }
+
+  /**
+   * Show a 30-day price sparkline and 7-day Buff trend on a notification
+   * @param {Object} itemData - Notified item
+   */
+  async showPriceTrend(itemData) {
+    if (typeof PriceChart === 'undefined' || !itemData.market_name) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_PRICE_HISTORY',
+        data: { names: [itemData.market_name], days: 30 }
+      });
+      const history = response?.success ? response.data[itemData.market_name] : null;
+      const sparkline = history ? PriceChart.renderSparkline(history.series, { width: 160, height: 28 }) : '';
+      if (!sparkline) return;
+
+      const notification = document.getElementById(`notification-${itemData.id}`);
+      if (!notification || document.getElementById(`price-trend-${itemData.id}`)) return;
+
+      const trend = history.trend7 || history.trend30;
+      const container = document.createElement('div');
+      container.id = `price-trend-${itemData.id}`;
+      container.style.cssText = `
+        margin-top: 10px;
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        font-size: 10px;
+        font-weight: 700;
+      `;
+      container.innerHTML = `
+        ${sparkline}
+        <span style="color: ${PriceChart.getTrendColor(trend)};">${PriceChart.formatTrend(trend)}</span>
+      `;
+      notification.appendChild(container);
+    } catch (error) {
+      console.error('Error loading price trend:', error);
+    }
+  }
+
+  /**
+   * Format a lifecycle summary for display
+   * @param {Object} lifecycle - Lifecycle summary
+   * @returns {string} Label text
+   */
+  formatLifecycleLabel(lifecycle) {
+    const price = (cents) => this.currency.formatCoins(cents);
+
+    switch (lifecycle.status) {
+      case 'sold':
+        return `🔨 Sold in ${lifecycle.durationSeconds}s for ${price(lifecycle.finalPrice)} (${lifecycle.bids} bids)`;
+      case 'withdrawn':
+        return `✅ Withdrawn after ${lifecycle.durationSeconds}s`;
+      case 'deleted':
+        return `⏱️ Gone in ${lifecycle.durationSeconds}s`;
+      default:
+        return lifecycle.highestBid !== null
+          ? `🔨 ${lifecycle.bids} bids • highest ${price(lifecycle.highestBid)}`
+          : `📈 Price updated ${lifecycle.priceUpdates}×`;
+    }
+  }
+
   async refreshEmpirePrice(itemId) {
     try {
       const storedData = this.notificationData.get(itemId);
       if (!storedData) return;
 
-      const response = await fetch(`https://csgoempire.com/api/v2/trading/items/${itemId}`);
-      if (!response.ok) return;
-
-      const data = await response.json();
-      if (!data || !data.data) return;
+      // Fetched by the background REST client (selected domain, auth and retries)
+      const response = await chrome.runtime.sendMessage({ type: 'GET_EMPIRE_ITEM', data: { itemId } });
+      if (!response || !response.success || !response.data) return;
 
-      const currentItem = data.data;
-      const newEmpirePrice = currentItem.market_value ? (currentItem.market_value / 100).toFixed(2) : null;
+      const currentItem = response.data;
+      const newEmpirePrice = currentItem.market_value ? this.currency.coinsToUsd(currentItem.market_value) : null;
 
       if (!newEmpirePrice) return;
 
       // Update the Empire price display
       const empirePriceElement = document.getElementById(`empire-price-${itemId}`);
       if (empirePriceElement) {
-        empirePriceElement.textContent = `$${newEmpirePrice}`;
+        empirePriceElement.textContent = this.currency.format(newEmpirePrice);
       }
 
       // Recalculate percentage difference
@@ -1547,6 +1666,45 @@ showItemTargetNotification(itemData) {
     }
   }
 
+  playCharmPatternNotificationSound() {
+    if (!this.soundEnabled) return;
+
+    try {
+      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+      const playTone = (frequency, duration, delay = 0) => {
+        setTimeout(() => {
+          const oscillator = audioContext.createOscillator();
+          const gainNode = audioContext.createGain();
+
+          oscillator.connect(gainNode);
+          gainNode.connect(audioContext.destination);
+
+          oscillator.frequency.setValueAtTime(frequency, audioContext.currentTime);
+          oscillator.type = 'triangle';
+
+          gainNode.gain.setValueAtTime(0, audioContext.currentTime);
+          gainNode.gain.linearRampToValueAtTime(0.1, audioContext.currentTime + 0.01);
+          gainNode.gain.linearRampToValueAtTime(0, audioContext.currentTime + duration);
+
+          oscillator.start(audioContext.currentTime);
+          oscillator.stop(audioContext.currentTime + duration);
+        }, delay);
+      };
+
+      // Premium charm pattern sequence (double rising arpeggio)
+      playTone(659, 0.12, 0);      // E5
+      playTone(988, 0.12, 120);    // B5
+      playTone(1319, 0.12, 240);   // E6
+      playTone(659, 0.12, 480);    // E5
+      playTone(988, 0.12, 600);    // B5
+      playTone(1319, 0.3, 720);    // E6
+
+    } catch (error) {
+      console.error('Could not play charm pattern notification sound:', error);
+    }
+  }
+
   playNotificationSound() {
     if (!this.soundEnabled) return;
 
@@ -0,0 +1,271 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - CURRENCY
+ * ============================================================================
+ *
+ * Single place where Empire coins become dollars and dollars become the
+ * display currency. Loaded by the service worker, content script, popup and
+ * history page.
+ *
+ * Features:
+ * - Configurable coin → USD rate (Empire coins are not dollars)
+ * - Display currency (USD, EUR, CNY, ...) from a locally cached rate table
+ * - Rate table refreshed daily, built-in fallback rates when offline
+ * - Settings shared through chrome.storage (sync: config, local: rates)
+ *
+ * Convention: filters, budgets and marketplace prices are USD; only text
+ * shown to the user is converted to the display currency.
+ *
+ * @version 1.0.0
+ */
+
+// USD value of one Empire coin
+const DEFAULT_COIN_RATE = 0.614;
+
+// Display currencies → symbol and fallback rate (units per USD)
+const CURRENCIES = {
+  USD: { symbol: '$', rate: 1 },
+  EUR: { symbol: '€', rate: 0.92 },
+  GBP: { symbol: '£', rate: 0.79 },
+  CNY: { symbol: '¥', rate: 7.2 },
+  RUB: { symbol: '₽', rate: 92 },
+  PLN: { symbol: 'zł', rate: 4 },
+  TRY: { symbol: '₺', rate: 32 },
+  BRL: { symbol: 'R$', rate: 5.1 },
+  CAD: { symbol: 'C$', rate: 1.37 },
+  AUD: { symbol: 'A$', rate: 1.52 }
+};
+
+class CurrencyConverter {
+  /**
+   * @param {Object} options - Converter options
+   * @param {Function} options.fetch - fetch implementation (defaults to global fetch)
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.fetchImpl = options.fetch || null;
+  }
+
+  /**
+   * Initialize converter properties
+   */
+  initializeProperties() {
+    // Currency configuration
+    this.config = {
+      coinRate: DEFAULT_COIN_RATE,
+      displayCurrency: 'USD'
+    };
+
+    // Currency code → units per USD
+    this.rates = Object.fromEntries(Object.entries(CURRENCIES).map(([code, currency]) => [code, currency.rate]));
+    this.ratesUpdatedAt = null;
+    this.ratesError = null;
+
+    // Rate table feed (USD based)
+    this.ratesUrl = 'https://prices.csgotrader.app/latest/exchange_rates.json';
+    this.ratesTtlMs = 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Load currency settings and the cached rate table from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const [syncResult, localResult] = await Promise.all([
+        chrome.storage.sync.get(['currencyConfig']),
+        chrome.storage.local.get(['currencyRates'])
+      ]);
+
+      if (syncResult.currencyConfig) {
+        this.config = { ...this.config, ...syncResult.currencyConfig };
+      }
+      if (localResult.currencyRates) {
+        this.applyRates(localResult.currencyRates);
+      }
+    } catch (error) {
+      console.error('❌ Error loading currency settings:', error);
+    }
+  }
+
+  /**
+   * Save currency configuration to Chrome storage
+   */
+  async saveConfig() {
+    try {
+      await chrome.storage.sync.set({ currencyConfig: this.config });
+      console.log('💾 Currency config saved');
+    } catch (error) {
+      console.error('❌ Error saving currency config:', error);
+    }
+  }
+
+  /**
+   * Keep this instance in sync with changes made from another context
+   */
+  watchStorage() {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'sync' && changes.currencyConfig?.newValue) {
+        this.config = { ...this.config, ...changes.currencyConfig.newValue };
+      }
+      if (namespace === 'local' && changes.currencyRates?.newValue) {
+        this.applyRates(changes.currencyRates.newValue);
+      }
+    });
+  }
+
+  /**
+   * Update currency settings
+   * @param {Object} settings - { coinRate, displayCurrency }
+   */
+  async updateSettings(settings) {
+    if (settings.coinRate !== undefined && settings.coinRate !== null) {
+      const coinRate = Number(settings.coinRate);
+      if (!Number.isFinite(coinRate) || coinRate <= 0) {
+        throw new Error('Coin rate must be greater than 0');
+      }
+      this.config.coinRate = coinRate;
+    }
+
+    if (settings.displayCurrency !== undefined) {
+      if (!CURRENCIES[settings.displayCurrency]) {
+        throw new Error(`Unsupported currency: ${settings.displayCurrency}`);
+      }
+      this.config.displayCurrency = settings.displayCurrency;
+    }
+
+    await this.saveConfig();
+    console.log('⚙️ Currency settings updated:', this.config);
+  }
+
+  /**
+   * ========================================================================
+   * RATE TABLE
+   * ========================================================================
+   */
+
+  /**
+   * Refresh the rate table when it is older than the TTL
+   * @param {Object} options - Refresh options
+   * @param {boolean} options.force - Ignore the TTL
+   * @returns {Promise<boolean>} True if new rates were stored
+   */
+  async refreshRates({ force = false } = {}) {
+    if (!force && this.ratesUpdatedAt && Date.now() - this.ratesUpdatedAt < this.ratesTtlMs) {
+      return false;
+    }
+
+    try {
+      const response = await (this.fetchImpl || fetch)(this.ratesUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const table = { rates: await response.json(), updatedAt: Date.now() };
+      this.applyRates(table);
+      this.ratesError = null;
+      await chrome.storage.local.set({ currencyRates: { rates: this.rates, updatedAt: this.ratesUpdatedAt } });
+      console.log('✅ Exchange rates updated');
+      return true;
+    } catch (error) {
+      this.ratesError = error.message;
+      console.error(`❌ Exchange rate refresh failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Take the supported currencies from a rate table
+   * @param {Object} table - { rates: { EUR: 0.92, ... }, updatedAt }
+   */
+  applyRates(table) {
+    for (const code of Object.keys(CURRENCIES)) {
+      const rate = Number(table.rates?.[code]);
+      if (Number.isFinite(rate) && rate > 0) {
+        this.rates[code] = rate;
+      }
+    }
+    this.rates.USD = 1;
+    this.ratesUpdatedAt = table.updatedAt || this.ratesUpdatedAt;
+  }
+
+  /**
+   * ========================================================================
+   * CONVERSION
+   * ========================================================================
+   */
+
+  /**
+   * Convert Empire coin cents (market_value, purchase_price, bids) to USD
+   * @param {number} coinCents - Value in coin cents
+   * @param {number} coinRate - USD per coin (default: configured rate; pass a stored rate for old values)
+   * @returns {number} USD
+   */
+  coinsToUsd(coinCents, coinRate = this.config.coinRate) {
+    return ((coinCents || 0) / 100) * coinRate;
+  }
+
+  /**
+   * Convert USD to Empire coin cents (unrounded)
+   * @param {number} usd - Value in USD
+   * @returns {number} Coin cents
+   */
+  usdToCoins(usd) {
+    return (usd / this.config.coinRate) * 100;
+  }
+
+  /**
+   * Convert USD to another currency
+   * @param {number} usd - Value in USD
+   * @param {string} currency - Currency code (default: display currency)
+   * @returns {number} Converted value
+   */
+  fromUsd(usd, currency = this.config.displayCurrency) {
+    return usd * (this.rates[currency] ?? 1);
+  }
+
+  /**
+   * Format a USD value in the display currency
+   * @param {number} usd - Value in USD
+   * @param {string} currency - Currency code (default: display currency)
+   * @returns {string} e.g. "€12.34", or "N/A" for missing values
+   */
+  format(usd, currency = this.config.displayCurrency) {
+    if (usd === null || usd === undefined || !Number.isFinite(Number(usd))) {
+      return 'N/A';
+    }
+    const symbol = CURRENCIES[currency]?.symbol ?? '$';
+    return `${symbol}${this.fromUsd(Number(usd), currency).toFixed(2)}`;
+  }
+
+  /**
+   * Format an Empire coin cents value in the display currency
+   * @param {number} coinCents - Value in coin cents
+   * @returns {string} Formatted value
+   */
+  formatCoins(coinCents) {
+    return this.format(this.coinsToUsd(coinCents));
+  }
+
+  /**
+   * Get current currency settings and rate table
+   * @returns {Object} Settings
+   */
+  getSettings() {
+    return {
+      ...this.config,
+      currencies: Object.keys(CURRENCIES),
+      rates: { ...this.rates },
+      ratesUpdatedAt: this.ratesUpdatedAt,
+      ratesError: this.ratesError
+    };
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CurrencyConverter,
+    CURRENCIES,
+    DEFAULT_COIN_RATE
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - DOPPLER PHASES
+ * ============================================================================
+ *
+ * Phase and gem parsing for Doppler / Gamma Doppler knives, shared by the
+ * target list, item target automation, rule engine and price lookups.
+ *
+ * Features:
+ * - Phase/gem from the market name ("... (Factory New) - Phase 2")
+ * - Base name for the per-phase price lookup (price feed `doppler` tables)
+ * - Target phase lists normalized to the price feed's spelling
+ *
+ * @version 1.0.0
+ */
+
+// Phases and gems, spelled as the price feeds key them
+const DOPPLER_PHASES = ['Phase 1', 'Phase 2', 'Phase 3', 'Phase 4', 'Ruby', 'Sapphire', 'Black Pearl', 'Emerald'];
+
+class DopplerPhase {
+  /**
+   * Market name suffix holding the phase or gem
+   */
+  static get PATTERN() {
+    return /(Ruby|Sapphire|Emerald|Black Pearl|Phase [1-4])$/i;
+  }
+
+  /**
+   * Check if an item name looks like a Doppler variant
+   * @param {string} itemName - Market name
+   * @returns {boolean} True for Doppler / Gamma Doppler items and gems
+   */
+  static isDoppler(itemName) {
+    const name = (itemName || '').toLowerCase();
+    return ['doppler', 'ruby', 'sapphire', 'emerald', 'black pearl'].some(keyword => name.includes(keyword));
+  }
+
+  /**
+   * Split a market name into base name and phase
+   * @param {string} itemName - Market name
+   * @returns {Object|null} { phase: 'Phase 2', baseName } or null without a phase suffix
+   */
+  static parse(itemName) {
+    const name = (itemName || '').trim();
+    const match = name.match(DopplerPhase.PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      phase: DopplerPhase.normalize(match[0]),
+      baseName: name.replace(DopplerPhase.PATTERN, '').trim().replace(/-$/, '').trim()
+    };
+  }
+
+  /**
+   * Canonical spelling of a phase or gem
+   * @param {string} phase - Phase in any case ("phase 2", "black pearl")
+   * @returns {string|null} Canonical phase or null if unknown
+   */
+  static normalize(phase) {
+    const wanted = String(phase || '').trim().toLowerCase();
+    return DOPPLER_PHASES.find(known => known.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Normalize a target's phase list, dropping unknown and duplicate entries
+   * @param {Array<string>} phases - Phases from settings or an import
+   * @returns {Array<string>} Canonical phases
+   */
+  static normalizeList(phases) {
+    if (!Array.isArray(phases)) {
+      return [];
+    }
+    return [...new Set(phases.map(phase => DopplerPhase.normalize(phase)).filter(Boolean))];
+  }
+
+  /**
+   * Check an item against a target's phase list
+   * @param {string} itemName - Market name
+   * @param {Array<string>} phases - Wanted phases (empty: any item)
+   * @returns {boolean} True if the target has no phase list or the item's phase is in it
+   */
+  static matches(itemName, phases) {
+    const wanted = DopplerPhase.normalizeList(phases);
+    if (wanted.length === 0) {
+      return true;
+    }
+
+    const parsed = DopplerPhase.parse(itemName);
+    return parsed !== null && wanted.includes(parsed.phase);
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DopplerPhase,
+    DOPPLER_PHASES
+  };
+}
@@ -0,0 +1,379 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - EMPIRE REST CLIENT
+ * ============================================================================
+ *
+ * Single client for every CSGOEmpire REST call made by the extension.
+ *
+ * Features:
+ * - Bearer auth header and domain selection (csgoempire.com / csgoempire.gg)
+ * - Request timeouts via AbortController
+ * - Retries with exponential backoff on 429 and 5xx (Retry-After honoured)
+ * - Non-idempotent calls (withdraw, bid) only retry when rate limited
+ * - Typed errors (auth, rate limit, server, timeout, network)
+ * - Injectable fetch/sleep so it can run against a fake server
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Base error for Empire API failures
+ */
+class EmpireApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {number|null} details.status - HTTP status (null if no response)
+   * @param {*} details.body - Parsed response body
+   * @param {string} details.url - Request URL
+   * @param {boolean} details.retryable - Whether the request may be retried
+   */
+  constructor(message, { status = null, body = null, url = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'EmpireApiError';
+    this.status = status;
+    this.body = body;
+    this.url = url;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * 401/403 - missing, invalid or revoked API key
+ */
+class EmpireAuthError extends EmpireApiError {
+  constructor(message, details) {
+    super(message, { ...details, retryable: false });
+    this.name = 'EmpireAuthError';
+  }
+}
+
+/**
+ * 429 - rate limited
+ */
+class EmpireRateLimitError extends EmpireApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details plus retryAfterMs
+   */
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'EmpireRateLimitError';
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * 5xx - Empire server error
+ */
+class EmpireServerError extends EmpireApiError {
+  constructor(message, details) {
+    super(message, { ...details, retryable: true });
+    this.name = 'EmpireServerError';
+  }
+}
+
+/**
+ * Request exceeded the client timeout
+ */
+class EmpireTimeoutError extends EmpireApiError {
+  constructor(message, details) {
+    super(message, { ...details, retryable: true });
+    this.name = 'EmpireTimeoutError';
+  }
+}
+
+/**
+ * fetch itself failed (offline, DNS, CORS)
+ */
+class EmpireNetworkError extends EmpireApiError {
+  constructor(message, details) {
+    super(message, { ...details, retryable: true });
+    this.name = 'EmpireNetworkError';
+  }
+}
+
+class EmpireApiClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.apiKey - Bearer token
+   * @param {string} options.domain - Empire domain (default: csgoempire.com)
+   * @param {Function} options.fetch - fetch implementation (defaults to global fetch)
+   * @param {Function} options.sleep - async (ms) => void, used between retries
+   * @param {number} options.timeoutMs - Per-attempt timeout
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.baseDelayMs - First backoff delay
+   * @param {number} options.maxDelayMs - Backoff ceiling
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || null;
+    this.domain = options.domain || 'csgoempire.com';
+    this.fetchImpl = options.fetch || null;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 500;
+    this.maxDelayMs = options.maxDelayMs ?? 8000;
+  }
+
+  /**
+   * Set API key and domain
+   * @param {string} apiKey - Bearer token for API
+   * @param {string} domain - Domain to use (default: csgoempire.com)
+   */
+  setAPIKey(apiKey, domain = 'csgoempire.com') {
+    this.apiKey = apiKey;
+    this.domain = domain || 'csgoempire.com';
+  }
+
+  /**
+   * ========================================================================
+   * ENDPOINTS
+   * ========================================================================
+   */
+
+  /**
+   * Get socket metadata (user, balance, socket token)
+   * @returns {Promise<Object>} Metadata response
+   */
+  getSocketMetadata() {
+    return this.request('GET', '/api/v2/metadata/socket');
+  }
+
+  /**
+   * Get a deposit by id (used to re-verify before withdrawal)
+   * @param {number|string} depositId - Deposit id
+   * @returns {Promise<Object>} Deposit response
+   */
+  getDeposit(depositId) {
+    return this.request('GET', `/api/v2/trading/deposit/${depositId}`);
+  }
+
+  /**
+   * Get a listed item by id (current market value)
+   * @param {number|string} itemId - Item id
+   * @returns {Promise<Object>} Item response ({ data: item })
+   */
+  getItem(itemId) {
+    return this.request('GET', `/api/v2/trading/items/${itemId}`);
+  }
+
+  /**
+   * Get the user's active and recent trades
+   * @returns {Promise<Object>} Trades response ({ data: { deposits, withdrawals } })
+   */
+  getTrades() {
+    return this.request('GET', '/api/v2/trading/user/trades');
+  }
+
+  /**
+   * Withdraw a deposit
+   * @param {number|string} depositId - Deposit id
+   * @param {number} coinValue - Expected price in cents
+   * @returns {Promise<Object>} Withdrawal response
+   */
+  withdraw(depositId, coinValue) {
+    return this.request('POST', `/api/v2/trading/deposit/${depositId}/withdraw`, {
+      body: { coin_value: coinValue },
+      idempotent: false
+    });
+  }
+
+  /**
+   * Bid on an auction
+   * @param {number|string} depositId - Deposit id
+   * @param {number} bidValue - Bid in cents
+   * @returns {Promise<Object>} Bid response
+   */
+  placeBid(depositId, bidValue) {
+    return this.request('POST', `/api/v2/trading/deposit/${depositId}/bid`, {
+      body: { bid_value: bidValue },
+      idempotent: false
+    });
+  }
+
+  /**
+   * ========================================================================
+   * REQUEST HANDLING
+   * ========================================================================
+   */
+
+  /**
+   * Make a request, retrying retryable failures with backoff
+   * @param {string} method - HTTP method
+   * @param {string} path - Path starting with /api/v2
+   * @param {Object} options - Request options
+   * @param {Object} options.body - JSON body
+   * @param {boolean} options.idempotent - Retry 5xx/timeouts too (defaults to true for GET)
+   * @param {number} options.timeoutMs - Override the client timeout
+   * @returns {Promise<*>} Parsed response body
+   */
+  async request(method, path, options = {}) {
+    const idempotent = options.idempotent ?? method === 'GET';
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await this.send(method, path, options);
+      } catch (error) {
+        const canRetry = error instanceof EmpireApiError &&
+          error.retryable &&
+          (idempotent || error instanceof EmpireRateLimitError) &&
+          attempt < this.maxRetries;
+
+        if (!canRetry) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, error);
+        attempt++;
+        console.warn(`⏳ Empire API ${method} ${path} failed (${error.name}), retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Make a single request attempt
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {Object} options - Request options
+   * @returns {Promise<*>} Parsed response body
+   */
+  async send(method, path, options) {
+    const url = `https://${this.domain}${path}`;
+    const headers = { 'Accept': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const init = { method, headers };
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(options.body);
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timedOut = false;
+    let timer = null;
+    if (controller) {
+      init.signal = controller.signal;
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, options.timeoutMs ?? this.timeoutMs);
+    }
+
+    let response;
+    let body;
+    try {
+      const fetchImpl = this.fetchImpl || fetch;
+      response = await fetchImpl(url, init);
+      // The timer stays armed until the body is read, so a stalled body times out too
+      body = await this.parseBody(response);
+    } catch (error) {
+      if (timedOut) {
+        throw new EmpireTimeoutError(`Request timed out: ${method} ${path}`, { url });
+      }
+      throw new EmpireNetworkError(`Network error: ${error.message}`, { url });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // parseBody swallows the abort of a body read
+    if (timedOut) {
+      throw new EmpireTimeoutError(`Request timed out: ${method} ${path}`, { url });
+    }
+    if (response.ok) {
+      return body;
+    }
+
+    throw this.createError(response, body, url);
+  }
+
+  /**
+   * Parse a JSON body, tolerating empty or non-JSON responses
+   * @param {Response} response - fetch response
+   * @returns {Promise<*>} Parsed body or null
+   */
+  async parseBody(response) {
+    try {
+      return await response.json();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Map an error response to a typed error
+   * @param {Response} response - fetch response
+   * @param {*} body - Parsed body
+   * @param {string} url - Request URL
+   * @returns {EmpireApiError} Typed error
+   */
+  createError(response, body, url) {
+    const status = response.status;
+    const message = `API Error: ${status} - ${body?.message || response.statusText}`;
+    const details = { status, body, url };
+
+    if (status === 401 || status === 403) {
+      return new EmpireAuthError(message, details);
+    }
+    if (status === 429) {
+      return new EmpireRateLimitError(message, { ...details, retryAfterMs: this.getRetryAfterMs(response) });
+    }
+    if (status >= 500) {
+      return new EmpireServerError(message, details);
+    }
+    return new EmpireApiError(message, details);
+  }
+
+  /**
+   * Read Retry-After (seconds or HTTP date)
+   * @param {Response} response - fetch response
+   * @returns {number|null} Delay in ms
+   */
+  getRetryAfterMs(response) {
+    const header = response.headers?.get?.('Retry-After');
+    if (!header) {
+      return null;
+    }
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+      return seconds * 1000;
+    }
+
+    const date = Date.parse(header);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+  }
+
+  /**
+   * Backoff delay for a retry
+   * @param {number} attempt - Zero-based retry number
+   * @param {EmpireApiError} error - Error that triggered the retry
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempt, error) {
+    if (error instanceof EmpireRateLimitError && error.retryAfterMs !== null) {
+      return Math.min(error.retryAfterMs, this.maxDelayMs);
+    }
+
+    const exponential = this.baseDelayMs * 2 ** attempt;
+    const jitter = Math.random() * this.baseDelayMs;
+    return Math.round(Math.min(exponential + jitter, this.maxDelayMs));
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EmpireApiClient,
+    EmpireApiError,
+    EmpireAuthError,
+    EmpireRateLimitError,
+    EmpireServerError,
+    EmpireTimeoutError,
+    EmpireNetworkError
+  };
+}
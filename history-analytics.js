@@ -0,0 +1,215 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - HISTORY ANALYTICS
+ * ============================================================================
+ *
+ * Aggregates notification history entries for the analytics dashboard on the
+ * history page. Entries are fed one at a time (NotificationHistoryStore.scan),
+ * so a 50k-entry history is never held in memory at once.
+ *
+ * Features:
+ * - Matches per hour of day (local time)
+ * - Matches by notification type and by charm rarity
+ * - Average above-recommended % of found items, overall and per type
+ * - Automation success rate per day (completed vs cancelled / reverted trades)
+ * - Top item names
+ * - Annotation tags and realized profit (resale price minus buy price)
+ *
+ * @version 1.0.0
+ */
+
+// Item names listed in the top-N table
+const ANALYTICS_TOP_ITEMS = 10;
+
+// Trade outcomes that count as a failed automation purchase
+const FAILED_TRADE_OUTCOMES = ['cancelled', 'reverted'];
+
+class HistoryAnalytics {
+  constructor() {
+    this.initializeProperties();
+  }
+
+  /**
+   * Initialize aggregate properties
+   */
+  initializeProperties() {
+    this.total = 0;
+    this.firstAt = null;
+    this.lastAt = null;
+
+    // Local hour (0-23) → matches
+    this.byHour = new Array(24).fill(0);
+
+    // Notification type → { count, aboveSum, aboveCount, bought }
+    this.byType = new Map();
+
+    // Charm rarity (Red, Pink, ...) → matches
+    this.byRarity = new Map();
+
+    // Above-recommended % of found items (purchases excluded)
+    this.aboveSum = 0;
+    this.aboveCount = 0;
+
+    // Local day (YYYY-MM-DD) → { purchases, completed, failed, pending, paper }
+    this.automationByDay = new Map();
+
+    // Item name → matches
+    this.byName = new Map();
+
+    // Annotation tag → entries
+    this.byTag = new Map();
+
+    // Entries annotated with both a buy and a resale price
+    this.realized = { count: 0, cost: 0, revenue: 0, profit: 0 };
+  }
+
+  /**
+   * Add one history entry
+   * @param {Object} entry - Stored history entry
+   */
+  add(entry) {
+    const at = new Date(entry.timestamp);
+    if (Number.isNaN(at.getTime())) {
+      return;
+    }
+
+    this.total++;
+    this.firstAt = this.firstAt === null ? entry.timestamp : Math.min(this.firstAt, entry.timestamp);
+    this.lastAt = this.lastAt === null ? entry.timestamp : Math.max(this.lastAt, entry.timestamp);
+    this.byHour[at.getHours()]++;
+
+    const type = entry.notification_type || 'keychain';
+    const typeStats = this.byType.get(type) || { count: 0, aboveSum: 0, aboveCount: 0, bought: 0 };
+    typeStats.count++;
+    this.byType.set(type, typeStats);
+    this.addAnnotation(entry, typeStats);
+
+    if (entry.charm_category) {
+      this.byRarity.set(entry.charm_category, (this.byRarity.get(entry.charm_category) || 0) + 1);
+    }
+
+    if (entry.market_name) {
+      this.byName.set(entry.market_name, (this.byName.get(entry.market_name) || 0) + 1);
+    }
+
+    if (type === 'automation_purchase') {
+      this.addAutomation(entry, at);
+      return;
+    }
+
+    const above = parseFloat(entry.above_recommended_price);
+    if (Number.isFinite(above)) {
+      this.aboveSum += above;
+      this.aboveCount++;
+      typeStats.aboveSum += above;
+      typeStats.aboveCount++;
+    }
+  }
+
+  /**
+   * Count annotation tags and realized profit
+   * @param {Object} entry - History entry
+   * @param {Object} typeStats - Stats of the entry's notification type
+   */
+  addAnnotation(entry, typeStats) {
+    const annotation = entry.annotation;
+    if (!annotation) {
+      return;
+    }
+
+    for (const tag of annotation.tags || []) {
+      this.byTag.set(tag, (this.byTag.get(tag) || 0) + 1);
+    }
+    if ((annotation.tags || []).includes('bought_manually')) {
+      typeStats.bought++;
+    }
+
+    if (typeof annotation.buy_price === 'number' && typeof annotation.resale_price === 'number') {
+      this.realized.count++;
+      this.realized.cost += annotation.buy_price;
+      this.realized.revenue += annotation.resale_price;
+      this.realized.profit += annotation.resale_price - annotation.buy_price;
+    }
+  }
+
+  /**
+   * Count an automation purchase towards its day
+   * @param {Object} entry - Automation purchase entry
+   * @param {Date} at - Entry time
+   */
+  addAutomation(entry, at) {
+    const day = `${at.getFullYear()}-${String(at.getMonth() + 1).padStart(2, '0')}-${String(at.getDate()).padStart(2, '0')}`;
+    const stats = this.automationByDay.get(day) || { day, purchases: 0, completed: 0, failed: 0, pending: 0, paper: 0 };
+
+    stats.purchases++;
+    if (entry.dry_run) {
+      stats.paper++;
+    } else if (entry.trade_outcome === 'completed') {
+      stats.completed++;
+    } else if (FAILED_TRADE_OUTCOMES.includes(entry.trade_outcome)) {
+      stats.failed++;
+    } else {
+      stats.pending++;
+    }
+
+    this.automationByDay.set(day, stats);
+  }
+
+  /**
+   * Aggregates ready for the dashboard
+   * @returns {Object} Summary (plain data, safe to send as a runtime message)
+   */
+  getSummary() {
+    const sortByCount = (a, b) => b.count - a.count;
+
+    const automation = [...this.automationByDay.values()]
+      .sort((a, b) => a.day.localeCompare(b.day))
+      .map(day => ({
+        ...day,
+        // Success rate over settled trades only; pending and paper trades have no outcome yet
+        successRate: day.completed + day.failed > 0 ? (day.completed / (day.completed + day.failed)) * 100 : null
+      }));
+    const settled = automation.reduce((sum, day) => sum + day.completed + day.failed, 0);
+    const completed = automation.reduce((sum, day) => sum + day.completed, 0);
+
+    return {
+      total: this.total,
+      firstAt: this.firstAt,
+      lastAt: this.lastAt,
+      byHour: [...this.byHour],
+      byType: [...this.byType.entries()]
+        .map(([type, stats]) => ({
+          type,
+          count: stats.count,
+          bought: stats.bought,
+          avgAboveRecommended: stats.aboveCount > 0 ? stats.aboveSum / stats.aboveCount : null
+        }))
+        .sort(sortByCount),
+      byRarity: [...this.byRarity.entries()]
+        .map(([rarity, count]) => ({ rarity, count }))
+        .sort(sortByCount),
+      avgAboveRecommended: this.aboveCount > 0 ? this.aboveSum / this.aboveCount : null,
+      automation: {
+        days: automation,
+        purchases: automation.reduce((sum, day) => sum + day.purchases, 0),
+        successRate: settled > 0 ? (completed / settled) * 100 : null
+      },
+      topItems: [...this.byName.entries()]
+        .map(([name, count]) => ({ name, count }))
+        .sort(sortByCount)
+        .slice(0, ANALYTICS_TOP_ITEMS),
+      byTag: [...this.byTag.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort(sortByCount),
+      realized: { ...this.realized }
+    };
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HistoryAnalytics,
+    ANALYTICS_TOP_ITEMS
+  };
+}
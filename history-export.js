@@ -0,0 +1,314 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - HISTORY EXPORT
+ * ============================================================================
+ *
+ * Turns notification history entries into files for spreadsheets and
+ * bookkeeping.
+ *
+ * Features:
+ * - CSV with one column per field createHistoryItem captures (every price
+ *   field, charm / sticker / pattern details, rule, trade outcome) plus the
+ *   entry's annotation (tags, note, buy / resale price, realized profit)
+ * - JSON with the stored entries as they are
+ * - Purchase P&L report: automation purchase price against the Buff163 /
+ *   CSFloat price at the time and now
+ *
+ * Prices are USD. Coin values are converted at the coin rate stored with the
+ * entry (coin_rate), so old rows keep the rate they were bought at.
+ *
+ * @version 1.0.0
+ */
+
+// Columns of the history CSV: [header, entry → value]
+const HISTORY_EXPORT_COLUMNS = [
+  ['timestamp', entry => new Date(entry.timestamp).toISOString()],
+  ['published_at', entry => entry.published_at],
+  ['id', entry => entry.id],
+  ['market_name', entry => entry.market_name],
+  ['notification_type', entry => entry.notification_type],
+  ['market_value_coins', entry => entry.market_value],
+  ['purchase_price_coins', entry => entry.purchase_price],
+  ['suggested_price_coins', entry => entry.suggested_price],
+  ['coin_rate', entry => entry.coin_rate],
+  ['empire_usd', entry => entry.empire_price],
+  ['above_recommended_pct', entry => entry.above_recommended_price],
+  ['buff163_usd', entry => entry.buff163_price],
+  ['csfloat_usd', entry => entry.csfloat_price],
+  ['youpin_usd', entry => entry.youpin_price],
+  ['steam_usd', entry => entry.steam_price],
+  ['bitskins_usd', entry => entry.bitskins_price],
+  ['skinport_usd', entry => entry.skinport_price],
+  ['buff163_pct', entry => entry.buff163_percentage],
+  ['wear', entry => entry.wear],
+  ['paint_seed', entry => entry.paint_seed],
+  ['pattern_tier', entry => entry.pattern_tier_display],
+  ['blue_pct', entry => entry.blue_percentage],
+  ['charm_name', entry => entry.charm_name],
+  ['charm_category', entry => entry.charm_category],
+  ['charm_usd', entry => entry.charm_price],
+  ['charm_pattern', entry => entry.charm_pattern],
+  ['charm_pattern_tier', entry => entry.charm_pattern_tier],
+  ['charms', entry => (entry.charm_breakdown || []).map(charm => charm.name).join(' + ')],
+  ['sticker_usd', entry => entry.sticker_value],
+  ['sticker_pct', entry => entry.sticker_percentage],
+  ['sticker_craft', entry => (entry.sticker_craft ? `${entry.sticker_craft.count}x ${entry.sticker_craft.name}` : '')],
+  ['rule', entry => entry.matched_rule?.name],
+  ['rule_tags', entry => (entry.rule_tags || []).join(', ')],
+  ['auction_snipe', entry => entry.auction_snipe],
+  ['paper_trade', entry => entry.dry_run],
+  ['paper_profit_usd', entry => entry.paper_trade?.profit],
+  ['trade_outcome', entry => entry.trade_outcome],
+  ['lifecycle_status', entry => entry.lifecycle?.status],
+  ['lifecycle_seconds', entry => entry.lifecycle?.durationSeconds],
+  ['lifecycle_final_price_coins', entry => entry.lifecycle?.finalPrice],
+  ['tags', entry => (entry.annotation?.tags || []).join(', ')],
+  ['note', entry => entry.annotation?.note],
+  ['bought_at_usd', entry => entry.annotation?.buy_price],
+  ['resold_at_usd', entry => entry.annotation?.resale_price],
+  ['realized_profit_usd', entry => (typeof entry.annotation?.buy_price === 'number' && typeof entry.annotation?.resale_price === 'number'
+    ? entry.annotation.resale_price - entry.annotation.buy_price
+    : null)]
+];
+
+// Columns of the purchase P&L CSV
+const PURCHASE_REPORT_COLUMNS = [
+  ['date', row => row.date],
+  ['id', row => row.id],
+  ['market_name', row => row.market_name],
+  ['source', row => row.source],
+  ['trade_outcome', row => row.trade_outcome],
+  ['counted', row => row.counted],
+  ['purchase_usd', row => row.purchase_usd],
+  ['buff163_then_usd', row => row.buff163_then],
+  ['csfloat_then_usd', row => row.csfloat_then],
+  ['buff163_now_usd', row => row.buff163_now],
+  ['csfloat_now_usd', row => row.csfloat_now],
+  ['pnl_buff163_then_usd', row => row.pnl_buff163_then],
+  ['pnl_csfloat_then_usd', row => row.pnl_csfloat_then],
+  ['pnl_buff163_now_usd', row => row.pnl_buff163_now],
+  ['pnl_csfloat_now_usd', row => row.pnl_csfloat_now]
+];
+
+// Trades that never reached the inventory stay in the report but not in the totals
+const UNCOUNTED_TRADE_OUTCOMES = ['cancelled', 'reverted'];
+
+class HistoryExporter {
+  /**
+   * @param {Object} options - Exporter options
+   * @param {CurrencyConverter} options.currency - Coin rate for entries without coin_rate
+   */
+  constructor(options = {}) {
+    this.currency = options.currency || new CurrencyConverter();
+  }
+
+  /**
+   * ========================================================================
+   * FILES
+   * ========================================================================
+   */
+
+  /**
+   * History entries as CSV
+   * @param {Array<Object>} entries - Stored history entries
+   * @returns {string} CSV text (header row first)
+   */
+  toCsv(entries) {
+    return this.buildCsv(entries, HISTORY_EXPORT_COLUMNS);
+  }
+
+  /**
+   * History entries as JSON, without the store's lookup fields
+   * @param {Array<Object>} entries - Stored history entries
+   * @returns {string} Pretty-printed JSON array
+   */
+  toJson(entries) {
+    return JSON.stringify(entries.map(({ seq, search_text, ...entry }) => entry), null, 2);
+  }
+
+  /**
+   * Purchase report as CSV, with a totals row and a row counting the
+   * purchases each total leaves out
+   * @param {Object} report - Result of buildPurchaseReport
+   * @returns {string} CSV text
+   */
+  reportToCsv(report) {
+    const { totals } = report;
+    const summaryRow = (date, label, values) => ({
+      ...values,
+      date,
+      id: '',
+      market_name: label,
+      source: '',
+      trade_outcome: '',
+      counted: ''
+    });
+
+    const rows = [
+      ...report.rows,
+      summaryRow('TOTAL', `${totals.counted} of ${report.rows.length} purchases counted`, totals)
+    ];
+    if (Object.values(totals.unpriced).some(count => count > 0)) {
+      rows.push(summaryRow('NOT IN TOTAL', 'Counted purchases without this price', totals.unpriced));
+    }
+
+    return this.buildCsv(rows, PURCHASE_REPORT_COLUMNS);
+  }
+
+  /**
+   * Build CSV text from rows and [header, getter] columns
+   * @param {Array<Object>} rows - Rows
+   * @param {Array<Array>} columns - [header, row → value] pairs
+   * @returns {string} CSV text with CRLF line endings
+   */
+  buildCsv(rows, columns) {
+    const lines = [columns.map(([header]) => header).join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(([, get]) => this.csvCell(get(row))).join(','));
+    }
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Quote one CSV cell
+   * @param {*} value - Cell value
+   * @returns {string} Cell text
+   */
+  csvCell(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? String(Math.round(value * 1e6) / 1e6) : '';
+    }
+
+    let text = String(value);
+    // Text starting with = + - @ would run as a formula in a spreadsheet
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * ========================================================================
+   * PURCHASE P&L REPORT
+   * ========================================================================
+   */
+
+  /**
+   * Compare automation purchases with marketplace prices then and now
+   *
+   * Each total sums the counted rows that have that value. A P&L needs a
+   * reference price, so it can cover fewer rows than purchase_usd; the
+   * counted rows each total leaves out are in totals.unpriced.
+   *
+   * @param {Array<Object>} entries - History entries (non-purchases are skipped)
+   * @param {Object} currentPrices - { market_name: { buff163, csfloat } } in USD
+   * @returns {Object} { rows, totals, generatedAt }
+   */
+  buildPurchaseReport(entries, currentPrices = {}) {
+    const rows = entries
+      .filter(entry => entry.notification_type === 'automation_purchase')
+      .map(entry => this.buildReportRow(entry, currentPrices[entry.market_name] || {}));
+
+    const totals = {
+      counted: 0,
+      purchase_usd: 0,
+      buff163_then: 0,
+      csfloat_then: 0,
+      buff163_now: 0,
+      csfloat_now: 0,
+      pnl_buff163_then: 0,
+      pnl_csfloat_then: 0,
+      pnl_buff163_now: 0,
+      pnl_csfloat_now: 0
+    };
+    const unpriced = Object.fromEntries(Object.keys(totals).filter(key => key !== 'counted').map(key => [key, 0]));
+
+    for (const row of rows.filter(candidate => candidate.counted)) {
+      totals.counted++;
+      for (const key of Object.keys(unpriced)) {
+        if (typeof row[key] === 'number') {
+          totals[key] += row[key];
+        } else {
+          unpriced[key]++;
+        }
+      }
+    }
+    totals.unpriced = unpriced;
+
+    return { rows, totals, generatedAt: Date.now() };
+  }
+
+  /**
+   * One report row
+   * @param {Object} entry - Automation purchase history entry
+   * @param {Object} now - Current { buff163, csfloat } prices
+   * @returns {Object} Row
+   */
+  buildReportRow(entry, now) {
+    const purchase = this.getPurchaseUsd(entry);
+    const price = (value) => (typeof value === 'number' && value > 0 ? value : null);
+    const pnl = (reference) => (reference !== null && purchase !== null ? reference - purchase : null);
+
+    const buff163Then = price(entry.buff163_price);
+    const csfloatThen = price(entry.csfloat_price);
+    const buff163Now = price(now.buff163);
+    const csfloatNow = price(now.csfloat);
+
+    let source = 'Automation';
+    if (entry.dry_run) {
+      source = 'Paper trade';
+    } else if (entry.auction_snipe) {
+      source = 'Auction snipe';
+    }
+
+    return {
+      date: new Date(entry.timestamp).toISOString().slice(0, 10),
+      id: entry.id,
+      market_name: entry.market_name,
+      source,
+      trade_outcome: entry.trade_outcome || (entry.dry_run ? 'paper' : ''),
+      // Paper trades and trades that were cancelled or reverted cost nothing
+      counted: !entry.dry_run && !UNCOUNTED_TRADE_OUTCOMES.includes(entry.trade_outcome),
+      purchase_usd: purchase,
+      buff163_then: buff163Then,
+      csfloat_then: csfloatThen,
+      buff163_now: buff163Now,
+      csfloat_now: csfloatNow,
+      pnl_buff163_then: pnl(buff163Then),
+      pnl_csfloat_then: pnl(csfloatThen),
+      pnl_buff163_now: pnl(buff163Now),
+      pnl_csfloat_now: pnl(csfloatNow)
+    };
+  }
+
+  /**
+   * Price paid for a purchase in USD, at the coin rate of the day
+   * @param {Object} entry - Automation purchase history entry
+   * @returns {number|null} USD or null when the entry has no price
+   */
+  getPurchaseUsd(entry) {
+    if (entry.dry_run && typeof entry.paper_trade?.empire_price === 'number') {
+      return entry.paper_trade.empire_price;
+    }
+
+    // Auction wins store the winning bid in purchase_price; withdrawals pay the listed price
+    const coins = entry.auction_snipe ? entry.purchase_price : (entry.market_value ?? entry.purchase_price);
+    if (typeof coins !== 'number') {
+      return null;
+    }
+
+    return this.currency.coinsToUsd(coins, entry.coin_rate || undefined);
+  }
+}
+
+// Export for use in Node-based tooling
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HistoryExporter,
+    HISTORY_EXPORT_COLUMNS,
+    PURCHASE_REPORT_COLUMNS
+  };
+}
@@ -0,0 +1,786 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - NOTIFICATION HISTORY STORE
+ * ============================================================================
+ *
+ * Keeps every notification history entry (createHistoryItem) in IndexedDB
+ * instead of the last 24 hours / 100 entries in chrome.storage.local.
+ *
+ * Features:
+ * - Configurable retention (default 90 days and 50,000 entries)
+ * - Indexes on item name, notification type, charm, date and Empire price
+ *   (date and price also per Found / Purchased view)
+ * - Paged queries with free-text search and column filters, served to the
+ *   history page through background messages; unfiltered views are counted
+ *   and paged in the index instead of walking every entry
+ * - Full filtered scans for exports (the history page opens the database
+ *   itself so large exports never go through a runtime message)
+ * - One-time migration of the old chrome.storage.local notificationHistory
+ * - Per-entry annotations: outcome tags, notes, buy and resale price
+ *
+ * @version 1.0.0
+ */
+
+// Entries shown per history page unless the query asks for another size
+const HISTORY_PAGE_SIZE = 50;
+
+// Largest page a query may request
+const HISTORY_MAX_PAGE_SIZE = 500;
+
+const HISTORY_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Outcome tags a history entry can be annotated with (key → filter button label)
+const HISTORY_TAGS = {
+  bought_manually: 'Bought Manually',
+  skipped: 'Skipped',
+  overpriced: 'Overpriced',
+  scam_float: 'Scam Float'
+};
+
+// Longest note kept on an annotation
+const HISTORY_NOTE_MAX_LENGTH = 1000;
+
+// price_key of entries without an Empire price: sorts below every real price, so
+// price-sorted views list them last instead of leaving them out of the index
+const HISTORY_UNPRICED_KEY = -1;
+
+class NotificationHistoryStore {
+  constructor() {
+    this.initializeProperties();
+  }
+
+  /**
+   * Initialize store properties
+   */
+  initializeProperties() {
+    // Retention configuration
+    this.config = {
+      retentionDays: 90,
+      maxEntries: 50000
+    };
+
+    // IndexedDB database (stores and indexes in createSchema)
+    this.database = new IndexedDbConnection('EmpireEnhancedNotificationHistory', 1, db => this.createSchema(db));
+
+    // Writes are chained so entries land in the order they were found
+    this.writePromise = Promise.resolve();
+    this.lastPrunedDay = null;
+  }
+
+  /**
+   * Load retention settings from Chrome storage and migrate the old history
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.sync.get(['notificationHistoryConfig']);
+
+      if (result.notificationHistoryConfig) {
+        this.config = { ...this.config, ...result.notificationHistoryConfig };
+        console.log('✅ Notification history config loaded:', this.config);
+      }
+    } catch (error) {
+      console.error('❌ Error loading notification history settings:', error);
+    }
+
+    await this.migrateLegacyHistory();
+  }
+
+  /**
+   * Save retention configuration to Chrome storage
+   */
+  async saveConfig() {
+    try {
+      await chrome.storage.sync.set({ notificationHistoryConfig: this.config });
+      console.log('💾 Notification history config saved');
+    } catch (error) {
+      console.error('❌ Error saving notification history config:', error);
+    }
+  }
+
+  /**
+   * Update retention settings
+   * @param {Object} settings - { retentionDays, maxEntries }
+   */
+  async updateSettings(settings) {
+    const config = { ...this.config };
+
+    if (settings.retentionDays !== undefined) {
+      const days = parseInt(settings.retentionDays, 10);
+      if (!(days >= 1 && days <= 3650)) {
+        throw new Error('Retention must be between 1 and 3650 days');
+      }
+      config.retentionDays = days;
+    }
+    if (settings.maxEntries !== undefined) {
+      const maxEntries = parseInt(settings.maxEntries, 10);
+      if (!(maxEntries >= 100 && maxEntries <= 500000)) {
+        throw new Error('History size must be between 100 and 500000 entries');
+      }
+      config.maxEntries = maxEntries;
+    }
+
+    this.config = config;
+    await this.saveConfig();
+    console.log('⚙️ Notification history settings updated:', this.config);
+
+    // Apply the new limits right away
+    if (this.isSupported()) {
+      this.lastPrunedDay = null;
+      await this.enqueueWrite(() => this.prune());
+    }
+  }
+
+  /**
+   * Check whether IndexedDB is available in this context
+   * @returns {boolean} True if IndexedDB can be used
+   */
+  isSupported() {
+    return this.database.isSupported();
+  }
+
+  /**
+   * Move entries from chrome.storage.local notificationHistory into IndexedDB
+   */
+  async migrateLegacyHistory() {
+    if (!this.isSupported()) {
+      return;
+    }
+
+    try {
+      const result = await chrome.storage.local.get(['notificationHistory']);
+      const legacy = result.notificationHistory;
+      if (!Array.isArray(legacy)) {
+        return;
+      }
+
+      // Stored newest first; insert oldest first so the primary key order matches time
+      if (legacy.length > 0) {
+        await this.enqueueWrite(() => this.writeEntries([...legacy].reverse()));
+      }
+      await chrome.storage.local.remove('notificationHistory');
+      console.log(`📦 Migrated ${legacy.length} history entries to IndexedDB`);
+    } catch (error) {
+      console.error('❌ Error migrating notification history:', error);
+    }
+  }
+
+  /**
+   * ========================================================================
+   * WRITING
+   * ========================================================================
+   */
+
+  /**
+   * Add a history entry
+   * @param {Object} entry - Result of createHistoryItem
+   * @returns {Promise<void>}
+   */
+  add(entry) {
+    if (!this.isSupported()) {
+      return this.writePromise;
+    }
+    return this.enqueueWrite(() => this.writeEntries([entry]));
+  }
+
+  /**
+   * Update stored entries of the given item ids
+   * @param {Array<string|number>} ids - Item ids
+   * @param {Function} updater - (entry) => boolean, mutates the entry and returns true when it changed
+   * @returns {Promise<number>} Number of entries rewritten
+   */
+  update(ids, updater) {
+    if (!this.isSupported() || ids.length === 0) {
+      return Promise.resolve(0);
+    }
+
+    let updated = 0;
+    return this.enqueueWrite(async () => {
+      const db = await this.database.open();
+      const transaction = db.transaction(['entries'], 'readwrite');
+      const store = transaction.objectStore('entries');
+      const index = store.index('id');
+
+      for (const id of ids) {
+        const request = index.openCursor(IDBKeyRange.only(id));
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+
+          const entry = cursor.value;
+          if (updater(entry)) {
+            cursor.update(entry);
+            updated++;
+          }
+          cursor.continue();
+        };
+      }
+
+      await this.database.transactionDone(transaction);
+    }).then(() => updated);
+  }
+
+  /**
+   * Replace the annotation of one stored entry
+   * @param {number} seq - Entry primary key
+   * @param {Object} annotation - { tags, note, buy_price, resale_price } (USD prices)
+   * @returns {Promise<Object>} Updated entry
+   */
+  async annotate(seq, annotation) {
+    const normalized = this.normalizeAnnotation(annotation);
+    if (!this.isSupported()) {
+      throw new Error('History storage is not available');
+    }
+
+    let saved = null;
+    await this.enqueueWrite(async () => {
+      const db = await this.database.open();
+      const transaction = db.transaction(['entries'], 'readwrite');
+      const store = transaction.objectStore('entries');
+
+      const entry = await this.database.requestToPromise(store.get(seq));
+      if (entry) {
+        const updated = { ...entry, annotation: normalized };
+        if (!normalized) {
+          delete updated.annotation;
+        }
+        saved = { ...this.toRecord(updated), seq };
+        store.put(saved);
+      }
+
+      await this.database.transactionDone(transaction);
+    });
+
+    if (!saved) {
+      throw new Error('History entry not found');
+    }
+    return saved;
+  }
+
+  /**
+   * Validate an annotation
+   * @param {Object} annotation - Annotation from the history page
+   * @returns {Object|null} Annotation to store, or null when it is empty
+   */
+  normalizeAnnotation(annotation = {}) {
+    const tags = [...new Set(annotation.tags || [])];
+    const unknownTag = tags.find(tag => !HISTORY_TAGS[tag]);
+    if (unknownTag) {
+      throw new Error(`Unknown history tag: ${unknownTag}`);
+    }
+
+    const note = String(annotation.note || '').trim();
+    if (note.length > HISTORY_NOTE_MAX_LENGTH) {
+      throw new Error(`Notes are limited to ${HISTORY_NOTE_MAX_LENGTH} characters`);
+    }
+
+    const price = (value, label) => {
+      if (value === null || value === undefined || value === '') {
+        return null;
+      }
+      const amount = Number(value);
+      if (!(Number.isFinite(amount) && amount >= 0)) {
+        throw new Error(`${label} must be a USD amount of 0 or more`);
+      }
+      return Math.round(amount * 100) / 100;
+    };
+    const buyPrice = price(annotation.buy_price, 'Bought at');
+    const resalePrice = price(annotation.resale_price, 'Resold at');
+
+    if (tags.length === 0 && !note && buyPrice === null && resalePrice === null) {
+      return null;
+    }
+
+    return {
+      tags,
+      note,
+      buy_price: buyPrice,
+      resale_price: resalePrice,
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Chain a write after the pending ones. A failed write does not stop the ones
+   * queued after it; its own promise rejects, and callers must handle that (the
+   * background counts failed matches and the history page reports them)
+   * @param {Function} write - async () => void
+   * @returns {Promise<void>} Rejects when this write fails
+   */
+  enqueueWrite(write) {
+    const result = this.writePromise.then(write);
+
+    // Later writes still run after a failed one; the caller gets the failure
+    this.writePromise = result.catch(error => console.error('❌ Notification history write failed:', error));
+
+    return result;
+  }
+
+  /**
+   * Write entries, then apply retention
+   * @param {Array<Object>} entries - History entries, oldest first
+   */
+  async writeEntries(entries) {
+    const db = await this.database.open();
+    const transaction = db.transaction(['entries'], 'readwrite');
+    const store = transaction.objectStore('entries');
+    for (const entry of entries) {
+      store.add(this.toRecord(entry));
+    }
+    await this.database.transactionDone(transaction);
+
+    await this.prune();
+  }
+
+  /**
+   * Add the lookup fields the indexes and text search read
+   * @param {Object} entry - History entry
+   * @returns {Object} Record to store
+   */
+  toRecord(entry) {
+    const record = { ...entry };
+    delete record.seq;
+
+    // Number(null) is 0: a missing price must stay missing
+    const price = record.empire_price === null || record.empire_price === '' ? NaN : Number(record.empire_price);
+    record.empire_price = Number.isFinite(price) ? price : null;
+    record.price_key = record.empire_price ?? HISTORY_UNPRICED_KEY;
+    record.timestamp = record.timestamp || Date.now();
+    record.kind = this.getEntryKind(record);
+
+    const charms = (record.charm_breakdown || []).map(charm => charm.name);
+    const rule = record.matched_rule;
+    const annotation = record.annotation || {};
+    record.search_text = [
+      record.id,
+      record.market_name,
+      record.notification_type,
+      record.charm_name,
+      ...charms,
+      record.charm_pattern_display,
+      record.pattern_tier_display,
+      record.sticker_value_display,
+      rule && typeof rule === 'object' ? rule.name : rule,
+      ...(record.rule_tags || []),
+      ...(annotation.tags || []).map(tag => HISTORY_TAGS[tag]),
+      annotation.note
+    ].filter(value => value !== null && value !== undefined && value !== '').join(' ').toLowerCase();
+
+    return record;
+  }
+
+  /**
+   * View an entry belongs to, keyed by the kind_* indexes
+   * @param {Object} entry - History entry
+   * @returns {string} 'purchase' or 'found'
+   */
+  getEntryKind(entry) {
+    return entry.notification_type === 'automation_purchase' ? 'purchase' : 'found';
+  }
+
+  /**
+   * Delete entries past the retention window or the entry limit
+   */
+  async prune() {
+    const db = await this.database.open();
+    const transaction = db.transaction(['entries'], 'readwrite');
+    const store = transaction.objectStore('entries');
+    const byDate = store.index('timestamp');
+
+    const today = Math.floor(Date.now() / HISTORY_DAY_MS);
+    if (this.lastPrunedDay !== today) {
+      this.lastPrunedDay = today;
+      const cutoff = Date.now() - this.config.retentionDays * HISTORY_DAY_MS;
+      const request = byDate.openCursor(IDBKeyRange.upperBound(cutoff, true));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    }
+
+    // Oldest entries go first once the limit is reached
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - this.config.maxEntries;
+      if (excess <= 0) return;
+
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && excess > 0) {
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        }
+      };
+    };
+
+    await this.database.transactionDone(transaction);
+  }
+
+  /**
+   * Delete every entry
+   */
+  async clear() {
+    if (!this.isSupported()) {
+      return;
+    }
+
+    await this.enqueueWrite(async () => {
+      const db = await this.database.open();
+      const transaction = db.transaction(['entries'], 'readwrite');
+      transaction.objectStore('entries').clear();
+      await this.database.transactionDone(transaction);
+    });
+    console.log('🗑️ Notification history cleared');
+  }
+
+  /**
+   * ========================================================================
+   * QUERIES
+   * ========================================================================
+   */
+
+  /**
+   * Query one page of history, newest first (or most expensive first)
+   * @param {Object} query - Filters and paging
+   * @param {string} query.view - 'Found' (everything but purchases), 'Purchased' or 'All'
+   * @param {string} query.text - Free-text search (name, charm, rule, tags, notes, id)
+   * @param {string} query.type - Exact notification type
+   * @param {string} query.charm - Exact charm name
+   * @param {string} query.name - Exact market name
+   * @param {string} query.tag - Annotation tag (HISTORY_TAGS key)
+   * @param {number} query.minPrice - Min Empire price in USD
+   * @param {number} query.maxPrice - Max Empire price in USD
+   * @param {number} query.from - Earliest timestamp
+   * @param {number} query.to - Latest timestamp
+   * @param {string} query.sort - 'date' (default) or 'price'
+   * @param {number} query.offset - Entries to skip
+   * @param {number} query.limit - Page size
+   * @param {boolean} query.totals - Also sum totalValue and find latest (walks every match)
+   * @returns {Promise<Object>} { items, total, offset, limit } plus totalValue and latest when asked for
+   */
+  async query(query = {}) {
+    const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+    const limit = Math.min(HISTORY_MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || HISTORY_PAGE_SIZE));
+    const page = { items: [], total: 0, offset, limit };
+    if (query.totals) {
+      page.totalValue = 0;
+      page.latest = null;
+    }
+
+    if (!this.isSupported()) {
+      return page;
+    }
+
+    const db = await this.database.open();
+    const transaction = db.transaction(['entries'], 'readonly');
+    const { source, range, exact } = this.getQuerySource(transaction.objectStore('entries'), query);
+
+    // Everything in the index range matches: count it and jump straight to the page
+    if (exact && !query.totals) {
+      const [total, items] = await Promise.all([
+        this.database.requestToPromise(source.count(range)),
+        this.readPage(source, range, offset, limit)
+      ]);
+      return { ...page, items, total };
+    }
+
+    const matches = exact ? () => true : this.createMatcher(query);
+    await this.walk(source, range, (entry) => {
+      if (!matches(entry)) {
+        return;
+      }
+      if (page.total >= offset && page.items.length < limit) {
+        page.items.push(entry);
+      }
+      page.total++;
+      if (query.totals) {
+        page.totalValue += entry.empire_price || 0;
+        page.latest = Math.max(page.latest || 0, entry.timestamp || 0);
+      }
+    });
+
+    return page;
+  }
+
+  /**
+   * Every entry matching a query, in query order (used by exports)
+   * @param {Object} query - Same filters as query(); offset / limit are ignored
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async getAll(query = {}) {
+    const entries = [];
+    await this.scan(query, entry => entries.push(entry));
+    return entries;
+  }
+
+  /**
+   * Walk the entries matching a query
+   * @param {Object} query - Query filters
+   * @param {Function} visit - (entry) => void, called newest (or most expensive) first
+   */
+  async scan(query, visit) {
+    if (!this.isSupported()) {
+      return;
+    }
+
+    const db = await this.database.open();
+    const transaction = db.transaction(['entries'], 'readonly');
+    const { source, range } = this.getQuerySource(transaction.objectStore('entries'), query);
+    const matches = this.createMatcher(query);
+
+    await this.walk(source, range, (entry) => {
+      if (matches(entry)) {
+        visit(entry);
+      }
+    });
+  }
+
+  /**
+   * Visit every entry of an index range, last key first
+   * @param {IDBIndex|IDBObjectStore} source - Index or store to walk
+   * @param {IDBKeyRange|null} range - Key range
+   * @param {Function} visit - (entry) => void
+   * @returns {Promise<void>}
+   */
+  walk(source, range, visit) {
+    return new Promise((resolve, reject) => {
+      const request = source.openCursor(range, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        visit(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Read one page of an index range without deserializing the skipped entries
+   * @param {IDBIndex|IDBObjectStore} source - Index or store to read
+   * @param {IDBKeyRange|null} range - Key range
+   * @param {number} offset - Entries to skip
+   * @param {number} limit - Page size
+   * @returns {Promise<Array<Object>>} Entries, last key first
+   */
+  readPage(source, range, offset, limit) {
+    return new Promise((resolve, reject) => {
+      const items = [];
+      let skipped = offset === 0;
+      const request = source.openCursor(range, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(items);
+          return;
+        }
+
+        if (!skipped) {
+          skipped = true;
+          cursor.advance(offset);
+          return;
+        }
+
+        items.push(cursor.value);
+        if (items.length >= limit) {
+          resolve(items);
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Pick the index that narrows a query the most
+   * @param {IDBObjectStore} store - Entries store
+   * @param {Object} query - Query filters
+   * @returns {Object} { source, range, exact } - index (or store) and key range to walk;
+   *   exact is true when every entry in the range matches, so no matcher is needed
+   */
+  getQuerySource(store, query) {
+    const number = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+    const bound = (lower, upper) => {
+      if (lower !== null && upper !== null) return IDBKeyRange.bound(lower, upper);
+      if (lower !== null) return IDBKeyRange.lowerBound(lower);
+      if (upper !== null) return IDBKeyRange.upperBound(upper);
+      return null;
+    };
+    const filters = ['name', 'charm', 'type', 'tag', 'text', 'minPrice', 'maxPrice', 'from', 'to']
+      .filter(key => String(query[key] ?? '').trim() !== '');
+    const onlyFilters = (...keys) => filters.every(key => keys.includes(key));
+
+    // Found / Purchased read the compound indexes so the view needs no matcher either
+    const kind = { Found: 'found', Purchased: 'purchase' }[query.view] || null;
+    const byKind = (index, lower, upper) => ({
+      source: store.index(index),
+      range: IDBKeyRange.bound([kind, lower ?? -Infinity], [kind, upper ?? Infinity])
+    });
+
+    if (query.sort === 'price') {
+      // A price bound leaves out unpriced entries (HISTORY_UNPRICED_KEY), like the matcher does
+      let minPrice = number(query.minPrice);
+      const maxPrice = number(query.maxPrice);
+      if (minPrice !== null || maxPrice !== null) {
+        minPrice = Math.max(0, minPrice ?? 0);
+      }
+      const source = kind
+        ? byKind('kind_price', minPrice, maxPrice)
+        : { source: store.index('price_key'), range: bound(minPrice, maxPrice) };
+      return { ...source, exact: onlyFilters('minPrice', 'maxPrice') };
+    }
+    if (query.name) {
+      return { source: store.index('market_name'), range: IDBKeyRange.only(query.name), exact: !kind && onlyFilters('name') };
+    }
+    if (query.charm) {
+      return { source: store.index('charm_name'), range: IDBKeyRange.only(query.charm), exact: !kind && onlyFilters('charm') };
+    }
+    if (query.type) {
+      return { source: store.index('notification_type'), range: IDBKeyRange.only(query.type), exact: !kind && onlyFilters('type') };
+    }
+
+    const from = number(query.from);
+    const to = number(query.to);
+    const source = kind
+      ? byKind('kind_timestamp', from, to)
+      : { source: store.index('timestamp'), range: bound(from, to) };
+    return { ...source, exact: onlyFilters('from', 'to') };
+  }
+
+  /**
+   * Build the filter applied to every entry the cursor visits
+   * @param {Object} query - Query filters
+   * @returns {Function} (entry) => boolean
+   */
+  createMatcher(query) {
+    const terms = String(query.text || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const number = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+    const minPrice = number(query.minPrice);
+    const maxPrice = number(query.maxPrice);
+    const from = number(query.from);
+    const to = number(query.to);
+
+    return (entry) => {
+      const isPurchase = entry.notification_type === 'automation_purchase';
+      if (query.view === 'Found' && isPurchase) return false;
+      if (query.view === 'Purchased' && !isPurchase) return false;
+
+      if (query.name && entry.market_name !== query.name) return false;
+      if (query.charm && entry.charm_name !== query.charm) return false;
+      if (query.type && entry.notification_type !== query.type) return false;
+      if (query.tag && !(entry.annotation?.tags || []).includes(query.tag)) return false;
+      if ((minPrice !== null || maxPrice !== null) && entry.empire_price === null) return false;
+      if (minPrice !== null && entry.empire_price < minPrice) return false;
+      if (maxPrice !== null && entry.empire_price > maxPrice) return false;
+      if (from !== null && !(entry.timestamp >= from)) return false;
+      if (to !== null && !(entry.timestamp <= to)) return false;
+
+      return terms.every(term => (entry.search_text || '').includes(term));
+    };
+  }
+
+  /**
+   * Distinct notification types and charm names, for the column filters
+   * @returns {Promise<Object>} { types, charms }
+   */
+  async getFacets() {
+    if (!this.isSupported()) {
+      return { types: [], charms: [] };
+    }
+
+    const db = await this.database.open();
+    const transaction = db.transaction(['entries'], 'readonly');
+    const store = transaction.objectStore('entries');
+
+    const [types, charms] = await Promise.all([
+      this.getUniqueKeys(store.index('notification_type')),
+      this.getUniqueKeys(store.index('charm_name'))
+    ]);
+
+    return { types, charms };
+  }
+
+  /**
+   * Distinct keys of an index
+   * @param {IDBIndex} index - Index to walk
+   * @returns {Promise<Array>} Keys in index order
+   */
+  getUniqueKeys(index) {
+    return new Promise((resolve, reject) => {
+      const keys = [];
+      const request = index.openKeyCursor(null, 'nextunique');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(keys);
+          return;
+        }
+        keys.push(cursor.key);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get retention settings and the current entry count
+   * @returns {Promise<Object>} { retentionDays, maxEntries, count, supported }
+   */
+  async getSettings() {
+    let count = 0;
+    if (this.isSupported()) {
+      const db = await this.database.open();
+      const transaction = db.transaction(['entries'], 'readonly');
+      count = await this.database.requestToPromise(transaction.objectStore('entries').count());
+    }
+
+    return { ...this.config, count, supported: this.isSupported() };
+  }
+
+  /**
+   * ========================================================================
+   * SCHEMA
+   * ========================================================================
+   */
+
+  /**
+   * Create the history store (IndexedDbConnection upgrade callback)
+   * @param {IDBDatabase} db - Database being upgraded
+   */
+  createSchema(db) {
+    if (db.objectStoreNames.contains('entries')) {
+      return;
+    }
+
+    // Auto-increment keys: the same item can appear twice (found, then purchased)
+    const store = db.createObjectStore('entries', { keyPath: 'seq', autoIncrement: true });
+    store.createIndex('id', 'id');
+    store.createIndex('market_name', 'market_name');
+    store.createIndex('notification_type', 'notification_type');
+    store.createIndex('charm_name', 'charm_name');
+    store.createIndex('timestamp', 'timestamp');
+    store.createIndex('price_key', 'price_key');
+
+    // Found / Purchased views by date and price, so their pages are counted and skipped in the index
+    store.createIndex('kind_timestamp', ['kind', 'timestamp']);
+    store.createIndex('kind_price', ['kind', 'price_key']);
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NotificationHistoryStore,
+    HISTORY_PAGE_SIZE,
+    HISTORY_TAGS
+  };
+}
@@ -3,9 +3,31 @@
 class NotificationHistory {
     constructor() {
         this.notifications = [];
+        this.paperTrades = [];
         this.autoRefreshInterval = null;
         this.currentFilter = 'Found';
+        this.currentTag = '';
+
+        // History lives in IndexedDB (background); the page only holds the current page
+        this.filters = { text: '', type: '', charm: '', minPrice: '', maxPrice: '', from: '', to: '', sort: 'date' };
+        this.page = 0;
+        this.pageSize = 50;
+        this.total = 0;
+        this.totalValue = 0;
+        this.latest = null;
+        // Filters the totals were computed for; null when the history changed since
+        this.totalsKey = null;
+        this.reloadTimer = null;
+
+        // Analytics dashboard is only queried while it is open
+        this.analyticsOpen = false;
+
         this.currentTheme = 'nebula';
+        this.currency = new CurrencyConverter();
+
+        // Exports read IndexedDB directly: a full history is too large for one runtime message
+        this.historyStore = new NotificationHistoryStore();
+        this.exporter = new HistoryExporter({ currency: this.currency });
         
         this.charmColors = {
             'Red': '#ef4444',
@@ -27,6 +49,8 @@ class NotificationHistory {
         }
         
         await this.loadTheme();
+        await this.currency.loadSettings();
+        this.currency.watchStorage();
         this.setupEventListeners();
         this.setupStorageListener();
         await this.loadHistory();
@@ -91,6 +115,7 @@ class NotificationHistory {
                 refreshBtn.innerHTML = '<span class="refresh-icon spinning"></span> Refreshing...';
                 refreshBtn.disabled = true;
                 
+                this.totalsKey = null;
                 this.loadHistory().finally(() => {
                     refreshBtn.classList.remove('loading');
                     refreshBtn.innerHTML = '<span class="refresh-icon"></span> Refresh';
@@ -99,17 +124,24 @@ class NotificationHistory {
             });
         }
 
-        document.querySelectorAll('.filter-btn').forEach(btn => {
+        this.renderTagFilters();
+
+        document.querySelectorAll('.filters .filter-btn').forEach(btn => {
             btn.addEventListener('click', () => {
-                document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
+                document.querySelectorAll('.filters .filter-btn').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 
                 this.currentFilter = btn.textContent.trim();
+                this.currentTag = btn.dataset.tag || '';
                 console.log(`🔍 Filter changed to: ${this.currentFilter}`);
                 this.applyCurrentFilter();
             });
         });
 
+        this.setupHistoryFilterControls();
+        this.setupExportControls();
+        this.setupAnalyticsControls();
+
         chrome.storage.onChanged.addListener((changes, namespace) => {
             if (namespace === 'sync') {
                 if (changes.selectedTheme) {
@@ -123,33 +155,614 @@ class NotificationHistory {
         });
     }
 
+    // One filter button per annotation tag, after Found / Purchased
+    renderTagFilters() {
+        const viewButton = document.querySelector('.filters .filter-btn');
+        if (!viewButton) {
+            return;
+        }
+
+        viewButton.parentElement.insertAdjacentHTML('beforeend', Object.entries(HISTORY_TAGS)
+            .map(([tag, label]) => `<button class="filter-btn" data-tag="${tag}">${label}</button>`)
+            .join(''));
+    }
+
+    // Search box, column filters, sort and pager; every change queries the first page again
+    setupHistoryFilterControls() {
+        const inputs = {
+            historySearch: 'text',
+            historyTypeFilter: 'type',
+            historyCharmFilter: 'charm',
+            historyMinPrice: 'minPrice',
+            historyMaxPrice: 'maxPrice',
+            historyFromDate: 'from',
+            historyToDate: 'to',
+            historySort: 'sort'
+        };
+
+        for (const [id, key] of Object.entries(inputs)) {
+            const input = document.getElementById(id);
+            if (!input) continue;
+
+            // Typing is debounced; selects and dates apply on change
+            const eventName = id === 'historySearch' ? 'input' : 'change';
+            input.addEventListener(eventName, () => {
+                this.filters[key] = input.value.trim();
+                if (id === 'historySearch') {
+                    this.page = 0;
+                    this.scheduleReload(300);
+                } else {
+                    this.applyCurrentFilter();
+                }
+            });
+        }
+
+        const prevBtn = document.getElementById('historyPrevPage');
+        const nextBtn = document.getElementById('historyNextPage');
+        if (prevBtn) {
+            prevBtn.addEventListener('click', () => this.goToPage(this.page - 1));
+        }
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => this.goToPage(this.page + 1));
+        }
+    }
+
     applyCurrentFilter() {
         console.log(`🎯 Applying filter: ${this.currentFilter}`);
+        this.page = 0;
+        this.loadHistory();
+    }
+
+    goToPage(page) {
+        const lastPage = Math.max(0, Math.ceil(this.total / this.pageSize) - 1);
+        this.page = Math.min(Math.max(0, page), lastPage);
+        this.loadHistory().then(() => window.scrollTo({ top: 0, behavior: 'smooth' }));
+    }
+
+    // Collapse bursts of history updates (and keystrokes) into one query
+    scheduleReload(delayMs = 1000) {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+            this.reloadTimer = null;
+            // Re-rendering would drop an annotation that is being edited
+            if (this.isEditingAnnotation()) {
+                this.scheduleReload(delayMs);
+                return;
+            }
+            this.loadHistory();
+        }, delayMs);
+    }
+
+    isEditingAnnotation() {
+        return document.querySelector('.annotation-editor') !== null;
+    }
+
+    setupExportControls() {
+        const buttons = {
+            exportCsvBtn: () => this.exportHistory('csv'),
+            exportJsonBtn: () => this.exportHistory('json'),
+            exportReportBtn: () => this.exportPurchaseReport()
+        };
+
+        for (const [id, handler] of Object.entries(buttons)) {
+            const btn = document.getElementById(id);
+            if (!btn) continue;
+
+            btn.addEventListener('click', async () => {
+                btn.disabled = true;
+                try {
+                    await handler();
+                } finally {
+                    btn.disabled = false;
+                }
+            });
+        }
+    }
+
+    // Every entry of the current view and filters, not just the page on screen
+    async getExportEntries(query = this.buildHistoryQuery()) {
+        const { offset, limit, ...filters } = query;
+        return this.historyStore.getAll(filters);
+    }
+
+    async exportHistory(format) {
+        try {
+            const entries = await this.getExportEntries();
+            if (entries.length === 0) {
+                this.showError('Nothing to export for the current filters');
+                return;
+            }
+
+            const text = format === 'csv' ? this.exporter.toCsv(entries) : this.exporter.toJson(entries);
+            const type = format === 'csv' ? 'text/csv' : 'application/json';
+            this.downloadFile(text, type, `empire-history-${this.getExportStamp()}.${format}`);
+            this.showSuccess(`Exported ${entries.length.toLocaleString()} entries as ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error('❌ Error exporting history:', error);
+            this.showError(`Export failed: ${error.message}`);
+        }
+    }
+
+    // Automation purchases in the current filters (any view) vs Buff163 / CSFloat then and now
+    async exportPurchaseReport() {
+        try {
+            const entries = await this.getExportEntries({ ...this.buildHistoryQuery(), view: 'Purchased' });
+            if (entries.length === 0) {
+                this.showError('No automation purchases in the current filters');
+                return;
+            }
+
+            const names = [...new Set(entries.map(entry => entry.market_name).filter(Boolean))];
+            const response = await chrome.runtime.sendMessage({ type: 'GET_MARKETPLACE_PRICES', data: { names } });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Could not load current prices');
+            }
 
-        let sortedNotifications = [...this.notifications];
-
-        if (this.currentFilter === 'Purchased') {
-            // Show only automation purchases (Item Target + Charm automation)
-            sortedNotifications = sortedNotifications.filter(item =>
-                item.notification_type === 'automation_purchase'
-            );
-            console.log(`🛒 Filtered to ${sortedNotifications.length} automation purchases`);
-        } else if (this.currentFilter === 'Found') {
-            // Show all Control Panel notifications (not auto-purchased)
-            sortedNotifications = sortedNotifications.filter(item =>
-                item.notification_type !== 'automation_purchase'
-            );
-            console.log(`🔍 Filtered to ${sortedNotifications.length} found items`);
-        }
-
-        // Always sort by most recent first
-        sortedNotifications.sort((a, b) => {
-            const aTime = new Date(a.published_at || a.timestamp).getTime();
-            const bTime = new Date(b.published_at || b.timestamp).getTime();
-            return bTime - aTime;
+            const report = this.exporter.buildPurchaseReport(entries, response.data);
+            this.downloadFile(this.exporter.reportToCsv(report), 'text/csv', `empire-pnl-${this.getExportStamp()}.csv`);
+
+            const pnl = report.totals.pnl_buff163_now;
+            const unpriced = report.totals.unpriced.pnl_buff163_now;
+            this.showSuccess(`P&L report: ${report.totals.counted} purchases, ${this.currency.format(report.totals.purchase_usd)} spent, ${pnl >= 0 ? '+' : '-'}${this.currency.format(Math.abs(pnl))} vs Buff163 now${unpriced > 0 ? ` (${unpriced} without a Buff163 price left out)` : ''}`);
+        } catch (error) {
+            console.error('❌ Error building P&L report:', error);
+            this.showError(`P&L report failed: ${error.message}`);
+        }
+    }
+
+    // File name suffix: the date filter range when set, else today
+    getExportStamp() {
+        const { from, to } = this.filters;
+        if (from || to) {
+            return `${from || 'start'}_${to || 'now'}`;
+        }
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    downloadFile(text, type, filename) {
+        // BOM so spreadsheet apps read the CSV as UTF-8 (item names use ★ and ™)
+        const blob = new Blob([type === 'text/csv' ? '\ufeff' : '', text], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    setupAnalyticsControls() {
+        const toggleBtn = document.getElementById('toggleAnalyticsBtn');
+        const panel = document.getElementById('analyticsPanel');
+        if (!toggleBtn || !panel) {
+            return;
+        }
+
+        toggleBtn.addEventListener('click', () => {
+            this.analyticsOpen = !this.analyticsOpen;
+            panel.style.display = this.analyticsOpen ? 'block' : 'none';
+            toggleBtn.classList.toggle('active', this.analyticsOpen);
+            if (this.analyticsOpen) {
+                this.loadAnalytics();
+            }
         });
+    }
+
+    // Dashboard for the current filters; the Found / Purchased view is ignored so matches
+    // and the purchases they led to are counted side by side
+    async loadAnalytics() {
+        try {
+            const { offset, limit, sort, ...filters } = this.buildHistoryQuery();
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_NOTIFICATION_HISTORY_ANALYTICS',
+                data: { ...filters, view: 'All' }
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background');
+            }
+
+            this.renderAnalytics(response.data);
+        } catch (error) {
+            console.error('❌ Error loading history analytics:', error);
+            this.showError(`Failed to load analytics: ${error.message}`);
+        }
+    }
+
+    renderAnalytics(summary) {
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+        const setHtml = (id, html) => {
+            const element = document.getElementById(id);
+            if (element) element.innerHTML = html;
+        };
+        const formatPercent = value => (value === null ? '–' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`);
+
+        setText('analyticsMatches', summary.total.toLocaleString());
+        setText('analyticsAboveRecommended', formatPercent(summary.avgAboveRecommended));
+        setText('analyticsPurchases', summary.automation.purchases.toLocaleString());
+        setText('analyticsSuccessRate', summary.automation.successRate === null ? '–' : `${summary.automation.successRate.toFixed(0)}%`);
+
+        const { realized } = summary;
+        setText('analyticsRealizedProfit', realized.count === 0
+            ? '–'
+            : `${realized.profit >= 0 ? '+' : '-'}${this.currency.format(Math.abs(realized.profit))}`);
+        const realizedEl = document.getElementById('analyticsRealizedProfit');
+        if (realizedEl) {
+            realizedEl.title = `${realized.count} resold · ${this.currency.format(realized.cost)} bought · ${this.currency.format(realized.revenue)} resold`;
+        }
+
+        setHtml('analyticsByHour', summary.total === 0 ? this.renderAnalyticsEmpty() : PriceChart.renderColumns(
+            summary.byHour.map((count, hour) => ({
+                value: count,
+                label: String(hour).padStart(2, '0'),
+                title: `${String(hour).padStart(2, '0')}:00–${String(hour).padStart(2, '0')}:59 · ${count} matches`
+            })),
+            { width: 720, height: 110, labelEvery: 2 }
+        ));
+
+        setHtml('analyticsByType', this.renderAnalyticsBars(summary.byType.map(row => ({
+            label: this.formatNotificationType(row.type),
+            value: row.count,
+            detail: [
+                String(row.count),
+                row.avgAboveRecommended === null ? '' : formatPercent(row.avgAboveRecommended),
+                row.bought > 0 ? `${row.bought} bought` : ''
+            ].filter(Boolean).join(' · ')
+        }))));
+
+        setHtml('analyticsByRarity', this.renderAnalyticsBars(summary.byRarity.map(row => ({
+            label: row.rarity,
+            value: row.count,
+            color: this.charmColors[row.rarity]
+        }))));
+
+        // Last 30 days with automation purchases; days without a settled trade stay empty
+        const days = summary.automation.days.slice(-30);
+        setHtml('analyticsAutomation', days.length === 0 ? this.renderAnalyticsEmpty('No automation purchases') : PriceChart.renderColumns(
+            days.map(day => ({
+                value: day.successRate || 0,
+                label: day.day.slice(5),
+                color: day.successRate === null || day.successRate >= 50 ? '#22c55e' : '#ef4444',
+                title: `${day.day} · ${day.successRate === null ? 'no settled trades' : `${day.successRate.toFixed(0)}% success`} · ` +
+                    `${day.completed} completed, ${day.failed} failed, ${day.pending} pending, ${day.paper} paper`
+            })),
+            { width: 360, height: 110, max: 100, labelEvery: Math.ceil(days.length / 6) }
+        ));
+
+        setHtml('analyticsTopItems', this.renderAnalyticsBars(summary.topItems.map(row => ({
+            label: row.name,
+            value: row.count
+        }))));
+
+        setHtml('analyticsByTag', this.renderAnalyticsBars(summary.byTag.map(row => ({
+            label: HISTORY_TAGS[row.tag] || row.tag,
+            value: row.count
+        }))));
+    }
+
+    // Horizontal bars scaled to the largest row
+    renderAnalyticsBars(rows) {
+        if (rows.length === 0) {
+            return this.renderAnalyticsEmpty();
+        }
+
+        const max = Math.max(...rows.map(row => row.value)) || 1;
+        return rows.map(row => `
+            <div class="analytics-bar-row" title="${this.escapeHtml(row.label).replace(/"/g, '&quot;')}">
+                <span>${this.escapeHtml(row.label)}</span>
+                <div class="analytics-bar-track">
+                    <div class="analytics-bar-fill" style="width: ${((row.value / max) * 100).toFixed(1)}%;${row.color ? ` background: ${row.color};` : ''}"></div>
+                </div>
+                <span>${this.escapeHtml(row.detail ?? String(row.value))}</span>
+            </div>
+        `).join('');
+    }
+
+    renderAnalyticsEmpty(text = 'No data for the current filters') {
+        return `<div class="analytics-empty">${text}</div>`;
+    }
+
+    // 'automation_purchase' → 'Automation Purchase'
+    formatNotificationType(type) {
+        return String(type).split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+
+    // Query sent to the background history store (dates are local days, inclusive)
+    buildHistoryQuery() {
+        const { text, type, charm, minPrice, maxPrice, from, to, sort } = this.filters;
+        return {
+            // A tag button shows tagged entries of both views
+            view: this.currentTag ? 'All' : this.currentFilter,
+            tag: this.currentTag,
+            text,
+            type,
+            charm,
+            minPrice,
+            maxPrice,
+            from: from ? new Date(`${from}T00:00:00`).getTime() : '',
+            to: to ? new Date(`${to}T23:59:59.999`).getTime() : '',
+            sort,
+            offset: this.page * this.pageSize,
+            limit: this.pageSize
+        };
+    }
+
+    // Fill the type and charm selects from what the history actually contains
+    async loadHistoryFacets() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_NOTIFICATION_HISTORY_FACETS' });
+            if (!response || !response.success) {
+                return;
+            }
+
+            this.fillFilterSelect('historyTypeFilter', 'All types', response.data.types);
+            this.fillFilterSelect('historyCharmFilter', 'All charms', response.data.charms);
+        } catch (error) {
+            console.error('❌ Error loading history filters:', error);
+        }
+    }
+
+    fillFilterSelect(id, allLabel, values) {
+        const select = document.getElementById(id);
+        if (!select) {
+            return;
+        }
 
-        this.renderFilteredHistory(sortedNotifications);
+        const current = select.value;
+        const options = [...new Set([...values, current].filter(Boolean))];
+        select.innerHTML = `<option value="">${allLabel}</option>` + options
+            .map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`)
+            .join('');
+        select.value = current;
+    }
+
+    renderPager() {
+        const pager = document.getElementById('historyPager');
+        const info = document.getElementById('historyPageInfo');
+        const prevBtn = document.getElementById('historyPrevPage');
+        const nextBtn = document.getElementById('historyNextPage');
+        if (!pager) {
+            return;
+        }
+
+        pager.style.display = this.total > this.pageSize ? 'flex' : 'none';
+        const first = this.total === 0 ? 0 : this.page * this.pageSize + 1;
+        const last = Math.min(this.total, (this.page + 1) * this.pageSize);
+        if (info) info.textContent = `${first}–${last} of ${this.total.toLocaleString()}`;
+        if (prevBtn) prevBtn.disabled = this.page === 0;
+        if (nextBtn) nextBtn.disabled = last >= this.total;
+    }
+
+    // USD value of a history item: the rate at capture when recorded, else the current coin rate
+    getEmpireUsd(item) {
+        if (item.coin_rate && typeof item.empire_price === 'number') {
+            return item.empire_price;
+        }
+        return this.currency.coinsToUsd(item.market_value);
+    }
+
+    // Escape user-provided text (tier list names) before it goes into innerHTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Time on market / final auction price once the item has left the market
+    formatLifecycle(item) {
+        const lifecycle = item.lifecycle;
+        if (!lifecycle || lifecycle.status === 'listed') {
+            return '';
+        }
+
+        const price = (cents) => this.currency.formatCoins(cents);
+        let text;
+        if (lifecycle.status === 'sold') {
+            text = `🔨 Sold in ${lifecycle.durationSeconds}s for ${price(lifecycle.finalPrice)} (${lifecycle.bids} bids)`;
+        } else if (lifecycle.status === 'withdrawn') {
+            text = `✅ Withdrawn after ${lifecycle.durationSeconds}s`;
+        } else {
+            text = `⏱️ Gone in ${lifecycle.durationSeconds}s`;
+        }
+
+        return ` • <span class="lifecycle-info" title="Time from listing until the item left the market">${text}</span>`;
+    }
+
+    // Final state of a real automation purchase, settled from trade_status / the trades endpoint
+    formatTradeOutcome(item) {
+        const outcomes = {
+            pending: { text: '⏳ Trade pending', color: '#f59e0b' },
+            completed: { text: '✅ Trade completed', color: '#22c55e' },
+            cancelled: { text: '❌ Trade cancelled', color: '#ef4444' },
+            reverted: { text: '↩️ Trade reverted', color: '#a855f7' }
+        };
+        const outcome = outcomes[item.trade_outcome];
+        if (!outcome) {
+            return '';
+        }
+
+        const status = item.trade_status_message
+            ? ` (${String(item.trade_status_message).replace(/[<>&"]/g, '')})`
+            : '';
+        return ` • <span class="trade-outcome-info" style="color: ${outcome.color};">${outcome.text}${status}</span>`;
+    }
+
+    // Outcome tags, note and realized profit the user recorded for the entry
+    formatAnnotation(item) {
+        const annotation = item.annotation;
+        if (!annotation) {
+            return '';
+        }
+
+        const tags = (annotation.tags || [])
+            .map(tag => `<span class="annotation-tag">${this.escapeHtml(HISTORY_TAGS[tag] || tag)}</span>`)
+            .join('');
+
+        let prices = '';
+        if (typeof annotation.resale_price === 'number') {
+            prices = `💰 Resold at ${this.currency.format(annotation.resale_price)}`;
+            if (typeof annotation.buy_price === 'number') {
+                const profit = annotation.resale_price - annotation.buy_price;
+                const color = profit >= 0 ? '#22c55e' : '#ef4444';
+                prices += ` (bought at ${this.currency.format(annotation.buy_price)}, <span style="color: ${color};">${profit >= 0 ? '+' : '-'}${this.currency.format(Math.abs(profit))} realized</span>)`;
+            }
+        } else if (typeof annotation.buy_price === 'number') {
+            prices = `🛒 Bought at ${this.currency.format(annotation.buy_price)}`;
+        }
+
+        return `
+            ${tags ? `<div class="annotation-tags">${tags}</div>` : ''}
+            ${prices ? `<div>${prices}</div>` : ''}
+            ${annotation.note ? `<div class="annotation-note">${this.escapeHtml(annotation.note)}</div>` : ''}
+        `;
+    }
+
+    // What the item cost: the purchase price for automation buys, else the listed Empire price
+    getAnnotationBuyPrice(item) {
+        const price = item.notification_type === 'automation_purchase'
+            ? this.exporter.getPurchaseUsd(item)
+            : this.getEmpireUsd(item);
+        return typeof price === 'number' && Number.isFinite(price) ? price.toFixed(2) : '';
+    }
+
+    toggleAnnotationEditor(card, item) {
+        const existing = card.querySelector('.annotation-editor');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+
+        const annotation = item.annotation || {};
+        const tags = annotation.tags || [];
+        const buyPrice = typeof annotation.buy_price === 'number' ? annotation.buy_price : this.getAnnotationBuyPrice(item);
+        const resalePrice = typeof annotation.resale_price === 'number' ? annotation.resale_price : '';
+
+        card.querySelector('.item-actions').insertAdjacentHTML('afterend', `
+            <div class="annotation-editor">
+                <div class="annotation-tags">
+                    ${Object.entries(HISTORY_TAGS).map(([tag, label]) => `
+                        <label><input type="checkbox" value="${tag}" ${tags.includes(tag) ? 'checked' : ''}> ${label}</label>
+                    `).join('')}
+                </div>
+                <div class="annotation-prices">
+                    <label>Bought at (USD)<input type="number" class="annotation-buy-price" min="0" step="0.01" value="${buyPrice}"></label>
+                    <label>Resold at (USD)<input type="number" class="annotation-resale-price" min="0" step="0.01" value="${resalePrice}" placeholder="Not resold"></label>
+                </div>
+                <textarea class="annotation-note-input" maxlength="1000" placeholder="Notes">${this.escapeHtml(annotation.note || '')}</textarea>
+                <div class="item-actions">
+                    <button class="action-btn primary annotation-save-btn"><span>💾</span> Save</button>
+                    <button class="action-btn secondary annotation-cancel-btn">Cancel</button>
+                </div>
+            </div>
+        `);
+
+        const editor = card.querySelector('.annotation-editor');
+        editor.querySelector('.annotation-cancel-btn').addEventListener('click', () => editor.remove());
+        editor.querySelector('.annotation-save-btn').addEventListener('click', () => this.saveAnnotation(card, editor, item));
+    }
+
+    async saveAnnotation(card, editor, item) {
+        const annotation = {
+            tags: [...editor.querySelectorAll('.annotation-tags input:checked')].map(input => input.value),
+            buy_price: editor.querySelector('.annotation-buy-price').value,
+            resale_price: editor.querySelector('.annotation-resale-price').value,
+            note: editor.querySelector('.annotation-note-input').value
+        };
+
+        // A buy price alone is just the prefilled cost, not something the user recorded
+        if (annotation.tags.length === 0 && !annotation.note.trim() && annotation.resale_price === '') {
+            annotation.buy_price = '';
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'ANNOTATE_NOTIFICATION_HISTORY',
+                data: { seq: item.seq, annotation }
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background');
+            }
+
+            Object.assign(item, response.data);
+            if (!response.data.annotation) {
+                delete item.annotation;
+            }
+            card.querySelector('.item-annotation').innerHTML = this.formatAnnotation(item);
+            editor.remove();
+            this.showSuccess(`Saved annotation for ${item.market_name || `#${item.id}`}`);
+        } catch (error) {
+            console.error('❌ Error saving annotation:', error);
+            this.showError(`Failed to save annotation: ${error.message}`);
+        }
+    }
+
+    // 30-day sparkline and 7-day Buff trend per card, fetched in one batch from the price history store
+    async loadPriceTrends(itemsGrid) {
+        if (typeof PriceChart === 'undefined') {
+            return;
+        }
+
+        const placeholders = [...itemsGrid.querySelectorAll('.price-trend[data-name]')];
+        const names = [...new Set(placeholders.map(el => decodeURIComponent(el.dataset.name)).filter(Boolean))];
+        if (names.length === 0) {
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_PRICE_HISTORY', data: { names, days: 30 } });
+            if (!response || !response.success) {
+                return;
+            }
+
+            for (const el of placeholders) {
+                const history = response.data[decodeURIComponent(el.dataset.name)];
+                const sparkline = history ? PriceChart.renderSparkline(history.series, { width: 140, height: 26 }) : '';
+                if (!sparkline) continue;
+
+                const trend = history.trend7 || history.trend30;
+                el.innerHTML = `
+                    <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-top: 8px; font-size: 11px; font-weight: 600;">
+                        ${sparkline}
+                        <span style="color: ${PriceChart.getTrendColor(trend)};">${PriceChart.formatTrend(trend)}</span>
+                    </div>
+                `;
+            }
+        } catch (error) {
+            console.error('❌ Error loading price trends:', error);
+        }
+    }
+
+    // Hypothetical P&L of a dry-run purchase and the running total up to it
+    formatPaperTrade(item) {
+        const trade = item.paper_trade;
+        if (!item.dry_run || !trade) {
+            return '';
+        }
+
+        const money = (value) => `${value >= 0 ? '+' : '-'}${this.currency.format(Math.abs(value))}`;
+        if (trade.profit === null) {
+            return ' • <span class="paper-trade-info">🧪 No reference price</span>';
+        }
+
+        const running = this.getPaperRunningTotal(trade);
+        const runningText = running !== null ? ` (running ${money(running)})` : '';
+        const color = trade.profit >= 0 ? '#22c55e' : '#ef4444';
+        const title = `Empire ${this.currency.format(trade.empire_price)} vs ${trade.reference_source} ${this.currency.format(trade.reference_price)}`;
+
+        return ` • <span class="paper-trade-info" style="color: ${color};" title="${title}">🧪 P&L ${money(trade.profit)}${runningText}</span>`;
+    }
+
+    // Cumulative profit of the paper trading ledger up to and including a trade
+    getPaperRunningTotal(trade) {
+        const index = this.paperTrades.findIndex(entry => entry.id === trade.id && entry.at === trade.at);
+        if (index === -1) {
+            return null;
+        }
+
+        return this.paperTrades
+            .slice(0, index + 1)
+            .reduce((sum, entry) => sum + (entry.profit || 0), 0);
     }
 
     formatCharmInfo(item) {
@@ -193,11 +806,13 @@ class NotificationHistory {
 
         // Handle charm/keychain items with collection info
         if (item.charm_name && item.charm_category && item.charm_price !== undefined && item.charm_price !== null) {
-            const charmName = item.charm_name;
+            const charmName = item.charm_breakdown?.length > 1
+                ? item.charm_breakdown.map(charm => charm.name).join(' + ')
+                : item.charm_name;
             const charmCategory = item.charm_category;
             const charmPrice = parseFloat(item.charm_price);
             const charmCollection = item.charm_collection || null; // Get collection if available
-            const marketValue = item.market_value ? (item.market_value / 100) : 0;
+            const marketValue = this.getEmpireUsd(item);
 
             if (!isNaN(charmPrice)) {
                 let percentageOfMarket = 0;
@@ -220,8 +835,11 @@ class NotificationHistory {
                     charmColor,
                     categoryIcon,
                     percentageOfMarket,
-                    formattedDisplay: `${collectionPrefix}${charmName} – $${charmPrice.toFixed(2)}`,
-                    percentageDisplay: percentageOfMarket > 0 ? `${percentageOfMarket.toFixed(2)}% of market` : 'N/A'
+                    formattedDisplay: `${collectionPrefix}${charmName} – ${this.currency.format(charmPrice)}`,
+                    percentageDisplay: percentageOfMarket > 0 ? `${percentageOfMarket.toFixed(2)}% of market` : 'N/A',
+                    breakdownDisplay: item.charm_breakdown?.length > 1
+                        ? item.charm_breakdown.map(charm => `${charm.name} ${this.currency.format(charm.price)}`).join(' • ')
+                        : null
                 };
             }
         }
@@ -277,7 +895,7 @@ class NotificationHistory {
         
         try {
             const cardsHTML = sortedNotifications.map((item, index) => {
-                const marketValueRaw = (item.market_value || 0) / 100;
+                const marketValueRaw = this.getEmpireUsd(item);
                 const marketValue = isNaN(marketValueRaw) ? 0 : marketValueRaw;
 
                 const aboveRecRaw = item.above_recommended_price !== null && item.above_recommended_price !== undefined
@@ -304,14 +922,14 @@ class NotificationHistory {
                 // Price comparison data
                 const buff163Price = item.buff163_price || null;
                 const csfloatPrice = item.csfloat_price || null;
-                const empirePrice = item.empire_price || marketValue;
+                const empirePrice = marketValue;
                 const buff163Percentage = item.buff163_percentage !== null && item.buff163_percentage !== undefined
                     ? parseFloat(item.buff163_percentage)
                     : null;
 
                 const formatPrice = (price) => {
                     if (!price || price === 'Unknown' || isNaN(price)) return 'N/A';
-                    return `$${parseFloat(price).toFixed(2)}`;
+                    return this.currency.format(parseFloat(price));
                 };
 
                 let differenceText = 'N/A';
@@ -387,6 +1005,7 @@ class NotificationHistory {
                             <div class="charm-details">
                                 <div class="charm-name">${charmInfo.formattedDisplay}</div>
                                 <div class="charm-percentage">${charmInfo.percentageDisplay}</div>
+                                ${charmInfo.breakdownDisplay ? `<div class="charm-percentage">${this.escapeHtml(charmInfo.breakdownDisplay)}</div>` : ''}
                             </div>
                         </div>
                     `;
@@ -401,9 +1020,16 @@ class NotificationHistory {
 
                 // Check if this is an automation purchase
                 const isAutomationPurchase = item.notification_type === 'automation_purchase';
-                const automationBadge = isAutomationPurchase ?
-                    '<span class="automation-badge" style="background: linear-gradient(135deg, #10b981, #059669); color: white; padding: 2px 8px; border-radius: 4px; font-size: 11px; font-weight: 600; margin-left: 8px; display: inline-block;">🤖 AUTO-PURCHASED</span>' :
-                    '';
+                const lifecycleHTML = this.formatLifecycle(item);
+                const paperTradeHTML = this.formatPaperTrade(item);
+                const tradeOutcomeHTML = this.formatTradeOutcome(item);
+
+                let automationBadge = '';
+                if (isAutomationPurchase && item.dry_run) {
+                    automationBadge = '<span class="automation-badge" style="background: linear-gradient(135deg, #f59e0b, #d97706); color: white; padding: 2px 8px; border-radius: 4px; font-size: 11px; font-weight: 600; margin-left: 8px; display: inline-block;">🧪 PAPER TRADE</span>';
+                } else if (isAutomationPurchase) {
+                    automationBadge = '<span class="automation-badge" style="background: linear-gradient(135deg, #10b981, #059669); color: white; padding: 2px 8px; border-radius: 4px; font-size: 11px; font-weight: 600; margin-left: 8px; display: inline-block;">🤖 AUTO-PURCHASED</span>';
+                }
 
                 return `
                     <div class="item-card" style="animation-delay: ${index * 0.05}s;">
@@ -413,6 +1039,9 @@ class NotificationHistory {
                                     ${item.market_name || 'Unknown Item'}${automationBadge}
                                 </div>
                                 ${charmDisplayHTML}
+                                ${item.charm_pattern_display ? `<div class="charm-pattern-info" style="font-size: 12px; color: #f472b6; margin-top: 4px;">🧿 ${this.escapeHtml(item.charm_pattern_display)}</div>` : ''}
+                                ${item.pattern_tier_display ? `<div class="pattern-tier-info" style="font-size: 12px; color: #a78bfa; margin-top: 4px;">🧬 ${this.escapeHtml(item.pattern_tier_display)}</div>` : ''}
+                                ${item.sticker_value_display ? `<div class="sticker-value-info" style="font-size: 12px; color: #fbbf24; margin-top: 4px;">🏷️ ${this.escapeHtml(item.sticker_value_display)}</div>` : ''}
                             </div>
                             <div class="item-id">#${item.id || 'Unknown'}</div>
                         </div>
@@ -423,7 +1052,7 @@ class NotificationHistory {
                         <div class="price-grid">
                             <div class="price-item">
                                 <div class="price-label">Market Value</div>
-                                <div class="price-value market">${marketValue.toFixed(2)}</div>
+                                <div class="price-value market">${this.currency.format(marketValue)}</div>
                             </div>
                             <div class="price-item">
                                 <div class="price-label">Float</div>
@@ -442,15 +1071,26 @@ class NotificationHistory {
                                 <span>🔗</span>
                                 View Item
                             </button>
+                            <button class="action-btn secondary annotate-item-btn" data-seq="${item.seq}">
+                                <span>📝</span>
+                                Annotate
+                            </button>
                             <button class="action-btn secondary hide-item-btn">
                                 <span>✕</span>
                                 Hide
                             </button>
                         </div>
 
+                        <div class="item-annotation">${this.formatAnnotation(item)}</div>
+
+                        <div class="price-trend" data-name="${encodeURIComponent(item.market_name || '')}"></div>
+
                         <div class="timestamp">
                             ${timeStr}
                             ${buff163Percentage !== null ? ` • Diff: ${differenceText}` : ''}
+                            ${lifecycleHTML}
+                            ${paperTradeHTML}
+                            ${tradeOutcomeHTML}
                         </div>
                     </div>
                 `;
@@ -472,6 +1112,9 @@ class NotificationHistory {
                 
                 // Attach event listeners
                 this.attachEventListeners(itemsGrid);
+
+                // Fill in price history sparklines
+                this.loadPriceTrends(itemsGrid);
             }
             
         } catch (error) {
@@ -493,6 +1136,16 @@ class NotificationHistory {
             });
         });
 
+        // Annotate buttons
+        itemsGrid.querySelectorAll('.annotate-item-btn').forEach(btn => {
+            btn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                const seq = Number(btn.getAttribute('data-seq'));
+                const item = this.notifications.find(notification => notification.seq === seq);
+                if (item) this.toggleAnnotationEditor(btn.closest('.item-card'), item);
+            });
+        });
+
         // Hide buttons
         itemsGrid.querySelectorAll('.hide-item-btn').forEach(btn => {
             btn.addEventListener('click', (event) => {
@@ -610,30 +1263,63 @@ class NotificationHistory {
 
     async loadHistory() {
         try {
-            console.log('📊 Loading notification history from local storage...');
+            console.log('📊 Loading notification history page...');
             this.showLoading(true);
             this.hideMessages();
 
-            const result = await chrome.storage.local.get(['notificationHistory']);
-            this.notifications = result.notificationHistory || [];
+            // Totals walk every match, so they are only asked for when the filters or the history changed
+            const query = this.buildHistoryQuery();
+            const { offset, limit, ...filters } = query;
+            const totalsKey = JSON.stringify(filters);
+            const totals = totalsKey !== this.totalsKey;
+
+            const [response, result] = await Promise.all([
+                chrome.runtime.sendMessage({ type: 'QUERY_NOTIFICATION_HISTORY', data: { ...query, totals } }),
+                chrome.storage.local.get(['paperTrades']),
+                this.loadHistoryFacets()
+            ]);
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background');
+            }
 
-            console.log(`✅ Loaded ${this.notifications.length} notifications from storage`);
+            this.notifications = response.data.items;
+            this.total = response.data.total;
+            if (totals) {
+                this.totalValue = response.data.totalValue;
+                this.latest = response.data.latest;
+                this.totalsKey = totalsKey;
+            }
+            this.paperTrades = result.paperTrades || [];
+
+            // The page may have shrunk under us (retention, new filters)
+            if (this.notifications.length === 0 && this.page > 0 && this.total > 0) {
+                this.page = Math.ceil(this.total / this.pageSize) - 1;
+                return this.loadHistory();
+            }
 
-            // Debug: Check how many automation purchases we have
-            const automationCount = this.notifications.filter(n => n.notification_type === 'automation_purchase').length;
-            console.log(`🤖 [DEBUG] Found ${automationCount} automation purchases in history`);
-            console.log('🔍 [DEBUG] Notification types:', this.notifications.map(n => n.notification_type));
+            console.log(`✅ Loaded ${this.notifications.length} of ${this.total} matching notifications`);
             
             if (this.notifications.length > 0) {
                 console.log('🎯 Notifications found, rendering cards...');
-                this.showSuccess(`Loaded ${this.notifications.length} notifications from last 24 hours`);
+                this.showSuccess(`Loaded ${this.notifications.length} of ${this.total.toLocaleString()} matching notifications`);
             } else {
                 console.log('⚠️ No notifications found in storage');
             }
             
+            // Matches are written to history as they are found; say so when writes failed
+            const failures = response.data.writeFailures;
+            if (failures) {
+                this.showError(`${failures.count} match${failures.count === 1 ? '' : 'es'} could not be saved to history (last at ${new Date(failures.lastAt).toLocaleString()}: ${failures.lastError})`);
+            }
+
             this.renderHistory();
+            this.renderPager();
             this.updateStats();
             this.showLoading(false);
+
+            if (this.analyticsOpen) {
+                this.loadAnalytics();
+            }
             
         } catch (error) {
             console.error('❌ Error loading history from storage:', error);
@@ -666,12 +1352,12 @@ class NotificationHistory {
         // Maintain current filter state
         this.maintainFilterState();
         
-        // Apply current filter to render cards
-        this.applyCurrentFilter();
+        // The background already filtered, sorted and paged the entries
+        this.renderFilteredHistory(this.notifications);
     }
 
     maintainFilterState() {
-        document.querySelectorAll('.filter-btn').forEach(btn => {
+        document.querySelectorAll('.filters .filter-btn').forEach(btn => {
             btn.classList.remove('active');
             if (btn.textContent.trim() === this.currentFilter) {
                 btn.classList.add('active');
@@ -682,23 +1368,31 @@ class NotificationHistory {
 
     updateStats() {
         try {
-            const totalNotifications = this.notifications.length;
-            const totalValue = this.notifications.reduce((sum, item) => {
-                const value = (item.market_value || 0) / 100;
-                return sum + (isNaN(value) ? 0 : value);
-            }, 0);
-            const lastNotification = this.notifications.length > 0
-                ? new Date(this.notifications[0].timestamp).toLocaleTimeString()
+            // Totals cover every entry matching the filters, not just the page on screen
+            const totalNotifications = this.total;
+            const totalValue = this.totalValue;
+            const lastNotification = this.latest
+                ? new Date(this.latest).toLocaleString()
                 : 'Never';
 
             const totalNotificationsEl = document.getElementById('totalNotifications');
             const totalValueEl = document.getElementById('totalValue');
             const lastNotificationEl = document.getElementById('lastNotification');
 
-            if (totalNotificationsEl) totalNotificationsEl.textContent = totalNotifications;
-            if (totalValueEl) totalValueEl.textContent = `$${(totalValue || 0).toFixed(2)}`;
+            if (totalNotificationsEl) totalNotificationsEl.textContent = totalNotifications.toLocaleString();
+            if (totalValueEl) totalValueEl.textContent = this.currency.format(totalValue || 0);
             if (lastNotificationEl) lastNotificationEl.textContent = lastNotification;
 
+            // Running hypothetical profit over the whole paper trading ledger
+            const paperProfitCard = document.getElementById('paperProfitCard');
+            const paperProfitEl = document.getElementById('paperProfit');
+            if (paperProfitCard && paperProfitEl) {
+                const paperProfit = this.paperTrades.reduce((sum, trade) => sum + (trade.profit || 0), 0);
+                paperProfitCard.style.display = this.paperTrades.length > 0 ? '' : 'none';
+                paperProfitEl.textContent = `${paperProfit >= 0 ? '+' : '-'}${this.currency.format(Math.abs(paperProfit))}`;
+                paperProfitEl.title = `${this.paperTrades.length} paper trades`;
+            }
+
             console.log(`📊 Stats updated: ${totalNotifications} notifications, $${(totalValue || 0).toFixed(2)} total value`);
         } catch (error) {
             console.error('❌ Error updating stats:', error);
@@ -752,6 +1446,7 @@ class NotificationHistory {
 
     startAutoRefresh() {
         this.autoRefreshInterval = setInterval(() => {
+            if (this.isEditingAnnotation()) return;
             console.log('🔄 Auto-refreshing...');
             this.loadHistory();
         }, 15000);
@@ -766,9 +1461,18 @@ class NotificationHistory {
 
     setupStorageListener() {
         chrome.storage.onChanged.addListener((changes, namespace) => {
-            if (namespace === 'local' && changes.notificationHistory) {
+            if (namespace === 'local' && changes.paperTrades) {
+                console.log('📝 Paper trades updated, refreshing display...');
+                this.scheduleReload();
+            }
+        });
+
+        // The background announces every history write
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.type === 'NOTIFICATION_HISTORY_UPDATED') {
                 console.log('📝 Notification history updated, refreshing display...');
-                this.loadHistory();
+                this.totalsKey = null;
+                this.scheduleReload();
             }
         });
     }
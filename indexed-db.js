@@ -0,0 +1,99 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - INDEXEDDB CONNECTION
+ * ============================================================================
+ *
+ * Shared IndexedDB plumbing for the price history, notification history and
+ * socket recorder stores.
+ *
+ * Features:
+ * - Lazily opened, cached database handle (closed and reopened when another
+ *   context upgrades the schema)
+ * - Schema creation through a per-store upgrade callback
+ * - Promise wrappers for requests and transactions
+ *
+ * @version 1.0.0
+ */
+
+class IndexedDbConnection {
+  /**
+   * @param {string} name - Database name
+   * @param {number} version - Schema version
+   * @param {Function} upgrade - (db, transaction, oldVersion) => void, creates stores and indexes
+   */
+  constructor(name, version, upgrade) {
+    this.name = name;
+    this.version = version;
+    this.upgrade = upgrade;
+    this.db = null;
+  }
+
+  /**
+   * Check whether IndexedDB is available in this context
+   * @returns {boolean} True if IndexedDB can be used
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and upgrade if needed) the database
+   * @returns {Promise<IDBDatabase>} Database handle
+   */
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, this.version);
+
+      request.onupgradeneeded = (event) => {
+        this.upgrade(request.result, request.transaction, event.oldVersion);
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
+        resolve(this.db);
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request - Request to wrap
+   * @returns {Promise<*>} Request result
+   */
+  requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolve when a transaction commits
+   * @param {IDBTransaction} transaction - Transaction to wait for
+   * @returns {Promise<void>}
+   */
+  transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    IndexedDbConnection
+  };
+}
@@ -0,0 +1,350 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - ITEM LIFECYCLE TRACKER
+ * ============================================================================
+ *
+ * Follows each deposit id from listing until it leaves the market.
+ *
+ * Features:
+ * - listed → price_updated → bid → sold / withdrawn / deleted timeline
+ * - Time on market measured with the server-adjusted clock
+ * - Final auction price and bid count
+ * - Watch list for matched items (history and overlay updates)
+ * - Bounded memory: oldest unwatched lifecycles are dropped first
+ *
+ * Statuses:
+ * - listed:    still on the market
+ * - sold:      auction closed with at least one bid
+ * - withdrawn: withdrawn by us (trade_status withdrawal)
+ * - deleted:   removed from the market (bought by someone else or delisted)
+ *
+ * @version 1.0.0
+ */
+
+class ItemLifecycleTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {Function} options.now - Clock returning server-adjusted ms
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Initialize tracker properties
+   */
+  initializeProperties() {
+    // Deposit id → lifecycle record
+    this.lifecycles = new Map();
+
+    // Deposit ids we surface in history/overlays
+    this.watchedIds = new Set();
+
+    // Memory bounds
+    this.maxTracked = 5000;
+    this.maxEventsPerItem = 50;
+  }
+
+  /**
+   * ========================================================================
+   * EVENT RECORDING
+   * ========================================================================
+   */
+
+  /**
+   * Record newly listed items
+   * @param {Array<Object>} items - new_item payload
+   * @returns {Array<Object>} Touched lifecycles
+   */
+  recordListed(items) {
+    return items.filter(Boolean).map(item => this.getOrCreate(item));
+  }
+
+  /**
+   * Record updated items (price or auction changes)
+   * @param {Array<Object>} items - updated_item payload
+   * @returns {Array<Object>} Touched lifecycles
+   */
+  recordUpdated(items) {
+    const touched = [];
+
+    for (const item of items) {
+      if (!item || item.id === undefined) continue;
+
+      const lifecycle = this.getOrCreate(item);
+      if (item.market_value !== undefined && item.market_value !== lifecycle.marketValue) {
+        this.addEvent(lifecycle, 'price_updated', { from: lifecycle.marketValue, to: item.market_value });
+        lifecycle.marketValue = item.market_value;
+      }
+      this.applyAuctionFields(lifecycle, item);
+      touched.push(lifecycle);
+    }
+
+    return touched;
+  }
+
+  /**
+   * Record auction bid updates
+   * @param {Array<Object>} updates - auction_update payload
+   * @returns {Array<Object>} Touched lifecycles
+   */
+  recordAuctionUpdate(updates) {
+    const touched = [];
+
+    for (const update of updates) {
+      const lifecycle = update ? this.lifecycles.get(update.id) : null;
+      if (!lifecycle) continue;
+
+      this.applyAuctionFields(lifecycle, update);
+      touched.push(lifecycle);
+    }
+
+    return touched;
+  }
+
+  /**
+   * Record items leaving the market
+   * @param {Array<number>} ids - deleted_item payload
+   * @returns {Array<Object>} Completed lifecycles
+   */
+  recordDeleted(ids) {
+    const completed = [];
+
+    for (const id of ids) {
+      const lifecycle = this.lifecycles.get(id);
+      if (!lifecycle || lifecycle.status !== 'listed') continue;
+
+      const hasBids = lifecycle.auction && lifecycle.auction.highestBid !== null && lifecycle.auction.bids > 0;
+      this.complete(lifecycle, hasBids ? 'sold' : 'deleted', hasBids ? lifecycle.auction.highestBid : null);
+      completed.push(lifecycle);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Record trade status updates (our own deposits/withdrawals)
+   * @param {Array<Object>} updates - trade_status payload ({ type, data })
+   * @returns {Array<Object>} Touched lifecycles
+   */
+  recordTradeStatus(updates) {
+    const touched = [];
+
+    for (const update of updates) {
+      const trade = update?.data;
+      const id = trade?.item_id ?? trade?.item?.id;
+      if (id === undefined) continue;
+
+      const lifecycle = this.lifecycles.get(id);
+      if (!lifecycle) continue;
+
+      this.addEvent(lifecycle, 'trade_status', {
+        tradeType: update.type,
+        status: trade.status,
+        statusMessage: trade.status_message
+      });
+
+      if (update.type === 'withdrawal' && lifecycle.status === 'listed') {
+        this.complete(lifecycle, 'withdrawn', trade.total_value ?? lifecycle.marketValue);
+      }
+      touched.push(lifecycle);
+    }
+
+    return touched;
+  }
+
+  /**
+   * ========================================================================
+   * WATCH LIST
+   * ========================================================================
+   */
+
+  /**
+   * Watch an item so its lifecycle is surfaced in history/overlays
+   * @param {Object} item - Matched item
+   * @returns {Object} Lifecycle record
+   */
+  watch(item) {
+    const lifecycle = this.getOrCreate(item);
+    this.watchedIds.add(lifecycle.id);
+    return lifecycle;
+  }
+
+  /**
+   * Check whether a lifecycle is watched
+   * @param {Object} lifecycle - Lifecycle record
+   * @returns {boolean} True if watched
+   */
+  isWatched(lifecycle) {
+    return this.watchedIds.has(lifecycle.id);
+  }
+
+  /**
+   * Get a compact summary for history entries and overlays
+   * @param {Object} lifecycle - Lifecycle record
+   * @returns {Object} Summary
+   */
+  getSummary(lifecycle) {
+    const endedAt = lifecycle.endedAt ?? this.now();
+    const durationMs = Math.max(0, endedAt - lifecycle.listedAt);
+
+    return {
+      id: lifecycle.id,
+      status: lifecycle.status,
+      listedAt: lifecycle.listedAt,
+      endedAt: lifecycle.endedAt,
+      durationSeconds: Math.round(durationMs / 1000),
+      finalPrice: lifecycle.finalPrice,
+      priceUpdates: lifecycle.events.filter(event => event.type === 'price_updated').length,
+      bids: lifecycle.auction ? lifecycle.auction.bids : 0,
+      highestBid: lifecycle.auction ? lifecycle.auction.highestBid : null
+    };
+  }
+
+  /**
+   * Time-on-market statistics for watched items that have left the market
+   * @returns {Object} { count, medianSeconds, fastestSeconds }
+   */
+  getWatchedStats() {
+    const durations = [...this.watchedIds]
+      .map(id => this.lifecycles.get(id))
+      .filter(lifecycle => lifecycle && lifecycle.status !== 'listed')
+      .map(lifecycle => this.getSummary(lifecycle).durationSeconds)
+      .sort((a, b) => a - b);
+
+    if (durations.length === 0) {
+      return { count: 0, medianSeconds: null, fastestSeconds: null };
+    }
+
+    return {
+      count: durations.length,
+      medianSeconds: durations[Math.floor(durations.length / 2)],
+      fastestSeconds: durations[0]
+    };
+  }
+
+  /**
+   * ========================================================================
+   * INTERNAL HELPERS
+   * ========================================================================
+   */
+
+  /**
+   * Get an existing lifecycle or start a new one
+   * @param {Object} item - Item payload
+   * @returns {Object} Lifecycle record
+   */
+  getOrCreate(item) {
+    let lifecycle = this.lifecycles.get(item.id);
+    if (lifecycle) {
+      return lifecycle;
+    }
+
+    const publishedAt = item.published_at ? Date.parse(item.published_at) : NaN;
+    const listedAt = Number.isFinite(publishedAt) ? publishedAt : this.now();
+
+    lifecycle = {
+      id: item.id,
+      marketName: item.market_name,
+      marketValue: item.market_value,
+      listedAt,
+      status: 'listed',
+      endedAt: null,
+      finalPrice: null,
+      auction: null,
+      events: [{ type: 'listed', at: listedAt }]
+    };
+    this.applyAuctionFields(lifecycle, item);
+
+    this.lifecycles.set(item.id, lifecycle);
+    this.prune();
+    return lifecycle;
+  }
+
+  /**
+   * Copy auction fields from a payload, recording new bids
+   * @param {Object} lifecycle - Lifecycle record
+   * @param {Object} payload - Item or auction_update payload
+   */
+  applyAuctionFields(lifecycle, payload) {
+    if (payload.auction_ends_at === null || payload.auction_ends_at === undefined) {
+      return;
+    }
+
+    if (!lifecycle.auction) {
+      lifecycle.auction = { endsAt: null, highestBid: null, bids: 0 };
+    }
+
+    const auction = lifecycle.auction;
+    auction.endsAt = payload.auction_ends_at;
+
+    const highestBid = payload.auction_highest_bid ?? null;
+    if (highestBid !== null && highestBid !== auction.highestBid) {
+      this.addEvent(lifecycle, 'bid', { amount: highestBid });
+      auction.highestBid = highestBid;
+    }
+
+    if (payload.auction_number_of_bids !== undefined && payload.auction_number_of_bids !== null) {
+      auction.bids = payload.auction_number_of_bids;
+    } else if (highestBid !== null) {
+      auction.bids = Math.max(auction.bids, 1);
+    }
+  }
+
+  /**
+   * Mark a lifecycle as finished
+   * @param {Object} lifecycle - Lifecycle record
+   * @param {string} status - Final status
+   * @param {number|null} finalPrice - Final price in cents
+   */
+  complete(lifecycle, status, finalPrice) {
+    lifecycle.status = status;
+    lifecycle.endedAt = this.now();
+    lifecycle.finalPrice = finalPrice;
+    this.addEvent(lifecycle, status, finalPrice !== null ? { price: finalPrice } : {});
+  }
+
+  /**
+   * Append a timeline event (bounded)
+   * @param {Object} lifecycle - Lifecycle record
+   * @param {string} type - Event type
+   * @param {Object} details - Event details
+   */
+  addEvent(lifecycle, type, details = {}) {
+    lifecycle.events.push({ type, at: this.now(), ...details });
+    if (lifecycle.events.length > this.maxEventsPerItem) {
+      lifecycle.events.splice(1, 1); // Keep the 'listed' event
+    }
+  }
+
+  /**
+   * Drop the oldest lifecycles beyond maxTracked, unwatched ones first
+   */
+  prune() {
+    if (this.lifecycles.size <= this.maxTracked) {
+      return;
+    }
+
+    for (const id of this.lifecycles.keys()) {
+      if (this.lifecycles.size <= this.maxTracked) return;
+      if (!this.watchedIds.has(id)) {
+        this.lifecycles.delete(id);
+      }
+    }
+
+    // Only watched items left: drop the oldest of those too
+    for (const id of this.lifecycles.keys()) {
+      if (this.lifecycles.size <= this.maxTracked) return;
+      this.lifecycles.delete(id);
+      this.watchedIds.delete(id);
+    }
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ItemLifecycleTracker
+  };
+}
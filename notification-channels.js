@@ -0,0 +1,465 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - NOTIFICATION CHANNELS
+ * ============================================================================
+ *
+ * Decides where a match is announced. Every target, keychain tier and rule
+ * can pick its own channels; anything that doesn't falls back to the
+ * default channels.
+ *
+ * Features:
+ * - Channels: desktop (Chrome notification), overlay (content script),
+ *   sound and webhook
+ * - Channel lookup: item target → keychain tier (premium pattern tier, then
+ *   charm rarity) → rule → defaults
+ * - Local HTTP webhook (http://localhost only, the host the manifest allows)
+ *   for forwarding to Discord / Telegram bridges
+ * - Payload templates with {{placeholders}}, JSON-escaped
+ * - Webhook retries with exponential backoff on network errors, timeouts,
+ *   429 and 5xx
+ *
+ * Channel lists are arrays of channel ids ('desktop', 'overlay', 'sound',
+ * 'webhook'); an empty or missing list means "use the next level".
+ *
+ * @version 1.0.0
+ */
+
+// Channel ids and their labels
+const NOTIFICATION_CHANNELS = {
+  desktop: 'Desktop',
+  overlay: 'Overlay',
+  sound: 'Sound',
+  webhook: 'Webhook'
+};
+
+// Default webhook payload (Discord-style "content" plus the raw fields)
+const DEFAULT_WEBHOOK_TEMPLATE = `{
+  "content": "{{title}}: {{market_name}} for {{price}} ({{above_recommended}}% above recommended)",
+  "item": {
+    "id": "{{id}}",
+    "name": "{{market_name}}",
+    "type": "{{notification_type}}",
+    "match": "{{match}}",
+    "price_usd": {{price_usd}},
+    "float": {{wear}},
+    "above_recommended": {{above_recommended}},
+    "buff163_usd": {{buff163_price}},
+    "csfloat_usd": {{csfloat_price}},
+    "charm": "{{charm}}",
+    "detail": "{{detail}}",
+    "count": {{count}}
+  }
+}`;
+
+// Only loopback webhooks are reachable (manifest host permission http://localhost/*)
+const WEBHOOK_URL_PATTERN = /^http:\/\/localhost(:\d{1,5})?(\/|$)/i;
+
+class NotificationChannelRouter {
+  /**
+   * @param {Object} options - Router options
+   * @param {CurrencyConverter} options.currency - Price formatting for payloads
+   * @param {CharmCatalog} options.catalog - Charm rarities offered as keychain tiers
+   * @param {Function} options.fetch - fetch implementation (defaults to global fetch)
+   * @param {Function} options.sleep - async (ms) => void, used between retries
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.currency = options.currency || new CurrencyConverter();
+    this.catalog = options.catalog || new CharmCatalog();
+    this.fetchImpl = options.fetch || null;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  /**
+   * Initialize router properties
+   */
+  initializeProperties() {
+    // Channel configuration
+    this.config = {
+      defaultChannels: ['desktop', 'overlay', 'sound'],
+      keychainTiers: {},            // { 'Red': ['desktop', 'webhook'], 'Tier 1': [...] }
+      webhook: {
+        url: '',                    // e.g. http://localhost:8787/empire
+        template: DEFAULT_WEBHOOK_TEMPLATE,
+        contentType: 'application/json',
+        maxRetries: 3,
+        baseDelayMs: 1000,
+        maxDelayMs: 15000,
+        timeoutMs: 5000
+      }
+    };
+
+    // Webhook delivery counters (not persisted)
+    this.stats = {
+      delivered: 0,
+      failed: 0,
+      lastDelivery: null            // { at, ok, status, attempts, error, itemId }
+    };
+  }
+
+  /**
+   * Load channel settings from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.sync.get(['notificationChannelConfig']);
+
+      if (result.notificationChannelConfig) {
+        const stored = result.notificationChannelConfig;
+        this.config = {
+          ...this.config,
+          ...stored,
+          webhook: { ...this.config.webhook, ...(stored.webhook || {}) }
+        };
+        console.log('✅ Notification channels loaded:', this.config.defaultChannels);
+      }
+    } catch (error) {
+      console.error('❌ Error loading notification channel settings:', error);
+    }
+  }
+
+  /**
+   * Save channel configuration to Chrome storage
+   */
+  async saveConfig() {
+    try {
+      await chrome.storage.sync.set({ notificationChannelConfig: this.config });
+      console.log('💾 Notification channel config saved');
+    } catch (error) {
+      console.error('❌ Error saving notification channel config:', error);
+    }
+  }
+
+  /**
+   * Update channel settings
+   * @param {Object} settings - { defaultChannels, keychainTiers, webhook } (missing keys keep the current value)
+   */
+  async updateSettings(settings) {
+    const config = {
+      ...this.config,
+      webhook: { ...this.config.webhook }
+    };
+
+    if (settings.defaultChannels !== undefined) {
+      config.defaultChannels = NotificationChannelRouter.normalizeChannels(settings.defaultChannels);
+    }
+
+    if (settings.keychainTiers !== undefined) {
+      config.keychainTiers = {};
+      for (const [tier, channels] of Object.entries(settings.keychainTiers || {})) {
+        const normalized = NotificationChannelRouter.normalizeChannels(channels);
+        if (normalized.length > 0) {
+          config.keychainTiers[tier] = normalized;
+        }
+      }
+    }
+
+    if (settings.webhook) {
+      for (const key of Object.keys(config.webhook)) {
+        if (settings.webhook[key] !== undefined && settings.webhook[key] !== null) {
+          config.webhook[key] = settings.webhook[key];
+        }
+      }
+      config.webhook.url = String(config.webhook.url || '').trim();
+      config.webhook.template = String(config.webhook.template || '').trim() || DEFAULT_WEBHOOK_TEMPLATE;
+    }
+
+    if (config.webhook.url && !WEBHOOK_URL_PATTERN.test(config.webhook.url)) {
+      throw new Error('Webhook URL must start with http://localhost');
+    }
+    if (!(Number.isInteger(config.webhook.maxRetries) && config.webhook.maxRetries >= 0 && config.webhook.maxRetries <= 10)) {
+      throw new Error('Webhook retries must be a whole number between 0 and 10');
+    }
+    if (!(config.webhook.timeoutMs >= 500)) {
+      throw new Error('Webhook timeout must be at least 500 ms');
+    }
+    if (this.usesWebhook(config) && !config.webhook.url) {
+      throw new Error('Set a webhook URL before routing notifications to it');
+    }
+
+    this.config = config;
+    await this.saveConfig();
+    console.log('⚙️ Notification channel settings updated:', this.config.defaultChannels);
+  }
+
+  /**
+   * Check if any default or keychain tier list routes to the webhook
+   * @param {Object} config - Channel configuration
+   * @returns {boolean} True if the webhook channel is in use
+   */
+  usesWebhook(config = this.config) {
+    return config.defaultChannels.includes('webhook') ||
+      Object.values(config.keychainTiers).some(channels => channels.includes('webhook'));
+  }
+
+  /**
+   * Normalize a channel list, dropping unknown and duplicate ids
+   * @param {Array<string>} channels - Channel ids from settings, a target or a rule
+   * @returns {Array<string>} Known channel ids in canonical order
+   */
+  static normalizeChannels(channels) {
+    if (!Array.isArray(channels)) {
+      return [];
+    }
+    const wanted = new Set(channels.map(channel => String(channel).trim().toLowerCase()));
+    return Object.keys(NOTIFICATION_CHANNELS).filter(channel => wanted.has(channel));
+  }
+
+  /**
+   * ========================================================================
+   * ROUTING
+   * ========================================================================
+   */
+
+  /**
+   * Pick the channels for a matched item
+   * @param {Object} item - Matched item (target_item_matched, charm_pattern_tier, charm_category, rule_channels)
+   * @returns {Object} { channels: Set, source: 'target' | 'keychain_tier' | 'rule' | 'default' }
+   */
+  resolve(item) {
+    const candidates = [
+      ['target', item.target_item_matched?.channels],
+      ...this.getKeychainTierKeys(item).map(tier => ['keychain_tier', this.config.keychainTiers[tier]]),
+      ['rule', item.rule_channels]
+    ];
+
+    for (const [source, channels] of candidates) {
+      const normalized = NotificationChannelRouter.normalizeChannels(channels);
+      if (normalized.length > 0) {
+        return { channels: new Set(normalized), source };
+      }
+    }
+
+    return { channels: new Set(this.config.defaultChannels), source: 'default' };
+  }
+
+  /**
+   * Keychain tier keys for an item, most specific first
+   * @param {Object} item - Matched item
+   * @returns {Array<string>} e.g. ['Tier 1', 'Red']
+   */
+  getKeychainTierKeys(item) {
+    const keys = [];
+    if (item.charm_pattern_tier && CHARM_PATTERN_TIERS[item.charm_pattern_tier]) {
+      keys.push(CHARM_PATTERN_TIERS[item.charm_pattern_tier]);
+    }
+    if (item.charm_category) {
+      keys.push(item.charm_category);
+    }
+    return keys;
+  }
+
+  /**
+   * Keychain tiers that can have their own channels
+   * @returns {Array<string>} Premium pattern tiers, then charm rarities
+   */
+  getKeychainTierNames() {
+    const categories = new Set();
+    for (const collection of Object.values(this.catalog.getPricing())) {
+      Object.keys(collection).forEach(category => categories.add(category));
+    }
+    return [...Object.values(CHARM_PATTERN_TIERS), ...categories, 'Sticker Slab'];
+  }
+
+  /**
+   * ========================================================================
+   * WEBHOOK
+   * ========================================================================
+   */
+
+  /**
+   * Values available to the payload template
+   * @param {Object} item - Enhanced item data
+   * @returns {Object} Placeholder → value (numbers stay numbers, missing numbers are null)
+   */
+  getTemplateValues(item) {
+    const number = (value) => {
+      const parsed = parseFloat(value);
+      return Number.isFinite(parsed) ? parsed : null;
+    };
+    const round = (value, digits) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+    const priceUsd = this.currency.coinsToUsd(item.market_value);
+    const charm = Array.isArray(item.charm_breakdown) && item.charm_breakdown.length > 0
+      ? item.charm_breakdown.map(charm => charm.name).join(' + ')
+      : (item.charm_name || '');
+
+    return {
+      title: NotificationChannelRouter.getTitle(item.notification_type),
+      id: item.id ?? '',
+      market_name: item.market_name || '',
+      notification_type: item.notification_type || '',
+      match: item.target_item_matched?.name || item.target_item_matched?.keyword || item.matched_rule?.name || charm,
+      price: this.currency.formatCoins(item.market_value),
+      price_usd: round(priceUsd, 2),
+      wear: round(number(item.wear), 6),
+      above_recommended: round(number(item.above_recommended_price), 1),
+      buff163_price: round(number(item.buff163_price), 2),
+      csfloat_price: round(number(item.csfloat_price), 2),
+      charm,
+      charm_price: round(number(item.charm_price), 2),
+      detail: item.charm_pattern_display || item.pattern_tier_display || item.sticker_value_display || item.blue_percentage_display || '',
+      tags: (item.rule_tags || []).join(', '),
+      count: item.group_count || 1,
+      timestamp: new Date(Date.now()).toISOString()
+    };
+  }
+
+  /**
+   * Short title for a notification type
+   * @param {string} notificationType - Item notification_type
+   * @returns {string} Title used in payloads
+   */
+  static getTitle(notificationType) {
+    const titles = {
+      target_item: 'Target item found',
+      keychain: 'Keychain found',
+      charm_pattern: 'Premium charm pattern found',
+      austin_charm: 'Austin charm found',
+      blue_gem: 'Blue gem found'
+    };
+    return titles[notificationType] || 'Item found';
+  }
+
+  /**
+   * Fill a payload template
+   * @param {string} template - Template with {{placeholders}}
+   * @param {Object} values - Result of getTemplateValues()
+   * @returns {string} Payload; strings are JSON-escaped, numbers and null are written bare
+   */
+  renderTemplate(template, values) {
+    return String(template).replace(/\{\{\s*([a-z0-9_]+)\s*\}\}/gi, (placeholder, key) => {
+      if (!(key in values)) {
+        return placeholder;
+      }
+
+      const value = values[key];
+      if (value === null || value === undefined) {
+        return 'null';
+      }
+      if (typeof value === 'number') {
+        return String(value);
+      }
+      return JSON.stringify(String(value)).slice(1, -1);
+    });
+  }
+
+  /**
+   * Post a match to the webhook, retrying failed deliveries
+   * @param {Object} item - Enhanced item data
+   * @returns {Promise<Object>} { ok, status, attempts, error }
+   */
+  async sendWebhook(item) {
+    const webhook = this.config.webhook;
+    if (!webhook.url) {
+      return { ok: false, status: null, attempts: 0, error: 'No webhook URL configured' };
+    }
+
+    const body = this.renderTemplate(webhook.template, this.getTemplateValues(item));
+    let attempts = 0;
+    let result;
+
+    while (true) {
+      attempts++;
+      result = await this.postOnce(webhook, body);
+      if (result.ok || !result.retryable || attempts > webhook.maxRetries) {
+        break;
+      }
+
+      const delay = this.getRetryDelay(attempts - 1);
+      console.warn(`⏳ Webhook delivery failed (${result.error}), retry ${attempts}/${webhook.maxRetries} in ${delay}ms`);
+      await this.sleep(delay);
+    }
+
+    const delivery = { ok: result.ok, status: result.status, attempts, error: result.error };
+    this.stats[result.ok ? 'delivered' : 'failed']++;
+    this.stats.lastDelivery = { ...delivery, at: Date.now(), itemId: item.id ?? null };
+
+    if (result.ok) {
+      console.log(`🪝 Webhook delivered for ${item.market_name} (${attempts} attempt${attempts === 1 ? '' : 's'})`);
+    } else {
+      console.error(`❌ Webhook delivery failed for ${item.market_name} after ${attempts} attempts: ${result.error}`);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Make a single webhook attempt
+   * @param {Object} webhook - Webhook configuration
+   * @param {string} body - Rendered payload
+   * @returns {Promise<Object>} { ok, status, retryable, error }
+   */
+  async postOnce(webhook, body) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timedOut = false;
+    let timer = null;
+    const init = {
+      method: 'POST',
+      headers: { 'Content-Type': webhook.contentType || 'application/json' },
+      body
+    };
+    if (controller) {
+      init.signal = controller.signal;
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, webhook.timeoutMs);
+    }
+
+    try {
+      const fetchImpl = this.fetchImpl || fetch;
+      const response = await fetchImpl(webhook.url, init);
+      if (response.ok) {
+        return { ok: true, status: response.status, retryable: false, error: null };
+      }
+      return {
+        ok: false,
+        status: response.status,
+        retryable: response.status === 429 || response.status >= 500,
+        error: `HTTP ${response.status}`
+      };
+    } catch (error) {
+      return { ok: false, status: null, retryable: true, error: timedOut ? 'Timed out' : error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Backoff delay for a retry
+   * @param {number} attempt - Zero-based retry number
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempt) {
+    const { baseDelayMs, maxDelayMs } = this.config.webhook;
+    const exponential = baseDelayMs * 2 ** attempt;
+    const jitter = Math.random() * baseDelayMs;
+    return Math.round(Math.min(exponential + jitter, maxDelayMs));
+  }
+
+  /**
+   * Get channel settings and webhook status
+   * @returns {Object} Settings
+   */
+  getSettings() {
+    return {
+      ...this.config,
+      webhook: { ...this.config.webhook },
+      keychainTiers: { ...this.config.keychainTiers },
+      channels: { ...NOTIFICATION_CHANNELS },
+      keychainTierNames: this.getKeychainTierNames(),
+      defaultTemplate: DEFAULT_WEBHOOK_TEMPLATE,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NotificationChannelRouter,
+    NOTIFICATION_CHANNELS,
+    DEFAULT_WEBHOOK_TEMPLATE
+  };
+}
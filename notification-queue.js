@@ -0,0 +1,273 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - NOTIFICATION QUEUE
+ * ============================================================================
+ *
+ * Paces notification display without losing matches. Every match is written
+ * to history before it is queued; the queue only decides when (and grouped
+ * with what) it is shown.
+ *
+ * Features:
+ * - Display throttle (one notification per interval, default 2 s)
+ * - Priority order: the most valuable pending match is shown first
+ * - Same-name matches waiting in the queue are merged into one grouped
+ *   notification (lead item = most valuable listing)
+ * - Bounded backlog: groups waiting longer than maxAgeMs are dropped, and
+ *   past maxPending groups the least valuable one goes (history has them)
+ * - Items deleted from the marketplace are removed before they are shown
+ * - Pluggable timers so the replay harness can drive the queue from its
+ *   virtual clock
+ *
+ * @version 1.0.0
+ */
+
+class NotificationQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {Function} options.onDisplay - async (group) => void, shows one group
+   * @param {Function} options.onDrop - (items, reason) => void, told about matches dropped
+   *   unshown ('expired', 'overflowed' or 'removed')
+   * @param {number} options.intervalMs - Minimum time between two displayed notifications
+   * @param {number} options.maxAgeMs - Drop groups that waited longer than this
+   * @param {number} options.maxPending - Most groups kept waiting
+   * @param {Function} options.now - Clock (defaults to Date.now)
+   * @param {Function} options.setTimer - (fn, ms) => handle
+   * @param {Function} options.clearTimer - (handle) => void
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.onDisplay = options.onDisplay || (async () => {});
+    this.onDrop = options.onDrop || (() => {});
+    this.intervalMs = options.intervalMs ?? 2000;
+    this.maxAgeMs = options.maxAgeMs ?? 60000;
+    this.maxPending = options.maxPending ?? 50;
+    this.now = options.now || (() => Date.now());
+    this.setTimer = options.setTimer || ((fn, ms) => setTimeout(fn, ms));
+    this.clearTimer = options.clearTimer || (handle => clearTimeout(handle));
+  }
+
+  /**
+   * Initialize queue properties
+   */
+  initializeProperties() {
+    // Pending groups, keyed by lowercase market name
+    this.pending = new Map();
+
+    // Last time a notification was displayed
+    this.lastDisplayAt = 0;
+
+    // Pending drain timer
+    this.timer = null;
+
+    // Display in progress (groups are shown one at a time)
+    this.displaying = false;
+
+    // Queue counters
+    this.stats = {
+      queued: 0,          // Matches enqueued
+      displayed: 0,       // Notifications shown
+      grouped: 0,         // Matches merged into another match's notification
+      expired: 0,         // Groups dropped after waiting longer than maxAgeMs
+      overflowed: 0,      // Groups dropped because maxPending was reached
+      removed: 0,         // Matches removed because the item was deleted
+      maxPending: 0       // Largest backlog seen
+    };
+  }
+
+  /**
+   * Queue a match for display
+   * @param {Object} item - Enhanced item data (already stored in history)
+   * @param {number} priority - Higher is shown first (e.g. USD value)
+   * @returns {Object} Group the item was added to
+   */
+  enqueue(item, priority = 0) {
+    const key = String(item.market_name || item.id).trim().toLowerCase();
+    const now = this.now();
+    this.stats.queued++;
+
+    let group = this.pending.get(key);
+    if (group) {
+      group.items.push(item);
+      group.priorities.push(priority);
+      this.stats.grouped++;
+      if (priority > group.priority) {
+        group.priority = priority;
+        group.lead = item;
+      }
+      console.log(`📦 Grouped ${item.market_name} with ${group.items.length - 1} pending match${group.items.length === 2 ? '' : 'es'}`);
+    } else {
+      group = { key, lead: item, items: [item], priorities: [priority], priority, queuedAt: now };
+      this.pending.set(key, group);
+      this.dropOverflow();
+    }
+
+    this.stats.maxPending = Math.max(this.stats.maxPending, this.pending.size);
+    this.drain();
+    return group;
+  }
+
+  /**
+   * Show the next group if the throttle allows it, otherwise wait for it
+   */
+  drain() {
+    this.expire();
+    if (this.displaying || this.pending.size === 0) {
+      return;
+    }
+
+    const wait = this.lastDisplayAt + this.intervalMs - this.now();
+    if (wait > 0) {
+      this.schedule(wait);
+      return;
+    }
+
+    const group = this.takeNext();
+    this.lastDisplayAt = this.now();
+    this.displaying = true;
+    this.stats.displayed++;
+
+    Promise.resolve()
+      .then(() => this.onDisplay(group))
+      .catch(error => console.error('❌ Error displaying queued notification:', error))
+      .finally(() => {
+        this.displaying = false;
+        if (this.pending.size > 0) {
+          this.schedule(this.intervalMs);
+        }
+      });
+  }
+
+  /**
+   * Arm the drain timer (keeps an earlier timer)
+   * @param {number} delayMs - Delay until the next drain
+   */
+  schedule(delayMs) {
+    if (this.timer !== null) {
+      return;
+    }
+    this.timer = this.setTimer(() => {
+      this.timer = null;
+      this.drain();
+    }, delayMs);
+  }
+
+  /**
+   * Remove and return the highest priority group (oldest first on ties)
+   * @returns {Object} Group { key, lead, items, priorities, priority, queuedAt }
+   */
+  takeNext() {
+    let next = null;
+    for (const group of this.pending.values()) {
+      if (!next || group.priority > next.priority ||
+        (group.priority === next.priority && group.queuedAt < next.queuedAt)) {
+        next = group;
+      }
+    }
+
+    this.pending.delete(next.key);
+    return next;
+  }
+
+  /**
+   * Drop groups that waited longer than maxAgeMs
+   */
+  expire() {
+    const cutoff = this.now() - this.maxAgeMs;
+    for (const group of this.pending.values()) {
+      if (group.queuedAt < cutoff) {
+        this.pending.delete(group.key);
+        this.stats.expired++;
+        this.onDrop(group.items, 'expired');
+        console.log(`⌛ Dropped stale notification for ${group.lead.market_name} (${group.items.length} match${group.items.length === 1 ? '' : 'es'}, still in history)`);
+      }
+    }
+  }
+
+  /**
+   * Drop the least valuable group (newest first on ties) while more than maxPending wait
+   */
+  dropOverflow() {
+    while (this.pending.size > this.maxPending) {
+      let drop = null;
+      for (const group of this.pending.values()) {
+        if (!drop || group.priority < drop.priority ||
+          (group.priority === drop.priority && group.queuedAt >= drop.queuedAt)) {
+          drop = group;
+        }
+      }
+
+      this.pending.delete(drop.key);
+      this.stats.overflowed++;
+      this.onDrop(drop.items, 'overflowed');
+      console.log(`📦 Notification backlog full, dropped ${drop.lead.market_name} (still in history)`);
+    }
+  }
+
+  /**
+   * Remove pending matches whose items were deleted (sold or unlisted)
+   * @param {Array<string|number>} ids - Deleted item ids
+   * @returns {number} Matches removed
+   */
+  remove(ids) {
+    const deleted = new Set(ids.map(String));
+    let removed = 0;
+
+    for (const group of this.pending.values()) {
+      const keep = group.items.map(item => !deleted.has(String(item.id)));
+      if (keep.every(Boolean)) {
+        continue;
+      }
+
+      removed += keep.filter(kept => !kept).length;
+      this.onDrop(group.items.filter((item, index) => !keep[index]), 'removed');
+      group.items = group.items.filter((item, index) => keep[index]);
+      group.priorities = group.priorities.filter((priority, index) => keep[index]);
+      if (group.items.length === 0) {
+        this.pending.delete(group.key);
+        continue;
+      }
+
+      // The next most valuable listing leads the group
+      const lead = group.priorities.indexOf(Math.max(...group.priorities));
+      group.lead = group.items[lead];
+      group.priority = group.priorities[lead];
+    }
+
+    this.stats.removed += removed;
+    return removed;
+  }
+
+  /**
+   * Drop every pending group (history already has them)
+   */
+  clear() {
+    if (this.timer !== null) {
+      this.clearTimer(this.timer);
+      this.timer = null;
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Get queue status
+   * @returns {Object} { pending, pendingItems, intervalMs, maxAgeMs, maxPending, lastDisplayAt, stats }
+   */
+  getStatus() {
+    return {
+      pending: this.pending.size,
+      pendingItems: [...this.pending.values()].reduce((sum, group) => sum + group.items.length, 0),
+      intervalMs: this.intervalMs,
+      maxAgeMs: this.maxAgeMs,
+      maxPending: this.maxPending,
+      lastDisplayAt: this.lastDisplayAt,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NotificationQueue
+  };
+}
@@ -8,12 +8,12 @@ console.log('🔊 Audio offscreen document loaded');
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'PLAY_NOTIFICATION_SOUND') {
         console.log('🔊 Playing notification sound...');
-        playNotificationSound();
+        playNotificationSound(message.sound);
         sendResponse({success: true});
     }
 });
 
-function playNotificationSound() {
+function playNotificationSound(sound = 'default') {
     try {
         // Create audio context for notification sound
         // Note: AudioContext requires user gesture, but offscreen documents may have different rules
@@ -44,10 +44,20 @@ function playNotificationSound() {
             }, delay);
         };
 
-        // Play notification sound sequence
-        playTone(800, 0.15, 0);
-        playTone(1000, 0.15, 200);
-        playTone(1200, 0.2, 400);
+        if (sound === 'charm_pattern') {
+            // Premium charm pattern: double rising arpeggio
+            playTone(659, 0.12, 0);
+            playTone(988, 0.12, 120);
+            playTone(1319, 0.12, 240);
+            playTone(659, 0.12, 480);
+            playTone(988, 0.12, 600);
+            playTone(1319, 0.3, 720);
+        } else {
+            // Play notification sound sequence
+            playTone(800, 0.15, 0);
+            playTone(1000, 0.15, 200);
+            playTone(1200, 0.2, 400);
+        }
 
         console.log('🔊 Notification sound played successfully');
 
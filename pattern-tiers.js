@@ -0,0 +1,418 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - PATTERN TIER LISTS
+ * ============================================================================
+ *
+ * Paint-seed tier lists (Case Hardened blue gems, Fade percentages, Crimson
+ * Web web counts, ...) imported from the spreadsheets traders already keep.
+ *
+ * Features:
+ * - CSV and JSON import with header aliases (seed / pattern, tier / rank, ...)
+ * - Optional per-row skin column, so one list can cover several weapons
+ * - Seed → tier lookup for target entries (patternFilter)
+ * - Lists stored in chrome.storage.local (patternTierLists)
+ *
+ * @version 1.0.0
+ */
+
+// List kinds → label and how the optional value column reads
+const PATTERN_TIER_KINDS = {
+  case_hardened: { name: 'Case Hardened (blue %)', valueSuffix: '% blue' },
+  fade: { name: 'Fade (%)', valueSuffix: '% fade' },
+  crimson_web: { name: 'Crimson Web (webs)', valueSuffix: ' webs' },
+  custom: { name: 'Custom', valueSuffix: '' }
+};
+
+// Accepted CSV / JSON column names
+const PATTERN_TIER_COLUMNS = {
+  seed: ['seed', 'paint_seed', 'paint seed', 'pattern', 'pattern_index', 'pattern index'],
+  tier: ['tier', 'rank', 'grade'],
+  value: ['value', 'percentage', 'percent', 'fade', 'fade %', 'blue', 'blue %', 'webs', 'web count'],
+  skin: ['skin', 'item', 'weapon', 'market_name']
+};
+
+class PatternTierLibrary {
+  constructor() {
+    this.initializeProperties();
+  }
+
+  /**
+   * Initialize library properties
+   */
+  initializeProperties() {
+    // Imported lists ({ id, name, skin, kind, importedAt, entries: [{ seed, tier, value, skin }] })
+    this.lists = [];
+
+    // List id → Map(seed → entries), rebuilt on every change
+    this.index = new Map();
+
+    // Largest list accepted by importList (rows)
+    this.maxEntries = 10000;
+  }
+
+  /**
+   * Load imported lists from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get(['patternTierLists']);
+
+      if (Array.isArray(result.patternTierLists)) {
+        this.lists = result.patternTierLists;
+        this.rebuildIndex();
+        console.log(`✅ Pattern tier lists loaded: ${this.lists.length}`);
+      }
+    } catch (error) {
+      console.error('❌ Error loading pattern tier lists:', error);
+    }
+  }
+
+  /**
+   * Save imported lists to Chrome storage
+   */
+  async saveLists() {
+    try {
+      await chrome.storage.local.set({ patternTierLists: this.lists });
+      console.log('💾 Pattern tier lists saved');
+    } catch (error) {
+      console.error('❌ Error saving pattern tier lists:', error);
+    }
+  }
+
+  /**
+   * Rebuild the seed index for every list
+   */
+  rebuildIndex() {
+    this.index.clear();
+    for (const list of this.lists) {
+      const seeds = new Map();
+      for (const entry of list.entries) {
+        if (!seeds.has(entry.seed)) {
+          seeds.set(entry.seed, []);
+        }
+        seeds.get(entry.seed).push(entry);
+      }
+      this.index.set(list.id, seeds);
+    }
+  }
+
+  /**
+   * ========================================================================
+   * IMPORT
+   * ========================================================================
+   */
+
+  /**
+   * Import a tier list from CSV or JSON text
+   * @param {Object} options - Import options
+   * @param {string} options.name - List name
+   * @param {string} options.skin - Skin keyword the list applies to ('' for any item)
+   * @param {string} options.kind - case_hardened | fade | crimson_web | custom
+   * @param {string} options.format - 'csv' or 'json' (guessed from the text when missing)
+   * @param {string} options.text - File contents
+   * @returns {Promise<Object>} Summary of the stored list
+   */
+  async importList({ name, skin = '', kind = 'custom', format, text }) {
+    if (!name || !name.trim()) {
+      throw new Error('Tier list name is required');
+    }
+    if (!PATTERN_TIER_KINDS[kind]) {
+      throw new Error(`Unknown tier list kind: ${kind}`);
+    }
+    if (!text || !text.trim()) {
+      throw new Error('Tier list file is empty');
+    }
+
+    const isJson = format ? format === 'json' : /^[[{]/.test(text.trim());
+    const parsed = isJson ? this.parseJson(text) : { rows: this.parseCsv(text) };
+    const entries = this.normalizeRows(parsed.rows);
+
+    if (entries.length === 0) {
+      throw new Error('No valid seed rows found');
+    }
+    if (entries.length > this.maxEntries) {
+      throw new Error(`Tier list has ${entries.length} rows (max ${this.maxEntries})`);
+    }
+
+    const list = {
+      id: `tiers_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      name: name.trim(),
+      skin: (skin || parsed.skin || '').trim(),
+      kind: parsed.kind && PATTERN_TIER_KINDS[parsed.kind] ? parsed.kind : kind,
+      importedAt: Date.now(),
+      entries
+    };
+
+    this.lists.push(list);
+    this.rebuildIndex();
+    await this.saveLists();
+    console.log(`📥 Imported pattern tier list "${list.name}": ${entries.length} seeds`);
+
+    return this.summarize(list);
+  }
+
+  /**
+   * Remove an imported list
+   * @param {string} listId - List id
+   * @returns {Promise<boolean>} True if a list was removed
+   */
+  async removeList(listId) {
+    const index = this.lists.findIndex(list => list.id === listId);
+    if (index === -1) {
+      return false;
+    }
+
+    const [removed] = this.lists.splice(index, 1);
+    this.rebuildIndex();
+    await this.saveLists();
+    console.log(`➖ Removed pattern tier list "${removed.name}"`);
+    return true;
+  }
+
+  /**
+   * Parse CSV text into row objects (first line may be a header)
+   * @param {string} text - CSV text
+   * @returns {Array<Object>} Rows ({ seed, tier, value, skin })
+   */
+  parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+    const split = (line) => {
+      const cells = [];
+      let cell = '';
+      let quoted = false;
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"' && quoted && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = !quoted;
+        } else if (char === delimiter && !quoted) {
+          cells.push(cell.trim());
+          cell = '';
+        } else {
+          cell += char;
+        }
+      }
+      cells.push(cell.trim());
+      return cells;
+    };
+
+    const first = split(lines[0]);
+    const hasHeader = isNaN(parseInt(first[0], 10));
+    const columns = hasHeader
+      ? first.map(header => this.resolveColumn(header))
+      : ['seed', 'tier', 'value', 'skin'];
+
+    return lines.slice(hasHeader ? 1 : 0).map(line => {
+      const cells = split(line);
+      const row = {};
+      columns.forEach((column, index) => {
+        if (column && cells[index] !== undefined && cells[index] !== '') {
+          row[column] = cells[index];
+        }
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Parse JSON text: an array of rows, { seeds: [...] } or { tiers: { "Tier 1": [661, ...] } }
+   * @param {string} text - JSON text
+   * @returns {Object} { rows, skin, kind }
+   */
+  parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    if (Array.isArray(data)) {
+      return { rows: data.map(row => this.renameColumns(row)) };
+    }
+    if (!data || typeof data !== 'object') {
+      throw new Error('Tier list JSON must be an array or an object');
+    }
+
+    let rows = [];
+    if (Array.isArray(data.seeds)) {
+      rows = data.seeds.map(row => this.renameColumns(row));
+    } else if (data.tiers && typeof data.tiers === 'object') {
+      for (const [tier, seeds] of Object.entries(data.tiers)) {
+        for (const seed of Array.isArray(seeds) ? seeds : []) {
+          rows.push(typeof seed === 'object' ? { ...this.renameColumns(seed), tier } : { seed, tier });
+        }
+      }
+    } else {
+      throw new Error('Tier list JSON needs a "seeds" array or a "tiers" object');
+    }
+
+    return { rows, skin: data.skin, kind: data.kind };
+  }
+
+  /**
+   * Map a row's keys onto seed / tier / value / skin
+   * @param {Object} row - Raw row
+   * @returns {Object} Row with canonical keys
+   */
+  renameColumns(row) {
+    if (typeof row !== 'object' || row === null) {
+      return { seed: row };
+    }
+
+    const renamed = {};
+    for (const [key, value] of Object.entries(row)) {
+      const column = this.resolveColumn(key);
+      if (column && renamed[column] === undefined) {
+        renamed[column] = value;
+      }
+    }
+    return renamed;
+  }
+
+  /**
+   * Canonical column for a header name
+   * @param {string} header - Header text
+   * @returns {string|null} seed | tier | value | skin, or null if unknown
+   */
+  resolveColumn(header) {
+    const name = String(header || '').trim().toLowerCase();
+    for (const [column, aliases] of Object.entries(PATTERN_TIER_COLUMNS)) {
+      if (aliases.includes(name)) {
+        return column;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validate rows and drop the ones without a usable seed
+   * @param {Array<Object>} rows - Parsed rows
+   * @returns {Array<Object>} Entries ({ seed, tier, value, skin })
+   */
+  normalizeRows(rows) {
+    const entries = [];
+
+    for (const row of rows) {
+      const seed = parseInt(row.seed, 10);
+      if (!Number.isInteger(seed) || seed < 0 || seed > 1000) continue;
+
+      const value = parseFloat(String(row.value ?? '').replace('%', ''));
+      entries.push({
+        seed,
+        tier: row.tier !== undefined && row.tier !== null && String(row.tier).trim() !== '' ? String(row.tier).trim() : 'Listed',
+        value: Number.isFinite(value) ? value : null,
+        skin: row.skin ? String(row.skin).trim() : ''
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * ========================================================================
+   * LOOKUP
+   * ========================================================================
+   */
+
+  /**
+   * Find the tier an item's paint seed hits
+   * @param {Object} item - Item (paint_seed or pattern)
+   * @param {Object} options - Lookup options
+   * @param {string} options.listId - Only search this list
+   * @param {Array<string>} options.tiers - Only accept these tiers (empty: any)
+   * @returns {Object|null} { listId, listName, kind, seed, tier, value } or null
+   */
+  lookup(item, { listId = null, tiers = [] } = {}) {
+    const seed = parseInt(item.paint_seed ?? item.pattern, 10);
+    if (!Number.isInteger(seed)) {
+      return null;
+    }
+
+    const name = (item.market_name || '').toLowerCase();
+    const wantedTiers = (tiers || []).map(tier => String(tier).trim().toLowerCase()).filter(Boolean);
+
+    for (const list of this.lists) {
+      if (listId && list.id !== listId) continue;
+      if (list.skin && !name.includes(list.skin.toLowerCase())) continue;
+
+      const entries = this.index.get(list.id)?.get(seed) || [];
+      const entry = entries.find(candidate =>
+        (!candidate.skin || name.includes(candidate.skin.toLowerCase())) &&
+        (wantedTiers.length === 0 || wantedTiers.includes(candidate.tier.toLowerCase()))
+      );
+
+      if (entry) {
+        return {
+          listId: list.id,
+          listName: list.name,
+          kind: list.kind,
+          seed,
+          tier: entry.tier,
+          value: entry.value
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Short label for a tier hit
+   * @param {Object} match - Result of lookup()
+   * @returns {string} e.g. "Tier 1 • seed 661 • 87.5% blue (CH Blue Gems)"
+   */
+  describe(match) {
+    if (!match) {
+      return '';
+    }
+
+    const suffix = PATTERN_TIER_KINDS[match.kind]?.valueSuffix ?? '';
+    const value = match.value !== null && match.value !== undefined ? ` • ${match.value}${suffix}` : '';
+    const list = match.listName ? ` (${match.listName})` : '';
+    return `${match.tier} • seed ${match.seed}${value}${list}`;
+  }
+
+  /**
+   * Summary of a list for the popup (without its rows)
+   * @param {Object} list - Stored list
+   * @returns {Object} { id, name, skin, kind, importedAt, count, tiers }
+   */
+  summarize(list) {
+    return {
+      id: list.id,
+      name: list.name,
+      skin: list.skin,
+      kind: list.kind,
+      importedAt: list.importedAt,
+      count: list.entries.length,
+      tiers: [...new Set(list.entries.map(entry => entry.tier))]
+    };
+  }
+
+  /**
+   * Get list summaries and the supported kinds
+   * @returns {Object} { lists, kinds }
+   */
+  getSettings() {
+    return {
+      lists: this.lists.map(list => this.summarize(list)),
+      kinds: Object.fromEntries(Object.entries(PATTERN_TIER_KINDS).map(([id, kind]) => [id, kind.name]))
+    };
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PatternTierLibrary,
+    PATTERN_TIER_KINDS
+  };
+}
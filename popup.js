@@ -14,6 +14,15 @@ class PopupManager {
         this.itemTargetList = []; // Array of {keyword, minFloat, maxFloat, id}
         // Automation Filter Entries management
         this.automationFilterEntries = []; // Array of automation filter entries
+
+        // Match rules (built-in presets + custom rules)
+        this.rules = [];
+
+        // Notification channel labels (desktop, overlay, sound, webhook)
+        this.notificationChannelLabels = { ...NOTIFICATION_CHANNELS };
+
+        // Coin rate and display currency (kept in sync with the background)
+        this.currency = new CurrencyConverter();
         this.init();
     }
     
@@ -27,6 +36,10 @@ class PopupManager {
     // Load theme and site theming state
     await this.loadTheme();
 
+    // Load currency before anything renders prices
+    await this.currency.loadSettings();
+    this.currency.watchStorage();
+
     // Setup event listeners
     this.setupEventListeners();
 
@@ -36,9 +49,23 @@ class PopupManager {
     await this.loadCurrentFilterSettings();
     await this.loadItemTargetList();
     await this.loadBlueGemSettings();
+    await this.loadPatternTierLists();
+    await this.loadCharmPatterns();
+    await this.loadStickerValuationSettings();
+    await this.loadRules();
     await this.loadMarketplaceSettings();
+    await this.loadPriceSourceHealth();
+    await this.loadCurrencySettings();
     await this.loadAutomationSettings();
     await this.loadItemTargetAutomationSettings();
+    await this.loadAuctionSnipeSettings();
+    await this.loadBudgetStatus();
+    await this.loadTradeOutcomes();
+    await this.loadPaperTradingStatus();
+    await this.loadRecorderStatus();
+    await this.loadArbitrageScanner();
+    await this.loadNotificationChannels();
+    await this.loadHistoryRetention();
 
     // Setup auto-refresh
     setInterval(() => this.loadStats(), 3000);
@@ -170,28 +197,67 @@ async saveItemTargetList() {
         const maxFloatInput = document.getElementById('maxFloat');
         const minPercentDiffInput = document.getElementById('minPercentDiff');
         const maxPercentDiffInput = document.getElementById('maxPercentDiff');
+        const maxTrendDropInput = document.getElementById('maxTrendDrop');
+        const trendDaysSelect = document.getElementById('trendDays');
         const minPriceInput = document.getElementById('minPrice');
         const maxPriceInput = document.getElementById('maxPrice');
+        const dopplerPhases = this.getCheckedPhases('dopplerPhases');
+        const patternSeedsInput = document.getElementById('patternSeeds');
+        const patternTierListSelect = document.getElementById('patternTierList');
+        const patternTiersInput = document.getElementById('patternTiers');
+        const minStickerPercentInput = document.getElementById('minStickerPercent');
+        const minStickerValueInput = document.getElementById('minStickerValue');
+        const stickerCraftOnlyInput = document.getElementById('stickerCraftOnly');
+        const channels = this.getCheckedPhases('targetChannels');
         
         // UPDATED CODE:
         const keyword = keywordInput.value.trim();
 
         // Allow empty keywords for universal filters if other filters are enabled
-        const hasPercentDiffFilter = minPercentDiffInput.value || maxPercentDiffInput.value;
+        const hasPercentDiffFilter = minPercentDiffInput.value || maxPercentDiffInput.value || maxTrendDropInput.value;
         const hasPriceFilter = minPriceInput.value || maxPriceInput.value;
 
-        if (!keyword && !hasPercentDiffFilter && !hasPriceFilter) {
-            this.showMessage('Please enter an item keyword OR set price/% difference filters', 'error');
+        // Paint seeds and tier list (optional)
+        const seedParts = patternSeedsInput.value.split(/[\s,;]+/).filter(Boolean);
+        const patternSeeds = [...new Set(seedParts.map(part => Number(part)))];
+        if (patternSeeds.some(seed => !Number.isInteger(seed) || seed < 0 || seed > 1000)) {
+            this.showMessage('Paint seeds must be whole numbers between 0 and 1000', 'error');
+            return;
+        }
+        const patternListId = patternTierListSelect.value || null;
+        const patternTiers = patternTiersInput.value.split(',').map(tier => tier.trim()).filter(Boolean);
+        if (patternTiers.length > 0 && !patternListId) {
+            this.showMessage('Choose a tier list to filter by tier', 'error');
+            return;
+        }
+        const hasPatternFilter = patternSeeds.length > 0 || patternListId !== null;
+
+        // Sticker value (optional)
+        const minStickerPercent = minStickerPercentInput.value ? parseFloat(minStickerPercentInput.value) : null;
+        const minStickerValue = minStickerValueInput.value ? parseFloat(minStickerValueInput.value) : null;
+        const stickerCraftOnly = stickerCraftOnlyInput.checked;
+        if ((minStickerPercent !== null && minStickerPercent < 0) || (minStickerValue !== null && minStickerValue < 0)) {
+            this.showMessage('Sticker values cannot be negative', 'error');
+            return;
+        }
+        const hasStickerFilter = minStickerPercent !== null || minStickerValue !== null || stickerCraftOnly;
+
+        if (!keyword && !hasPercentDiffFilter && !hasPriceFilter && !hasPatternFilter && !hasStickerFilter) {
+            this.showMessage('Please enter an item keyword OR set price/% difference/pattern/sticker filters', 'error');
             return;
         }
 
 // If no keyword but has filters, create a universal filter
-const isUniversalFilter = !keyword && (hasPercentDiffFilter || hasPriceFilter);
-const displayKeyword = keyword || `Universal Filter (${hasPercentDiffFilter ? '% Diff' : ''}${hasPercentDiffFilter && hasPriceFilter ? ' + ' : ''}${hasPriceFilter ? 'Price' : ''})`;
+const isUniversalFilter = !keyword && (hasPercentDiffFilter || hasPriceFilter || hasPatternFilter || hasStickerFilter);
+const universalParts = [hasPercentDiffFilter && '% Diff', hasPriceFilter && 'Price', hasPatternFilter && 'Pattern', hasStickerFilter && 'Stickers'].filter(Boolean);
+const displayKeyword = keyword || `Universal Filter (${universalParts.join(' + ')})`;
 
-        // Check if item already exists (case-insensitive)
+        // Check if item already exists (case-insensitive, same phases)
         const existingItem = this.itemTargetList.find(item => 
-            (item.keyword || item.name).toLowerCase() === keyword.toLowerCase()
+            (item.keyword || item.name).toLowerCase() === keyword.toLowerCase() &&
+            (item.dopplerPhases || []).join('|') === dopplerPhases.join('|') &&
+            (item.patternFilter?.seeds || []).join('|') === patternSeeds.join('|') &&
+            (item.patternFilter?.listId || null) === patternListId
         );
         
         if (existingItem) {
@@ -204,6 +270,8 @@ const displayKeyword = keyword || `Universal Filter (${hasPercentDiffFilter ? '%
         let maxFloat = maxFloatInput.value ? parseFloat(maxFloatInput.value) : 1.00;
         let minPercentDiff = minPercentDiffInput.value ? parseFloat(minPercentDiffInput.value) : null;
         let maxPercentDiff = maxPercentDiffInput.value ? parseFloat(maxPercentDiffInput.value) : null;
+        let maxTrendDrop = maxTrendDropInput.value ? parseFloat(maxTrendDropInput.value) : null;
+        const trendDays = parseInt(trendDaysSelect.value, 10) || 7;
         let minPrice = minPriceInput.value ? parseFloat(minPriceInput.value) : null;
         let maxPrice = maxPriceInput.value ? parseFloat(maxPriceInput.value) : null;
 
@@ -224,6 +292,11 @@ const displayKeyword = keyword || `Universal Filter (${hasPercentDiffFilter ? '%
          return;
         }
 
+        if (maxTrendDrop !== null && maxTrendDrop < 0) {
+        this.showMessage('Max Buff drop cannot be negative', 'error');
+        return;
+        }
+
         // Validate price range
         if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
         this.showMessage('Minimum price cannot be greater than maximum price', 'error');
@@ -250,15 +323,32 @@ const displayKeyword = keyword || `Universal Filter (${hasPercentDiffFilter ? '%
         max: maxFloat
     },
     percentDiffFilter: {
-        enabled: minPercentDiff !== null || maxPercentDiff !== null,
+        enabled: minPercentDiff !== null || maxPercentDiff !== null || maxTrendDrop !== null,
         min: minPercentDiff,
-        max: maxPercentDiff
+        max: maxPercentDiff,
+        maxTrendDrop: maxTrendDrop,
+        trendDays: trendDays
     },
     priceFilter: {
         enabled: minPrice !== null || maxPrice !== null,
         min: minPrice,
         max: maxPrice
-    }
+    },
+    dopplerPhases: dopplerPhases,
+    patternFilter: {
+        enabled: hasPatternFilter,
+        seeds: patternSeeds,
+        listId: patternListId,
+        listName: this.patternTierLists?.find(list => list.id === patternListId)?.name || null,
+        tiers: patternTiers
+    },
+    stickerFilter: {
+        enabled: hasStickerFilter,
+        minPercentage: minStickerPercent,
+        minValue: minStickerValue,
+        craftOnly: stickerCraftOnly
+    },
+    channels: channels
 };
 
         // Add to list
@@ -274,8 +364,17 @@ const displayKeyword = keyword || `Universal Filter (${hasPercentDiffFilter ? '%
         maxFloatInput.value = '';
         minPercentDiffInput.value = '';
         maxPercentDiffInput.value = '';
+        maxTrendDropInput.value = '';
         minPriceInput.value = '';
         maxPriceInput.value = '';
+        this.clearCheckedPhases('dopplerPhases');
+        patternSeedsInput.value = '';
+        patternTierListSelect.value = '';
+        patternTiersInput.value = '';
+        minStickerPercentInput.value = '';
+        minStickerValueInput.value = '';
+        stickerCraftOnlyInput.checked = false;
+        this.clearCheckedPhases('targetChannels');
 
         this.showMessage(`Added "${keyword}" to target list`, 'success');
         console.log(`➕ Added item target: ${keyword} (${minFloat}-${maxFloat})`);
@@ -340,8 +439,12 @@ const displayKeyword = keyword || `Universal Filter (${hasPercentDiffFilter ? '%
                 : 'Any float (0.00 - 1.00)';
             // Add percentage difference display
             const hasPercentDiffFilter = item.percentDiffFilter?.enabled;
+            const trendDrop = item.percentDiffFilter?.maxTrendDrop;
+            const trendDisplay = trendDrop !== null && trendDrop !== undefined
+                ? ` • Buff drop ≤ ${trendDrop}% / ${item.percentDiffFilter.trendDays || 7}d`
+                : '';
             const percentDiffDisplay = hasPercentDiffFilter
-                ? `% Diff: ${item.percentDiffFilter.min ?? '-∞'}% to ${item.percentDiffFilter.max ?? '+∞'}%`
+                ? `% Diff: ${item.percentDiffFilter.min ?? '-∞'}% to ${item.percentDiffFilter.max ?? '+∞'}%${trendDisplay}`
                 : '';
 
 // Add price filter display  
@@ -350,6 +453,25 @@ const priceDisplay = hasPriceFilter
     ? `Price: $${item.priceFilter.min ?? '0'} - $${item.priceFilter.max ?? '∞'}`
     : '';
             
+            // Doppler phase/gem display
+            const hasPhaseFilter = Array.isArray(item.dopplerPhases) && item.dopplerPhases.length > 0;
+
+            // Paint seed / tier list display
+            const hasPatternFilter = item.patternFilter?.enabled;
+            const patternDisplay = hasPatternFilter
+                ? [
+                    item.patternFilter.seeds?.length ? `Seeds ${item.patternFilter.seeds.join(', ')}` : '',
+                    item.patternFilter.listId ? `${item.patternFilter.listName || 'Tier list'}${item.patternFilter.tiers?.length ? ` (${item.patternFilter.tiers.join(', ')})` : ''}` : ''
+                ].filter(Boolean).join(' • ')
+                : '';
+
+            // Sticker value display
+            const hasStickerFilter = item.stickerFilter?.enabled;
+            const stickerDisplay = hasStickerFilter ? this.formatStickerFilter(item.stickerFilter) : '';
+
+            // Own notification channels (otherwise the defaults apply)
+            const hasChannels = Array.isArray(item.channels) && item.channels.length > 0;
+            
             // Handle both keyword and name fields for backward compatibility
             const displayName = item.keyword || item.name || 'Unknown Item';
             
@@ -372,6 +494,30 @@ itemEntry.innerHTML = `
             <span class="wear-badge small-badge">Custom Price</span>
         </div>
         ` : ''}
+        ${hasPhaseFilter ? `
+        <div class="item-wear-range">
+            Phase: ${this.escapeHtml(item.dopplerPhases.join(', '))}
+            <span class="wear-badge small-badge">Doppler</span>
+        </div>
+        ` : ''}
+        ${hasPatternFilter ? `
+        <div class="item-wear-range">
+            Pattern: ${this.escapeHtml(patternDisplay)}
+            <span class="wear-badge small-badge">Paint Seed</span>
+        </div>
+        ` : ''}
+        ${hasStickerFilter ? `
+        <div class="item-wear-range">
+            Stickers: ${this.escapeHtml(stickerDisplay)}
+            <span class="wear-badge small-badge">Sticker Value</span>
+        </div>
+        ` : ''}
+        ${hasChannels ? `
+        <div class="item-wear-range">
+            Notify: ${this.escapeHtml(this.formatChannels(item.channels))}
+            <span class="wear-badge small-badge">Channels</span>
+        </div>
+        ` : ''}
     </div>
     <button class="remove-item-btn" data-item-id="${item.id}" title="Remove item">
         ×
@@ -398,6 +544,35 @@ itemEntry.innerHTML = `
         return div.innerHTML;
     }
 
+    // Phases/gems checked in a Doppler phase picker
+    getCheckedPhases(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return [];
+        return [...container.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+    }
+
+    // "Desktop, Webhook" for a channel list
+    formatChannels(channels) {
+        return channels.map(channel => this.notificationChannelLabels[channel] || channel).join(', ');
+    }
+
+    // "≥ 30% of price • ≥ $50.00 • crafts only" for a target's sticker filter
+    formatStickerFilter(stickerFilter) {
+        return [
+            stickerFilter.minPercentage !== null && stickerFilter.minPercentage !== undefined ? `≥ ${stickerFilter.minPercentage}% of price` : '',
+            stickerFilter.minValue !== null && stickerFilter.minValue !== undefined ? `≥ ${this.currency.format(stickerFilter.minValue)}` : '',
+            stickerFilter.craftOnly ? 'crafts only' : ''
+        ].filter(Boolean).join(' • ');
+    }
+
+    clearCheckedPhases(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        container.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.checked = false;
+        });
+    }
+
     applyTheme(themeName) {
         console.log(`🎨 Applying theme: ${themeName}`);
         
@@ -536,6 +711,18 @@ itemEntry.innerHTML = `
         // Blue Gem Detection controls
         this.setupBlueGemControls();
 
+        // Pattern tier list controls
+        this.setupPatternTierControls();
+
+        // Premium charm pattern controls
+        this.setupCharmPatternControls();
+
+        // Sticker valuation controls
+        this.setupStickerValuationControls();
+
+        // Rule engine controls
+        this.setupRuleControls();
+
         // Marketplace settings controls
         this.setupMarketplaceControls();
 
@@ -545,6 +732,24 @@ itemEntry.innerHTML = `
         // Item Target automation controls
         this.setupItemTargetAutomationControls();
 
+        // Auction snipe controls
+        this.setupAuctionSnipeControls();
+
+        // Spend limit controls
+        this.setupBudgetControls();
+
+        // Paper trading controls
+        this.setupPaperTradingControls();
+
+        // Socket recorder controls
+        this.setupRecorderControls();
+
+        // Arbitrage scanner controls
+        this.setupArbitrageControls();
+
+        // Notification channel controls
+        this.setupNotificationChannelControls();
+
         // Listen for storage changes
         chrome.storage.onChanged.addListener((changes, namespace) => {
             if (namespace === 'sync') {
@@ -834,26 +1039,20 @@ itemEntry.innerHTML = `
     }
 
     useDefaultKeychainSettings() {
+        // Built-in charm prices from the shared catalog when the service worker is unreachable
+        const charmCatalog = new CharmCatalog();
+        const allKeychains = charmCatalog.getNames().map(name => charmCatalog.find(name));
+
         this.keychainFilterSettings = {
             percentageThreshold: 50,
             enabledKeychains: [
                 "Hot Howl", "Baby Karat T", "Hot Wurst", "Baby Karat CT", "Semi-Precious", 
-                "Diamond Dog", "Titeenium AWP", "Lil' Monster", "Diner Dog", "Lil' Squirt"
-            ],
-            allKeychains: [
-                { name: "Hot Howl", category: "Red", price: 70.0 },
-                { name: "Baby Karat T", category: "Red", price: 50.0 },
-                { name: "Hot Wurst", category: "Red", price: 30.0 },
-                { name: "Baby Karat CT", category: "Red", price: 30.0 },
-                { name: "Semi-Precious", category: "Pink", price: 40.0 },
-                { name: "Diamond Dog", category: "Pink", price: 25.0 },
-                { name: "Titeenium AWP", category: "Pink", price: 10.0 },
-                { name: "Lil' Monster", category: "Pink", price: 10.0 },
-                { name: "Diner Dog", category: "Pink", price: 5.0 },
-                { name: "Lil' Squirt", category: "Pink", price: 5.0 }
+                "Diamond Dog", "Titanium AWP", "Lil' Monster", "Diner Dog", "Lil' Squirt"
             ],
+            allKeychains,
             enabledCount: 10,
-            totalKeychains: 33
+            totalKeychains: allKeychains.length,
+            catalogStatus: { ...charmCatalog.getStatus(), label: charmCatalog.describeStatus() }
         };
         this.updateKeychainFilterUI();
         console.log('🔧 Using default keychain settings');
@@ -882,6 +1081,14 @@ itemEntry.innerHTML = `
             enabledCount.textContent = `${count}/${total}`;
         }
 
+        // Charm price staleness
+        const catalogStatus = document.getElementById('charmCatalogStatus');
+        const status = this.keychainFilterSettings.catalogStatus;
+        if (catalogStatus && status) {
+            catalogStatus.textContent = status.label;
+            catalogStatus.style.color = status.stale ? '#f59e0b' : '#10b981';
+        }
+
         // Populate keychain list
         this.populateKeychainList();
         
@@ -1012,7 +1219,7 @@ itemEntry.innerHTML = `
                                     <div class="keychain-checkbox ${isEnabled ? 'checked' : ''}" data-keychain="${charm.name}"></div>
                                     <div class="keychain-info">
                                         <div class="keychain-name">${charm.name}</div>
-                                        <div class="keychain-price">$${charm.price.toFixed(2)}</div>
+                                        <div class="keychain-price">${this.currency.format(charm.price)}</div>
                                     </div>
                                 </div>
                             `;
@@ -1904,209 +2111,1623 @@ itemEntry.innerHTML = `
     }
 
     // ============================================================================
-    // MARKETPLACE SETTINGS FUNCTIONALITY
+    // STICKER VALUATION
     // ============================================================================
 
-    setupMarketplaceControls() {
-        console.log('🔧 Setting up Marketplace controls...');
+    setupStickerValuationControls() {
+        const toggle = document.getElementById('stickerValuationToggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                const isActive = toggle.classList.contains('active');
+                this.setStickerValuationState(!isActive);
+            });
+        }
 
-        // Save marketplace settings button
-        const saveMarketplaceBtn = document.getElementById('saveMarketplaceSettings');
-        if (saveMarketplaceBtn) {
-            saveMarketplaceBtn.addEventListener('click', () => {
-                this.saveMarketplaceSettings();
+        const percentageSlider = document.getElementById('stickerPercentage');
+        const percentageValue = document.getElementById('stickerPercentageValue');
+        if (percentageSlider && percentageValue) {
+            percentageSlider.addEventListener('input', (e) => {
+                percentageValue.textContent = `${e.target.value}% of item value`;
             });
         }
 
-        // Save comparison settings button (in Comparison tab)
-        const saveComparisonBtn = document.getElementById('saveComparisonSettings');
-        if (saveComparisonBtn) {
-            saveComparisonBtn.addEventListener('click', () => {
-                this.saveComparisonSettings();
+        const saveBtn = document.getElementById('saveStickerValuation');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                this.saveStickerValuationSettings();
             });
         }
 
-        console.log('✅ Marketplace controls setup complete');
+        console.log('✅ Sticker valuation controls setup complete');
     }
 
-    async loadMarketplaceSettings() {
+    async loadStickerValuationSettings() {
         try {
-            console.log('🔄 Loading Marketplace settings...');
-
-            const settings = await chrome.storage.sync.get({
-                selectedMarketplace1: 'csfloat',
-                selectedMarketplace2: 'buff163',
-                differenceMarketplace: 'marketplace1',
-                differenceCalculationMethod: 'marketplace_over_empire'
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_STICKER_VALUATION_SETTINGS'
             });
 
-            const marketplace1Select = document.getElementById('marketplace1Select');
-            const marketplace2Select = document.getElementById('marketplace2Select');
-            const differenceMarketplaceSelect = document.getElementById('differenceMarketplaceSelect');
-            const differenceCalculationMethod = document.getElementById('differenceCalculationMethod');
-
-            if (marketplace1Select) {
-                marketplace1Select.value = settings.selectedMarketplace1;
-            }
-
-            if (marketplace2Select) {
-                marketplace2Select.value = settings.selectedMarketplace2;
-            }
-
-            if (differenceMarketplaceSelect) {
-                differenceMarketplaceSelect.value = settings.differenceMarketplace;
-            }
-
-            if (differenceCalculationMethod) {
-                differenceCalculationMethod.value = settings.differenceCalculationMethod;
+            if (response && response.success) {
+                this.applyStickerValuationSettings(response.data);
+            } else {
+                throw new Error(response?.error || 'Failed to load sticker valuation settings');
             }
-
         } catch (error) {
-            console.error('❌ Error loading Marketplace settings:', error);
+            console.error('❌ Error loading sticker valuation settings:', error);
         }
     }
 
-    async saveMarketplaceSettings() {
-        try {
-            console.log('💾 Saving Marketplace settings...');
-
-            const marketplace1Select = document.getElementById('marketplace1Select');
-            const marketplace2Select = document.getElementById('marketplace2Select');
-
-            if (!marketplace1Select || !marketplace2Select) {
-                this.showMessage('Marketplace selectors not found', 'error');
-                return;
-            }
+    applyStickerValuationSettings(settings) {
+        this.updateToggleState('stickerValuationToggle', settings.enabled);
 
-            const selectedMarketplace1 = marketplace1Select.value;
-            const selectedMarketplace2 = marketplace2Select.value;
+        const percentageValue = document.getElementById('stickerPercentageValue');
+        if (percentageValue) {
+            percentageValue.textContent = `${settings.percentageThreshold}% of item value`;
+        }
 
-            // Validate that both selections are different
-            if (selectedMarketplace1 === selectedMarketplace2) {
-                this.showMessage('Please select two different marketplaces', 'error');
-                return;
+        const values = {
+            stickerPercentage: settings.percentageThreshold,
+            stickerMinValue: settings.minStickerValue,
+            stickerMinItemPrice: settings.minItemPrice,
+            stickerMaxItemPrice: settings.maxItemPrice,
+            stickerAppliedRate: settings.appliedRate,
+            stickerScrapedFactor: settings.scrapedFactor,
+            stickerCraft4: settings.craftMultipliers?.[4],
+            stickerCraft5: settings.craftMultipliers?.[5],
+            stickerPositionWeights: (settings.positionWeights || []).join(', ')
+        };
+        for (const [id, value] of Object.entries(values)) {
+            const element = document.getElementById(id);
+            if (element) {
+                element.value = value !== null && value !== undefined ? value : '';
             }
+        }
 
-            // Save to storage
-            await chrome.storage.sync.set({
-                selectedMarketplace1,
-                selectedMarketplace2
-            });
+        const craftOnlyInput = document.getElementById('stickerCraftOnlyPreset');
+        if (craftOnlyInput) {
+            craftOnlyInput.checked = Boolean(settings.craftOnly);
+        }
+    }
 
-            // Clear price cache in background to force refresh with new marketplaces
-            await chrome.runtime.sendMessage({
-                type: 'CLEAR_PRICE_CACHE'
+    async setStickerValuationState(enabled) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SET_STICKER_VALUATION_STATE',
+                data: { enabled }
             });
 
-            // Get marketplace names for display
-            const marketplace1Name = marketplace1Select.options[marketplace1Select.selectedIndex].text;
-            const marketplace2Name = marketplace2Select.options[marketplace2Select.selectedIndex].text;
-
-            this.showMessage(`Marketplace settings saved! Displaying: ${marketplace1Name}, ${marketplace2Name}, and Empire`, 'success');
+            if (response && response.success) {
+                this.updateToggleState('stickerValuationToggle', enabled);
+                this.showMessage(enabled ? 'Sticker value filter enabled' : 'Sticker value filter disabled', 'success');
+            }
         } catch (error) {
-            console.error('❌ Error saving Marketplace settings:', error);
-            this.showMessage('Failed to save Marketplace settings', 'error');
+            console.error('Error setting sticker valuation state:', error);
+            this.showMessage('Failed to update sticker value filter', 'error');
         }
     }
 
-    async saveComparisonSettings() {
-        try {
-            console.log('💾 Saving Comparison settings...');
-
-            const differenceMarketplaceSelect = document.getElementById('differenceMarketplaceSelect');
-            const differenceCalculationMethodSelect = document.getElementById('differenceCalculationMethod');
+    async saveStickerValuationSettings() {
+        const number = (id) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(value) ? value : null;
+        };
 
-            if (!differenceMarketplaceSelect || !differenceCalculationMethodSelect) {
-                this.showMessage('Comparison selectors not found', 'error');
-                return;
-            }
+        const minItemPrice = number('stickerMinItemPrice');
+        const maxItemPrice = number('stickerMaxItemPrice');
+        if (minItemPrice !== null && maxItemPrice !== null && minItemPrice > maxItemPrice) {
+            this.showMessage('Minimum price cannot be greater than maximum price', 'error');
+            return;
+        }
 
-            const differenceMarketplace = differenceMarketplaceSelect.value;
-            const differenceCalculationMethod = differenceCalculationMethodSelect.value;
+        const weightsText = document.getElementById('stickerPositionWeights')?.value.trim() || '';
+        const positionWeights = weightsText ? weightsText.split(/[\s,;]+/).filter(Boolean).map(Number) : null;
+        if (positionWeights && (positionWeights.length > 5 || positionWeights.some(weight => !Number.isFinite(weight) || weight < 0))) {
+            this.showMessage('Slot weights must be up to 5 non-negative numbers', 'error');
+            return;
+        }
 
-            // Get current marketplace selections to show in message
-            const settings = await chrome.storage.sync.get({
-                selectedMarketplace1: 'csfloat',
-                selectedMarketplace2: 'buff163'
-            });
+        const craftMultipliers = {};
+        const craft4 = number('stickerCraft4');
+        const craft5 = number('stickerCraft5');
+        if (craft4 !== null) craftMultipliers[4] = craft4;
+        if (craft5 !== null) craftMultipliers[5] = craft5;
 
-            // Save to storage
-            await chrome.storage.sync.set({
-                differenceMarketplace,
-                differenceCalculationMethod
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_STICKER_VALUATION_SETTINGS',
+                data: {
+                    percentageThreshold: number('stickerPercentage'),
+                    minStickerValue: number('stickerMinValue'),
+                    minItemPrice,
+                    maxItemPrice,
+                    craftOnly: document.getElementById('stickerCraftOnlyPreset')?.checked || false,
+                    appliedRate: number('stickerAppliedRate'),
+                    scrapedFactor: number('stickerScrapedFactor'),
+                    positionWeights,
+                    craftMultipliers: Object.keys(craftMultipliers).length > 0 ? craftMultipliers : null
+                }
             });
 
-            // Get the marketplace names
-            const marketplace1Select = document.getElementById('marketplace1Select');
-            const marketplace2Select = document.getElementById('marketplace2Select');
-
-            let diffMarketplaceName = differenceMarketplace === 'marketplace1' ? 'Marketplace 1' : 'Marketplace 2';
-            if (marketplace1Select && marketplace2Select) {
-                const marketplace1Name = marketplace1Select.options[marketplace1Select.selectedIndex].text;
-                const marketplace2Name = marketplace2Select.options[marketplace2Select.selectedIndex].text;
-                diffMarketplaceName = differenceMarketplace === 'marketplace1' ? marketplace1Name : marketplace2Name;
+            if (response && response.success) {
+                this.applyStickerValuationSettings(response.data);
+                this.showMessage(response.message || 'Sticker settings saved!', 'success');
+            } else {
+                this.showMessage(response?.error || 'Failed to save sticker settings', 'error');
             }
-
-            const methodName = differenceCalculationMethod === 'marketplace_over_empire' ? 'Marketplace / Empire' : 'Empire / Marketplace';
-            this.showMessage(`Comparison settings saved! Using ${diffMarketplaceName} vs Empire with ${methodName} calculation`, 'success');
         } catch (error) {
-            console.error('❌ Error saving Comparison settings:', error);
-            this.showMessage('Failed to save Comparison settings', 'error');
+            console.error('Error saving sticker settings:', error);
+            this.showMessage('Failed to save sticker settings', 'error');
         }
     }
 
     // ============================================================================
-    // AUTOMATION FUNCTIONALITY
+    // PATTERN TIER LISTS
     // ============================================================================
 
-    setupAutomationControls() {
-        console.log('🔧 Setting up Automation controls...');
-
-        // Automation toggle
-        const automationToggle = document.getElementById('automationToggle');
-        if (automationToggle) {
-            automationToggle.addEventListener('click', () => {
-                const isActive = automationToggle.classList.contains('active');
-                this.setAutomationState(!isActive);
+    setupPatternTierControls() {
+        const importBtn = document.getElementById('importPatternList');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => {
+                this.importPatternTierList();
             });
         }
 
-        // Threshold slider
-        const thresholdSlider = document.getElementById('automationThreshold');
-        const thresholdValue = document.getElementById('automationThresholdValue');
+        console.log('✅ Pattern tier controls setup complete');
+    }
 
-        if (thresholdSlider && thresholdValue) {
-            thresholdSlider.addEventListener('input', (e) => {
-                const value = e.target.value;
-                thresholdValue.textContent = `${value}% of market value`;
+    async loadPatternTierLists() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_PATTERN_TIER_LISTS'
             });
+
+            if (response && response.success) {
+                this.renderPatternTierLists(response.data.lists);
+            } else {
+                throw new Error(response?.error || 'Failed to load pattern tier lists');
+            }
+        } catch (error) {
+            console.error('❌ Error loading pattern tier lists:', error);
         }
+    }
 
-        // Save automation settings button
-        const saveAutomationBtn = document.getElementById('saveAutomationSettings');
-        if (saveAutomationBtn) {
-            saveAutomationBtn.addEventListener('click', () => {
-                this.saveAutomationSettings();
-            });
+    renderPatternTierLists(lists) {
+        this.patternTierLists = lists || [];
+
+        // Target form tier list picker
+        const select = document.getElementById('patternTierList');
+        if (select) {
+            const selected = select.value;
+            select.innerHTML = '<option value="">No tier list</option>' + this.patternTierLists.map(list =>
+                `<option value="${this.escapeHtml(list.id)}">${this.escapeHtml(list.name)}</option>`
+            ).join('');
+            select.value = this.patternTierLists.some(list => list.id === selected) ? selected : '';
         }
 
-        // Reset statistics button
-        const resetStatsBtn = document.getElementById('resetAutomationStats');
-        if (resetStatsBtn) {
-            resetStatsBtn.addEventListener('click', () => {
-                this.resetAutomationStats();
-            });
+        const container = document.getElementById('patternTierListsList');
+        if (!container) return;
+
+        if (this.patternTierLists.length === 0) {
+            container.innerHTML = '<div style="font-size: 12px; color: #64748b;">No tier lists imported</div>';
+            return;
         }
 
-        console.log('✅ Automation controls setup complete');
+        container.innerHTML = this.patternTierLists.map(list => `
+            <div class="item-entry">
+                <div class="item-info">
+                    <div class="item-keyword">${this.escapeHtml(list.name)}</div>
+                    <div class="item-wear-range">
+                        ${list.count} seeds • ${this.escapeHtml(list.tiers.join(', '))}
+                        <span class="wear-badge small-badge">${this.escapeHtml(list.skin || 'Any skin')}</span>
+                    </div>
+                </div>
+                <button class="remove-item-btn" data-list-id="${this.escapeHtml(list.id)}" title="Remove tier list">×</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.remove-item-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.removePatternTierList(button.getAttribute('data-list-id'));
+            });
+        });
     }
 
-    async loadAutomationSettings() {
-        try {
-            console.log('🔄 Loading Automation settings...');
+    async importPatternTierList() {
+        const nameInput = document.getElementById('patternListName');
+        const skinInput = document.getElementById('patternListSkin');
+        const kindSelect = document.getElementById('patternListKind');
+        const fileInput = document.getElementById('patternListFile');
+
+        const file = fileInput?.files?.[0];
+        if (!file) {
+            this.showMessage('Choose a CSV or JSON file to import', 'error');
+            return;
+        }
 
+        const name = nameInput.value.trim() || file.name.replace(/\.(csv|json)$/i, '');
+
+        try {
             const response = await chrome.runtime.sendMessage({
-                type: 'GET_AUTOMATION_SETTINGS'
+                type: 'IMPORT_PATTERN_TIER_LIST',
+                data: {
+                    name,
+                    skin: skinInput.value.trim(),
+                    kind: kindSelect.value,
+                    format: /\.json$/i.test(file.name) ? 'json' : 'csv',
+                    text: await file.text()
+                }
+            });
+
+            if (response && response.success) {
+                this.renderPatternTierLists(response.data.lists);
+                nameInput.value = '';
+                skinInput.value = '';
+                fileInput.value = '';
+                this.showMessage(response.message || 'Tier list imported', 'success');
+            } else {
+                this.showMessage(response?.error || 'Failed to import tier list', 'error');
+            }
+        } catch (error) {
+            console.error('Error importing pattern tier list:', error);
+            this.showMessage('Failed to import tier list', 'error');
+        }
+    }
+
+    async removePatternTierList(listId) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'REMOVE_PATTERN_TIER_LIST',
+                data: { listId }
+            });
+
+            if (response && response.success) {
+                this.renderPatternTierLists(response.data.lists);
+                this.showMessage('Tier list removed', 'success');
+            }
+        } catch (error) {
+            console.error('❌ Error removing pattern tier list:', error);
+        }
+    }
+
+    // ============================================================================
+    // PREMIUM CHARM PATTERNS
+    // ============================================================================
+
+    setupCharmPatternControls() {
+        const toggle = document.getElementById('charmPatternToggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                const isActive = toggle.classList.contains('active');
+                this.setCharmPatternState(!isActive);
+            });
+        }
+
+        // Charm picker from the shared catalog
+        const charmSelect = document.getElementById('charmPatternCharm');
+        if (charmSelect) {
+            charmSelect.innerHTML = new CharmCatalog().getNames().map(name =>
+                `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`
+            ).join('');
+        }
+
+        const addBtn = document.getElementById('addCharmPattern');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => {
+                this.addCharmPattern();
+            });
+        }
+
+        console.log('✅ Charm pattern controls setup complete');
+    }
+
+    async loadCharmPatterns() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_CHARM_PATTERNS'
+            });
+
+            if (response && response.success) {
+                this.updateToggleState('charmPatternToggle', response.data.enabled);
+                this.renderCharmPatterns(response.data.entries);
+            } else {
+                throw new Error(response?.error || 'Failed to load charm patterns');
+            }
+        } catch (error) {
+            console.error('❌ Error loading charm patterns:', error);
+        }
+    }
+
+    renderCharmPatterns(entries) {
+        const container = document.getElementById('charmPatternList');
+        if (!container) return;
+
+        if (!entries || entries.length === 0) {
+            container.innerHTML = '<div style="font-size: 12px; color: #64748b;">No premium patterns listed</div>';
+            return;
+        }
+
+        const preview = (patterns) => patterns.length > 8
+            ? `${patterns.slice(0, 8).join(', ')} … (+${patterns.length - 8})`
+            : patterns.join(', ');
+
+        container.innerHTML = entries.map(entry => `
+            <div class="item-entry">
+                <div class="item-info">
+                    <div class="item-keyword">${this.escapeHtml(entry.charm)}</div>
+                    <div class="item-wear-range">
+                        #${this.escapeHtml(preview(entry.patterns))}
+                        <span class="wear-badge small-badge">Tier ${entry.tier}</span>
+                        ${entry.note ? `<span class="wear-badge small-badge">${this.escapeHtml(entry.note)}</span>` : ''}
+                    </div>
+                </div>
+                <button class="remove-item-btn" data-entry-id="${this.escapeHtml(entry.id)}" title="Remove patterns">×</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.remove-item-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.removeCharmPattern(button.getAttribute('data-entry-id'));
+            });
+        });
+    }
+
+    async setCharmPatternState(enabled) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SET_CHARM_PATTERN_STATE',
+                data: { enabled }
+            });
+
+            if (response && response.success) {
+                this.updateToggleState('charmPatternToggle', enabled);
+                this.showMessage(response.message, 'success');
+            }
+        } catch (error) {
+            console.error('Error setting charm pattern state:', error);
+            this.showMessage('Failed to update charm pattern highlighting', 'error');
+        }
+    }
+
+    async addCharmPattern() {
+        const charmSelect = document.getElementById('charmPatternCharm');
+        const tierSelect = document.getElementById('charmPatternTier');
+        const patternsInput = document.getElementById('charmPatternPatterns');
+        const noteInput = document.getElementById('charmPatternNote');
+
+        if (!patternsInput.value.trim()) {
+            this.showMessage('Enter at least one pattern', 'error');
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'ADD_CHARM_PATTERN',
+                data: {
+                    charm: charmSelect.value,
+                    tier: parseInt(tierSelect.value, 10),
+                    patterns: patternsInput.value,
+                    note: noteInput.value.trim()
+                }
+            });
+
+            if (response && response.success) {
+                this.renderCharmPatterns(response.data.entries);
+                patternsInput.value = '';
+                noteInput.value = '';
+                this.showMessage(response.message || 'Patterns added', 'success');
+            } else {
+                this.showMessage(response?.error || 'Failed to add patterns', 'error');
+            }
+        } catch (error) {
+            console.error('Error adding charm patterns:', error);
+            this.showMessage('Failed to add patterns', 'error');
+        }
+    }
+
+    async removeCharmPattern(entryId) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'REMOVE_CHARM_PATTERN',
+                data: { entryId }
+            });
+
+            if (response && response.success) {
+                this.renderCharmPatterns(response.data.entries);
+                this.showMessage('Patterns removed', 'success');
+            }
+        } catch (error) {
+            console.error('❌ Error removing charm patterns:', error);
+        }
+    }
+
+    // ============================================================================
+    // RULE ENGINE FUNCTIONALITY
+    // ============================================================================
+
+    setupRuleControls() {
+        console.log('🔧 Setting up Rule controls...');
+
+        const addRuleBtn = document.getElementById('addRuleBtn');
+        if (addRuleBtn) {
+            addRuleBtn.addEventListener('click', () => {
+                this.addRule();
+            });
+        }
+
+        console.log('✅ Rule controls setup complete');
+    }
+
+    async loadRules() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_RULES'
+            });
+
+            if (response && response.success) {
+                this.rules = response.data.rules;
+                this.updateRulesListUI();
+            } else {
+                throw new Error(response?.error || 'Failed to load rules');
+            }
+        } catch (error) {
+            console.error('❌ Error loading rules:', error);
+        }
+    }
+
+    async addRule() {
+        const nameInput = document.getElementById('ruleName');
+        const priorityInput = document.getElementById('rulePriority');
+        const matchSelect = document.getElementById('ruleMatch');
+        const conditionsInput = document.getElementById('ruleConditions');
+        const tagsInput = document.getElementById('ruleTags');
+
+        if (!nameInput || !conditionsInput) return;
+
+        let conditions;
+        try {
+            conditions = JSON.parse(conditionsInput.value);
+        } catch (error) {
+            this.showMessage('Conditions must be valid JSON', 'error');
+            return;
+        }
+
+        // Sound stays a rule action; it only joins the channel list when other channels are picked
+        const sound = document.getElementById('ruleActionSound').checked;
+        const channels = this.getCheckedPhases('ruleChannels');
+
+        const rule = {
+            name: nameInput.value,
+            priority: priorityInput.value.trim() === '' ? 200 : parseInt(priorityInput.value, 10),
+            match: matchSelect.value,
+            conditions: Array.isArray(conditions) ? conditions : [conditions],
+            actions: {
+                notify: document.getElementById('ruleActionNotify').checked,
+                sound,
+                automate: document.getElementById('ruleActionAutomate').checked,
+                tags: tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean),
+                channels: channels.length > 0 && sound ? [...channels, 'sound'] : channels
+            },
+            stopOnMatch: document.getElementById('ruleStopOnMatch').checked
+        };
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SAVE_RULE',
+                data: rule
+            });
+
+            if (response && response.success) {
+                nameInput.value = '';
+                priorityInput.value = '';
+                conditionsInput.value = '';
+                tagsInput.value = '';
+                this.clearCheckedPhases('ruleChannels');
+                this.showMessage(response.message, 'success');
+                await this.loadRules();
+            } else {
+                this.showMessage(response?.error || 'Failed to save rule', 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error saving rule:', error);
+            this.showMessage('Failed to save rule', 'error');
+        }
+    }
+
+    async toggleRule(rule) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SAVE_RULE',
+                data: { ...rule, enabled: !rule.enabled }
+            });
+
+            if (response && response.success) {
+                await this.loadRules();
+            } else {
+                this.showMessage(response?.error || 'Failed to update rule', 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error toggling rule:', error);
+            this.showMessage('Failed to update rule', 'error');
+        }
+    }
+
+    async toggleRuleChannel(rule, channel) {
+        const current = rule.actions.channels || [];
+        const channels = current.includes(channel)
+            ? current.filter(existing => existing !== channel)
+            : [...current, channel];
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SAVE_RULE',
+                data: { ...rule, actions: { ...rule.actions, channels } }
+            });
+
+            if (response && response.success) {
+                await this.loadRules();
+            } else {
+                this.showMessage(response?.error || 'Failed to update rule channels', 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error updating rule channels:', error);
+            this.showMessage('Failed to update rule channels', 'error');
+        }
+    }
+
+    async deleteRule(rule) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'DELETE_RULE',
+                data: { id: rule.id }
+            });
+
+            if (response && response.success) {
+                this.showMessage(`Removed rule "${rule.name}"`, 'success');
+                await this.loadRules();
+            } else {
+                this.showMessage(response?.error || 'Failed to delete rule', 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error deleting rule:', error);
+            this.showMessage('Failed to delete rule', 'error');
+        }
+    }
+
+    updateRulesListUI() {
+        const rulesList = document.getElementById('rulesList');
+        const rulesCount = document.getElementById('rulesCount');
+
+        if (!rulesList || !rulesCount) return;
+
+        const enabledCount = this.rules.filter(rule => rule.enabled).length;
+        rulesCount.textContent = `${enabledCount} of ${this.rules.length} rules enabled`;
+
+        rulesList.innerHTML = '';
+
+        this.rules.forEach(rule => {
+            const ruleEntry = document.createElement('div');
+            ruleEntry.className = 'item-entry';
+            ruleEntry.style.opacity = rule.enabled ? '1' : '0.5';
+
+            const actionLabels = [
+                rule.actions.notify ? 'Notify' : null,
+                rule.actions.sound ? 'Sound' : null,
+                rule.actions.automate ? 'Automate' : null
+            ].filter(Boolean);
+
+            const conditionSummary = rule.builtIn
+                ? 'Built-in preset'
+                : `${rule.conditions.length} condition${rule.conditions.length === 1 ? '' : 's'} (${rule.match === 'any' ? 'OR' : 'AND'})`;
+
+            ruleEntry.innerHTML = `
+                <div class="item-info">
+                    <div class="item-keyword">${this.escapeHtml(rule.name)}</div>
+                    <div class="item-wear-range">
+                        Priority ${rule.priority} · ${conditionSummary}
+                        ${rule.builtIn ? '<span class="wear-badge small-badge">Preset</span>' : ''}
+                    </div>
+                    <div class="item-wear-range">
+                        ${actionLabels.length > 0 ? actionLabels.join(', ') : 'No actions'}
+                        ${rule.actions.tags.map(tag => `<span class="wear-badge small-badge">${this.escapeHtml(tag)}</span>`).join('')}
+                    </div>
+                    <div class="item-wear-range" title="Notification channels (none selected: target, keychain tier or default channels)">
+                        ${Object.entries(this.notificationChannelLabels).map(([channel, label]) => `
+                            <span class="wear-badge small-badge rule-channel" data-channel="${channel}" style="cursor: pointer; opacity: ${(rule.actions.channels || []).includes(channel) ? '1' : '0.35'};">${label}</span>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="toggle-switch ${rule.enabled ? 'active' : ''}" title="${rule.enabled ? 'Disable' : 'Enable'} rule"></div>
+                ${rule.builtIn ? '' : '<button class="remove-item-btn" title="Remove rule">×</button>'}
+            `;
+
+            ruleEntry.querySelector('.toggle-switch').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleRule(rule);
+            });
+
+            ruleEntry.querySelectorAll('.rule-channel').forEach(badge => {
+                badge.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.toggleRuleChannel(rule, badge.dataset.channel);
+                });
+            });
+
+            const removeBtn = ruleEntry.querySelector('.remove-item-btn');
+            if (removeBtn) {
+                removeBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.deleteRule(rule);
+                });
+            }
+
+            rulesList.appendChild(ruleEntry);
+        });
+    }
+
+    // ============================================================================
+    // MARKETPLACE SETTINGS FUNCTIONALITY
+    // ============================================================================
+
+    setupMarketplaceControls() {
+        console.log('🔧 Setting up Marketplace controls...');
+
+        // Save marketplace settings button
+        const saveMarketplaceBtn = document.getElementById('saveMarketplaceSettings');
+        if (saveMarketplaceBtn) {
+            saveMarketplaceBtn.addEventListener('click', () => {
+                this.saveMarketplaceSettings();
+            });
+        }
+
+        // Save comparison settings button (in Comparison tab)
+        const saveComparisonBtn = document.getElementById('saveComparisonSettings');
+        if (saveComparisonBtn) {
+            saveComparisonBtn.addEventListener('click', () => {
+                this.saveComparisonSettings();
+            });
+        }
+
+        // Refresh price sources button
+        const refreshPriceSourcesBtn = document.getElementById('refreshPriceSources');
+        if (refreshPriceSourcesBtn) {
+            refreshPriceSourcesBtn.addEventListener('click', () => {
+                this.refreshPriceSources();
+            });
+        }
+
+        // Currency buttons
+        const saveCurrencyBtn = document.getElementById('saveCurrencySettings');
+        if (saveCurrencyBtn) {
+            saveCurrencyBtn.addEventListener('click', () => {
+                this.saveCurrencySettings();
+            });
+        }
+
+        const refreshExchangeRatesBtn = document.getElementById('refreshExchangeRates');
+        if (refreshExchangeRatesBtn) {
+            refreshExchangeRatesBtn.addEventListener('click', () => {
+                this.refreshExchangeRates();
+            });
+        }
+
+        console.log('✅ Marketplace controls setup complete');
+    }
+
+    async loadMarketplaceSettings() {
+        try {
+            console.log('🔄 Loading Marketplace settings...');
+
+            const settings = await chrome.storage.sync.get({
+                selectedMarketplace1: 'csfloat',
+                selectedMarketplace2: 'buff163',
+                differenceMarketplace: 'marketplace1',
+                differenceCalculationMethod: 'marketplace_over_empire'
+            });
+
+            const marketplace1Select = document.getElementById('marketplace1Select');
+            const marketplace2Select = document.getElementById('marketplace2Select');
+            const differenceMarketplaceSelect = document.getElementById('differenceMarketplaceSelect');
+            const differenceCalculationMethod = document.getElementById('differenceCalculationMethod');
+
+            if (marketplace1Select) {
+                marketplace1Select.value = settings.selectedMarketplace1;
+            }
+
+            if (marketplace2Select) {
+                marketplace2Select.value = settings.selectedMarketplace2;
+            }
+
+            if (differenceMarketplaceSelect) {
+                differenceMarketplaceSelect.value = settings.differenceMarketplace;
+            }
+
+            if (differenceCalculationMethod) {
+                differenceCalculationMethod.value = settings.differenceCalculationMethod;
+            }
+
+        } catch (error) {
+            console.error('❌ Error loading Marketplace settings:', error);
+        }
+    }
+
+    async saveMarketplaceSettings() {
+        try {
+            console.log('💾 Saving Marketplace settings...');
+
+            const marketplace1Select = document.getElementById('marketplace1Select');
+            const marketplace2Select = document.getElementById('marketplace2Select');
+
+            if (!marketplace1Select || !marketplace2Select) {
+                this.showMessage('Marketplace selectors not found', 'error');
+                return;
+            }
+
+            const selectedMarketplace1 = marketplace1Select.value;
+            const selectedMarketplace2 = marketplace2Select.value;
+
+            // Validate that both selections are different
+            if (selectedMarketplace1 === selectedMarketplace2) {
+                this.showMessage('Please select two different marketplaces', 'error');
+                return;
+            }
+
+            // Save to storage
+            await chrome.storage.sync.set({
+                selectedMarketplace1,
+                selectedMarketplace2
+            });
+
+            // Clear price cache in background to force refresh with new marketplaces
+            await chrome.runtime.sendMessage({
+                type: 'CLEAR_PRICE_CACHE'
+            });
+
+            // Get marketplace names for display
+            const marketplace1Name = marketplace1Select.options[marketplace1Select.selectedIndex].text;
+            const marketplace2Name = marketplace2Select.options[marketplace2Select.selectedIndex].text;
+
+            this.showMessage(`Marketplace settings saved! Displaying: ${marketplace1Name}, ${marketplace2Name}, and Empire`, 'success');
+        } catch (error) {
+            console.error('❌ Error saving Marketplace settings:', error);
+            this.showMessage('Failed to save Marketplace settings', 'error');
+        }
+    }
+
+    async loadPriceSourceHealth() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_PRICE_SOURCE_HEALTH'
+            });
+
+            if (response && response.success) {
+                this.renderPriceSourceHealth(response.data);
+            }
+        } catch (error) {
+            console.error('❌ Error loading price source health:', error);
+        }
+    }
+
+    async refreshPriceSources() {
+        const button = document.getElementById('refreshPriceSources');
+        if (button) button.disabled = true;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'REFRESH_PRICE_SOURCES'
+            });
+
+            if (response && response.success) {
+                this.renderPriceSourceHealth(response.data);
+                const failed = response.data.filter(source => source.enabled && source.error);
+                if (failed.length > 0) {
+                    this.showMessage(`Prices refreshed, ${failed.map(source => source.name).join(', ')} failed`, 'warning');
+                } else {
+                    this.showMessage('Prices refreshed', 'success');
+                }
+            } else {
+                this.showMessage(response?.error || 'Failed to refresh prices', 'error');
+            }
+        } catch (error) {
+            console.error('Error refreshing prices:', error);
+            this.showMessage('Failed to refresh prices', 'error');
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    renderPriceSourceHealth(sources) {
+        const list = document.getElementById('priceSourceHealthList');
+        if (!list || !Array.isArray(sources)) return;
+
+        const statusStyles = {
+            ok: { color: '#22c55e', label: 'OK' },
+            stale: { color: '#f59e0b', label: 'Stale' },
+            degraded: { color: '#f59e0b', label: 'Using last data' },
+            error: { color: '#ef4444', label: 'Failed' },
+            pending: { color: '#64748b', label: 'Not loaded yet' }
+        };
+
+        list.innerHTML = sources.map(source => {
+            const style = source.enabled ? statusStyles[source.status] : { color: '#475569', label: 'Disabled' };
+            const updated = source.lastUpdated
+                ? `${new Date(source.lastUpdated).toLocaleTimeString()} • ${source.itemCount} items`
+                : 'Never updated';
+            const error = source.enabled && source.error
+                ? `<div style="font-size: 10px; color: #fca5a5; margin-top: 2px;">${this.escapeHtml(source.error)}</div>`
+                : '';
+
+            return `
+                <div style="padding: 8px 10px; background: rgba(255, 255, 255, 0.03); border: 1px solid rgba(255, 255, 255, 0.08); border-radius: 6px;">
+                    <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+                        <span style="display: flex; align-items: center; gap: 6px; font-size: 12px; color: #e2e8f0;">
+                            <span style="width: 8px; height: 8px; border-radius: 50%; background: ${style.color};"></span>
+                            ${this.escapeHtml(source.name)}
+                        </span>
+                        <span style="font-size: 11px; color: ${style.color};">${style.label}</span>
+                    </div>
+                    <div style="font-size: 10px; color: #64748b; margin-top: 2px;">${updated}</div>
+                    ${error}
+                </div>
+            `;
+        }).join('');
+    }
+
+    async loadCurrencySettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_CURRENCY_SETTINGS'
+            });
+
+            if (response && response.success) {
+                this.applyCurrencySettings(response.data);
+            }
+        } catch (error) {
+            console.error('❌ Error loading currency settings:', error);
+        }
+    }
+
+    applyCurrencySettings(settings) {
+        const coinRateInput = document.getElementById('currencyCoinRate');
+        const displaySelect = document.getElementById('currencyDisplay');
+        const status = document.getElementById('currencyRatesStatus');
+
+        if (coinRateInput) coinRateInput.value = settings.coinRate;
+        if (displaySelect) displaySelect.value = settings.displayCurrency;
+
+        if (status) {
+            const updated = settings.ratesUpdatedAt
+                ? `Exchange rates from ${new Date(settings.ratesUpdatedAt).toLocaleString()}`
+                : 'Using built-in exchange rates';
+            const rate = settings.displayCurrency !== 'USD'
+                ? ` • 1 USD = ${settings.rates[settings.displayCurrency]} ${settings.displayCurrency}`
+                : '';
+            status.textContent = `${updated}${rate}`;
+            status.style.color = settings.ratesError ? '#fca5a5' : '#64748b';
+            status.title = settings.ratesError || '';
+        }
+    }
+
+    async saveCurrencySettings() {
+        try {
+            const coinRate = parseFloat(document.getElementById('currencyCoinRate')?.value);
+            const displayCurrency = document.getElementById('currencyDisplay')?.value;
+
+            if (isNaN(coinRate) || coinRate <= 0) {
+                this.showMessage('Coin rate must be greater than 0', 'error');
+                return;
+            }
+
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_CURRENCY_SETTINGS',
+                data: { coinRate, displayCurrency }
+            });
+
+            if (response && response.success) {
+                this.currency.config = { ...this.currency.config, coinRate, displayCurrency };
+                this.applyCurrencySettings(response.data);
+                await this.loadArbitrageScanner();
+                this.showMessage(`Currency saved: 1 coin = $${coinRate}, showing ${displayCurrency}`, 'success');
+            } else {
+                this.showMessage(response?.error || 'Failed to save currency settings', 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error saving currency settings:', error);
+            this.showMessage('Failed to save currency settings', 'error');
+        }
+    }
+
+    async refreshExchangeRates() {
+        const button = document.getElementById('refreshExchangeRates');
+        if (button) button.disabled = true;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'REFRESH_EXCHANGE_RATES'
+            });
+
+            if (response && response.success) {
+                this.applyCurrencySettings(response.data);
+                if (response.data.ratesError) {
+                    this.showMessage(`Rate refresh failed: ${response.data.ratesError}`, 'warning');
+                } else {
+                    this.showMessage('Exchange rates refreshed', 'success');
+                }
+            } else {
+                this.showMessage(response?.error || 'Failed to refresh exchange rates', 'error');
+            }
+        } catch (error) {
+            console.error('Error refreshing exchange rates:', error);
+            this.showMessage('Failed to refresh exchange rates', 'error');
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    async saveComparisonSettings() {
+        try {
+            console.log('💾 Saving Comparison settings...');
+
+            const differenceMarketplaceSelect = document.getElementById('differenceMarketplaceSelect');
+            const differenceCalculationMethodSelect = document.getElementById('differenceCalculationMethod');
+
+            if (!differenceMarketplaceSelect || !differenceCalculationMethodSelect) {
+                this.showMessage('Comparison selectors not found', 'error');
+                return;
+            }
+
+            const differenceMarketplace = differenceMarketplaceSelect.value;
+            const differenceCalculationMethod = differenceCalculationMethodSelect.value;
+
+            // Get current marketplace selections to show in message
+            const settings = await chrome.storage.sync.get({
+                selectedMarketplace1: 'csfloat',
+                selectedMarketplace2: 'buff163'
+            });
+
+            // Save to storage
+            await chrome.storage.sync.set({
+                differenceMarketplace,
+                differenceCalculationMethod
+            });
+
+            // Get the marketplace names
+            const marketplace1Select = document.getElementById('marketplace1Select');
+            const marketplace2Select = document.getElementById('marketplace2Select');
+
+            let diffMarketplaceName = differenceMarketplace === 'marketplace1' ? 'Marketplace 1' : 'Marketplace 2';
+            if (marketplace1Select && marketplace2Select) {
+                const marketplace1Name = marketplace1Select.options[marketplace1Select.selectedIndex].text;
+                const marketplace2Name = marketplace2Select.options[marketplace2Select.selectedIndex].text;
+                diffMarketplaceName = differenceMarketplace === 'marketplace1' ? marketplace1Name : marketplace2Name;
+            }
+
+            const methodName = differenceCalculationMethod === 'marketplace_over_empire' ? 'Marketplace / Empire' : 'Empire / Marketplace';
+            this.showMessage(`Comparison settings saved! Using ${diffMarketplaceName} vs Empire with ${methodName} calculation`, 'success');
+        } catch (error) {
+            console.error('❌ Error saving Comparison settings:', error);
+            this.showMessage('Failed to save Comparison settings', 'error');
+        }
+    }
+
+    // ============================================================================
+    // SOCKET RECORDER FUNCTIONALITY
+    // ============================================================================
+
+    setupRecorderControls() {
+        console.log('🔧 Setting up Recorder controls...');
+
+        // Recorder toggle
+        const recorderToggle = document.getElementById('recorderToggle');
+        if (recorderToggle) {
+            recorderToggle.addEventListener('click', () => {
+                const isActive = recorderToggle.classList.contains('active');
+                this.setRecorderState(!isActive);
+            });
+        }
+
+        // Export button
+        const exportBtn = document.getElementById('exportRecorderCapture');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.exportRecorderCapture();
+            });
+        }
+
+        // Clear button
+        const clearBtn = document.getElementById('clearRecorderCapture');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clearRecorderCapture();
+            });
+        }
+
+        console.log('✅ Recorder controls setup complete');
+    }
+
+    async loadRecorderStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_RECORDER_STATUS'
+            });
+
+            if (response && response.success) {
+                const status = response.data;
+
+                this.updateToggleState('recorderToggle', status.enabled);
+
+                const segmentCount = document.getElementById('recorderSegmentCount');
+                const eventCount = document.getElementById('recorderEventCount');
+                const timesync = document.getElementById('recorderTimesync');
+
+                if (segmentCount) {
+                    segmentCount.textContent = `${status.segments.length}/${status.maxSegments}`;
+                }
+                if (eventCount) {
+                    eventCount.textContent = (status.totalEvents + status.bufferedEvents).toLocaleString();
+                }
+                if (timesync) {
+                    timesync.textContent = status.lastTimesync
+                        ? `Server clock offset: ${status.timeOffsetMs > 0 ? '+' : ''}${status.timeOffsetMs}ms`
+                        : 'Waiting for timesync';
+                }
+            } else {
+                throw new Error(response?.error || 'Failed to load Recorder status');
+            }
+        } catch (error) {
+            console.error('❌ Error loading Recorder status:', error);
+        }
+    }
+
+    async setRecorderState(enabled) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SET_RECORDER_STATE',
+                data: { enabled }
+            });
+
+            if (response && response.success) {
+                this.updateToggleState('recorderToggle', enabled);
+                this.showMessage(enabled ? 'Socket recording started' : 'Socket recording stopped', enabled ? 'success' : 'warning');
+                await this.loadRecorderStatus();
+            }
+        } catch (error) {
+            console.error('Error setting Recorder state:', error);
+            this.showMessage('Failed to update Recorder state', 'error');
+        }
+    }
+
+    async exportRecorderCapture() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'FLUSH_RECORDER_CAPTURE'
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Export failed');
+            }
+
+            // Read IndexedDB here, one segment at a time: a full capture is too large for a runtime message
+            const chunks = [];
+            const eventCount = await new SocketRecorder().exportJsonl(chunk => chunks.push(chunk));
+            if (eventCount === 0) {
+                this.showMessage('No recorded events to export', 'warning');
+                return;
+            }
+
+            // Download as a .jsonl file readable by tools/replay-harness.js
+            const blob = new Blob(chunks, { type: 'application/x-ndjson' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `empire-capture-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            this.showMessage(`Exported ${eventCount.toLocaleString()} events`, 'success');
+        } catch (error) {
+            console.error('❌ Error exporting recorder capture:', error);
+            this.showMessage('Failed to export recordings', 'error');
+        }
+    }
+
+    async clearRecorderCapture() {
+        if (!confirm('Are you sure you want to delete all recorded socket traffic?')) {
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'CLEAR_RECORDER_CAPTURE'
+            });
+
+            if (response && response.success) {
+                this.showMessage('Recordings cleared', 'success');
+                await this.loadRecorderStatus();
+            }
+        } catch (error) {
+            console.error('❌ Error clearing recorder capture:', error);
+            this.showMessage('Failed to clear recordings', 'error');
+        }
+    }
+
+    // ============================================================================
+    // ARBITRAGE SCANNER FUNCTIONALITY
+    // ============================================================================
+
+    setupArbitrageControls() {
+        console.log('🔧 Setting up Arbitrage controls...');
+
+        // Scanner toggle
+        const arbitrageToggle = document.getElementById('arbitrageToggle');
+        if (arbitrageToggle) {
+            arbitrageToggle.addEventListener('click', () => {
+                const isActive = arbitrageToggle.classList.contains('active');
+                this.setArbitrageState(!isActive);
+            });
+        }
+
+        // Show the selected venue's fee
+        const venueSelect = document.getElementById('arbitrageVenue');
+        if (venueSelect) {
+            venueSelect.addEventListener('change', () => {
+                const feeInput = document.getElementById('arbitrageFee');
+                const venue = this.arbitrageVenues?.[venueSelect.value];
+                if (feeInput && venue) {
+                    feeInput.value = venue.feePercent;
+                }
+            });
+        }
+
+        // Save button
+        const saveBtn = document.getElementById('saveArbitrageSettings');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                this.saveArbitrageSettings();
+            });
+        }
+
+        // Clear button
+        const clearBtn = document.getElementById('clearArbitrageOpportunities');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clearArbitrageOpportunities();
+            });
+        }
+
+        console.log('✅ Arbitrage controls setup complete');
+    }
+
+    async loadArbitrageScanner() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_ARBITRAGE_SCANNER'
+            });
+
+            if (response && response.success) {
+                this.applyArbitrageSettings(response.data);
+            } else {
+                throw new Error(response?.error || 'Failed to load Arbitrage scanner');
+            }
+        } catch (error) {
+            console.error('❌ Error loading Arbitrage scanner:', error);
+        }
+    }
+
+    applyArbitrageSettings(settings) {
+        this.arbitrageVenues = settings.venues;
+        this.updateToggleState('arbitrageToggle', settings.enabled);
+
+        const values = {
+            arbitrageVenue: settings.venue,
+            arbitrageFee: settings.venues[settings.venue]?.feePercent,
+            arbitrageMinSpread: settings.minSpreadPercent,
+            arbitrageMinSources: settings.minSources,
+            arbitrageMaxDeviation: settings.maxVenueDeviation,
+            arbitrageRankBy: settings.rankBy,
+            arbitrageTopN: settings.topN
+        };
+        for (const [id, value] of Object.entries(values)) {
+            const element = document.getElementById(id);
+            if (element && value !== undefined) {
+                element.value = value;
+            }
+        }
+
+        this.renderArbitrageTable(settings.opportunities, settings.scanned);
+    }
+
+    async setArbitrageState(enabled) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SET_ARBITRAGE_SCANNER_STATE',
+                data: { enabled }
+            });
+
+            if (response && response.success) {
+                this.updateToggleState('arbitrageToggle', enabled);
+                this.showMessage(enabled ? 'Arbitrage scanner started' : 'Arbitrage scanner stopped', enabled ? 'success' : 'warning');
+                await this.loadArbitrageScanner();
+            }
+        } catch (error) {
+            console.error('Error setting Arbitrage scanner state:', error);
+            this.showMessage('Failed to update Arbitrage scanner state', 'error');
+        }
+    }
+
+    async saveArbitrageSettings() {
+        const number = (id) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(value) ? value : null;
+        };
+
+        const venue = document.getElementById('arbitrageVenue').value;
+        const fee = number('arbitrageFee');
+        const topN = number('arbitrageTopN');
+
+        if (fee !== null && (fee < 0 || fee >= 100)) {
+            this.showMessage('Venue fee must be between 0 and 100%', 'error');
+            return;
+        }
+
+        const feePercent = {};
+        for (const [id, data] of Object.entries(this.arbitrageVenues || {})) {
+            feePercent[id] = data.feePercent;
+        }
+        if (fee !== null) {
+            feePercent[venue] = fee;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_ARBITRAGE_SCANNER_SETTINGS',
+                data: {
+                    venue,
+                    feePercent,
+                    minSpreadPercent: number('arbitrageMinSpread'),
+                    minSources: number('arbitrageMinSources'),
+                    maxVenueDeviation: number('arbitrageMaxDeviation'),
+                    rankBy: document.getElementById('arbitrageRankBy').value,
+                    topN: topN !== null ? Math.max(1, Math.round(topN)) : null
+                }
+            });
+
+            if (response && response.success) {
+                this.applyArbitrageSettings(response.data);
+                this.showMessage(response.message || 'Arbitrage scanner settings updated!', 'success');
+            } else {
+                this.showMessage(response?.error || 'Failed to save Arbitrage settings', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving Arbitrage settings:', error);
+            this.showMessage('Failed to save Arbitrage settings', 'error');
+        }
+    }
+
+    async clearArbitrageOpportunities() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'CLEAR_ARBITRAGE_OPPORTUNITIES'
+            });
+
+            if (response && response.success) {
+                await this.loadArbitrageScanner();
+            }
+        } catch (error) {
+            console.error('❌ Error clearing arbitrage opportunities:', error);
+        }
+    }
+
+    renderArbitrageTable(opportunities, scanned) {
+        const table = document.getElementById('arbitrageTable');
+        const scannedLabel = document.getElementById('arbitrageScanned');
+        if (scannedLabel && scanned !== undefined) {
+            scannedLabel.textContent = `${scanned.toLocaleString()} scanned`;
+        }
+        if (!table || !Array.isArray(opportunities)) return;
+
+        if (opportunities.length === 0) {
+            table.innerHTML = '<div style="font-size: 12px; color: #64748b;">No opportunities yet</div>';
+            return;
+        }
+
+        const venueName = (id) => this.arbitrageVenues?.[id]?.name || id;
+
+        table.innerHTML = opportunities.map((opportunity, index) => `
+            <a href="https://csgoempire.com/item/${encodeURIComponent(opportunity.id)}" target="_blank"
+               style="display: block; padding: 8px 10px; background: rgba(255, 255, 255, 0.03); border: 1px solid rgba(255, 255, 255, 0.08); border-radius: 6px; text-decoration: none;">
+                <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+                    <span style="font-size: 12px; color: #e2e8f0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                        ${index + 1}. ${this.escapeHtml(opportunity.market_name || 'Unknown Item')}${opportunity.isAuction ? ' 🔨' : ''}
+                    </span>
+                    <span style="font-size: 12px; font-weight: 700; color: #22c55e; white-space: nowrap;">
+                        +${this.currency.format(opportunity.spread)} (${opportunity.spreadPercent.toFixed(1)}%)
+                    </span>
+                </div>
+                <div style="font-size: 10px; color: #64748b; margin-top: 2px;">
+                    Buy ${this.currency.format(opportunity.cost)} •
+                    ${this.escapeHtml(venueName(opportunity.venue))} ${this.currency.format(opportunity.venuePrice)} - ${opportunity.feePercent}% fee •
+                    ${opportunity.sources} markets
+                </div>
+            </a>
+        `).join('');
+    }
+
+    // ============================================================================
+    // NOTIFICATION CHANNELS FUNCTIONALITY
+    // ============================================================================
+
+    setupNotificationChannelControls() {
+        console.log('🔧 Setting up Notification channel controls...');
+
+        const saveBtn = document.getElementById('saveNotificationChannels');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                this.saveNotificationChannels();
+            });
+        }
+
+        const testBtn = document.getElementById('testNotificationWebhook');
+        if (testBtn) {
+            testBtn.addEventListener('click', () => {
+                this.testNotificationWebhook();
+            });
+        }
+
+        const retentionBtn = document.getElementById('saveHistoryRetention');
+        if (retentionBtn) {
+            retentionBtn.addEventListener('click', () => {
+                this.saveHistoryRetention();
+            });
+        }
+
+        console.log('✅ Notification channel controls setup complete');
+    }
+
+    async loadNotificationChannels() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_NOTIFICATION_CHANNELS'
+            });
+
+            if (response && response.success) {
+                this.applyNotificationChannelSettings(response.data);
+            } else {
+                throw new Error(response?.error || 'Failed to load notification channels');
+            }
+        } catch (error) {
+            console.error('❌ Error loading notification channels:', error);
+        }
+    }
+
+    applyNotificationChannelSettings(settings) {
+        this.notificationChannelLabels = settings.channels;
+        this.keychainTierNames = settings.keychainTierNames;
+
+        this.setCheckedChannels('defaultChannels', settings.defaultChannels);
+        this.renderKeychainTierChannels(settings.keychainTiers);
+
+        const values = {
+            webhookUrl: settings.webhook.url,
+            webhookTemplate: settings.webhook.template,
+            webhookRetries: settings.webhook.maxRetries,
+            webhookTimeout: settings.webhook.timeoutMs
+        };
+        for (const [id, value] of Object.entries(values)) {
+            const element = document.getElementById(id);
+            if (element && value !== undefined) {
+                element.value = value;
+            }
+        }
+
+        this.renderWebhookStatus(settings.stats);
+    }
+
+    // Tick the checkboxes of a channel picker
+    setCheckedChannels(containerId, channels) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        container.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.checked = channels.includes(input.value);
+        });
+    }
+
+    renderKeychainTierChannels(keychainTiers) {
+        const container = document.getElementById('keychainTierChannels');
+        if (!container) return;
+
+        container.innerHTML = (this.keychainTierNames || []).map(tier => `
+            <div data-tier="${this.escapeHtml(tier)}" style="display: flex; align-items: center; gap: 6px; flex-wrap: wrap;">
+                <span style="width: 80px; font-size: 12px; color: #cbd5e1;">${this.escapeHtml(tier)}</span>
+                ${Object.entries(this.notificationChannelLabels).map(([channel, label]) => `
+                    <label style="display: inline-flex; align-items: center; gap: 4px; padding: 4px 8px; background: rgba(255, 255, 255, 0.04); border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 6px; font-size: 11px; color: #cbd5e1; cursor: pointer;">
+                        <input type="checkbox" value="${channel}" ${(keychainTiers[tier] || []).includes(channel) ? 'checked' : ''}> ${label}
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    renderWebhookStatus(stats) {
+        const status = document.getElementById('webhookStatus');
+        if (!status || !stats) return;
+
+        const last = stats.lastDelivery;
+        if (!last) {
+            status.textContent = 'No webhook deliveries yet';
+            status.style.color = '#64748b';
+            return;
+        }
+
+        const when = new Date(last.at).toLocaleTimeString();
+        status.textContent = last.ok
+            ? `Last delivery ${when}: HTTP ${last.status} after ${last.attempts} attempt${last.attempts === 1 ? '' : 's'} • ${stats.delivered} delivered, ${stats.failed} failed`
+            : `Last delivery ${when} failed: ${last.error} • ${stats.delivered} delivered, ${stats.failed} failed`;
+        status.style.color = last.ok ? '#22c55e' : '#f59e0b';
+    }
+
+    async saveNotificationChannels() {
+        const keychainTiers = {};
+        document.querySelectorAll('#keychainTierChannels [data-tier]').forEach(row => {
+            const channels = [...row.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+            if (channels.length > 0) {
+                keychainTiers[row.dataset.tier] = channels;
+            }
+        });
+
+        const retries = parseInt(document.getElementById('webhookRetries').value, 10);
+        const timeout = parseInt(document.getElementById('webhookTimeout').value, 10);
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_NOTIFICATION_CHANNELS',
+                data: {
+                    defaultChannels: this.getCheckedPhases('defaultChannels'),
+                    keychainTiers,
+                    webhook: {
+                        url: document.getElementById('webhookUrl').value,
+                        template: document.getElementById('webhookTemplate').value,
+                        maxRetries: Number.isFinite(retries) ? retries : null,
+                        timeoutMs: Number.isFinite(timeout) ? timeout : null
+                    }
+                }
+            });
+
+            if (response && response.success) {
+                this.applyNotificationChannelSettings(response.data);
+                this.showMessage(response.message || 'Notification channels updated!', 'success');
+            } else {
+                this.showMessage(response?.error || 'Failed to save notification channels', 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error saving notification channels:', error);
+            this.showMessage('Failed to save notification channels', 'error');
+        }
+    }
+
+    async testNotificationWebhook() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'TEST_NOTIFICATION_WEBHOOK'
+            });
+
+            if (response && response.success) {
+                this.showMessage(response.message, 'success');
+                this.renderWebhookStatus(response.data.stats);
+            } else {
+                this.showMessage(response?.error || 'Webhook test failed', 'error');
+                const status = await chrome.runtime.sendMessage({ type: 'GET_NOTIFICATION_CHANNELS' });
+                this.renderWebhookStatus(status?.data?.stats);
+            }
+        } catch (error) {
+            console.error('❌ Error testing webhook:', error);
+            this.showMessage('Webhook test failed', 'error');
+        }
+    }
+
+    async loadHistoryRetention() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_NOTIFICATION_HISTORY_SETTINGS'
+            });
+
+            if (response && response.success) {
+                this.applyHistoryRetention(response.data);
+            } else {
+                throw new Error(response?.error || 'Failed to load history retention');
+            }
+        } catch (error) {
+            console.error('❌ Error loading history retention:', error);
+        }
+    }
+
+    applyHistoryRetention(settings) {
+        const days = document.getElementById('historyRetentionDays');
+        const maxEntries = document.getElementById('historyMaxEntries');
+        const status = document.getElementById('historyRetentionStatus');
+
+        if (days) days.value = settings.retentionDays;
+        if (maxEntries) maxEntries.value = settings.maxEntries;
+        if (status) {
+            status.textContent = settings.supported
+                ? `${settings.count.toLocaleString()} of ${settings.maxEntries.toLocaleString()} entries stored`
+                : 'IndexedDB is not available; history is not being stored';
+        }
+    }
+
+    async saveHistoryRetention() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_NOTIFICATION_HISTORY_SETTINGS',
+                data: {
+                    retentionDays: document.getElementById('historyRetentionDays').value,
+                    maxEntries: document.getElementById('historyMaxEntries').value
+                }
+            });
+
+            if (response && response.success) {
+                this.applyHistoryRetention(response.data);
+                this.showMessage(response.message || 'History retention updated!', 'success');
+            } else {
+                this.showMessage(response?.error || 'Failed to save history retention', 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error saving history retention:', error);
+            this.showMessage('Failed to save history retention', 'error');
+        }
+    }
+
+    // ============================================================================
+    // AUTOMATION FUNCTIONALITY
+    // ============================================================================
+
+    setupAutomationControls() {
+        console.log('🔧 Setting up Automation controls...');
+
+        // Automation toggle
+        const automationToggle = document.getElementById('automationToggle');
+        if (automationToggle) {
+            automationToggle.addEventListener('click', () => {
+                const isActive = automationToggle.classList.contains('active');
+                this.setAutomationState(!isActive);
+            });
+        }
+
+        // Threshold slider
+        const thresholdSlider = document.getElementById('automationThreshold');
+        const thresholdValue = document.getElementById('automationThresholdValue');
+
+        if (thresholdSlider && thresholdValue) {
+            thresholdSlider.addEventListener('input', (e) => {
+                const value = e.target.value;
+                thresholdValue.textContent = `${value}% of market value`;
+            });
+        }
+
+        // Save automation settings button
+        const saveAutomationBtn = document.getElementById('saveAutomationSettings');
+        if (saveAutomationBtn) {
+            saveAutomationBtn.addEventListener('click', () => {
+                this.saveAutomationSettings();
+            });
+        }
+
+        // Reset statistics button
+        const resetStatsBtn = document.getElementById('resetAutomationStats');
+        if (resetStatsBtn) {
+            resetStatsBtn.addEventListener('click', () => {
+                this.resetAutomationStats();
+            });
+        }
+
+        console.log('✅ Automation controls setup complete');
+    }
+
+    async loadAutomationSettings() {
+        try {
+            console.log('🔄 Loading Automation settings...');
+
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_AUTOMATION_SETTINGS'
             });
 
             if (response && response.success) {
@@ -2132,146 +3753,649 @@ itemEntry.innerHTML = `
                     maxPriceInput.value = settings.maxPrice !== null && settings.maxPrice !== undefined && settings.maxPrice !== 100 ? settings.maxPrice : '';
                 }
 
-                // Update statistics
-                this.updateAutomationStats(settings.stats);
+                // Update premium charm pattern thresholds
+                for (const tier of [1, 2, 3]) {
+                    const input = document.getElementById(`automationPatternTier${tier}`);
+                    const threshold = settings.patternThresholds?.[tier];
+                    if (input) {
+                        input.value = typeof threshold === 'number' ? threshold : '';
+                    }
+                }
+
+                // Update statistics
+                this.updateAutomationStats(settings.stats);
+
+                console.log('✅ Automation settings loaded:', settings);
+            } else {
+                throw new Error(response?.error || 'Failed to load Automation settings');
+            }
+        } catch (error) {
+            console.error('❌ Error loading Automation settings:', error);
+        }
+    }
+
+    async setAutomationState(enabled) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SET_AUTOMATION_STATE',
+                data: { enabled }
+            });
+
+            if (response && response.success) {
+                this.updateToggleState('automationToggle', enabled);
+                this.updateAutomationSettingsVisibility(enabled);
+                this.showMessage(enabled ? 'Auto-Withdrawal ENABLED' : 'Auto-Withdrawal disabled', enabled ? 'success' : 'warning');
+            }
+        } catch (error) {
+            console.error('Error setting Automation state:', error);
+            this.showMessage('Failed to update Automation state', 'error');
+        }
+    }
+
+    updateAutomationSettingsVisibility(enabled) {
+        const settingsDiv = document.getElementById('automationSettings');
+        if (settingsDiv) {
+            if (enabled) {
+                settingsDiv.style.opacity = '1';
+                settingsDiv.style.pointerEvents = 'auto';
+            } else {
+                settingsDiv.style.opacity = '0.5';
+                settingsDiv.style.pointerEvents = 'none';
+            }
+        }
+    }
+
+    async saveAutomationSettings() {
+        const thresholdSlider = document.getElementById('automationThreshold');
+        const minPriceInput = document.getElementById('automationMinPrice');
+        const maxPriceInput = document.getElementById('automationMaxPrice');
+
+        if (!thresholdSlider || !minPriceInput || !maxPriceInput) return;
+
+        const thresholdPercentage = parseFloat(thresholdSlider.value);
+
+        // Parse price values (empty string becomes null/0/100 defaults)
+        const minPrice = minPriceInput.value.trim() === '' ? 0 : parseFloat(minPriceInput.value);
+        const maxPrice = maxPriceInput.value.trim() === '' ? 100 : parseFloat(maxPriceInput.value);
+
+        // Validate price range
+        if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+            this.showMessage('Minimum price cannot be greater than maximum price', 'error');
+            return;
+        }
+
+        // Validate price values are not negative
+        if (minPrice < 0 || maxPrice < 0) {
+            this.showMessage('Prices cannot be negative', 'error');
+            return;
+        }
+
+        // Premium charm pattern thresholds (empty = use the threshold above)
+        const patternThresholds = {};
+        for (const tier of [1, 2, 3]) {
+            const value = document.getElementById(`automationPatternTier${tier}`)?.value.trim();
+            patternThresholds[tier] = value ? parseFloat(value) : null;
+            if (patternThresholds[tier] !== null && !(patternThresholds[tier] >= 0)) {
+                this.showMessage(`Tier ${tier} threshold must be a positive number`, 'error');
+                return;
+            }
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_AUTOMATION_SETTINGS',
+                data: { thresholdPercentage, minPrice, maxPrice, patternThresholds }
+            });
+
+            if (response && response.success) {
+                this.showMessage(response.message || 'Automation settings saved successfully!', 'success');
+            } else {
+                this.showMessage(response?.error || 'Failed to save Automation settings', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving Automation settings:', error);
+            this.showMessage('Failed to save Automation settings', 'error');
+        }
+    }
+
+    async resetAutomationStats() {
+        if (!confirm('Are you sure you want to reset automation statistics?')) {
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'RESET_AUTOMATION_STATS'
+            });
+
+            if (response && response.success) {
+                this.updateAutomationStats(response.data.stats);
+                this.showMessage('Automation statistics reset successfully', 'success');
+            } else {
+                this.showMessage(response?.error || 'Failed to reset statistics', 'error');
+            }
+        } catch (error) {
+            console.error('Error resetting automation stats:', error);
+            this.showMessage('Failed to reset statistics', 'error');
+        }
+    }
+
+    updateAutomationStats(stats) {
+        if (!stats) return;
+
+        // Update success count
+        const successCount = document.getElementById('automationSuccessCount');
+        if (successCount) {
+            successCount.textContent = stats.successCount || 0;
+        }
+
+        // Update failure count
+        const failureCount = document.getElementById('automationFailureCount');
+        if (failureCount) {
+            failureCount.textContent = stats.failureCount || 0;
+        }
+
+        // Update total value
+        const totalValue = document.getElementById('automationTotalValue');
+        if (totalValue) {
+            totalValue.textContent = this.currency.format(stats.totalValueWithdrawn || 0);
+            totalValue.title = `Completed trades only (${this.currency.format(stats.pendingValue || 0)} pending)`;
+        }
+
+        // Update last activity
+        const lastActivity = document.getElementById('automationLastActivity');
+        if (lastActivity) {
+            if (stats.lastAttempt) {
+                const date = new Date(stats.lastAttempt);
+                lastActivity.textContent = `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+            } else {
+                lastActivity.textContent = 'No activity yet';
+            }
+        }
+    }
+
+    // ============================================================================
+    // AUCTION SNIPE FUNCTIONALITY
+    // ============================================================================
+
+    setupAuctionSnipeControls() {
+        const auctionSnipeToggle = document.getElementById('auctionSnipeToggle');
+        if (auctionSnipeToggle) {
+            auctionSnipeToggle.addEventListener('click', () => {
+                const isActive = auctionSnipeToggle.classList.contains('active');
+                this.setAuctionSnipeState(!isActive);
+            });
+        }
+
+        const saveBtn = document.getElementById('saveAuctionSnipeSettings');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                this.saveAuctionSnipeSettings();
+            });
+        }
+
+        const resetBtn = document.getElementById('resetAuctionSnipeStats');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.resetAuctionSnipeStats();
+            });
+        }
+    }
+
+    async loadAuctionSnipeSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_AUCTION_SNIPE_SETTINGS'
+            });
+
+            if (response && response.success) {
+                const settings = response.data;
 
-                console.log('✅ Automation settings loaded:', settings);
+                this.updateToggleState('auctionSnipeToggle', settings.enabled);
+                this.updateAuctionSnipeSettingsVisibility(settings.enabled);
+
+                document.getElementById('auctionBidWindow').value = settings.bidWindowSeconds;
+                document.getElementById('auctionBidIncrement').value = settings.bidIncrementPercent;
+                document.getElementById('auctionMaxBidPercentage').value = settings.maxBidPercentage;
+                document.getElementById('auctionMaxBidUSD').value = settings.maxBidUSD ?? '';
+
+                this.updateTrackedAuctionsUI(settings.trackedAuctions || []);
+                this.updateAuctionSnipeStats(settings.stats);
             } else {
-                throw new Error(response?.error || 'Failed to load Automation settings');
+                throw new Error(response?.error || 'Failed to load auction snipe settings');
             }
         } catch (error) {
-            console.error('❌ Error loading Automation settings:', error);
+            console.error('❌ Error loading auction snipe settings:', error);
         }
     }
 
-    async setAutomationState(enabled) {
+    async setAuctionSnipeState(enabled) {
         try {
             const response = await chrome.runtime.sendMessage({
-                type: 'SET_AUTOMATION_STATE',
+                type: 'SET_AUCTION_SNIPE_STATE',
                 data: { enabled }
             });
 
             if (response && response.success) {
-                this.updateToggleState('automationToggle', enabled);
-                this.updateAutomationSettingsVisibility(enabled);
-                this.showMessage(enabled ? 'Auto-Withdrawal ENABLED' : 'Auto-Withdrawal disabled', enabled ? 'success' : 'warning');
+                this.updateToggleState('auctionSnipeToggle', enabled);
+                this.updateAuctionSnipeSettingsVisibility(enabled);
+                this.showMessage(enabled ? 'Auction sniping ENABLED' : 'Auction sniping disabled', enabled ? 'success' : 'warning');
             }
         } catch (error) {
-            console.error('Error setting Automation state:', error);
-            this.showMessage('Failed to update Automation state', 'error');
+            console.error('Error setting auction snipe state:', error);
+            this.showMessage('Failed to update auction snipe state', 'error');
         }
     }
 
-    updateAutomationSettingsVisibility(enabled) {
-        const settingsDiv = document.getElementById('automationSettings');
+    updateAuctionSnipeSettingsVisibility(enabled) {
+        const settingsDiv = document.getElementById('auctionSnipeSettings');
         if (settingsDiv) {
-            if (enabled) {
-                settingsDiv.style.opacity = '1';
-                settingsDiv.style.pointerEvents = 'auto';
-            } else {
-                settingsDiv.style.opacity = '0.5';
-                settingsDiv.style.pointerEvents = 'none';
-            }
+            settingsDiv.style.opacity = enabled ? '1' : '0.5';
+            settingsDiv.style.pointerEvents = enabled ? 'auto' : 'none';
         }
     }
 
-    async saveAutomationSettings() {
-        const thresholdSlider = document.getElementById('automationThreshold');
-        const minPriceInput = document.getElementById('automationMinPrice');
-        const maxPriceInput = document.getElementById('automationMaxPrice');
-
-        if (!thresholdSlider || !minPriceInput || !maxPriceInput) return;
+    async saveAuctionSnipeSettings() {
+        const bidWindowSeconds = parseInt(document.getElementById('auctionBidWindow').value, 10);
+        const bidIncrementPercent = parseFloat(document.getElementById('auctionBidIncrement').value);
+        const maxBidPercentage = parseFloat(document.getElementById('auctionMaxBidPercentage').value);
+        const maxBidInput = document.getElementById('auctionMaxBidUSD').value.trim();
+        const maxBidUSD = maxBidInput === '' ? null : parseFloat(maxBidInput);
 
-        const thresholdPercentage = parseFloat(thresholdSlider.value);
+        if (!Number.isInteger(bidWindowSeconds) || bidWindowSeconds < 1) {
+            this.showMessage('Bid window must be at least 1 second', 'error');
+            return;
+        }
 
-        // Parse price values (empty string becomes null/0/100 defaults)
-        const minPrice = minPriceInput.value.trim() === '' ? 0 : parseFloat(minPriceInput.value);
-        const maxPrice = maxPriceInput.value.trim() === '' ? 100 : parseFloat(maxPriceInput.value);
+        if (isNaN(maxBidPercentage) || maxBidPercentage <= 0) {
+            this.showMessage('Max bid percentage must be greater than 0', 'error');
+            return;
+        }
 
-        // Validate price range
-        if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
-            this.showMessage('Minimum price cannot be greater than maximum price', 'error');
+        if (isNaN(bidIncrementPercent) || bidIncrementPercent < 0) {
+            this.showMessage('Bid increment cannot be negative', 'error');
             return;
         }
 
-        // Validate price values are not negative
-        if (minPrice < 0 || maxPrice < 0) {
-            this.showMessage('Prices cannot be negative', 'error');
+        if (maxBidUSD !== null && (isNaN(maxBidUSD) || maxBidUSD <= 0)) {
+            this.showMessage('Max bid cap must be greater than 0', 'error');
             return;
         }
 
         try {
             const response = await chrome.runtime.sendMessage({
-                type: 'UPDATE_AUTOMATION_SETTINGS',
-                data: { thresholdPercentage, minPrice, maxPrice }
+                type: 'UPDATE_AUCTION_SNIPE_SETTINGS',
+                data: { bidWindowSeconds, bidIncrementPercent, maxBidPercentage, maxBidUSD }
             });
 
             if (response && response.success) {
-                this.showMessage(response.message || 'Automation settings saved successfully!', 'success');
+                this.showMessage(response.message || 'Auction snipe settings saved successfully!', 'success');
             } else {
-                this.showMessage(response?.error || 'Failed to save Automation settings', 'error');
+                this.showMessage(response?.error || 'Failed to save auction snipe settings', 'error');
             }
         } catch (error) {
-            console.error('Error saving Automation settings:', error);
-            this.showMessage('Failed to save Automation settings', 'error');
+            console.error('Error saving auction snipe settings:', error);
+            this.showMessage('Failed to save auction snipe settings', 'error');
         }
     }
 
-    async resetAutomationStats() {
-        if (!confirm('Are you sure you want to reset automation statistics?')) {
+    async resetAuctionSnipeStats() {
+        if (!confirm('Are you sure you want to reset auction snipe statistics?')) {
             return;
         }
 
         try {
             const response = await chrome.runtime.sendMessage({
-                type: 'RESET_AUTOMATION_STATS'
+                type: 'RESET_AUCTION_SNIPE_STATS'
             });
 
             if (response && response.success) {
-                this.updateAutomationStats(response.data.stats);
-                this.showMessage('Automation statistics reset successfully', 'success');
+                this.updateAuctionSnipeStats(response.data.stats);
+                this.showMessage('Auction snipe statistics reset successfully', 'success');
             } else {
                 this.showMessage(response?.error || 'Failed to reset statistics', 'error');
             }
         } catch (error) {
-            console.error('Error resetting automation stats:', error);
+            console.error('Error resetting auction snipe stats:', error);
             this.showMessage('Failed to reset statistics', 'error');
         }
     }
 
-    updateAutomationStats(stats) {
+    updateTrackedAuctionsUI(auctions) {
+        const countEl = document.getElementById('auctionTrackedCount');
+        const listEl = document.getElementById('auctionTrackedList');
+        if (!countEl || !listEl) return;
+
+        countEl.textContent = `${auctions.length} tracked auction${auctions.length !== 1 ? 's' : ''}`;
+
+        if (auctions.length === 0) {
+            listEl.innerHTML = '<div class="empty-state">No auctions tracked yet.</div>';
+            return;
+        }
+
+        listEl.innerHTML = auctions.map(auction => {
+            const secondsLeft = Math.max(0, Math.round((auction.endsAt - Date.now()) / 1000));
+            const highestBid = auction.highestBid !== null ? this.currency.formatCoins(auction.highestBid) : 'No bids';
+            return `
+                <div class="item-entry">
+                    <div class="item-info">
+                        <div class="item-keyword">${this.escapeHtml(auction.market_name)}</div>
+                        <div class="item-wear-range">
+                            <span class="wear-badge small-badge">${highestBid} / max ${this.currency.formatCoins(auction.maxBid)}</span>
+                            <span class="wear-badge small-badge">${secondsLeft}s left</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    updateAuctionSnipeStats(stats) {
         if (!stats) return;
 
-        // Update success count
-        const successCount = document.getElementById('automationSuccessCount');
-        if (successCount) {
-            successCount.textContent = stats.successCount || 0;
+        const values = {
+            auctionBidsPlaced: stats.bidsPlaced || 0,
+            auctionSuccessCount: stats.successCount || 0,
+            auctionLostCount: stats.auctionsLost || 0,
+            auctionFailureCount: stats.failureCount || 0,
+            auctionTotalValue: this.currency.format(stats.totalValueWithdrawn || 0)
+        };
+
+        Object.entries(values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = value;
+            }
+        });
+    }
+
+    // ============================================================================
+    // PAPER TRADING FUNCTIONALITY
+    // ============================================================================
+
+    setupPaperTradingControls() {
+        const paperTradingToggle = document.getElementById('paperTradingToggle');
+        if (paperTradingToggle) {
+            paperTradingToggle.addEventListener('click', () => {
+                const isActive = paperTradingToggle.classList.contains('active');
+                this.setPaperTradingState(!isActive);
+            });
         }
 
-        // Update failure count
-        const failureCount = document.getElementById('automationFailureCount');
-        if (failureCount) {
-            failureCount.textContent = stats.failureCount || 0;
+        const clearBtn = document.getElementById('clearPaperTrades');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clearPaperTrades();
+            });
         }
+    }
 
-        // Update total value
-        const totalValue = document.getElementById('automationTotalValue');
-        if (totalValue) {
-            totalValue.textContent = `$${(stats.totalValueWithdrawn || 0).toFixed(2)}`;
+    async loadPaperTradingStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_PAPER_TRADING'
+            });
+
+            if (response && response.success) {
+                this.updateToggleState('paperTradingToggle', response.data.enabled);
+                this.updatePaperTradingSummary(response.data);
+            } else {
+                throw new Error(response?.error || 'Failed to load paper trading status');
+            }
+        } catch (error) {
+            console.error('❌ Error loading paper trading status:', error);
         }
+    }
 
-        // Update last activity
-        const lastActivity = document.getElementById('automationLastActivity');
-        if (lastActivity) {
-            if (stats.lastAttempt) {
-                const date = new Date(stats.lastAttempt);
-                lastActivity.textContent = `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+    async setPaperTradingState(enabled) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SET_PAPER_TRADING_STATE',
+                data: { enabled }
+            });
+
+            if (response && response.success) {
+                this.updateToggleState('paperTradingToggle', enabled);
+                this.updatePaperTradingSummary(response.data);
+                this.showMessage(enabled ? 'Dry run ENABLED - nothing will be withdrawn' : 'Dry run disabled - automation withdraws for real', enabled ? 'success' : 'warning');
+            }
+        } catch (error) {
+            console.error('Error setting paper trading state:', error);
+            this.showMessage('Failed to update dry-run mode', 'error');
+        }
+    }
+
+    async clearPaperTrades() {
+        if (!confirm('Are you sure you want to clear all paper trades?')) {
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'CLEAR_PAPER_TRADES'
+            });
+
+            if (response && response.success) {
+                this.updatePaperTradingSummary(response.data);
+                this.showMessage('Paper trades cleared', 'success');
             } else {
-                lastActivity.textContent = 'No activity yet';
+                this.showMessage(response?.error || 'Failed to clear paper trades', 'error');
+            }
+        } catch (error) {
+            console.error('Error clearing paper trades:', error);
+            this.showMessage('Failed to clear paper trades', 'error');
+        }
+    }
+
+    updatePaperTradingSummary(summary) {
+        const summaryEl = document.getElementById('paperTradingSummary');
+        if (!summaryEl || !summary) return;
+
+        if (summary.count === 0) {
+            summaryEl.textContent = 'No paper trades yet';
+            return;
+        }
+
+        const sign = summary.profit >= 0 ? '+' : '-';
+        summaryEl.innerHTML = `${summary.count} trade${summary.count !== 1 ? 's' : ''} • ${this.currency.format(summary.spent)} spent • ` +
+            `<span style="color: ${summary.profit >= 0 ? '#22c55e' : '#ef4444'}; font-weight: 600;">${sign}${this.currency.format(Math.abs(summary.profit))} P&L</span>`;
+    }
+
+    // ============================================================================
+    // SPEND LIMITS FUNCTIONALITY
+    // ============================================================================
+
+    setupBudgetControls() {
+        const saveBtn = document.getElementById('saveBudgetSettings');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                this.saveBudgetSettings();
+            });
+        }
+
+        const resumeBtn = document.getElementById('resumeAutomationBtn');
+        if (resumeBtn) {
+            resumeBtn.addEventListener('click', () => {
+                this.resumeAutomation();
+            });
+        }
+
+        const reconcileBtn = document.getElementById('reconcileTradesBtn');
+        if (reconcileBtn) {
+            reconcileBtn.addEventListener('click', () => {
+                this.reconcileWithdrawals();
+            });
+        }
+    }
+
+    async loadBudgetStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_AUTOMATION_BUDGET'
+            });
+
+            if (response && response.success) {
+                const budget = response.data;
+                const inputs = {
+                    budgetHourlyLimit: budget.hourlyLimit,
+                    budgetDailyLimit: budget.dailyLimit,
+                    budgetPerItemDailyLimit: budget.perItemDailyLimit,
+                    budgetTotalLimit: budget.totalLimit,
+                    budgetMaxPendingTrades: budget.maxPendingTrades,
+                    budgetBalanceReserve: budget.balanceReserve || ''
+                };
+
+                Object.entries(inputs).forEach(([id, value]) => {
+                    const input = document.getElementById(id);
+                    if (input) {
+                        input.value = value ?? '';
+                    }
+                });
+
+                this.updateBudgetUsage(budget);
+            } else {
+                throw new Error(response?.error || 'Failed to load spend limits');
+            }
+        } catch (error) {
+            console.error('❌ Error loading spend limits:', error);
+        }
+    }
+
+    async saveBudgetSettings() {
+        const readLimit = (id) => {
+            const value = document.getElementById(id).value.trim();
+            return value === '' ? null : parseFloat(value);
+        };
+
+        const settings = {
+            hourlyLimit: readLimit('budgetHourlyLimit'),
+            dailyLimit: readLimit('budgetDailyLimit'),
+            perItemDailyLimit: readLimit('budgetPerItemDailyLimit'),
+            totalLimit: readLimit('budgetTotalLimit'),
+            maxPendingTrades: readLimit('budgetMaxPendingTrades'),
+            balanceReserve: readLimit('budgetBalanceReserve') || 0
+        };
+
+        if (Object.values(settings).some(value => value !== null && (isNaN(value) || value < 0))) {
+            this.showMessage('Limits cannot be negative', 'error');
+            return;
+        }
+
+        if (settings.maxPendingTrades !== null) {
+            settings.maxPendingTrades = Math.floor(settings.maxPendingTrades);
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_AUTOMATION_BUDGET',
+                data: settings
+            });
+
+            if (response && response.success) {
+                this.updateBudgetUsage(response.data);
+                this.showMessage(response.message || 'Spend limits saved successfully!', 'success');
+            } else {
+                this.showMessage(response?.error || 'Failed to save spend limits', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving spend limits:', error);
+            this.showMessage('Failed to save spend limits', 'error');
+        }
+    }
+
+    async resumeAutomation() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'RESUME_AUTOMATION'
+            });
+
+            if (response && response.success) {
+                this.updateBudgetUsage(response.data);
+                this.showMessage('Automation resumed', 'success');
+            } else {
+                this.showMessage(response?.error || 'Failed to resume automation', 'error');
+            }
+        } catch (error) {
+            console.error('Error resuming automation:', error);
+            this.showMessage('Failed to resume automation', 'error');
+        }
+    }
+
+    updateBudgetUsage(budget) {
+        if (!budget) return;
+
+        const banner = document.getElementById('budgetPausedBanner');
+        if (banner) {
+            banner.style.display = budget.paused ? 'block' : 'none';
+            document.getElementById('budgetPauseReason').textContent = budget.pauseReason || '';
+        }
+
+        const values = {
+            budgetSpentHour: this.currency.format(budget.spentLastHour || 0),
+            budgetSpentDay: this.currency.format(budget.spentLastDay || 0),
+            budgetPendingTrades: budget.pendingTrades || 0,
+            budgetAvailableBalance: budget.availableBalance !== null ? this.currency.format(budget.availableBalance) : '—'
+        };
+
+        Object.entries(values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = value;
+            }
+        });
+    }
+
+    async loadTradeOutcomes() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_AUTOMATION_TRADES'
+            });
+
+            if (response && response.success) {
+                this.updateTradeOutcomes(response.data);
+            }
+        } catch (error) {
+            console.error('❌ Error loading trade outcomes:', error);
+        }
+    }
+
+    async reconcileWithdrawals() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'RECONCILE_WITHDRAWALS'
+            });
+
+            if (response && response.success) {
+                this.updateTradeOutcomes(response.data);
+                this.showMessage(response.message || 'Trades checked', 'success');
+            } else {
+                this.showMessage(response?.error || 'Failed to check trades', 'error');
             }
+        } catch (error) {
+            console.error('Error checking trades:', error);
+            this.showMessage('Failed to check trades', 'error');
         }
     }
 
+    updateTradeOutcomes(summary) {
+        if (!summary) return;
+
+        const values = {
+            tradesPending: summary.pending || 0,
+            tradesPendingValue: this.currency.format(summary.pendingValue || 0),
+            tradesCompleted: summary.completed || 0,
+            tradesCancelled: summary.cancelled || 0,
+            tradesReverted: summary.reverted || 0
+        };
+
+        Object.entries(values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = value;
+            }
+        });
+    }
+
     // ============================================================================
     // ITEM TARGET AUTOMATION FUNCTIONALITY
     // ============================================================================
@@ -2388,6 +4512,15 @@ itemEntry.innerHTML = `
         const maxPrice = maxPriceInput?.value ? parseFloat(maxPriceInput.value) : null;
         const priceFilterEnabled = minPrice !== null || maxPrice !== null;
 
+        const dopplerPhases = this.getCheckedPhases('automationDopplerPhases');
+
+        const minStickerPercentInput = document.getElementById('automationMinStickerPercent');
+        const minStickerValueInput = document.getElementById('automationMinStickerValue');
+        const stickerCraftOnly = document.getElementById('automationStickerCraftOnly')?.checked || false;
+        const minStickerPercent = minStickerPercentInput?.value ? parseFloat(minStickerPercentInput.value) : null;
+        const minStickerValue = minStickerValueInput?.value ? parseFloat(minStickerValueInput.value) : null;
+        const stickerFilterEnabled = minStickerPercent !== null || minStickerValue !== null || stickerCraftOnly;
+
         console.log('💰 Price inputs:', {
             minPriceValue: minPriceInput?.value,
             maxPriceValue: maxPriceInput?.value,
@@ -2412,6 +4545,13 @@ itemEntry.innerHTML = `
                 enabled: priceFilterEnabled,
                 min: minPrice,
                 max: maxPrice
+            },
+            dopplerPhases: dopplerPhases,
+            stickerFilter: {
+                enabled: stickerFilterEnabled,
+                minPercentage: minStickerPercent,
+                minValue: minStickerValue,
+                craftOnly: stickerCraftOnly
             }
         };
 
@@ -2459,6 +4599,14 @@ itemEntry.innerHTML = `
         if (maxPercentDiffInput) maxPercentDiffInput.value = '';
         if (minPriceInput) minPriceInput.value = '';
         if (maxPriceInput) maxPriceInput.value = '';
+        this.clearCheckedPhases('automationDopplerPhases');
+
+        const minStickerPercentInput = document.getElementById('automationMinStickerPercent');
+        const minStickerValueInput = document.getElementById('automationMinStickerValue');
+        const stickerCraftOnlyInput = document.getElementById('automationStickerCraftOnly');
+        if (minStickerPercentInput) minStickerPercentInput.value = '';
+        if (minStickerValueInput) minStickerValueInput.value = '';
+        if (stickerCraftOnlyInput) stickerCraftOnlyInput.checked = false;
     }
 
     displayAutomationFilterEntries() {
@@ -2516,6 +4664,16 @@ itemEntry.innerHTML = `
                 console.log('❌ Price filter not enabled, skipping display');
             }
 
+            // Build Doppler phase display
+            const phaseDisplay = Array.isArray(entry.dopplerPhases) && entry.dopplerPhases.length > 0
+                ? `<div class="item-wear-range">Phase: ${this.escapeHtml(entry.dopplerPhases.join(', '))} <span class="wear-badge small-badge">Doppler</span></div>`
+                : '';
+
+            // Build sticker value display
+            const stickerDisplay = entry.stickerFilter?.enabled
+                ? `<div class="item-wear-range">Stickers: ${this.escapeHtml(this.formatStickerFilter(entry.stickerFilter))} <span class="wear-badge small-badge">Sticker Value</span></div>`
+                : '';
+
             return `
                 <div class="item-card" data-entry-id="${entry.id}">
                     <div class="item-info">
@@ -2523,6 +4681,8 @@ itemEntry.innerHTML = `
                         ${floatDisplay}
                         ${percentDiffDisplay}
                         ${priceDisplay}
+                        ${phaseDisplay}
+                        ${stickerDisplay}
                     </div>
                     <button class="remove-item-btn" data-entry-id="${entry.id}" title="Remove entry">×</button>
                 </div>
@@ -2578,7 +4738,8 @@ itemEntry.innerHTML = `
         // Update total value
         const totalValue = document.getElementById('itemTargetTotalValue');
         if (totalValue) {
-            totalValue.textContent = `$${(stats.totalValueWithdrawn || 0).toFixed(2)}`;
+            totalValue.textContent = this.currency.format(stats.totalValueWithdrawn || 0);
+            totalValue.title = `Completed trades only (${this.currency.format(stats.pendingValue || 0)} pending)`;
         }
     }
 }
@@ -2600,8 +4761,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (message.data.stats) {
                 popupManagerInstance.updateAutomationStats(message.data.stats);
             }
+            if (message.data.dryRun) {
+                popupManagerInstance.loadPaperTradingStatus();
+            }
             popupManagerInstance.showMessage(
-                `Automated withdrawal successful: ${message.data.item.market_name}`,
+                message.data.dryRun
+                    ? `Paper trade recorded: ${message.data.item.market_name}`
+                    : `Automated withdrawal successful: ${message.data.item.market_name}`,
                 'success'
             );
             break;
@@ -2624,12 +4790,56 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (message.data.stats) {
                 popupManagerInstance.updateItemTargetAutomationStats(message.data.stats);
             }
+            if (message.data.dryRun) {
+                popupManagerInstance.loadPaperTradingStatus();
+            }
+            popupManagerInstance.showMessage(
+                message.data.dryRun
+                    ? `Paper trade recorded: ${message.data.item.market_name}`
+                    : `Item Target automated withdrawal successful: ${message.data.item.market_name}`,
+                'success'
+            );
+            break;
+
+        case 'AUCTION_SNIPE_WON':
+            console.log('🔨✅ Auction won:', message.data);
+            if (message.data.stats) {
+                popupManagerInstance.updateAuctionSnipeStats(message.data.stats);
+            }
             popupManagerInstance.showMessage(
-                `Item Target automated withdrawal successful: ${message.data.item.market_name}`,
+                `Auction won: ${message.data.item.market_name} for ${popupManagerInstance.currency.format(message.data.bidValue)}`,
                 'success'
             );
             break;
 
+        case 'AUTOMATION_BUDGET_PAUSED':
+            console.log('⏸️ Automation paused by spend limits:', message.data);
+            popupManagerInstance.updateBudgetUsage(message.data);
+            popupManagerInstance.showMessage(
+                `Automation paused: ${message.data.pauseReason}`,
+                'warning'
+            );
+            break;
+
+        case 'ARBITRAGE_UPDATE':
+            popupManagerInstance.renderArbitrageTable(message.data.opportunities, message.data.scanned);
+            break;
+
+        case 'AUTOMATION_TRADES_SETTLED':
+            console.log('🔄 Automation trades settled:', message.data);
+            popupManagerInstance.updateTradeOutcomes(message.data.summary);
+            popupManagerInstance.loadAutomationSettings();
+            popupManagerInstance.loadItemTargetAutomationSettings();
+            popupManagerInstance.loadAuctionSnipeSettings();
+            popupManagerInstance.loadBudgetStatus();
+            message.data.trades
+                .filter(trade => trade.outcome !== 'completed')
+                .forEach(trade => popupManagerInstance.showMessage(
+                    `Auto-purchase ${trade.outcome}: ${trade.marketName}`,
+                    'warning'
+                ));
+            break;
+
         case 'ITEM_TARGET_AUTOMATION_WITHDRAWAL_FAILED':
             console.log('🎯❌ Item Target automation withdrawal failed:', message.data);
             // Update stats in real-time
@@ -0,0 +1,146 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - PRICE CHART
+ * ============================================================================
+ *
+ * Inline SVG sparklines for price history, shared by the overlay
+ * (content script) and the history page.
+ *
+ * Features:
+ * - Buff163 / CSFloat / Steam lines from PriceHistoryStore series
+ * - Trend label with % change over the window
+ * - Column charts for the history analytics dashboard
+ * - Plain markup string, no DOM or chart library required
+ *
+ * @version 1.0.0
+ */
+
+class PriceChart {
+  /**
+   * Line colours, matching the overlay's marketplace colours
+   */
+  static get COLORS() {
+    return {
+      buff163: '#f59e0b',
+      csfloat: '#4a90e2',
+      steam: '#1e90ff'
+    };
+  }
+
+  /**
+   * Render a sparkline for a price series
+   * @param {Array<Object>} series - Points ({ day, buff163, csfloat, steam })
+   * @param {Object} options - Render options
+   * @param {Array<string>} options.sources - Sources to draw (default: buff163, csfloat)
+   * @param {number} options.width - SVG width
+   * @param {number} options.height - SVG height
+   * @returns {string} SVG markup, or '' with fewer than two points
+   */
+  static renderSparkline(series, options = {}) {
+    const sources = options.sources || ['buff163', 'csfloat'];
+    const width = options.width || 120;
+    const height = options.height || 28;
+    const pad = 2;
+
+    const lines = sources
+      .map(source => ({ source, points: series.filter(point => typeof point[source] === 'number') }))
+      .filter(line => line.points.length >= 2);
+    if (lines.length === 0) {
+      return '';
+    }
+
+    const days = series.map(point => point.day);
+    const minDay = Math.min(...days);
+    const spanDays = Math.max(1, Math.max(...days) - minDay);
+
+    const prices = lines.flatMap(line => line.points.map(point => point[line.source]));
+    const minPrice = Math.min(...prices);
+    const spanPrice = Math.max(...prices) - minPrice || 1;
+
+    const x = (day) => (pad + ((day - minDay) / spanDays) * (width - pad * 2)).toFixed(1);
+    const y = (price) => (height - pad - ((price - minPrice) / spanPrice) * (height - pad * 2)).toFixed(1);
+
+    const paths = lines.map(line => {
+      const d = line.points
+        .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.day)},${y(point[line.source])}`)
+        .join(' ');
+      return `<path d="${d}" fill="none" stroke="${PriceChart.COLORS[line.source]}" stroke-width="1.5" stroke-linejoin="round"/>`;
+    }).join('');
+
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display: block;">${paths}</svg>`;
+  }
+
+  /**
+   * Render a column chart (one bar per value, hover shows the title)
+   * @param {Array<Object>} columns - Columns ({ value, label, title, color })
+   * @param {Object} options - Render options
+   * @param {number} options.width - SVG width
+   * @param {number} options.height - SVG height, including the label row
+   * @param {number} options.max - Value of a full-height bar (default: largest value)
+   * @param {number} options.labelEvery - Label every Nth column (default: 1)
+   * @returns {string} SVG markup, or '' without columns
+   */
+  static renderColumns(columns, options = {}) {
+    if (columns.length === 0) {
+      return '';
+    }
+
+    const width = options.width || 480;
+    const height = options.height || 120;
+    const labelEvery = options.labelEvery || 1;
+    const labelHeight = 14;
+    const chartHeight = height - labelHeight;
+    const max = options.max || Math.max(...columns.map(column => column.value || 0)) || 1;
+    const slot = width / columns.length;
+    const barWidth = Math.max(1, slot * 0.7);
+
+    const bars = columns.map((column, index) => {
+      const x = index * slot + (slot - barWidth) / 2;
+      const barHeight = Math.max(column.value > 0 ? 1 : 0, ((column.value || 0) / max) * (chartHeight - 2));
+      const label = column.label !== undefined && index % labelEvery === 0
+        ? `<text x="${(index * slot + slot / 2).toFixed(1)}" y="${height - 2}" text-anchor="middle" font-size="10" fill="#94a3b8">${column.label}</text>`
+        : '';
+      return `<g><title>${column.title || column.value}</title>` +
+        `<rect x="${x.toFixed(1)}" y="${(chartHeight - barHeight).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" rx="2" fill="${column.color || '#667eea'}"/>` +
+        `</g>${label}`;
+    }).join('');
+
+    // Scales to the container width, keeping the aspect ratio
+    return `<svg width="100%" viewBox="0 0 ${width} ${height}" style="display: block;">${bars}</svg>`;
+  }
+
+  /**
+   * Format a trend from PriceHistoryStore.calculateTrend
+   * @param {Object|null} trend - Trend ({ source, days, changePercent })
+   * @returns {string} Label such as "Buff 7d ▼ 12.3%"
+   */
+  static formatTrend(trend) {
+    if (!trend) {
+      return '';
+    }
+
+    const names = { buff163: 'Buff', csfloat: 'CSFloat', steam: 'Steam' };
+    const change = trend.changePercent;
+    const arrow = change > 0 ? '▲' : change < 0 ? '▼' : '•';
+    return `${names[trend.source] || trend.source} ${trend.days}d ${arrow} ${Math.abs(change).toFixed(1)}%`;
+  }
+
+  /**
+   * Colour for a trend label (falling prices in red)
+   * @param {Object|null} trend - Trend
+   * @returns {string} CSS colour
+   */
+  static getTrendColor(trend) {
+    if (!trend || trend.changePercent === 0) {
+      return '#94a3b8';
+    }
+    return trend.changePercent > 0 ? '#22c55e' : '#ef4444';
+  }
+}
+
+// Export for use in Node-based tooling
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PriceChart
+  };
+}
@@ -0,0 +1,263 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - PRICE HISTORY STORE
+ * ============================================================================
+ *
+ * Keeps Buff163, CSFloat and Steam prices from every price refresh in
+ * IndexedDB so filters and cards can look at trends, not just the latest
+ * snapshot.
+ *
+ * Features:
+ * - One point per item per day (the latest refresh of the day wins)
+ * - Unchanged prices are not rewritten on every hourly refresh
+ * - Configurable retention (default 30 days)
+ * - Series and 7/30-day trend lookups by market hash name
+ *
+ * @version 1.0.0
+ */
+
+// Sources kept in history → key in the combined price entry
+const PRICE_HISTORY_SOURCES = {
+  buff163: 'buffPrice',
+  csfloat: 'csfloatPrice',
+  steam: 'steamPrice'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PriceHistoryStore {
+  constructor() {
+    this.initializeProperties();
+  }
+
+  /**
+   * Initialize store properties
+   */
+  initializeProperties() {
+    // History configuration
+    this.config = {
+      enabled: true,
+      retentionDays: 30
+    };
+
+    // IndexedDB database (stores and indexes in createSchema)
+    this.database = new IndexedDbConnection('EmpireEnhancedPriceHistory', 1, db => this.createSchema(db));
+
+    // Name → "day|buff|csfloat|steam" of the last written point (skips unchanged rewrites)
+    this.lastWritten = new Map();
+
+    // Writes are chained so a slow refresh never overlaps the next one
+    this.writePromise = Promise.resolve();
+    this.lastPrunedDay = null;
+  }
+
+  /**
+   * Load history settings from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.sync.get(['priceHistoryConfig']);
+
+      if (result.priceHistoryConfig) {
+        this.config = { ...this.config, ...result.priceHistoryConfig };
+        console.log('✅ Price history config loaded:', this.config);
+      }
+    } catch (error) {
+      console.error('❌ Error loading price history settings:', error);
+    }
+  }
+
+  /**
+   * Check whether IndexedDB is available in this context
+   * @returns {boolean} True if IndexedDB can be used
+   */
+  isSupported() {
+    return this.database.isSupported();
+  }
+
+  /**
+   * Day number (days since epoch, UTC) for a timestamp
+   * @param {number} timestamp - Timestamp in ms
+   * @returns {number} Day number
+   */
+  getDay(timestamp) {
+    return Math.floor(timestamp / DAY_MS);
+  }
+
+  /**
+   * ========================================================================
+   * RECORDING
+   * ========================================================================
+   */
+
+  /**
+   * Record a combined price snapshot
+   * @param {Object} combinedPrices - { "item name": { buffPrice: { price }, ... } }
+   * @param {number} at - Snapshot time
+   * @returns {Promise<void>}
+   */
+  record(combinedPrices, at = Date.now()) {
+    if (!this.config.enabled || !this.isSupported() || !combinedPrices) {
+      return this.writePromise;
+    }
+
+    this.writePromise = this.writePromise
+      .then(() => this.writeSnapshot(combinedPrices, at))
+      .catch(error => console.error('❌ Price history write failed:', error));
+
+    return this.writePromise;
+  }
+
+  /**
+   * Write changed points for one snapshot
+   * @param {Object} combinedPrices - Combined price data
+   * @param {number} at - Snapshot time
+   */
+  async writeSnapshot(combinedPrices, at) {
+    const day = this.getDay(at);
+    const points = [];
+
+    for (const [name, entry] of Object.entries(combinedPrices)) {
+      const point = { name, day, at };
+      let hasPrice = false;
+
+      for (const [source, priceKey] of Object.entries(PRICE_HISTORY_SOURCES)) {
+        const price = entry[priceKey]?.price;
+        point[source] = typeof price === 'number' && price > 0 ? price : null;
+        hasPrice = hasPrice || point[source] !== null;
+      }
+      if (!hasPrice) continue;
+
+      const signature = `${day}|${point.buff163}|${point.csfloat}|${point.steam}`;
+      if (this.lastWritten.get(name) === signature) continue;
+
+      this.lastWritten.set(name, signature);
+      points.push(point);
+    }
+
+    if (points.length > 0) {
+      const db = await this.database.open();
+      const transaction = db.transaction(['points'], 'readwrite');
+      const store = transaction.objectStore('points');
+      for (const point of points) {
+        store.put(point);
+      }
+      await this.database.transactionDone(transaction);
+      console.log(`📈 Price history: ${points.length} points written for day ${day}`);
+    }
+
+    if (this.lastPrunedDay !== day) {
+      this.lastPrunedDay = day;
+      await this.prune(day);
+    }
+  }
+
+  /**
+   * Delete points older than the retention window
+   * @param {number} today - Current day number
+   */
+  async prune(today) {
+    const db = await this.database.open();
+    const transaction = db.transaction(['points'], 'readwrite');
+    const cutoff = today - this.config.retentionDays;
+
+    const request = transaction.objectStore('points').index('day').openCursor(IDBKeyRange.upperBound(cutoff, true));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+
+    await this.database.transactionDone(transaction);
+  }
+
+  /**
+   * ========================================================================
+   * QUERIES
+   * ========================================================================
+   */
+
+  /**
+   * Get daily points for an item, oldest first
+   * @param {string} marketName - Market hash name
+   * @param {number} days - How many days back
+   * @returns {Promise<Array<Object>>} Points ({ day, at, buff163, csfloat, steam })
+   */
+  async getSeries(marketName, days = 30) {
+    if (!this.isSupported() || !marketName) {
+      return [];
+    }
+
+    const name = marketName.toLowerCase();
+    const today = this.getDay(Date.now());
+    const db = await this.database.open();
+    const transaction = db.transaction(['points'], 'readonly');
+    const range = IDBKeyRange.bound([name, today - days], [name, today]);
+
+    return this.database.requestToPromise(transaction.objectStore('points').getAll(range));
+  }
+
+  /**
+   * Price change of one source over a window
+   * @param {string} marketName - Market hash name
+   * @param {string} source - buff163, csfloat or steam
+   * @param {number} days - Window length in days
+   * @returns {Promise<Object|null>} { source, days, from, to, changePercent, points } or null without enough data
+   */
+  async getTrend(marketName, source = 'buff163', days = 7) {
+    const series = await this.getSeries(marketName, days);
+    return this.calculateTrend(series, source, days);
+  }
+
+  /**
+   * Price change of one source across a series
+   * @param {Array<Object>} series - Points from getSeries
+   * @param {string} source - buff163, csfloat or steam
+   * @param {number} days - Window length (reported back)
+   * @returns {Object|null} Trend or null with fewer than two priced days
+   */
+  calculateTrend(series, source, days) {
+    const priced = series.filter(point => point[source] !== null && point[source] !== undefined);
+    if (priced.length < 2) {
+      return null;
+    }
+
+    const from = priced[0][source];
+    const to = priced[priced.length - 1][source];
+
+    return {
+      source,
+      days,
+      from,
+      to,
+      changePercent: ((to - from) / from) * 100,
+      points: priced.length
+    };
+  }
+
+  /**
+   * ========================================================================
+   * SCHEMA
+   * ========================================================================
+   */
+
+  /**
+   * Create the history stores (IndexedDbConnection upgrade callback)
+   * @param {IDBDatabase} db - Database being upgraded
+   */
+  createSchema(db) {
+    if (!db.objectStoreNames.contains('points')) {
+      const store = db.createObjectStore('points', { keyPath: ['name', 'day'] });
+      store.createIndex('day', 'day');
+    }
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PriceHistoryStore
+  };
+}
@@ -0,0 +1,341 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - PRICE SOURCES
+ * ============================================================================
+ *
+ * Pluggable marketplace price providers behind a single registry.
+ *
+ * Features:
+ * - One provider per marketplace (fetch, normalize, TTL)
+ * - Each source refreshes and fails on its own; last good data is kept
+ * - Per-source health: last update, last error, item count, staleness
+ * - Combined lookup in the shape used by enhanceItemDataWithPrices
+ *   ({ "item name": { buffPrice: {...}, csfloatPrice: {...} } })
+ * - New sources are added with register() without touching background.js
+ *
+ * @version 1.0.0
+ */
+
+class PriceSourceProvider {
+  /**
+   * @param {Object} definition - Provider definition
+   * @param {string} definition.id - Marketplace id (matches the marketplaces setting)
+   * @param {string} definition.name - Display name
+   * @param {string} definition.priceKey - Key in the combined entry (e.g. buffPrice)
+   * @param {string} definition.url - Feed URL
+   * @param {Function} definition.normalize - (name, raw) => price data ({ price, doppler? }) or null
+   * @param {number} definition.ttlMs - How long fetched data is fresh (default: 1 hour)
+   */
+  constructor(definition) {
+    this.id = definition.id;
+    this.name = definition.name || definition.id;
+    this.priceKey = definition.priceKey;
+    this.url = definition.url;
+    this.normalizeEntry = definition.normalize || ((name, raw) => (raw && typeof raw === 'object' ? raw : null));
+    this.ttlMs = definition.ttlMs ?? 60 * 60 * 1000;
+  }
+
+  /**
+   * Download the raw feed
+   * @param {Function} fetchImpl - fetch implementation
+   * @returns {Promise<Object>} Raw feed keyed by market hash name
+   */
+  async fetch(fetchImpl) {
+    const response = await fetchImpl(this.url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Normalize a raw feed into lower-cased name → price data
+   * @param {Object} raw - Raw feed
+   * @returns {Map<string, Object>} Normalized prices
+   */
+  normalize(raw) {
+    const prices = new Map();
+
+    for (const [name, data] of Object.entries(raw || {})) {
+      const priceData = this.normalizeEntry(name, data);
+      if (priceData) {
+        prices.set(name.toLowerCase(), priceData);
+      }
+    }
+
+    return prices;
+  }
+}
+
+/**
+ * Built-in csgotrader.app feeds
+ * @returns {Array<PriceSourceProvider>} Default providers
+ */
+function createDefaultPriceProviders() {
+  const csgoTraderUrl = (id) => `https://prices.csgotrader.app/latest/${id}.json`;
+
+  return [
+    // CSFloat, BitSkins: { price, doppler: {...} }
+    new PriceSourceProvider({
+      id: 'csfloat',
+      name: 'CSFloat',
+      priceKey: 'csfloatPrice',
+      url: csgoTraderUrl('csfloat')
+    }),
+    // Buff163: { starting_at: { price, doppler: {...} } }
+    new PriceSourceProvider({
+      id: 'buff163',
+      name: 'Buff163',
+      priceKey: 'buffPrice',
+      url: csgoTraderUrl('buff163'),
+      normalize: (name, data) => (data && data.starting_at ? data.starting_at : null)
+    }),
+    // YouPin: plain number
+    new PriceSourceProvider({
+      id: 'youpin',
+      name: 'YouPin',
+      priceKey: 'youpinPrice',
+      url: csgoTraderUrl('youpin'),
+      normalize: (name, data) => (typeof data === 'number' ? { price: data } : null)
+    }),
+    // Steam: { last_24h, last_7d, last_30d, last_90d } - last_7d is steadier than last_24h
+    new PriceSourceProvider({
+      id: 'steam',
+      name: 'Steam Market',
+      priceKey: 'steamPrice',
+      url: csgoTraderUrl('steam'),
+      normalize: (name, data) => {
+        if (!data || typeof data !== 'object') return null;
+        const price = data.last_7d ?? data.last_30d;
+        return price !== undefined && price !== null ? { price } : null;
+      }
+    }),
+    new PriceSourceProvider({
+      id: 'bitskins',
+      name: 'BitSkins',
+      priceKey: 'bitskinsPrice',
+      url: csgoTraderUrl('bitskins')
+    }),
+    // Skinport: { starting_at: number, suggested_price: number|null }
+    new PriceSourceProvider({
+      id: 'skinport',
+      name: 'Skinport',
+      priceKey: 'skinportPrice',
+      url: csgoTraderUrl('skinport'),
+      normalize: (name, data) => (data && typeof data === 'object' && data.starting_at !== undefined && data.starting_at !== null
+        ? { price: data.starting_at }
+        : null)
+    })
+  ];
+}
+
+class PriceSourceRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Function} options.fetch - fetch implementation (defaults to global fetch)
+   * @param {Array<PriceSourceProvider>} options.providers - Providers (defaults to the csgotrader.app feeds)
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.fetchImpl = options.fetch || null;
+
+    for (const provider of options.providers || createDefaultPriceProviders()) {
+      this.register(provider);
+    }
+  }
+
+  /**
+   * Initialize registry properties
+   */
+  initializeProperties() {
+    // Provider id → provider
+    this.providers = new Map();
+
+    // Provider id → { prices, lastUpdated, lastAttempt, error, itemCount }
+    this.sources = new Map();
+
+    // Data older than TTL × staleFactor is reported as stale
+    this.staleFactor = 2;
+
+    // Concurrent refreshes share one request per source
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Register (or replace) a provider
+   * @param {PriceSourceProvider} provider - Provider to add
+   */
+  register(provider) {
+    this.providers.set(provider.id, provider);
+    if (!this.sources.has(provider.id)) {
+      this.sources.set(provider.id, { prices: null, lastUpdated: null, lastAttempt: null, error: null, itemCount: 0 });
+    }
+  }
+
+  /**
+   * Get the ids of providers enabled by the marketplaces setting (unknown ids default to on)
+   * @param {Object} marketplaces - { csfloat: true, ... }
+   * @returns {Array<string>} Enabled provider ids
+   */
+  getEnabledIds(marketplaces = {}) {
+    return [...this.providers.keys()].filter(id => marketplaces[id] !== false);
+  }
+
+  /**
+   * ========================================================================
+   * REFRESH
+   * ========================================================================
+   */
+
+  /**
+   * Refresh every expired source independently
+   * @param {Array<string>} ids - Provider ids to refresh
+   * @param {Object} options - Refresh options
+   * @param {boolean} options.force - Ignore TTLs
+   * @returns {Promise<boolean>} True if any source got new data
+   */
+  async refresh(ids, { force = false } = {}) {
+    const due = ids.filter(id => this.providers.has(id) && (force || this.isExpired(id)));
+    if (due.length === 0) {
+      return false;
+    }
+
+    const results = await Promise.all(due.map(id => this.refreshSource(id)));
+    return results.some(Boolean);
+  }
+
+  /**
+   * Refresh one source, sharing an in-flight request
+   * @param {string} id - Provider id
+   * @returns {Promise<boolean>} True on success
+   */
+  refreshSource(id) {
+    if (!this.inFlight.has(id)) {
+      const promise = this.loadSource(id).finally(() => this.inFlight.delete(id));
+      this.inFlight.set(id, promise);
+    }
+    return this.inFlight.get(id);
+  }
+
+  /**
+   * Fetch and normalize one source, keeping the previous data on failure
+   * @param {string} id - Provider id
+   * @returns {Promise<boolean>} True on success
+   */
+  async loadSource(id) {
+    const provider = this.providers.get(id);
+    const source = this.sources.get(id);
+    source.lastAttempt = Date.now();
+
+    try {
+      const raw = await provider.fetch(this.fetchImpl || fetch);
+      source.prices = provider.normalize(raw);
+      source.itemCount = source.prices.size;
+      source.lastUpdated = Date.now();
+      source.error = null;
+      console.log(`✅ ${provider.name} prices updated (${source.itemCount} items)`);
+      return true;
+    } catch (error) {
+      source.error = error.message;
+      console.error(`❌ ${provider.name} price refresh failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a source is due for refresh (failed sources retry after a minute)
+   * @param {string} id - Provider id
+   * @returns {boolean} True if expired
+   */
+  isExpired(id) {
+    const provider = this.providers.get(id);
+    const source = this.sources.get(id);
+
+    if (source.error && source.lastAttempt && Date.now() - source.lastAttempt < 60 * 1000) {
+      return false;
+    }
+    return !source.lastUpdated || Date.now() - source.lastUpdated >= provider.ttlMs;
+  }
+
+  /**
+   * Drop all fetched data so the next lookup refetches
+   */
+  clearCache() {
+    for (const id of this.sources.keys()) {
+      this.sources.set(id, { prices: null, lastUpdated: null, lastAttempt: null, error: null, itemCount: 0 });
+    }
+  }
+
+  /**
+   * ========================================================================
+   * LOOKUP AND HEALTH
+   * ========================================================================
+   */
+
+  /**
+   * Combine the latest data of the given sources
+   * @param {Array<string>} ids - Provider ids
+   * @returns {Object} { "item name": { buffPrice: {...}, ... } }
+   */
+  getCombinedPrices(ids) {
+    const combined = new Map();
+
+    for (const id of ids) {
+      const provider = this.providers.get(id);
+      const prices = this.sources.get(id)?.prices;
+      if (!provider || !prices) continue;
+
+      for (const [name, priceData] of prices) {
+        const entry = combined.get(name) || {};
+        entry[provider.priceKey] = priceData;
+        combined.set(name, entry);
+      }
+    }
+
+    return Object.fromEntries(combined);
+  }
+
+  /**
+   * Per-source health for the popup
+   * @param {Array<string>} enabledIds - Ids enabled in settings
+   * @returns {Array<Object>} { id, name, enabled, status, lastUpdated, lastAttempt, error, itemCount, ttlMs }
+   */
+  getHealth(enabledIds = [...this.providers.keys()]) {
+    const now = Date.now();
+
+    return [...this.providers.values()].map(provider => {
+      const source = this.sources.get(provider.id);
+      const stale = source.lastUpdated !== null && now - source.lastUpdated > provider.ttlMs * this.staleFactor;
+
+      let status = 'ok';
+      if (!source.lastUpdated) {
+        status = source.error ? 'error' : 'pending';
+      } else if (source.error) {
+        status = 'degraded';  // Serving the last good data
+      } else if (stale) {
+        status = 'stale';
+      }
+
+      return {
+        id: provider.id,
+        name: provider.name,
+        enabled: enabledIds.includes(provider.id),
+        status,
+        lastUpdated: source.lastUpdated,
+        lastAttempt: source.lastAttempt,
+        error: source.error,
+        itemCount: source.itemCount,
+        ttlMs: provider.ttlMs
+      };
+    });
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PriceSourceProvider,
+    PriceSourceRegistry,
+    createDefaultPriceProviders
+  };
+}
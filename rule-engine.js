@@ -0,0 +1,580 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - RULE ENGINE
+ * ============================================================================
+ *
+ * Declarative match rules evaluated against every incoming item.
+ *
+ * Features:
+ * - Conditions on name, wear, paint seed, Doppler phase, keychains, stickers,
+ *   sticker value, blue %, price, marketplace % difference and auction state
+ * - Nested AND/OR condition groups
+ * - Priorities (highest first) with optional fall-through
+ * - Per-rule actions: notify, sound, automate, tag, notification channels
+ * - Built-in presets wrapping the target list, keychain filter, sticker value
+ *   filter, Austin charm detection, blue gem filter and universal filters
+ *
+ * Rule shape:
+ *   {
+ *     id, name, enabled, priority,
+ *     match: 'all' | 'any',
+ *     conditions: [{ field, operator, value } | { match, conditions }],
+ *     actions: { notify, sound, automate, tags: [], channels: [] },
+ *     stopOnMatch: true
+ *   }
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Condition fields and the operators each supports
+ */
+const RULE_FIELDS = {
+  name: ['contains', 'not_contains', 'equals', 'regex'],
+  wear: ['gte', 'lte', 'between', 'exists'],
+  paint_seed: ['equals', 'in'],
+  doppler_phase: ['equals', 'in'],
+  keychain: ['contains', 'any', 'none'],
+  sticker: ['contains', 'count_gte', 'any', 'none'],
+  sticker_value: ['gte', 'lte', 'between'],
+  sticker_percentage: ['gte', 'lte', 'between'],
+  blue_percentage: ['gte', 'lte', 'between'],
+  price: ['gte', 'lte', 'between'],
+  above_recommended: ['gte', 'lte', 'between'],
+  marketplace_diff: ['gte', 'lte', 'between'],
+  auction: ['is']
+};
+
+/**
+ * Built-in presets, in the order the old processIndividualItem cascade ran them
+ */
+const BUILT_IN_PRESETS = [
+  {
+    id: 'preset_target_list',
+    preset: 'target_list',
+    name: 'Item Target List',
+    priority: 500,
+    actions: { notify: true, sound: true, automate: true, tags: [], channels: [] }
+  },
+  {
+    id: 'preset_keychains',
+    preset: 'keychains',
+    name: 'Keychain Filter',
+    priority: 400,
+    actions: { notify: true, sound: true, automate: true, tags: [], channels: [] }
+  },
+  {
+    id: 'preset_stickers',
+    preset: 'stickers',
+    name: 'Sticker Value Filter',
+    priority: 380,
+    actions: { notify: true, sound: true, automate: false, tags: [], channels: [] }
+  },
+  {
+    id: 'preset_austin_charm',
+    preset: 'austin_charm',
+    name: 'Austin Charms',
+    priority: 350,
+    actions: { notify: true, sound: true, automate: false, tags: [], channels: [] }
+  },
+  {
+    id: 'preset_blue_gem',
+    preset: 'blue_gem',
+    name: 'Blue Gem Filter',
+    priority: 300,
+    actions: { notify: true, sound: true, automate: false, tags: [], channels: [] }
+  },
+  {
+    id: 'preset_universal_filter',
+    preset: 'universal_filter',
+    name: 'Universal Filters',
+    priority: 100,
+    actions: { notify: true, sound: true, automate: false, tags: [], channels: [] }
+  }
+];
+
+class RuleEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {CurrencyConverter} options.currency - Coin → USD conversion for price conditions
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.currency = options.currency || new CurrencyConverter();
+  }
+
+  /**
+   * Initialize rule engine properties
+   */
+  initializeProperties() {
+    // User-defined rules
+    this.rules = [];
+
+    // Overrides for built-in presets ({ [presetId]: { enabled, priority, actions } })
+    this.presetOverrides = {};
+
+    // Preset matchers registered by the extension manager
+    this.presetMatchers = new Map();
+
+    // Async field resolvers (e.g. marketplace price difference)
+    this.resolvers = {};
+  }
+
+  /**
+   * Load rules from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get(['itemRules', 'itemRulePresetOverrides']);
+
+      this.rules = Array.isArray(result.itemRules) ? result.itemRules : [];
+      this.presetOverrides = result.itemRulePresetOverrides || {};
+
+      console.log(`✅ Rule engine loaded: ${this.rules.length} custom rules`);
+    } catch (error) {
+      console.error('❌ Error loading rules:', error);
+    }
+  }
+
+  /**
+   * Save rules to Chrome storage
+   */
+  async saveRules() {
+    try {
+      await chrome.storage.local.set({
+        itemRules: this.rules,
+        itemRulePresetOverrides: this.presetOverrides
+      });
+      console.log('💾 Rules saved');
+    } catch (error) {
+      console.error('❌ Error saving rules:', error);
+    }
+  }
+
+  /**
+   * Register the matcher behind a built-in preset
+   * @param {string} preset - Preset key (e.g. 'keychains')
+   * @param {Function} matcher - async (item, context) => boolean; may annotate the item
+   */
+  registerPreset(preset, matcher) {
+    this.presetMatchers.set(preset, matcher);
+  }
+
+  /**
+   * Register async resolvers used by conditions
+   * @param {Object} resolvers - { marketplaceDiff: async (item) => number|null }
+   */
+  setResolvers(resolvers) {
+    this.resolvers = { ...this.resolvers, ...resolvers };
+  }
+
+  /**
+   * ========================================================================
+   * RULE MANAGEMENT
+   * ========================================================================
+   */
+
+  /**
+   * Get all rules (presets merged with overrides, then custom rules)
+   * @returns {Array<Object>} Rules sorted by priority (highest first)
+   */
+  getRules() {
+    const presets = BUILT_IN_PRESETS.map(preset => {
+      const override = this.presetOverrides[preset.id] || {};
+      return {
+        ...preset,
+        builtIn: true,
+        enabled: override.enabled ?? true,
+        priority: override.priority ?? preset.priority,
+        actions: { ...preset.actions, ...(override.actions || {}) },
+        stopOnMatch: true
+      };
+    });
+
+    return [...presets, ...this.rules].sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Create or update a rule
+   * @param {Object} rule - Rule definition
+   * @returns {Promise<Object>} Saved rule
+   */
+  async saveRule(rule) {
+    const preset = BUILT_IN_PRESETS.find(entry => entry.id === rule.id);
+
+    // Presets only accept enabled/priority/actions overrides
+    if (preset) {
+      const override = {};
+      if (typeof rule.enabled === 'boolean') override.enabled = rule.enabled;
+      if (Number.isFinite(rule.priority)) override.priority = rule.priority;
+      if (rule.actions) override.actions = this.normalizeActions(rule.actions);
+
+      this.presetOverrides[preset.id] = { ...this.presetOverrides[preset.id], ...override };
+      await this.saveRules();
+      return this.getRules().find(entry => entry.id === preset.id);
+    }
+
+    const validation = this.validateRule(rule);
+    if (!validation.isValid) {
+      throw new Error(validation.reason);
+    }
+
+    const normalized = {
+      id: rule.id || `rule_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name: rule.name.trim(),
+      enabled: rule.enabled ?? true,
+      priority: Number.isFinite(rule.priority) ? rule.priority : 200,
+      match: rule.match === 'any' ? 'any' : 'all',
+      conditions: rule.conditions,
+      actions: this.normalizeActions(rule.actions),
+      stopOnMatch: rule.stopOnMatch ?? true
+    };
+
+    const index = this.rules.findIndex(entry => entry.id === normalized.id);
+    if (index === -1) {
+      this.rules.push(normalized);
+    } else {
+      this.rules[index] = normalized;
+    }
+
+    await this.saveRules();
+    console.log(`📐 Rule saved: ${normalized.name} (priority ${normalized.priority})`);
+    return normalized;
+  }
+
+  /**
+   * Delete a custom rule
+   * @param {string} ruleId - Rule ID
+   */
+  async deleteRule(ruleId) {
+    if (BUILT_IN_PRESETS.some(preset => preset.id === ruleId)) {
+      throw new Error('Built-in presets can be disabled but not deleted');
+    }
+
+    this.rules = this.rules.filter(rule => rule.id !== ruleId);
+    await this.saveRules();
+  }
+
+  /**
+   * Replace all custom rules (used by settings import)
+   * @param {Array<Object>} rules - Rules to import
+   * @returns {Promise<number>} Number of rules imported
+   */
+  async importRules(rules) {
+    this.rules = [];
+    for (const rule of rules) {
+      try {
+        await this.saveRule(rule);
+      } catch (error) {
+        console.warn(`⚠️ Skipping invalid rule "${rule?.name}": ${error.message}`);
+      }
+    }
+    return this.rules.length;
+  }
+
+  /**
+   * Normalize a rule's action block
+   * @param {Object} actions - Raw actions
+   * @returns {Object} Normalized actions
+   */
+  normalizeActions(actions = {}) {
+    return {
+      notify: actions.notify ?? true,
+      sound: actions.sound ?? true,
+      automate: actions.automate ?? false,
+      tags: Array.isArray(actions.tags)
+        ? actions.tags.map(tag => String(tag).trim()).filter(Boolean)
+        : [],
+      // Empty: the target / keychain tier / default channels apply
+      channels: NotificationChannelRouter.normalizeChannels(actions.channels)
+    };
+  }
+
+  /**
+   * Validate a custom rule definition
+   * @param {Object} rule - Rule to validate
+   * @returns {Object} { isValid, reason }
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) {
+      return { isValid: false, reason: 'Rule needs a name' };
+    }
+
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+      return { isValid: false, reason: 'Rule needs at least one condition' };
+    }
+
+    return this.validateConditions(rule.conditions);
+  }
+
+  /**
+   * Validate a list of conditions (recursing into groups)
+   * @param {Array<Object>} conditions - Conditions to validate
+   * @returns {Object} { isValid, reason }
+   */
+  validateConditions(conditions) {
+    for (const condition of conditions) {
+      if (Array.isArray(condition.conditions)) {
+        const nested = this.validateConditions(condition.conditions);
+        if (!nested.isValid) return nested;
+        continue;
+      }
+
+      const operators = RULE_FIELDS[condition.field];
+      if (!operators) {
+        return { isValid: false, reason: `Unknown field "${condition.field}"` };
+      }
+      if (!operators.includes(condition.operator)) {
+        return { isValid: false, reason: `Operator "${condition.operator}" not supported for ${condition.field}` };
+      }
+      if (condition.operator === 'between' && (!Array.isArray(condition.value) || condition.value.length !== 2)) {
+        return { isValid: false, reason: `"between" on ${condition.field} needs [min, max]` };
+      }
+      if (condition.operator === 'regex') {
+        try {
+          new RegExp(condition.value, 'i');
+        } catch (error) {
+          return { isValid: false, reason: `Invalid regex: ${error.message}` };
+        }
+      }
+    }
+
+    return { isValid: true, reason: 'Valid' };
+  }
+
+  /**
+   * ========================================================================
+   * EVALUATION
+   * ========================================================================
+   */
+
+  /**
+   * Evaluate all enabled rules against an item
+   * @param {Object} item - Item to evaluate
+   * @returns {Promise<Array<Object>>} Matched rules, in priority order
+   */
+  async evaluate(item) {
+    const matches = [];
+    const context = {}; // Shared per-item cache for preset matchers and resolvers
+
+    for (const rule of this.getRules()) {
+      if (!rule.enabled) continue;
+
+      let matched = false;
+      try {
+        matched = rule.builtIn
+          ? await this.matchPreset(rule, item, context)
+          : await this.matchConditions(rule.match, rule.conditions, item, context);
+      } catch (error) {
+        console.error(`❌ Rule "${rule.name}" failed:`, error);
+      }
+
+      if (matched) {
+        console.log(`📐 Rule matched: ${rule.name} (priority ${rule.priority})`);
+        matches.push(rule);
+        if (rule.stopOnMatch) break;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Run a built-in preset matcher
+   * @param {Object} rule - Preset rule
+   * @param {Object} item - Item to check
+   * @param {Object} context - Per-item evaluation cache
+   * @returns {Promise<boolean>} True if matched
+   */
+  async matchPreset(rule, item, context) {
+    const matcher = this.presetMatchers.get(rule.preset);
+    if (!matcher) {
+      return false;
+    }
+    return Boolean(await matcher(item, context));
+  }
+
+  /**
+   * Evaluate a condition group
+   * @param {string} match - 'all' (AND) or 'any' (OR)
+   * @param {Array<Object>} conditions - Conditions or nested groups
+   * @param {Object} item - Item to check
+   * @param {Object} context - Per-item evaluation cache
+   * @returns {Promise<boolean>} True if the group matches
+   */
+  async matchConditions(match, conditions, item, context) {
+    for (const condition of conditions) {
+      const result = Array.isArray(condition.conditions)
+        ? await this.matchConditions(condition.match, condition.conditions, item, context)
+        : await this.matchCondition(condition, item, context);
+
+      if (match === 'any' && result) return true;
+      if (match !== 'any' && !result) return false;
+    }
+
+    return match !== 'any';
+  }
+
+  /**
+   * Evaluate a single condition
+   * @param {Object} condition - { field, operator, value }
+   * @param {Object} item - Item to check
+   * @param {Object} context - Per-item evaluation cache
+   * @returns {Promise<boolean>} True if the condition holds
+   */
+  async matchCondition(condition, item, context) {
+    const { field, operator, value } = condition;
+
+    switch (field) {
+      case 'name':
+        return this.compareText(item.market_name || '', operator, value);
+
+      case 'wear':
+        if (operator === 'exists') {
+          return (item.wear !== null && item.wear !== undefined) === (value !== false);
+        }
+        return this.compareNumber(this.toNumber(item.wear), operator, value);
+
+      case 'paint_seed': {
+        const seed = this.toNumber(item.paint_seed ?? item.pattern);
+        if (seed === null) return false;
+        const seeds = Array.isArray(value) ? value.map(Number) : [Number(value)];
+        return seeds.includes(seed);
+      }
+
+      case 'doppler_phase': {
+        const parsed = DopplerPhase.parse(item.market_name);
+        if (!parsed) return false;
+        return DopplerPhase.normalizeList(Array.isArray(value) ? value : [value]).includes(parsed.phase);
+      }
+
+      case 'keychain':
+        return this.compareList((item.keychains || []).map(k => k.name || k), operator, value);
+
+      case 'sticker': {
+        const stickers = (item.stickers || []).map(s => s.name || s);
+        if (operator === 'count_gte') {
+          return stickers.length >= Number(value);
+        }
+        return this.compareList(stickers, operator, value);
+      }
+
+      // Set by the background's sticker valuation before rules run
+      case 'sticker_value':
+        return this.compareNumber(this.toNumber(item.sticker_value), operator, value);
+
+      case 'sticker_percentage':
+        return this.compareNumber(this.toNumber(item.sticker_percentage), operator, value);
+
+      case 'blue_percentage':
+        return this.compareNumber(this.toNumber(item.blue_percentage), operator, value);
+
+      case 'price':
+        return this.compareNumber(item.market_value ? this.currency.coinsToUsd(item.market_value) : null, operator, value);
+
+      case 'above_recommended':
+        return this.compareNumber(this.toNumber(item.above_recommended_price), operator, value);
+
+      case 'marketplace_diff': {
+        if (!('marketplaceDiff' in context)) {
+          context.marketplaceDiff = this.resolvers.marketplaceDiff
+            ? await this.resolvers.marketplaceDiff(item)
+            : null;
+        }
+        return this.compareNumber(context.marketplaceDiff, operator, value);
+      }
+
+      case 'auction': {
+        const isAuction = item.auction_ends_at !== null && item.auction_ends_at !== undefined;
+        return isAuction === Boolean(value);
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Compare a text value
+   * @param {string} text - Text to check
+   * @param {string} operator - contains | not_contains | equals | regex
+   * @param {string} value - Comparison value
+   * @returns {boolean} Result
+   */
+  compareText(text, operator, value) {
+    const haystack = text.toLowerCase();
+    const needle = String(value ?? '').toLowerCase();
+
+    switch (operator) {
+      case 'contains': return haystack.includes(needle);
+      case 'not_contains': return !haystack.includes(needle);
+      case 'equals': return haystack.trim() === needle.trim();
+      case 'regex': return new RegExp(value, 'i').test(text);
+      default: return false;
+    }
+  }
+
+  /**
+   * Compare a numeric value (missing values never match)
+   * @param {number|null} number - Value to check
+   * @param {string} operator - gte | lte | between
+   * @param {number|Array<number>} value - Comparison value(s)
+   * @returns {boolean} Result
+   */
+  compareNumber(number, operator, value) {
+    if (number === null) {
+      return false;
+    }
+
+    switch (operator) {
+      case 'gte': return number >= Number(value);
+      case 'lte': return number <= Number(value);
+      case 'between': {
+        const [min, max] = value;
+        return (min === null || number >= Number(min)) && (max === null || number <= Number(max));
+      }
+      default: return false;
+    }
+  }
+
+  /**
+   * Compare a list of names (keychains, stickers)
+   * @param {Array<string>} names - Names on the item
+   * @param {string} operator - contains | any | none
+   * @param {string} value - Name fragment for 'contains'
+   * @returns {boolean} Result
+   */
+  compareList(names, operator, value) {
+    switch (operator) {
+      case 'contains': {
+        const needle = String(value ?? '').toLowerCase();
+        return names.some(name => String(name).toLowerCase().includes(needle));
+      }
+      case 'any': return names.length > 0;
+      case 'none': return names.length === 0;
+      default: return false;
+    }
+  }
+
+  /**
+   * Parse a number, returning null for missing/invalid values
+   * @param {*} value - Raw value
+   * @returns {number|null} Parsed number
+   */
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RuleEngine,
+    RULE_FIELDS,
+    BUILT_IN_PRESETS
+  };
+}
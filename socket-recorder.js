@@ -0,0 +1,417 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - SOCKET TRAFFIC RECORDER
+ * ============================================================================
+ *
+ * Opt-in recorder that persists raw CSGOEmpire socket events to IndexedDB.
+ *
+ * Features:
+ * - Records new_item, updated_item, deleted_item, auction_update, trade_status
+ * - Timestamps adjusted to server time using timesync events
+ * - Rotating segments (oldest segment dropped when the limit is reached)
+ * - Buffered writes so bursts don't open one transaction per event
+ * - JSONL export in the format read by tools/replay-harness.js, streamed
+ *   segment by segment from the popup
+ *
+ * @version 1.0.0
+ */
+
+class SocketRecorder {
+  constructor() {
+    this.initializeProperties();
+  }
+
+  /**
+   * Initialize recorder properties
+   */
+  initializeProperties() {
+    // Recorder configuration
+    this.config = {
+      enabled: false,
+      segmentMaxEvents: 5000,  // Events per segment before rotating
+      maxSegments: 20          // Oldest segments are dropped beyond this
+    };
+
+    // IndexedDB database (stores and indexes in createSchema)
+    this.database = new IndexedDbConnection('EmpireEnhancedRecorder', 1, db => this.createSchema(db));
+
+    // Server time offset from timesync events (server - local, in ms)
+    this.timeOffsetMs = 0;
+    this.lastTimesync = null;
+
+    // Write buffering
+    this.buffer = [];
+    this.flushTimer = null;
+    this.flushDelayMs = 1000;
+    this.maxBufferSize = 200;
+    this.flushPromise = Promise.resolve();
+
+    // Current segment ({ id, startedAt, endedAt, eventCount })
+    this.currentSegment = null;
+  }
+
+  /**
+   * Load recorder settings from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.sync.get(['socketRecorderConfig']);
+
+      if (result.socketRecorderConfig) {
+        this.config = { ...this.config, ...result.socketRecorderConfig };
+        console.log('✅ Socket recorder config loaded:', this.config);
+      }
+    } catch (error) {
+      console.error('❌ Error loading socket recorder settings:', error);
+    }
+  }
+
+  /**
+   * Save recorder configuration to Chrome storage
+   */
+  async saveConfig() {
+    try {
+      await chrome.storage.sync.set({ socketRecorderConfig: this.config });
+      console.log('💾 Socket recorder config saved');
+    } catch (error) {
+      console.error('❌ Error saving socket recorder config:', error);
+    }
+  }
+
+  /**
+   * Set recorder enabled state
+   * @param {boolean} enabled - Whether recording is enabled
+   */
+  async setEnabled(enabled) {
+    if (!enabled) {
+      await this.flush();
+      this.currentSegment = null; // Next recording session starts a fresh segment
+    }
+
+    this.config.enabled = enabled;
+    await this.saveConfig();
+    console.log(`🎙️ Socket recorder ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  }
+
+  /**
+   * Update recorder settings
+   * @param {Object} settings - Settings to update
+   */
+  async updateSettings(settings) {
+    if (Number.isInteger(settings.segmentMaxEvents) && settings.segmentMaxEvents > 0) {
+      this.config.segmentMaxEvents = settings.segmentMaxEvents;
+    }
+    if (Number.isInteger(settings.maxSegments) && settings.maxSegments > 0) {
+      this.config.maxSegments = settings.maxSegments;
+    }
+
+    await this.saveConfig();
+    console.log('⚙️ Socket recorder settings updated:', this.config);
+  }
+
+  /**
+   * Check whether IndexedDB is available in this context
+   * @returns {boolean} True if IndexedDB can be used
+   */
+  isSupported() {
+    return this.database.isSupported();
+  }
+
+  /**
+   * ========================================================================
+   * TIME SYNC
+   * ========================================================================
+   */
+
+  /**
+   * Update the server time offset from a timesync payload
+   * @param {number|Object} data - Timesync data (server time in ms, or object containing it)
+   */
+  updateTimeOffset(data) {
+    const serverTime = typeof data === 'number'
+      ? data
+      : Number(data?.serverTime ?? data?.server_time ?? data?.timestamp ?? data?.time);
+
+    if (!Number.isFinite(serverTime) || serverTime <= 0) {
+      return;
+    }
+
+    // Accept both seconds and milliseconds
+    const serverTimeMs = serverTime < 1e12 ? serverTime * 1000 : serverTime;
+    this.timeOffsetMs = serverTimeMs - Date.now();
+    this.lastTimesync = Date.now();
+  }
+
+  /**
+   * Get the current server-adjusted time
+   * @returns {number} Timestamp in ms
+   */
+  now() {
+    return Date.now() + this.timeOffsetMs;
+  }
+
+  /**
+   * ========================================================================
+   * RECORDING
+   * ========================================================================
+   */
+
+  /**
+   * Record a raw socket event
+   * @param {string} event - Socket event name
+   * @param {*} data - Raw event payload
+   */
+  record(event, data) {
+    if (!this.config.enabled || !this.isSupported()) {
+      return;
+    }
+
+    this.buffer.push({
+      event,
+      ts: this.now(),
+      receivedAt: Date.now(),
+      data
+    });
+
+    if (this.buffer.length >= this.maxBufferSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+    }
+  }
+
+  /**
+   * Write buffered events to IndexedDB
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (this.buffer.length === 0) {
+      return this.flushPromise;
+    }
+
+    const events = this.buffer;
+    this.buffer = [];
+
+    // Chain flushes so segment bookkeeping never races
+    this.flushPromise = this.flushPromise
+      .then(() => this.writeEvents(events))
+      .catch(error => console.error('❌ Socket recorder flush failed:', error));
+
+    return this.flushPromise;
+  }
+
+  /**
+   * Persist a batch of events, rotating segments as needed
+   * @param {Array<Object>} events - Events to store
+   */
+  async writeEvents(events) {
+    const db = await this.database.open();
+    const touchedSegments = new Map();
+
+    const transaction = db.transaction(['segments', 'events'], 'readwrite');
+    const segmentStore = transaction.objectStore('segments');
+    const eventStore = transaction.objectStore('events');
+
+    for (const entry of events) {
+      if (!this.currentSegment || this.currentSegment.eventCount >= this.config.segmentMaxEvents) {
+        this.currentSegment = this.createSegment(entry.ts);
+      }
+
+      const segment = this.currentSegment;
+      eventStore.put({ ...entry, segmentId: segment.id, seq: segment.eventCount });
+      segment.eventCount++;
+      segment.endedAt = entry.ts;
+      touchedSegments.set(segment.id, segment);
+    }
+
+    for (const segment of touchedSegments.values()) {
+      segmentStore.put({ ...segment });
+    }
+
+    await this.database.transactionDone(transaction);
+    await this.pruneSegments();
+  }
+
+  /**
+   * Create a new segment descriptor
+   * @param {number} startedAt - Timestamp of the first event
+   * @returns {Object} Segment descriptor
+   */
+  createSegment(startedAt) {
+    // Segment ids are time based and strictly increasing so export order is chronological
+    const previousId = this.currentSegment ? this.currentSegment.id : 0;
+    const id = Math.max(Date.now(), previousId + 1);
+
+    console.log(`🎙️ Starting recorder segment ${id}`);
+    return { id, startedAt, endedAt: startedAt, eventCount: 0 };
+  }
+
+  /**
+   * Drop the oldest segments beyond the configured limit
+   */
+  async pruneSegments() {
+    const segments = await this.getSegments();
+    const excess = segments.length - this.config.maxSegments;
+
+    if (excess <= 0) {
+      return;
+    }
+
+    const db = await this.database.open();
+    const transaction = db.transaction(['segments', 'events'], 'readwrite');
+
+    for (const segment of segments.slice(0, excess)) {
+      transaction.objectStore('segments').delete(segment.id);
+      transaction.objectStore('events').delete(IDBKeyRange.bound([segment.id, 0], [segment.id, Infinity]));
+      console.log(`🗑️ Recorder segment ${segment.id} rotated out (${segment.eventCount} events)`);
+    }
+
+    await this.database.transactionDone(transaction);
+  }
+
+  /**
+   * ========================================================================
+   * QUERY AND EXPORT
+   * ========================================================================
+   */
+
+  /**
+   * Get all stored segments, oldest first
+   * @returns {Promise<Array<Object>>} Segment descriptors
+   */
+  async getSegments() {
+    if (!this.isSupported()) {
+      return [];
+    }
+
+    const db = await this.database.open();
+    const transaction = db.transaction(['segments'], 'readonly');
+    return this.database.requestToPromise(transaction.objectStore('segments').getAll());
+  }
+
+  /**
+   * Get recorder status for the popup
+   * @returns {Promise<Object>} Status summary
+   */
+  async getStatus() {
+    const segments = await this.getSegments();
+
+    return {
+      enabled: this.config.enabled,
+      supported: this.isSupported(),
+      segmentMaxEvents: this.config.segmentMaxEvents,
+      maxSegments: this.config.maxSegments,
+      segments,
+      totalEvents: segments.reduce((sum, segment) => sum + segment.eventCount, 0),
+      bufferedEvents: this.buffer.length,
+      timeOffsetMs: this.timeOffsetMs,
+      lastTimesync: this.lastTimesync
+    };
+  }
+
+  /**
+   * Export recorded events as JSONL, one segment at a time (the popup calls this
+   * itself after FLUSH_RECORDER_CAPTURE: a full capture is too large for a runtime message)
+   * @param {Function} onChunk - (jsonl) => void, called per non-empty segment, oldest first
+   * @param {Array<number>|null} segmentIds - Segments to export (null = all)
+   * @returns {Promise<number>} Events exported
+   */
+  async exportJsonl(onChunk, segmentIds = null) {
+    const wanted = segmentIds ? new Set(segmentIds) : null;
+    let eventCount = 0;
+
+    for (const segment of await this.getSegments()) {
+      if (wanted && !wanted.has(segment.id)) {
+        continue;
+      }
+
+      const lines = await this.readSegmentLines(segment.id);
+      if (lines.length > 0) {
+        onChunk(`${lines.join('\n')}\n`);
+        eventCount += lines.length;
+      }
+    }
+
+    return eventCount;
+  }
+
+  /**
+   * Read one segment's events as JSONL lines, in recording order
+   * @param {number} segmentId - Segment id
+   * @returns {Promise<Array<string>>} Lines
+   */
+  async readSegmentLines(segmentId) {
+    const db = await this.database.open();
+    const transaction = db.transaction(['events'], 'readonly');
+    const range = IDBKeyRange.bound([segmentId, 0], [segmentId, Infinity]);
+
+    return new Promise((resolve, reject) => {
+      const lines = [];
+      const request = transaction.objectStore('events').openCursor(range);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(lines);
+          return;
+        }
+
+        const entry = cursor.value;
+        lines.push(JSON.stringify({ event: entry.event, ts: entry.ts, data: entry.data }));
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete every recorded segment
+   */
+  async clear() {
+    this.buffer = [];
+    this.currentSegment = null;
+
+    if (!this.isSupported()) {
+      return;
+    }
+
+    await this.flushPromise;
+    const db = await this.database.open();
+    const transaction = db.transaction(['segments', 'events'], 'readwrite');
+    transaction.objectStore('segments').clear();
+    transaction.objectStore('events').clear();
+    await this.database.transactionDone(transaction);
+
+    console.log('🗑️ Socket recordings cleared');
+  }
+
+  /**
+   * ========================================================================
+   * SCHEMA
+   * ========================================================================
+   */
+
+  /**
+   * Create the recorder stores (IndexedDbConnection upgrade callback)
+   * @param {IDBDatabase} db - Database being upgraded
+   */
+  createSchema(db) {
+    if (!db.objectStoreNames.contains('segments')) {
+      db.createObjectStore('segments', { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains('events')) {
+      db.createObjectStore('events', { keyPath: ['segmentId', 'seq'] });
+    }
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SocketRecorder
+  };
+}
@@ -0,0 +1,338 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - STICKER VALUATION
+ * ============================================================================
+ *
+ * Prices the stickers applied to a listing so filters can treat sticker
+ * value the way the keychain filter treats charm value.
+ *
+ * Features:
+ * - Per-sticker price from the combined price cache
+ * - Scrape (sticker wear) and slot weighting
+ * - Same-sticker craft detection (4x, 5x) with a craft premium
+ * - Sticker value as % of the item price, checked by the sticker preset,
+ *   item targets and item target automation entries
+ *
+ * Sticker prices are USD like every other marketplace price; the item price
+ * comes from the shared CurrencyConverter.
+ *
+ * @version 1.0.0
+ */
+
+// Price cache keys tried for a sticker, most liquid first
+const STICKER_PRICE_KEYS = ['buffPrice', 'csfloatPrice', 'steamPrice', 'skinportPrice', 'youpinPrice', 'bitskinsPrice'];
+
+class StickerValuator {
+  /**
+   * @param {Object} options - Valuator options
+   * @param {CurrencyConverter} options.currency - Coin → USD conversion
+   */
+  constructor(options = {}) {
+    this.initializeProperties();
+    this.currency = options.currency || new CurrencyConverter();
+  }
+
+  /**
+   * Initialize valuator properties
+   */
+  initializeProperties() {
+    // Valuation configuration
+    this.config = {
+      enabled: false,               // Sticker preset (notify on valuable stickers)
+      percentageThreshold: 20,      // Min sticker value as % of item price (preset)
+      minStickerValue: null,        // Min total sticker value in USD (preset, null = no limit)
+      minItemPrice: null,           // Item price range in USD (preset, null = no limit)
+      maxItemPrice: null,
+      craftOnly: false,             // Preset only matches 4x / 5x crafts
+      appliedRate: 1,               // Share of a sticker's market price credited once applied
+      scrapedFactor: 0.5,           // Extra factor for any scraped sticker (on top of 1 - wear)
+      positionWeights: [1, 1, 1, 1, 1],  // Per sticker slot (0-4)
+      craftMultipliers: { 4: 1.5, 5: 2 } // Same sticker count → premium on those stickers
+    };
+  }
+
+  /**
+   * Load valuation settings from Chrome storage
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.sync.get(['stickerValuationConfig']);
+
+      if (result.stickerValuationConfig) {
+        this.config = { ...this.config, ...result.stickerValuationConfig };
+        console.log('✅ Sticker valuation config loaded:', this.config);
+      }
+    } catch (error) {
+      console.error('❌ Error loading sticker valuation settings:', error);
+    }
+  }
+
+  /**
+   * Save valuation configuration to Chrome storage
+   */
+  async saveConfig() {
+    try {
+      await chrome.storage.sync.set({ stickerValuationConfig: this.config });
+      console.log('💾 Sticker valuation config saved');
+    } catch (error) {
+      console.error('❌ Error saving sticker valuation config:', error);
+    }
+  }
+
+  /**
+   * Set sticker preset enabled state
+   * @param {boolean} enabled - Whether the preset notifies
+   */
+  async setEnabled(enabled) {
+    this.config.enabled = enabled;
+    await this.saveConfig();
+    console.log(`🏷️ Sticker valuation preset ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  }
+
+  /**
+   * Update valuation settings
+   * @param {Object} settings - Settings to update (null/undefined keeps the current value)
+   */
+  async updateSettings(settings) {
+    const nullable = ['minStickerValue', 'minItemPrice', 'maxItemPrice'];
+    const config = { ...this.config };
+
+    for (const key of Object.keys(config)) {
+      if (key === 'enabled' || settings[key] === undefined) continue;
+      if (settings[key] === null && !nullable.includes(key)) continue;
+      config[key] = settings[key];
+    }
+
+    if (!(config.appliedRate > 0 && config.appliedRate <= 1)) {
+      throw new Error('Applied rate must be between 0 and 1');
+    }
+    if (!(config.scrapedFactor >= 0 && config.scrapedFactor <= 1)) {
+      throw new Error('Scraped factor must be between 0 and 1');
+    }
+
+    this.config = config;
+    await this.saveConfig();
+    console.log('⚙️ Sticker valuation settings updated:', this.config);
+  }
+
+  /**
+   * ========================================================================
+   * VALUATION
+   * ========================================================================
+   */
+
+  /**
+   * Value every sticker applied to an item
+   * @param {Object} item - Listing (stickers: [{ name, wear, slot }], market_value in coin cents)
+   * @param {Object} priceData - Combined price cache
+   * @returns {Object|null} Valuation or null when the item has no stickers
+   */
+  valuate(item, priceData) {
+    const stickers = (item.stickers || []).filter(sticker => sticker && (sticker.name || typeof sticker === 'string'));
+    if (stickers.length === 0) {
+      return null;
+    }
+
+    const craft = this.detectCraft(stickers);
+    const valued = stickers.map((sticker, index) => {
+      const name = typeof sticker === 'string' ? sticker : sticker.name;
+      const slot = Number.isInteger(sticker.slot) ? sticker.slot : (Number.isInteger(sticker.position) ? sticker.position : index);
+      const wear = typeof sticker.wear === 'number' ? sticker.wear : null;
+      const price = this.getStickerPrice(name, priceData);
+
+      let value = null;
+      if (price !== null) {
+        const craftFactor = craft && craft.name === name ? craft.multiplier : 1;
+        value = price * this.config.appliedRate * this.getWearFactor(wear) * this.getPositionWeight(slot) * craftFactor;
+      }
+
+      return { name, slot, wear, price, value };
+    });
+
+    const priced = valued.filter(sticker => sticker.value !== null);
+    const totalPrice = priced.reduce((sum, sticker) => sum + sticker.price, 0);
+    const totalValue = priced.reduce((sum, sticker) => sum + sticker.value, 0);
+    const itemPrice = this.currency.coinsToUsd(item.market_value);
+
+    return {
+      stickers: valued,
+      unpriced: valued.length - priced.length,
+      totalPrice,
+      totalValue,
+      craft,
+      itemPrice,
+      percentage: itemPrice > 0 ? (totalValue / itemPrice) * 100 : 0
+    };
+  }
+
+  /**
+   * Market price of a sticker from the price cache
+   * @param {string} name - Sticker name, with or without the "Sticker | " prefix
+   * @param {Object} priceData - Combined price cache
+   * @returns {number|null} USD price or null if no marketplace quotes it
+   */
+  getStickerPrice(name, priceData) {
+    if (!name || !priceData) {
+      return null;
+    }
+
+    const cleaned = name.replace(/\s+/g, ' ').trim().toLowerCase();
+    const keys = cleaned.startsWith('sticker | ') ? [cleaned] : [`sticker | ${cleaned}`, cleaned];
+
+    for (const key of keys) {
+      const entry = priceData[key];
+      if (!entry) continue;
+
+      for (const priceKey of STICKER_PRICE_KEYS) {
+        const price = entry[priceKey]?.price;
+        if (typeof price === 'number' && price > 0) {
+          return price;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Value kept by a sticker at a given scrape level
+   * @param {number|null} wear - 0 (pristine) to 1 (fully scraped); null when unknown
+   * @returns {number} Factor between 0 and 1
+   */
+  getWearFactor(wear) {
+    if (wear === null || wear <= 0) {
+      return 1;
+    }
+    return Math.max(0, 1 - wear) * this.config.scrapedFactor;
+  }
+
+  /**
+   * Weight of a sticker slot
+   * @param {number} slot - Slot index (0-4)
+   * @returns {number} Weight (1 when not configured)
+   */
+  getPositionWeight(slot) {
+    const weight = this.config.positionWeights?.[slot];
+    return typeof weight === 'number' && weight >= 0 ? weight : 1;
+  }
+
+  /**
+   * Find the largest same-sticker group that counts as a craft
+   * @param {Array<Object|string>} stickers - Applied stickers
+   * @returns {Object|null} { name, count, multiplier } or null without a craft
+   */
+  detectCraft(stickers) {
+    const counts = new Map();
+    for (const sticker of stickers) {
+      const name = typeof sticker === 'string' ? sticker : sticker.name;
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+
+    const craftSizes = Object.keys(this.config.craftMultipliers || {}).map(Number).filter(Number.isFinite);
+    const minCraftSize = craftSizes.length > 0 ? Math.min(...craftSizes) : Infinity;
+
+    let craft = null;
+    for (const [name, count] of counts) {
+      if (count >= minCraftSize && (!craft || count > craft.count)) {
+        const size = Math.max(...craftSizes.filter(craftSize => craftSize <= count));
+        craft = { name, count, multiplier: this.config.craftMultipliers[size] };
+      }
+    }
+
+    return craft;
+  }
+
+  /**
+   * ========================================================================
+   * FILTERS
+   * ========================================================================
+   */
+
+  /**
+   * Check a valuation against a sticker filter
+   * @param {Object|null} valuation - Result of valuate()
+   * @param {Object} filter - { minPercentage, minValue, craftOnly }
+   * @returns {Object} { isGood, reason, percentage }
+   */
+  static checkFilter(valuation, filter = {}) {
+    if (!valuation) {
+      return { isGood: false, reason: 'Item has no stickers', percentage: 0 };
+    }
+    if (valuation.itemPrice <= 0) {
+      return { isGood: false, reason: 'Market value is zero or unknown', percentage: 0 };
+    }
+    if (valuation.totalValue <= 0) {
+      return { isGood: false, reason: 'No sticker prices available', percentage: 0 };
+    }
+
+    const { percentage } = valuation;
+
+    if (filter.craftOnly && !valuation.craft) {
+      return { isGood: false, reason: 'Stickers are not a craft', percentage };
+    }
+    if (typeof filter.minValue === 'number' && valuation.totalValue < filter.minValue) {
+      return {
+        isGood: false,
+        reason: `Sticker value $${valuation.totalValue.toFixed(2)} below minimum $${filter.minValue.toFixed(2)}`,
+        percentage
+      };
+    }
+    if (typeof filter.minPercentage === 'number' && percentage < filter.minPercentage) {
+      return {
+        isGood: false,
+        reason: `Stickers are ${percentage.toFixed(2)}% of market value (<${filter.minPercentage}%)`,
+        percentage
+      };
+    }
+
+    return {
+      isGood: true,
+      reason: `Stickers are ${percentage.toFixed(2)}% of market value${typeof filter.minPercentage === 'number' ? ` (≥${filter.minPercentage}%)` : ''}`,
+      percentage
+    };
+  }
+
+  /**
+   * Check a valuation against the preset configuration
+   * @param {Object|null} valuation - Result of valuate()
+   * @returns {Object} { isGood, reason, percentage }
+   */
+  checkPercentage(valuation) {
+    return StickerValuator.checkFilter(valuation, {
+      minPercentage: this.config.percentageThreshold,
+      minValue: this.config.minStickerValue,
+      craftOnly: this.config.craftOnly
+    });
+  }
+
+  /**
+   * Short label for a valuation
+   * @param {Object} valuation - Result of valuate()
+   * @returns {string} e.g. "$123.45 stickers (45.2%) • 4x Titan (Holo) | Katowice 2014"
+   */
+  describe(valuation) {
+    if (!valuation) {
+      return '';
+    }
+
+    const craft = valuation.craft ? ` • ${valuation.craft.count}x ${valuation.craft.name}` : '';
+    const unpriced = valuation.unpriced > 0 ? ` • ${valuation.unpriced} unpriced` : '';
+    return `${this.currency.format(valuation.totalValue)} stickers (${valuation.percentage.toFixed(1)}%)${craft}${unpriced}`;
+  }
+
+  /**
+   * Get current valuation settings
+   * @returns {Object} Settings
+   */
+  getSettings() {
+    return { ...this.config };
+  }
+}
+
+// Export for use in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    StickerValuator,
+    STICKER_PRICE_KEYS
+  };
+}
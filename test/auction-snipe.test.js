@@ -0,0 +1,259 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CurrencyConverter } = require('../currency.js');
+const { AuctionSnipeManager } = require('../automation.js');
+const { createSandbox } = require('../tools/replay-harness.js');
+
+// Stats are saved to sync storage after every bid, tracked auctions to local storage
+const localStorage = {};
+const alarms = new Set();
+global.chrome = {
+  storage: {
+    sync: { get: async () => ({}), set: async () => {} },
+    local: {
+      get: async (keys) => Object.fromEntries(keys.filter(key => key in localStorage).map(key => [key, localStorage[key]])),
+      set: async (items) => Object.assign(localStorage, structuredClone(items))
+    }
+  },
+  alarms: {
+    create: (name) => alarms.add(name),
+    clear: (name) => alarms.delete(name)
+  }
+};
+
+const USER_ID = 777;
+const START = Date.parse('2026-10-01T12:00:00Z');
+
+let manager = null;
+
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+});
+
+test.afterEach(async () => {
+  await manager?.clearAuctions();
+  manager = null;
+  test.mock.restoreAll();
+});
+
+/**
+ * Manager with a mocked API and clock; coin rate 0.5 (1 coin = $0.50)
+ */
+function createManager(config = {}) {
+  const clock = { now: START };
+  const bids = [];
+  const api = {
+    setAPIKey() {},
+    async placeBid(depositId, bidValue) {
+      bids.push({ depositId, bidValue });
+      return { success: true };
+    }
+  };
+  const currency = new CurrencyConverter();
+  currency.config.coinRate = 0.5;
+
+  manager = new AuctionSnipeManager({ api, currency, now: () => clock.now, getUserId: () => USER_ID });
+  manager.config = { ...manager.config, enabled: true, bidWindowSeconds: 8, maxBidPercentage: 90, bidIncrementPercent: 1, ...config };
+  return { manager, clock, bids };
+}
+
+function auctionItem(overrides = {}) {
+  return {
+    id: 1001,
+    market_name: 'AK-47 | Redline (Field-Tested)',
+    market_value: 1000,
+    purchase_price: 1000,
+    buff163_price: 10,
+    auction_ends_at: (START + 60 * 1000) / 1000,
+    auction_highest_bid: null,
+    auction_highest_bidder: null,
+    ...overrides
+  };
+}
+
+test('caps the max bid at reference price × maxBidPercentage, in coins', () => {
+  const { manager } = createManager({ maxBidPercentage: 90 });
+
+  // $10 × 90% = $9.00 → 18 coins at $0.50 per coin = 1800 cents
+  assert.equal(manager.calculateMaxBid({ buff163_price: 10 }), 1800);
+  // CSFloat is the fallback reference
+  assert.equal(manager.calculateMaxBid({ csfloat_price: 5 }), 900);
+  assert.equal(manager.calculateMaxBid({}), null);
+
+  manager.config.maxBidUSD = 4;
+  assert.equal(manager.calculateMaxBid({ buff163_price: 10 }), 800);
+});
+
+test('bids only inside the final window', async () => {
+  const { manager, clock, bids } = createManager();
+  assert.equal((await manager.track(auctionItem())).tracked, true);
+
+  // 60 s left: outside the 8 s window
+  assert.deepEqual(await manager.handleAuctionUpdate([{ id: 1001, auction_highest_bid: 1100, auction_highest_bidder: 5 }]), []);
+  clock.now = START + 51 * 1000;
+  assert.equal(await manager.evaluate(1001), null);
+  assert.equal(bids.length, 0);
+
+  // 7 s left: inside the window, raise by 1%
+  clock.now = START + 53 * 1000;
+  const result = await manager.evaluate(1001);
+  assert.equal(result.success, true);
+  assert.deepEqual(bids, [{ depositId: 1001, bidValue: 1111 }]);
+
+  // After the end nothing is placed
+  clock.now = START + 61 * 1000;
+  manager.auctions.get(1001).highestBidder = 5;
+  assert.equal(await manager.evaluate(1001), null);
+  assert.equal(bids.length, 1);
+});
+
+test('never bids above the max bid', async () => {
+  const { manager, clock, bids } = createManager();
+  await manager.track(auctionItem());
+  clock.now = START + 55 * 1000;
+
+  // 1790 + 1% = 1808 > 1800
+  const results = await manager.handleAuctionUpdate([{ id: 1001, auction_highest_bid: 1790, auction_highest_bidder: 5 }]);
+  assert.deepEqual(results, []);
+  assert.equal(bids.length, 0);
+});
+
+test('re-bids when outbid and stays put while leading', async () => {
+  const { manager, clock, bids } = createManager();
+  await manager.track(auctionItem());
+  clock.now = START + 55 * 1000;
+
+  await manager.handleAuctionUpdate([{ id: 1001, auction_highest_bid: 1000, auction_highest_bidder: 5 }]);
+  assert.deepEqual(bids.map(bid => bid.bidValue), [1010]);
+
+  // Our own bid echoed back: we lead, no bid
+  await manager.handleAuctionUpdate([{ id: 1001, auction_highest_bid: 1010, auction_highest_bidder: USER_ID }]);
+  assert.equal(bids.length, 1);
+
+  // Outbid, and the auction is extended
+  clock.now = START + 58 * 1000;
+  const results = await manager.handleAuctionUpdate([{
+    id: 1001,
+    auction_highest_bid: 1200,
+    auction_highest_bidder: 5,
+    auction_ends_at: (START + 65 * 1000) / 1000
+  }]);
+  assert.equal(results.length, 1);
+  assert.deepEqual(bids.map(bid => bid.bidValue), [1010, 1212]);
+  assert.equal(manager.auctions.get(1001).ourBid, 1212);
+  assert.equal(manager.stats.bidsPlaced, 2);
+});
+
+test('resolves a won auction when the item leaves the market', async () => {
+  const { manager, clock } = createManager();
+  await manager.track(auctionItem());
+  clock.now = START + 55 * 1000;
+  await manager.handleAuctionUpdate([{ id: 1001, auction_highest_bid: 1000, auction_highest_bidder: 5 }]);
+
+  const [finished] = await manager.handleDeleted([1001]);
+  assert.equal(finished.won, true);
+  assert.equal(finished.ourBid, 1010);
+  assert.equal(manager.stats.successCount, 1);
+  // 10.10 coins at $0.50
+  assert.ok(Math.abs(manager.stats.totalValueWithdrawn - 5.05) < 1e-9);
+  assert.equal(manager.auctions.has(1001), false);
+});
+
+test('resolves a lost auction when someone else holds the highest bid', async () => {
+  const { manager, clock } = createManager();
+  await manager.track(auctionItem());
+  clock.now = START + 55 * 1000;
+  await manager.handleAuctionUpdate([{ id: 1001, auction_highest_bid: 1000, auction_highest_bidder: 5 }]);
+
+  // Outbid above our max in the last second
+  await manager.handleAuctionUpdate([{ id: 1001, auction_highest_bid: 2500, auction_highest_bidder: 9 }]);
+  const [finished] = await manager.handleDeleted([1001]);
+
+  assert.equal(finished.won, false);
+  assert.equal(finished.finalBid, 2500);
+  assert.equal(manager.stats.auctionsLost, 1);
+  assert.equal(manager.stats.successCount, 0);
+});
+
+test('ignores deleted auctions we never bid on', async () => {
+  const { manager } = createManager();
+  await manager.track(auctionItem());
+
+  const [finished] = await manager.handleDeleted([1001]);
+  assert.equal(finished.won, false);
+  assert.equal(manager.stats.auctionsLost, 0);
+});
+
+test('dry run sends no bid', async () => {
+  const { manager, clock, bids } = createManager();
+  manager.paperTrading = { isActive: () => true };
+  await manager.track(auctionItem());
+  clock.now = START + 55 * 1000;
+
+  const results = await manager.handleAuctionUpdate([{ id: 1001, auction_highest_bid: 1000, auction_highest_bidder: 5 }]);
+  assert.deepEqual(results, []);
+  assert.equal(bids.length, 0);
+  assert.equal(manager.stats.totalAttempts, 0);
+});
+
+test('re-arms tracked auctions after a service worker restart', async () => {
+  const { manager: before, clock } = createManager();
+  await before.track(auctionItem());
+  clock.now = START + 55 * 1000;
+  await before.handleAuctionUpdate([{ id: 1001, auction_highest_bid: 1000, auction_highest_bidder: 5 }]);
+  assert.equal(alarms.has('auction_snipe_1001'), true);
+
+  // The suspended worker loses its timers; a new manager reads the saved auctions
+  for (const auction of before.auctions.values()) clearTimeout(auction.timer);
+  const { manager: after, clock: restarted, bids } = createManager();
+  restarted.now = START + 56 * 1000;
+  await after.restoreAuctions();
+
+  const auction = after.auctions.get(1001);
+  assert.equal(auction.ourBid, 1010);
+  assert.equal(auction.maxBid, 1800);
+
+  // Outbid while suspended: the alarm re-checks the auction
+  auction.highestBid = 1100;
+  auction.highestBidder = 5;
+  const result = await after.handleAlarm({ name: 'auction_snipe_1001' });
+  assert.equal(result.success, true);
+  assert.deepEqual(bids, [{ depositId: 1001, bidValue: 1111 }]);
+
+  await after.handleDeleted([1001]);
+  assert.deepEqual(localStorage.auctionSnipeAuctions, []);
+  assert.equal(alarms.has('auction_snipe_1001'), false);
+});
+
+test('does not restore auctions that ended while suspended', async () => {
+  const { manager: before } = createManager();
+  await before.track(auctionItem());
+  for (const auction of before.auctions.values()) clearTimeout(auction.timer);
+
+  const { manager: after, clock } = createManager();
+  clock.now = START + 61 * 1000;
+  await after.restoreAuctions();
+  assert.equal(after.auctions.size, 0);
+  assert.deepEqual(localStorage.auctionSnipeAuctions, []);
+});
+
+test('only rules with automate arm a snipe', async () => {
+  const { manager: background, clock } = await createSandbox({
+    storage: { sync: { auctionSnipeConfig: { enabled: true } } },
+    prices: { buff163: { 'AK-47 | Redline (Field-Tested)': { starting_at: { price: 10 } } } }
+  });
+  const rule = (automate) => ({
+    id: 'rule_1',
+    name: 'Redlines',
+    priority: 1,
+    actions: { notify: false, sound: false, automate, tags: [], channels: [] }
+  });
+  const item = (id) => auctionItem({ id, buff163_price: undefined, auction_ends_at: Math.floor(clock.now / 1000) + 120 });
+
+  await background.applyRuleActions(item(1), [rule(false)]);
+  await background.applyRuleActions(item(2), [rule(true)]);
+
+  assert.deepEqual([...background.auctionSnipeManager.auctions.keys()], [2]);
+  await background.auctionSnipeManager.clearAuctions();
+});
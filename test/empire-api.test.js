@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  EmpireApiClient,
+  EmpireApiError,
+  EmpireAuthError,
+  EmpireRateLimitError,
+  EmpireServerError,
+  EmpireTimeoutError,
+  EmpireNetworkError
+} = require('../empire-api.js');
+const { createFakeServer } = require('./helpers/fake-server.js');
+
+const DEPOSIT = '/api/v2/trading/deposit/42';
+const WITHDRAW = '/api/v2/trading/deposit/42/withdraw';
+const BID = '/api/v2/trading/deposit/42/bid';
+
+// Retries log a warning each; keep the test output readable
+test.beforeEach(() => {
+  test.mock.method(console, 'warn', () => {});
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+function createClient(server, options = {}) {
+  const sleeps = [];
+  const api = new EmpireApiClient({
+    apiKey: 'test-key',
+    fetch: server.fetch,
+    sleep: async (ms) => { sleeps.push(ms); },
+    ...options
+  });
+  return { api, sleeps };
+}
+
+test('sends the bearer token and returns the parsed body', async () => {
+  const server = createFakeServer({ [`GET ${DEPOSIT}`]: [{ status: 200, body: { success: true, id: 42 } }] });
+  const { api } = createClient(server);
+
+  assert.deepEqual(await api.getDeposit(42), { success: true, id: 42 });
+  assert.equal(server.requests[0].init.headers.Authorization, 'Bearer test-key');
+  assert.equal(server.requests[0].url, `https://csgoempire.com${DEPOSIT}`);
+});
+
+test('retries a 429 after the Retry-After delay', async () => {
+  const server = createFakeServer({
+    [`GET ${DEPOSIT}`]: [
+      { status: 429, headers: { 'Retry-After': '2' }, body: { message: 'Too many requests' } },
+      { status: 200, body: { id: 42 } }
+    ]
+  });
+  const { api, sleeps } = createClient(server);
+
+  assert.deepEqual(await api.getDeposit(42), { id: 42 });
+  assert.equal(server.requests.length, 2);
+  assert.deepEqual(sleeps, [2000]);
+});
+
+test('caps Retry-After at the backoff ceiling', async () => {
+  const server = createFakeServer({
+    [`GET ${DEPOSIT}`]: [{ status: 429, headers: { 'Retry-After': '120' } }, { status: 200, body: {} }]
+  });
+  const { api, sleeps } = createClient(server, { maxDelayMs: 5000 });
+
+  await api.getDeposit(42);
+  assert.deepEqual(sleeps, [5000]);
+});
+
+test('retries 5xx on GET with exponential backoff', async () => {
+  test.mock.method(Math, 'random', () => 0);
+  const server = createFakeServer({
+    [`GET ${DEPOSIT}`]: [{ status: 502 }, { status: 503 }, { status: 500 }, { status: 200, body: { id: 42 } }]
+  });
+  const { api, sleeps } = createClient(server, { baseDelayMs: 100, maxDelayMs: 10000 });
+
+  assert.deepEqual(await api.getDeposit(42), { id: 42 });
+  assert.equal(server.requests.length, 4);
+  assert.deepEqual(sleeps, [100, 200, 400]);
+});
+
+test('gives up on GET after maxRetries and throws EmpireServerError', async () => {
+  const server = createFakeServer({ [`GET ${DEPOSIT}`]: [{ status: 500, body: { message: 'boom' } }] });
+  const { api } = createClient(server, { maxRetries: 2 });
+
+  await assert.rejects(api.getDeposit(42), (error) => {
+    assert.ok(error instanceof EmpireServerError);
+    assert.equal(error.status, 500);
+    assert.match(error.message, /boom/);
+    return true;
+  });
+  assert.equal(server.requests.length, 3);
+});
+
+test('does not retry a 5xx on withdraw', async () => {
+  const server = createFakeServer({ [`POST ${WITHDRAW}`]: [{ status: 503 }, { status: 200, body: { success: true } }] });
+  const { api, sleeps } = createClient(server);
+
+  await assert.rejects(api.withdraw(42, 1234), EmpireServerError);
+  assert.equal(server.requests.length, 1);
+  assert.deepEqual(server.requests[0].body, { coin_value: 1234 });
+  assert.deepEqual(sleeps, []);
+});
+
+test('does not retry a 5xx on bid', async () => {
+  const server = createFakeServer({ [`POST ${BID}`]: [{ status: 500 }, { status: 200, body: { success: true } }] });
+  const { api } = createClient(server);
+
+  await assert.rejects(api.placeBid(42, 900), EmpireServerError);
+  assert.equal(server.requests.length, 1);
+  assert.deepEqual(server.requests[0].body, { bid_value: 900 });
+});
+
+test('retries a 429 on withdraw', async () => {
+  const server = createFakeServer({
+    [`POST ${WITHDRAW}`]: [{ status: 429, headers: { 'Retry-After': '1' } }, { status: 200, body: { success: true } }]
+  });
+  const { api, sleeps } = createClient(server);
+
+  assert.deepEqual(await api.withdraw(42, 1234), { success: true });
+  assert.equal(server.requests.length, 2);
+  assert.deepEqual(sleeps, [1000]);
+});
+
+test('times out a request that never answers', async () => {
+  const server = createFakeServer({ [`GET ${DEPOSIT}`]: [{ stall: true }] });
+  const { api } = createClient(server, { timeoutMs: 20, maxRetries: 0 });
+
+  await assert.rejects(api.getDeposit(42), EmpireTimeoutError);
+});
+
+test('times out a response whose body stalls', async () => {
+  const server = createFakeServer({ [`GET ${DEPOSIT}`]: [{ status: 200, stallBody: true }] });
+  const { api } = createClient(server, { timeoutMs: 20, maxRetries: 0 });
+
+  await assert.rejects(api.getDeposit(42), EmpireTimeoutError);
+});
+
+test('retries a timed out GET but not a timed out withdraw', async () => {
+  const getServer = createFakeServer({ [`GET ${DEPOSIT}`]: [{ stall: true }, { status: 200, body: { id: 42 } }] });
+  const { api: getApi } = createClient(getServer, { timeoutMs: 20 });
+  assert.deepEqual(await getApi.getDeposit(42), { id: 42 });
+  assert.equal(getServer.requests.length, 2);
+
+  const postServer = createFakeServer({ [`POST ${WITHDRAW}`]: [{ stall: true }, { status: 200, body: {} }] });
+  const { api: postApi } = createClient(postServer, { timeoutMs: 20 });
+  await assert.rejects(postApi.withdraw(42, 100), EmpireTimeoutError);
+  assert.equal(postServer.requests.length, 1);
+});
+
+test('maps 401 and 403 to EmpireAuthError without retrying', async () => {
+  for (const status of [401, 403]) {
+    const server = createFakeServer({ [`GET ${DEPOSIT}`]: [{ status, body: { message: 'Invalid key' } }] });
+    const { api } = createClient(server);
+
+    await assert.rejects(api.getDeposit(42), (error) => {
+      assert.ok(error instanceof EmpireAuthError);
+      assert.equal(error.status, status);
+      assert.equal(error.retryable, false);
+      return true;
+    });
+    assert.equal(server.requests.length, 1);
+  }
+});
+
+test('maps an exhausted 429 to EmpireRateLimitError with retryAfterMs', async () => {
+  const server = createFakeServer({ [`GET ${DEPOSIT}`]: [{ status: 429, headers: { 'Retry-After': '3' } }] });
+  const { api } = createClient(server, { maxRetries: 1 });
+
+  await assert.rejects(api.getDeposit(42), (error) => {
+    assert.ok(error instanceof EmpireRateLimitError);
+    assert.equal(error.retryAfterMs, 3000);
+    return true;
+  });
+  assert.equal(server.requests.length, 2);
+});
+
+test('maps a failing fetch to EmpireNetworkError', async () => {
+  const server = createFakeServer({ [`GET ${DEPOSIT}`]: [{ networkError: 'Failed to fetch' }] });
+  const { api } = createClient(server, { maxRetries: 0 });
+
+  await assert.rejects(api.getDeposit(42), (error) => {
+    assert.ok(error instanceof EmpireNetworkError);
+    assert.match(error.message, /Failed to fetch/);
+    return true;
+  });
+});
+
+test('maps other 4xx to a non-retryable EmpireApiError', async () => {
+  const server = createFakeServer({ [`POST ${WITHDRAW}`]: [{ status: 400, body: { message: 'Item unavailable' } }] });
+  const { api } = createClient(server);
+
+  await assert.rejects(api.withdraw(42, 100), (error) => {
+    assert.equal(error.constructor, EmpireApiError);
+    assert.equal(error.retryable, false);
+    assert.deepEqual(error.body, { message: 'Item unavailable' });
+    return true;
+  });
+  assert.equal(server.requests.length, 1);
+});
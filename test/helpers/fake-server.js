@@ -0,0 +1,73 @@
+/**
+ * Fake CSGOEmpire REST server for EmpireApiClient tests.
+ *
+ * Responses are queued per "METHOD path" and served in order; the last one
+ * repeats. Pass server.fetch as the client's fetch option.
+ */
+
+/**
+ * Reject when the request is aborted, like fetch does
+ * @param {AbortSignal} signal - Request signal
+ * @returns {Promise<never>} Never resolves on its own
+ */
+function waitForAbort(signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      const error = new Error('This operation was aborted');
+      error.name = 'AbortError';
+      reject(error);
+    };
+    if (signal?.aborted) {
+      abort();
+      return;
+    }
+    signal?.addEventListener('abort', abort);
+  });
+}
+
+/**
+ * Create a fake server
+ * @param {Object} routes - { 'GET /api/v2/...': [response, ...] }
+ *   response: { status, body, headers } | { networkError: message } | { stall: true } | { stallBody: true }
+ * @returns {Object} { fetch, requests }
+ */
+function createFakeServer(routes = {}) {
+  const requests = [];
+
+  async function fetch(url, init = {}) {
+    const path = new URL(url).pathname;
+    const key = `${init.method || 'GET'} ${path}`;
+    requests.push({ key, url, init, body: init.body ? JSON.parse(init.body) : undefined });
+
+    const queue = routes[key];
+    if (!queue || queue.length === 0) {
+      throw new Error(`Fake server has no response for ${key}`);
+    }
+    const reply = queue.length > 1 ? queue.shift() : queue[0];
+
+    if (reply.networkError) {
+      throw new TypeError(reply.networkError);
+    }
+    if (reply.stall) {
+      return waitForAbort(init.signal);
+    }
+
+    const status = reply.status ?? 200;
+    const headers = reply.headers || {};
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: reply.statusText || '',
+      headers: {
+        get: name => headers[Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase())] ?? null
+      },
+      json: () => (reply.stallBody ? waitForAbort(init.signal) : Promise.resolve(reply.body ?? null))
+    };
+  }
+
+  return { fetch, requests };
+}
+
+module.exports = {
+  createFakeServer
+};
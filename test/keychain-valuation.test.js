@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSandbox } = require('../tools/replay-harness.js');
+
+const SLAB = 'Sticker Slab | Titan (Holo) | Katowice 2014';
+
+// background.js in the replay sandbox; prices are set on the cache directly
+async function createManager(priceDataCache) {
+  const { manager } = await createSandbox({ storage: {}, prices: {} });
+  manager.priceDataCache = priceDataCache;
+  return manager;
+}
+
+const slabItem = (marketValue) => ({
+  id: 1,
+  market_name: 'AK-47 | Slate (Field-Tested)',
+  market_value: marketValue,
+  keychains: [{ name: SLAB }]
+});
+
+test('an item whose only keychain is a slab is valued from the slab quote', async () => {
+  const manager = await createManager({
+    'sticker slab | titan (holo) | katowice 2014': { buffPrice: { price: 120 } },
+    'sticker | titan (holo) | katowice 2014': { buffPrice: { price: 100 } }
+  });
+
+  const details = manager.getCharmDetails(slabItem(20000));
+  assert.equal(details.name, SLAB);
+  assert.equal(details.category, 'Sticker Slab');
+  assert.equal(details.price, 120);
+  // Arrays from the sandbox come from another realm: copy before deepEqual
+  assert.deepEqual(Array.from(manager.getCharmBreakdown(details), charm => charm.price), [120]);
+});
+
+test('an unquoted slab is valued at its sticker price', async () => {
+  const manager = await createManager({
+    'sticker | titan (holo) | katowice 2014': { csfloatPrice: { price: 100 } }
+  });
+
+  const details = manager.getCharmDetails(slabItem(20000));
+  assert.equal(details.price, 100);
+  assert.equal(details.source, 'sticker');
+
+  manager.keychainFilter.percentageThreshold = 10;
+  const check = manager.checkKeychainPercentage(slabItem(20000), details);
+  assert.equal(check.percentage, (100 / manager.currency.coinsToUsd(20000)) * 100);
+  assert.equal(check.isGood, true);
+});
+
+test('a slab with no slab or sticker quote stays unpriced instead of $0', async () => {
+  const manager = await createManager({});
+
+  const details = manager.getCharmDetails(slabItem(20000));
+  assert.equal(details.name, SLAB);
+  assert.equal(details.charms[0].price, null);
+  assert.equal(details.price, 0);
+});
+
+test('a catalog charm still leads an item that also carries a slab', async () => {
+  const manager = await createManager({
+    'sticker slab | titan (holo) | katowice 2014': { buffPrice: { price: 120 } }
+  });
+  const charm = manager.charmCatalog.getNames()[0];
+
+  const details = manager.getCharmDetails({ ...slabItem(20000), keychains: [{ name: SLAB }, { name: charm }] });
+  assert.equal(details.name, charm);
+  assert.equal(details.charms.length, 2);
+  assert.equal(details.price, 120 + details.charms[1].price);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { NotificationQueue } = require('../notification-queue.js');
+
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+/**
+ * Queue on a manual clock; timers only fire through advance()
+ */
+function createQueue(options = {}) {
+  const clock = { now: 1000000 };
+  const timers = [];
+  const shown = [];
+  const dropped = [];
+
+  const queue = new NotificationQueue({
+    intervalMs: 2000,
+    now: () => clock.now,
+    setTimer: (fn, ms) => {
+      const timer = { due: clock.now + ms, fn };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimer: (timer) => timers.splice(timers.indexOf(timer), 1),
+    onDisplay: async (group) => {
+      shown.push({ lead: group.lead.id, items: group.items.map(item => item.id) });
+    },
+    onDrop: (items, reason) => dropped.push(...items.map(item => ({ id: item.id, reason }))),
+    ...options
+  });
+
+  // Fire due timers (and let each display settle) until `until`
+  const advance = async (until) => {
+    await new Promise(resolve => setImmediate(resolve));
+    while (timers.length > 0) {
+      timers.sort((a, b) => a.due - b.due);
+      if (timers[0].due > until) break;
+      const timer = timers.shift();
+      clock.now = Math.max(clock.now, timer.due);
+      timer.fn();
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    clock.now = Math.max(clock.now, until);
+  };
+
+  return { queue, clock, shown, dropped, advance };
+}
+
+const item = (id, name) => ({ id, market_name: name });
+
+test('drops groups that waited longer than maxAgeMs', async () => {
+  const { queue, clock, shown, dropped, advance } = createQueue({ maxAgeMs: 3000 });
+
+  queue.enqueue(item(1, 'A'), 1);
+  queue.enqueue(item(2, 'B'), 3);
+  queue.enqueue(item(3, 'C'), 2);
+  await advance(clock.now + 10000);
+
+  // A is shown at once, B after 2 s; C would be 4 s old by its turn
+  assert.deepEqual(shown.map(s => s.lead), [1, 2]);
+  assert.equal(queue.pending.size, 0);
+  assert.equal(queue.getStatus().stats.expired, 1);
+  assert.deepEqual(dropped, [{ id: 3, reason: 'expired' }]);
+});
+
+test('past maxPending the least valuable group is dropped', async () => {
+  const { queue, clock, shown, dropped, advance } = createQueue({ maxPending: 2 });
+
+  queue.enqueue(item(1, 'A'), 5);   // shown right away
+  queue.enqueue(item(2, 'B'), 1);
+  queue.enqueue(item(3, 'C'), 4);
+  queue.enqueue(item(4, 'D'), 3);   // third waiting group: B goes
+  await advance(clock.now + 10000);
+
+  assert.deepEqual(shown.map(s => s.lead), [1, 3, 4]);
+  assert.equal(queue.getStatus().stats.overflowed, 1);
+  assert.deepEqual(dropped, [{ id: 2, reason: 'overflowed' }]);
+});
+
+test('deleted items are removed and the next listing leads the group', async () => {
+  const { queue, clock, shown, dropped, advance } = createQueue();
+
+  queue.enqueue(item(1, 'A'), 1);   // shown right away
+  queue.enqueue(item(2, 'B'), 9);
+  queue.enqueue(item(3, 'B'), 7);
+  queue.enqueue(item(4, 'B'), 8);
+  queue.enqueue(item(5, 'C'), 1);
+
+  assert.equal(queue.remove([2, 5, 99]), 2);
+  assert.deepEqual(dropped, [{ id: 2, reason: 'removed' }, { id: 5, reason: 'removed' }]);
+  const group = queue.pending.get('b');
+  assert.equal(group.lead.id, 4);
+  assert.equal(group.priority, 8);
+  assert.equal(queue.pending.has('c'), false);
+
+  await advance(clock.now + 10000);
+  assert.deepEqual(shown, [
+    { lead: 1, items: [1] },
+    { lead: 4, items: [3, 4] }
+  ]);
+  assert.equal(queue.getStatus().stats.removed, 2);
+});
@@ -0,0 +1,170 @@
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - CHROME API STUB
+ * ============================================================================
+ *
+ * Minimal in-memory stand-in for the chrome.* APIs used by background.js and
+ * automation.js, so the service worker code can run under plain Node.
+ *
+ * Every side effect that would normally reach the user (desktop notifications,
+ * overlay messages, sounds) is recorded in `calls` instead.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Create an in-memory chrome.storage area
+ * @param {Object} initialData - Initial key/value pairs
+ * @returns {Object} Storage area with promise-based get/set/remove/clear
+ */
+function createStorageArea(initialData = {}) {
+  const data = { ...initialData };
+  const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  return {
+    data,
+
+    async get(keys) {
+      if (keys === null || keys === undefined) {
+        return clone(data);
+      }
+
+      if (typeof keys === 'string') {
+        return keys in data ? { [keys]: clone(data[keys]) } : {};
+      }
+
+      if (Array.isArray(keys)) {
+        const result = {};
+        for (const key of keys) {
+          if (key in data) result[key] = clone(data[key]);
+        }
+        return result;
+      }
+
+      // Object form: keys with default values
+      const result = {};
+      for (const [key, defaultValue] of Object.entries(keys)) {
+        result[key] = key in data ? clone(data[key]) : defaultValue;
+      }
+      return result;
+    },
+
+    async set(items) {
+      for (const [key, value] of Object.entries(items)) {
+        data[key] = clone(value);
+      }
+    },
+
+    async remove(keys) {
+      for (const key of [].concat(keys)) {
+        delete data[key];
+      }
+    },
+
+    async clear() {
+      for (const key of Object.keys(data)) {
+        delete data[key];
+      }
+    }
+  };
+}
+
+/**
+ * Create a chrome.* stub
+ * @param {Object} options - Stub options
+ * @param {Object} options.sync - Initial chrome.storage.sync contents
+ * @param {Object} options.local - Initial chrome.storage.local contents
+ * @param {Function} options.now - Clock used to timestamp recorded calls
+ * @returns {{chrome: Object, calls: Object}} Stub and recorded calls
+ */
+function createChromeStub({ sync = {}, local = {}, now = () => Date.now() } = {}) {
+  const calls = {
+    notifications: [],
+    contentMessages: [],
+    runtimeMessages: [],
+    sounds: []
+  };
+
+  const noopEvent = { addListener() {}, removeListener() {} };
+  let notificationCounter = 0;
+
+  const chrome = {
+    runtime: {
+      lastError: undefined,
+      onMessage: noopEvent,
+      getURL: (path) => `chrome-extension://replay/${path}`,
+      getContexts: async () => [],
+      sendMessage: async (message) => {
+        calls.runtimeMessages.push({ at: now(), message });
+        return { received: true };
+      }
+    },
+
+    storage: {
+      sync: createStorageArea(sync),
+      local: createStorageArea(local),
+      onChanged: noopEvent
+    },
+
+    notifications: {
+      create(idOrOptions, optionsOrCallback, callback) {
+        let id = idOrOptions;
+        let options = optionsOrCallback;
+        let done = callback;
+
+        // chrome.notifications.create(options, callback?) form
+        if (typeof idOrOptions === 'object') {
+          id = `replay_notification_${++notificationCounter}`;
+          options = idOrOptions;
+          done = optionsOrCallback;
+        }
+
+        calls.notifications.push({ at: now(), id, title: options.title, message: options.message });
+        if (typeof done === 'function') done(id);
+      },
+      clear(id, callback) {
+        if (typeof callback === 'function') callback(true);
+      },
+      getPermissionLevel(callback) {
+        callback('granted');
+      }
+    },
+
+    tabs: {
+      query: async () => [{ id: 1, url: 'https://csgoempire.com/withdraw/steam/market' }],
+      sendMessage: async (tabId, message) => {
+        calls.contentMessages.push({ at: now(), tabId, type: message.type, data: message.data });
+        return { success: true };
+      }
+    },
+
+    scripting: {
+      executeScript: async () => []
+    },
+
+    action: {
+      setBadgeText() {},
+      setBadgeBackgroundColor() {},
+      setTitle() {}
+    },
+
+    tts: {
+      speak(text) {
+        calls.sounds.push({ at: now(), text });
+      }
+    },
+
+    alarms: {
+      create() {},
+      clear() {},
+      onAlarm: noopEvent
+    }
+  };
+
+  return { chrome, calls };
+}
+
+module.exports = {
+  createChromeStub,
+  createStorageArea
+};
@@ -0,0 +1,643 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * EMPIRE ENHANCED - OFFLINE REPLAY HARNESS
+ * ============================================================================
+ *
+ * Replays recorded `new_item` / `updated_item` socket payloads through
+ * ExtensionManager.processItems -> processIndividualItem without a live
+ * CSGOEmpire socket. chrome.* APIs are stubbed and network calls are served
+ * locally, so nothing is ever withdrawn.
+ *
+ * The report lists every notification, every filter reason counted in
+ * `stats.filterReasons` and every withdrawal or auction bid automation would
+ * have attempted, plus every payload posted to a localhost notification
+ * webhook. The notification queue runs on the capture's clock, so the report
+ * shows when each match was displayed, which matches were grouped and which
+ * the queue dropped (stale, over the backlog cap or deleted before shown).
+ *
+ * Usage:
+ *   node tools/replay-harness.js <capture.jsonl> [options]
+ *
+ * Options:
+ *   --settings <file>  server-settings.json style export imported before replay
+ *   --storage <file>   chrome.storage dump: { "sync": {...}, "local": {...} }
+ *   --prices <file>    raw csgotrader.app feeds keyed by marketplace
+ *                      ({ "buff163": {...}, "csfloat": {...}, ... })
+ *   --json <file>      write the full report as JSON
+ *   --verbose          show the extension's own console output
+ *
+ * Capture format (one JSON value per line):
+ *   { "event": "new_item", "ts": 1700000000000, "data": [ ...items ] }
+ * A bare item object or array is treated as a `new_item` event. Lines without
+ * `ts` are placed one second after the previous line. `deleted_item`,
+ * `auction_update` and `trade_status` events go through the extension's own
+ * socket handlers (lifecycle tracking and auction sniping).
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createChromeStub } = require('./chrome-stub');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const ITEM_EVENTS = new Set(['new_item', 'updated_item']);
+
+// NotificationQueue drop reasons as printed in the summary
+const DROP_REASON_LABELS = {
+  expired: 'stale',
+  overflowed: 'over the backlog cap',
+  removed: 'deleted before shown'
+};
+const LIFECYCLE_EVENTS = new Set([...ITEM_EVENTS, 'deleted_item', 'auction_update', 'trade_status']);
+const PRICE_FEED_PATTERN = /^https:\/\/prices\.csgotrader\.app\/latest\/([a-z0-9]+)\.json$/;
+const WITHDRAW_PATTERN = /\/api\/v2\/trading\/deposit\/([^/]+)\/withdraw$/;
+const BID_PATTERN = /\/api\/v2\/trading\/deposit\/([^/]+)\/bid$/;
+const SOCKET_HANDLERS = {
+  deleted_item: 'handleDeletedItems',
+  auction_update: 'handleAuctionUpdate',
+  trade_status: 'handleTradeStatus'
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Raw arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = { capture: null, settings: null, storage: null, prices: null, json: null, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--settings':
+      case '--storage':
+      case '--prices':
+      case '--json':
+        options[arg.slice(2)] = argv[++i];
+        break;
+      case '--verbose':
+        options.verbose = true;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        options.capture = arg;
+    }
+  }
+
+  if (!options.capture) {
+    throw new Error('Usage: node tools/replay-harness.js <capture.jsonl> [--settings file] [--storage file] [--prices file] [--json file] [--verbose]');
+  }
+
+  return options;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string|null} filePath - File to read
+ * @returns {Object|null} Parsed JSON or null when no path given
+ */
+function readJson(filePath) {
+  if (!filePath) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Load capture events from a JSONL file
+ * @param {string} filePath - Capture file path
+ * @returns {Array<Object>} Normalized events ({ event, ts, data, line })
+ */
+function loadCapture(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+  const events = [];
+  let lastTs = null;
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+
+    const isEnvelope = parsed && !Array.isArray(parsed) && typeof parsed.event === 'string';
+    const event = isEnvelope ? parsed.event : 'new_item';
+    const data = isEnvelope ? parsed.data : parsed;
+    const ts = isEnvelope && typeof parsed.ts === 'number'
+      ? parsed.ts
+      : (lastTs === null ? Date.now() : lastTs + 1000);
+
+    lastTs = ts;
+    events.push({ event, ts, data, line: index + 1 });
+  });
+
+  return events;
+}
+
+/**
+ * Build a minimal fetch Response
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body
+ * @returns {Object} Response-like object
+ */
+function jsonResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Replay Stub',
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+/**
+ * Create the sandbox fetch used during replay
+ * @param {Object} options - Fetch options
+ * @param {Object} options.prices - Raw price feeds keyed by marketplace
+ * @param {Array} options.withdrawals - Array collecting would-be withdrawals
+ * @param {Array} options.bids - Array collecting would-be auction bids
+ * @param {Array} options.webhooks - Array collecting notification webhook posts
+ * @param {Function} options.now - Virtual clock
+ * @returns {Function} fetch implementation
+ */
+function createFetchStub({ prices, withdrawals, bids, webhooks, now }) {
+  return async (url, init = {}) => {
+    const method = (init.method || 'GET').toUpperCase();
+
+    if (url.startsWith('chrome-extension://replay/')) {
+      const filePath = path.join(ROOT_DIR, url.replace('chrome-extension://replay/', ''));
+      if (!fs.existsSync(filePath)) {
+        return jsonResponse(404, { message: 'Not found' });
+      }
+      const text = fs.readFileSync(filePath, 'utf8');
+      return { ...jsonResponse(200, JSON.parse(text)), text: async () => text };
+    }
+
+    const priceMatch = url.match(PRICE_FEED_PATTERN);
+    if (priceMatch) {
+      return jsonResponse(200, prices[priceMatch[1]] || {});
+    }
+
+    const withdrawMatch = url.match(WITHDRAW_PATTERN);
+    if (withdrawMatch && method === 'POST') {
+      const body = init.body ? JSON.parse(init.body) : {};
+      withdrawals.push({ at: now(), depositId: withdrawMatch[1], coinValue: body.coin_value ?? null });
+      return jsonResponse(200, { success: true, replay: true });
+    }
+
+    const bidMatch = url.match(BID_PATTERN);
+    if (bidMatch && method === 'POST') {
+      const body = init.body ? JSON.parse(init.body) : {};
+      bids.push({ at: now(), depositId: bidMatch[1], bidValue: body.bid_value ?? null });
+      return jsonResponse(200, { success: true, replay: true });
+    }
+
+    if (url.startsWith('http://localhost') && method === 'POST') {
+      webhooks.push({ at: now(), url, body: init.body || '' });
+      return jsonResponse(200, { success: true, replay: true });
+    }
+
+    return jsonResponse(404, { message: `Replay harness does not serve ${method} ${url}` });
+  };
+}
+
+/**
+ * Load background.js into a sandboxed context with stubbed APIs
+ * @param {Object} options - Sandbox options
+ * @returns {Promise<Object>} { manager, calls, withdrawals, bids, webhooks, clock }
+ */
+async function createSandbox({ storage, prices, verbose }) {
+  const clock = { now: Date.now() };
+  const now = () => clock.now;
+  const withdrawals = [];
+  const bids = [];
+  const webhooks = [];
+
+  // Never reconnect during replay: drop any stored API key
+  const local = { ...(storage?.local || {}) };
+  delete local.csgoempire_api_key;
+
+  const { chrome, calls } = createChromeStub({ sync: storage?.sync || {}, local, now });
+  const silent = () => {};
+
+  const sandbox = {
+    chrome,
+    console: verbose ? console : { log: silent, info: silent, warn: silent, error: silent, debug: silent },
+    fetch: createFetchStub({ prices: prices || {}, withdrawals, bids, webhooks, now }),
+    // Timers fire on the next tick; delays only drive badge resets and notification clean-up
+    setTimeout: (fn, ms, ...args) => setImmediate(fn, ...args),
+    clearTimeout: (handle) => clearImmediate(handle),
+    setInterval: () => 0,
+    clearInterval: () => {},
+    io: () => {
+      throw new Error('Socket connections are disabled in replay mode');
+    },
+    URL,
+    AbortController,
+    TextEncoder,
+    TextDecoder,
+    structuredClone,
+    __replayClock: clock
+  };
+
+  const context = vm.createContext(sandbox);
+  sandbox.self = sandbox;
+  sandbox.importScripts = (...files) => {
+    for (const file of files) {
+      if (file === 'socket.io.min.js') continue; // io is stubbed above
+      const filePath = path.join(ROOT_DIR, file);
+      vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+    }
+  };
+
+  // Drive Date.now() from the capture timestamps so throttles and cooldowns behave as they did live
+  vm.runInContext('Date.now = () => __replayClock.now;', context);
+
+  const backgroundPath = path.join(ROOT_DIR, 'background.js');
+  vm.runInContext(fs.readFileSync(backgroundPath, 'utf8'), context, { filename: backgroundPath });
+
+  const manager = vm.runInContext('getManager()', context);
+  await manager.ready;
+
+  return { manager, calls, withdrawals, bids, webhooks, clock };
+}
+
+/**
+ * Wait for fire-and-forget work (overlay messages, history writes) to settle
+ */
+async function settle() {
+  for (let i = 0; i < 5; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Drive the notification queue from the virtual clock and record every display
+ * @param {Object} options - { manager, calls, webhooks, clock } from createSandbox
+ * @returns {Object} { displays, dropped, advance } - dropped maps item id → drop reason;
+ *   advance(until) fires queue timers due by `until`
+ */
+function instrumentNotificationQueue({ manager, calls, webhooks, clock }) {
+  const queue = manager.notificationQueue;
+  const timers = [];
+  const displays = [];
+  const dropped = new Map();
+
+  queue.setTimer = (fn, ms) => {
+    const timer = { due: clock.now + ms, fn };
+    timers.push(timer);
+    return timer;
+  };
+  queue.clearTimer = (timer) => {
+    const index = timers.indexOf(timer);
+    if (index !== -1) timers.splice(index, 1);
+  };
+
+  const onDisplay = queue.onDisplay;
+  queue.onDisplay = async (group) => {
+    const notificationsBefore = calls.notifications.length;
+    const overlaysBefore = calls.contentMessages.length;
+    const webhooksBefore = webhooks.length;
+
+    await onDisplay(group);
+    await settle();
+
+    displays.push({
+      at: clock.now,
+      id: group.lead.id,
+      market_name: group.lead.market_name,
+      itemIds: group.items.map(item => item.id),
+      notifications: calls.notifications.slice(notificationsBefore).map(n => ({ title: n.title, message: n.message })),
+      overlays: calls.contentMessages.slice(overlaysBefore).map(o => o.type),
+      webhooks: webhooks.slice(webhooksBefore)
+    });
+  };
+
+  queue.onDrop = (items, reason) => {
+    for (const item of items) {
+      dropped.set(item.id, reason);
+    }
+  };
+
+  const idle = async () => {
+    await settle();
+    while (queue.displaying) {
+      await settle();
+    }
+  };
+
+  const advance = async (until) => {
+    await idle();
+    while (timers.length > 0) {
+      timers.sort((a, b) => a.due - b.due);
+      if (timers[0].due > until) break;
+
+      const timer = timers.shift();
+      clock.now = Math.max(clock.now, timer.due);
+      timer.fn();
+      await idle();
+    }
+  };
+
+  return { displays, dropped, advance };
+}
+
+/**
+ * Difference between two filter reason snapshots
+ * @param {Object} before - Counts before processing
+ * @param {Object} after - Counts after processing
+ * @returns {Object} Reasons incremented in between
+ */
+function diffFilterReasons(before, after) {
+  const delta = {};
+  for (const [reason, count] of Object.entries(after)) {
+    const increment = count - (before[reason] || 0);
+    if (increment > 0) delta[reason] = increment;
+  }
+  return delta;
+}
+
+/**
+ * Replay a capture through the item pipeline
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object>} Replay report
+ */
+async function runReplay(options) {
+  const events = loadCapture(options.capture);
+  const { manager, calls, withdrawals, bids, webhooks, clock } = await createSandbox({
+    storage: readJson(options.storage),
+    prices: readJson(options.prices),
+    verbose: options.verbose
+  });
+  const { displays, dropped, advance } = instrumentNotificationQueue({ manager, calls, webhooks, clock });
+
+  const settings = readJson(options.settings);
+  if (settings) {
+    const importResult = await manager.importSettingsFromJson(settings);
+    if (!importResult.success) {
+      throw new Error(`Could not import settings: ${importResult.error}`);
+    }
+  }
+
+  // Replays always run with monitoring on and a placeholder key so withdraw URLs are well formed
+  manager.isMonitoringEnabled = true;
+  manager.automationManager.setAPIKey(manager.apiKey || 'replay', manager.domain);
+  manager.itemTargetAutomationManager.setAPIKey(manager.apiKey || 'replay', manager.domain);
+  manager.auctionSnipeManager.setAPIKey(manager.apiKey || 'replay', manager.domain);
+
+  const report = {
+    capture: path.resolve(options.capture),
+    events: events.length,
+    skippedEvents: {},
+    items: [],
+    notifications: [],
+    withdrawals: [],
+    bids: [],
+    webhooks: [],
+    filterReasons: {},
+    coinRate: manager.currency.config.coinRate
+  };
+
+  for (const entry of events) {
+    await advance(entry.ts);
+    clock.now = entry.ts;
+
+    if (SOCKET_HANDLERS[entry.event]) {
+      const bidsBefore = bids.length;
+      manager[SOCKET_HANDLERS[entry.event]](entry.data);
+      await settle();
+      report.bids.push(...bids.slice(bidsBefore).map(bid => {
+        const auction = manager.auctionSnipeManager.auctions.get(Number(bid.depositId));
+        return { ...bid, marketName: auction ? auction.item.market_name : null, maxBid: auction ? auction.maxBid : null };
+      }));
+    } else if (LIFECYCLE_EVENTS.has(entry.event)) {
+      manager.trackItemLifecycle(entry.event, entry.data);
+      await settle();
+    }
+
+    if (!ITEM_EVENTS.has(entry.event)) {
+      if (!LIFECYCLE_EVENTS.has(entry.event)) {
+        report.skippedEvents[entry.event] = (report.skippedEvents[entry.event] || 0) + 1;
+      }
+      continue;
+    }
+    const items = Array.isArray(entry.data) ? entry.data : [entry.data];
+
+    for (const rawItem of items) {
+      if (!rawItem || typeof rawItem !== 'object') continue;
+
+      const item = JSON.parse(JSON.stringify(rawItem));
+      const alreadyNotified = manager.notifiedItemIds.has(item.id);
+      const reasonsBefore = { ...manager.stats.filterReasons };
+      const withdrawalsBefore = withdrawals.length;
+      const charmAttemptsBefore = manager.automationManager.stats.totalAttempts;
+
+      await manager.processItems([item]);
+      await settle();
+
+      const itemWithdrawals = withdrawals.slice(withdrawalsBefore).map(withdrawal => ({
+        ...withdrawal,
+        marketName: item.market_name,
+        marketValue: manager.currency.coinsToUsd(item.market_value),
+        source: manager.automationManager.stats.totalAttempts > charmAttemptsBefore ? 'charm_automation' : 'item_target_automation'
+      }));
+
+      const matched = Boolean(item.notification_type);
+      const result = {
+        line: entry.line,
+        event: entry.event,
+        ts: entry.ts,
+        id: item.id,
+        market_name: item.market_name,
+        market_value: manager.currency.coinsToUsd(item.market_value),
+        matched,
+        notification_type: item.notification_type || null,
+        skipped: alreadyNotified ? 'already_notified' : null,
+        filterReasons: diffFilterReasons(reasonsBefore, manager.stats.filterReasons),
+        withdrawals: itemWithdrawals
+      };
+
+      report.items.push(result);
+      report.withdrawals.push(...itemWithdrawals);
+    }
+  }
+
+  // Let the queue show everything still pending after the last event
+  await advance(Infinity);
+
+  // Attach each match to the notification that displayed it (its own or a grouped one)
+  for (const result of report.items) {
+    const display = displays.find(d => d.itemIds.includes(result.id) && d.at >= result.ts);
+    const lead = display && display.id === result.id;
+    result.displayedAt = display ? display.at : null;
+    result.groupedInto = display && !lead ? display.id : null;
+    result.dropped = display ? null : dropped.get(result.id) ?? null;
+    result.notifications = lead ? display.notifications : [];
+    result.overlays = lead ? display.overlays : [];
+    result.webhooks = lead ? display.webhooks.length : 0;
+
+    if (result.matched) {
+      report.notifications.push({
+        id: result.id,
+        market_name: result.market_name,
+        notification_type: result.notification_type,
+        ts: result.ts,
+        displayedAt: result.displayedAt,
+        groupedInto: result.groupedInto,
+        dropped: result.dropped,
+        groupSize: display ? display.itemIds.length : 0
+      });
+    }
+  }
+  report.webhooks = displays.flatMap(display =>
+    display.webhooks.map(webhook => ({ ...webhook, id: display.id, market_name: display.market_name })));
+  report.notificationQueue = manager.notificationQueue.getStatus().stats;
+
+  report.filterReasons = { ...manager.stats.filterReasons };
+  report.auctionSnipe = manager.auctionSnipeManager.getSettings().stats;
+  report.paperTrading = manager.paperTrading.getSummary();
+  report.tradeOutcomes = manager.withdrawalReconciler.getSummary();
+  report.arbitrage = manager.arbitrageScanner.config.enabled ? manager.arbitrageScanner.getSettings() : null;
+  report.lifecycles = [...manager.itemLifecycleTracker.watchedIds]
+    .map(id => manager.itemLifecycleTracker.lifecycles.get(id))
+    .filter(Boolean)
+    .map(lifecycle => ({
+      market_name: lifecycle.marketName,
+      ...manager.itemLifecycleTracker.getSummary(lifecycle)
+    }));
+  report.stats = {
+    itemsProcessed: manager.stats.itemsProcessed,
+    itemsFiltered: manager.stats.itemsFiltered,
+    keychainsFound: manager.stats.keychainsFound,
+    itemsFound: manager.stats.itemsFound
+  };
+
+  return report;
+}
+
+/**
+ * Print a human readable summary of a replay report
+ * @param {Object} report - Replay report
+ */
+function printSummary(report) {
+  const out = (line = '') => process.stdout.write(`${line}\n`);
+  const notShown = report.notifications.filter(n => n.displayedAt === null).length;
+  const dropped = report.notifications.filter(n => n.dropped !== null).length;
+  const grouped = report.notifications.filter(n => n.groupedInto !== null).length;
+  const delayed = report.notifications.filter(n => n.displayedAt !== null && n.displayedAt > n.ts).length;
+
+  const coinsToUsd = (coinCents) => ((coinCents || 0) / 100) * report.coinRate;
+
+  out(`♔ Empire Enhanced replay: ${report.capture}`);
+  out(`📦 ${report.items.length} items from ${report.events} events`);
+  for (const [event, count] of Object.entries(report.skippedEvents)) {
+    out(`   ⏭️ skipped ${count} ${event} events`);
+  }
+
+  out();
+  out(`🔔 Matches: ${report.notifications.length} (${report.notifications.length - notShown} displayed, ${grouped} grouped, ${delayed} delayed, ${dropped} dropped, ${notShown - dropped} history only)`);
+  const { expired, overflowed, removed } = report.notificationQueue;
+  if (expired + overflowed + removed > 0) {
+    out(`   ⌛ dropped from the queue: ${expired} ${DROP_REASON_LABELS.expired}, ${overflowed} ${DROP_REASON_LABELS.overflowed}, ${removed} ${DROP_REASON_LABELS.removed}`);
+  }
+  for (const notification of report.notifications) {
+    const time = new Date(notification.ts).toISOString();
+    let display = ' - history only';
+    if (notification.dropped !== null) {
+      display = ` - dropped (${DROP_REASON_LABELS[notification.dropped]})`;
+    } else if (notification.groupedInto !== null) {
+      display = ` - grouped into #${notification.groupedInto}`;
+    } else if (notification.displayedAt !== null) {
+      const delay = notification.displayedAt - notification.ts;
+      const group = notification.groupSize > 1 ? ` with ${notification.groupSize - 1} more` : '';
+      display = delay > 0 ? ` - shown after ${(delay / 1000).toFixed(1)}s${group}` : group ? ` - shown${group}` : '';
+    }
+    out(`   ${time} [${notification.notification_type}] ${notification.market_name} (#${notification.id})${display}`);
+  }
+  if (report.webhooks.length > 0) {
+    out(`🪝 Webhook posts: ${report.webhooks.length}`);
+    for (const webhook of report.webhooks) {
+      out(`   ${webhook.market_name} (#${webhook.id}) → ${webhook.url}`);
+    }
+  }
+
+  out();
+  out(`🤖 Would-be withdrawals: ${report.withdrawals.length}`);
+  for (const withdrawal of report.withdrawals) {
+    out(`   [${withdrawal.source}] ${withdrawal.marketName} $${withdrawal.marketValue.toFixed(2)} (#${withdrawal.depositId})`);
+  }
+  if (report.withdrawals.length > 0) {
+    const { pending, completed, cancelled, reverted } = report.tradeOutcomes;
+    out(`   trade_status outcomes: ${completed} completed, ${cancelled} cancelled, ${reverted} reverted, ${pending} pending`);
+  }
+
+  if (report.paperTrading.enabled) {
+    const { count, spent, profit } = report.paperTrading;
+    out(`🧪 Paper trades: ${count} ($${spent.toFixed(2)} spent, ${profit >= 0 ? '+' : '-'}$${Math.abs(profit).toFixed(2)} P&L)`);
+  }
+
+  out();
+  out(`🔨 Would-be auction bids: ${report.bids.length} (won ${report.auctionSnipe.successCount}, outbid ${report.auctionSnipe.auctionsLost})`);
+  for (const bid of report.bids) {
+    const maxBid = bid.maxBid !== null ? ` (max $${coinsToUsd(bid.maxBid).toFixed(2)})` : '';
+    out(`   ${bid.marketName || 'Unknown item'} $${coinsToUsd(bid.bidValue).toFixed(2)}${maxBid} (#${bid.depositId})`);
+  }
+
+  if (report.arbitrage) {
+    out();
+    out(`📊 Arbitrage opportunities: ${report.arbitrage.tracked} of ${report.arbitrage.scanned} scanned (sell on ${report.arbitrage.venue})`);
+    for (const opportunity of report.arbitrage.opportunities) {
+      out(`   ${opportunity.market_name} (#${opportunity.id}) +$${opportunity.spread.toFixed(2)} (${opportunity.spreadPercent.toFixed(1)}%)`);
+    }
+  }
+
+  out();
+  out(`⏱️ Matched item lifecycles: ${report.lifecycles.length}`);
+  for (const lifecycle of report.lifecycles) {
+    const finalPrice = lifecycle.finalPrice !== null ? ` at $${coinsToUsd(lifecycle.finalPrice).toFixed(2)}` : '';
+    out(`   ${lifecycle.market_name} (#${lifecycle.id}) ${lifecycle.status} after ${lifecycle.durationSeconds}s${finalPrice}`);
+  }
+
+  out();
+  out('🚫 Filter reasons:');
+  const reasons = Object.entries(report.filterReasons).sort((a, b) => b[1] - a[1]);
+  if (reasons.length === 0) {
+    out('   none');
+  }
+  for (const [reason, count] of reasons) {
+    out(`   ${reason}: ${count}`);
+  }
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const report = await runReplay(options);
+
+    printSummary(report);
+
+    if (options.json) {
+      fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+      process.stdout.write(`\n💾 Full report written to ${options.json}\n`);
+    }
+  } catch (error) {
+    console.error(`❌ Replay failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createSandbox,
+  loadCapture,
+  runReplay
+};